@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import StartScreen from './components/StartScreen';
 import IntroAnimation from './components/IntroAnimation';
 import CreatureSelection from './components/CreatureSelection';
@@ -9,21 +9,45 @@ import EndCard from './components/EndCard';
 import LevelTransition from './components/LevelTransition';
 import GoodbyeScreen from './components/GoodbyeScreen';
 import ReducedMotionToggle from './components/ReducedMotionToggle';
+import SettingsPanel from './components/SettingsPanel';
 import SoundCueVisual from './components/SoundCueVisual';
+import CaptionHistory from './components/CaptionHistory';
 import BackButton from './components/BackButton';
+import DiagnosticsOverlay from './components/DiagnosticsOverlay';
+import StatsScreen from './components/StatsScreen';
+import LoadingScreen from './components/LoadingScreen';
 import useGameEngine from './hooks/useGameEngine';
 import useReducedMotion from './hooks/useReducedMotion';
 import useAnimationController from './hooks/useAnimationController';
 import useSoundCue from './hooks/useSoundCue';
-import { loadAllGameData } from './utils/dataLoader';
+import useReplay from './hooks/useReplay';
+import useTheme, { useThemes } from './hooks/useTheme';
+import useAudio from './hooks/useAudio';
+import useSettings, { SettingsContext } from './hooks/useSettings';
+import useI18n from './hooks/useI18n';
+import { loadAllGameData, loadCreatureTranslation } from './utils/dataLoader';
+import { checkAssets, createAssetManifest, createAssetReport } from './utils/assetManifest';
+import { formatIssue } from './utils/diagnostics';
+import { detectLocale, translate } from './utils/i18n';
+import { Channel } from './utils/audioManager';
+import { readSave } from './utils/saveGame';
+import { loadRunHistory, clearRunHistory, getDiscoveredEndings } from './utils/runHistory';
+import { DEFAULT_DIFFICULTY } from './engine/difficulty';
+
+// Menu music plays quietly within the music channel so creature music stands out
+const MENU_MUSIC_VOLUME = 0.1;
 
 /**
  * ErrorBoundary Component
  * 
  * Catches JavaScript errors anywhere in the child component tree and displays a fallback UI.
  * Implements graceful error handling as per Requirement 15.5
+ * The message is shown in the player's language, read straight from the
+ * settings store since class components can't use hooks.
  */
 class ErrorBoundary extends React.Component {
+  static contextType = SettingsContext;
+
   constructor(props) {
     super(props);
     this.state = { hasError: false, error: null };
@@ -39,11 +63,12 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
+      const locale = this.context.getSettings().locale ?? detectLocale();
       return (
         <div className="error-boundary">
-          <h1>Something went wrong</h1>
-          <p>The game encountered an unexpected error. Please refresh the page to try again.</p>
-          <button onClick={() => window.location.reload()}>Refresh Page</button>
+          <h1>{translate(locale, 'app.errorTitle')}</h1>
+          <p>{translate(locale, 'app.errorText')}</p>
+          <button onClick={() => window.location.reload()}>{translate(locale, 'app.refresh')}</button>
         </div>
       );
     }
@@ -57,40 +82,68 @@ class ErrorBoundary extends React.Component {
  * 
  * Main application container that orchestrates all components and manages global state.
  * Implements conditional rendering based on game state and passes state/handlers to children.
+ * The creature data is loaded in English once; the player's language is laid
+ * over it (see loadCreatureTranslation), again whenever the language changes.
  * 
  * Requirements: 15.1, 15.3, 15.5
  */
 function App() {
-  const [showStartScreen, setShowStartScreen] = useState(true);
+  // A replay plays from its first recorded action, so the start screen is skipped
+  const { replay } = useReplay();
+  const [showStartScreen, setShowStartScreen] = useState(!replay);
   const [showIntro, setShowIntro] = useState(false);
   const [showGoodbye, setShowGoodbye] = useState(false);
+  const [baseData, setBaseData] = useState(null);
   const [gameData, setGameData] = useState(null);
   const [uiConfig, setUIConfig] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [dataDiagnostics, setDataDiagnostics] = useState([]);
+  const [translationDiagnostics, setTranslationDiagnostics] = useState(null);
+  const [assetProgress, setAssetProgress] = useState({ loaded: 0, total: 0 });
+  const [missingAssets, setMissingAssets] = useState([]);
+  const [savedRun, setSavedRun] = useState(null);
+  const [runHistory, setRunHistory] = useState(null);
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
+  const [timerIntensity, setTimerIntensity] = useState(null);
+
+  // Data diagnostics overlay - dev builds only, opt in with ?diagnostics in the URL
+  const [showDiagnostics, setShowDiagnostics] = useState(
+    () => import.meta.env.DEV && new URLSearchParams(window.location.search).has('diagnostics')
+  );
 
-  // Audio management refs - Requirements 10.1, 10.2
-  const backgroundAudioRef = useRef(null);
-  const creatureAudioRef = useRef(null);
+  // Every sound goes through the audio manager - Requirements 10.1, 10.2
+  const audio = useAudio();
 
   // Initialize game engine with creature data - Requirement 15.2
   const gameEngine = useGameEngine(gameData);
+
+  // Creature looks and asset files come from the loaded UI config
+  const { assets, loadThemes } = useThemes();
+  const creatureTheme = useTheme(gameEngine.selectedCreature?.id);
   
   // Reduced motion accessibility - Requirement 12.1
   const { reducedMotion, toggleReducedMotion } = useReducedMotion();
 
+  // Player preferences from the Settings panel
+  const { settings } = useSettings();
+  const { locale, t } = useI18n();
+
   // Sound cue system - Requirements 10.3, 10.4, 10.5
-  const soundCue = useSoundCue(uiConfig);
+  // The selected creature's own cues replace the shared ones
+  const soundCue = useSoundCue(uiConfig, gameEngine.selectedCreature?.id);
 
   // Determine game state intensity for animations - Requirements 11.1, 11.2, 11.3
   const getGameStateIntensity = () => {
     if (gameEngine.gameState !== 'level') return 'calm';
     
-    // Map level progression to intensity
-    if (gameEngine.currentLevel === 0) return 'calm';
-    if (gameEngine.currentLevel === 1) return 'tense';
-    if (gameEngine.currentLevel === 2) return 'critical';
+    // Map level progression along the story path to intensity
+    const intensities = ['calm', 'tense', 'critical'];
+    const levelIntensity = intensities[Math.min(Math.max(gameEngine.levelNumber - 1, 0), 2)];
     
-    return 'calm';
+    // A decision timer running low raises the mood further
+    return intensities.indexOf(timerIntensity) > intensities.indexOf(levelIntensity)
+      ? timerIntensity
+      : levelIntensity;
   };
 
   // Dynamic animation controller - Requirements 11.1-11.5
@@ -105,9 +158,27 @@ function App() {
   useEffect(() => {
     const initializeData = async () => {
       try {
-        const { creatureData, uiConfig } = await loadAllGameData();
-        setGameData(creatureData);
+        const { creatureData, uiConfig, diagnostics } = await loadAllGameData();
+        setBaseData(creatureData);
         setUIConfig(uiConfig);
+        loadThemes(uiConfig);
+        // Saved runs are checked against the loaded creature data
+        setSavedRun(readSave(creatureData));
+
+        setDataDiagnostics(diagnostics);
+
+        // Check every declared file in the background, so a slow connection
+        // never holds up the start screen; missing ones are listed there
+        const manifest = createAssetManifest(uiConfig);
+        setAssetProgress({ loaded: 0, total: manifest.length });
+        checkAssets(manifest, {
+          onProgress: (loaded, total) => setAssetProgress({ loaded, total })
+        }).then(({ missing }) => {
+          const assetReport = createAssetReport(missing);
+          assetReport.issues.forEach(issue => console.warn(formatIssue(assetReport.source, issue)));
+          setMissingAssets(missing);
+          setDataDiagnostics(reports => [...reports, assetReport]);
+        });
       } catch (error) {
         console.error('Unexpected error during data initialization:', error);
         // Data loader already handles fallbacks, so this shouldn't happen
@@ -120,109 +191,46 @@ function App() {
     initializeData();
   }, []);
 
-  // Audio management - Requirements 10.1, 10.2
+  // Creature text in the player's language
   useEffect(() => {
-    console.log('🎵 Audio effect triggered - Creature:', gameEngine.selectedCreature?.name, 'State:', gameEngine.gameState);
-    
-    // Requirement 10.1: Play Background audio.mp3 when no creature is selected (intro and selection)
-    if (!gameEngine.selectedCreature && (showIntro || gameEngine.gameState === 'select')) {
-      // Stop creature audio if playing
-      if (creatureAudioRef.current) {
-        console.log('🛑 Stopping creature audio');
-        creatureAudioRef.current.pause();
-        creatureAudioRef.current.currentTime = 0;
-        creatureAudioRef.current = null;
-      }
+    if (!baseData) return;
 
-      // Start background audio if not already playing
-      if (!backgroundAudioRef.current) {
-        console.log('🎵 Loading background audio');
-        backgroundAudioRef.current = new Audio(`${import.meta.env.BASE_URL}assets/Background audio.mp3`);
-        backgroundAudioRef.current.loop = true;
-        backgroundAudioRef.current.volume = 0.07; // Reduced to 7% so creature music is prominent
-        
-        backgroundAudioRef.current.addEventListener('error', (e) => {
-          console.error('❌ Background audio error:', e);
-        });
-        
-        const playPromise = backgroundAudioRef.current.play();
-        if (playPromise !== undefined) {
-          playPromise
-            .then(() => {
-              console.log('▶️ Background audio playing');
-            })
-            .catch(error => {
-              console.log('⚠️ Background audio autoplay prevented:', error);
-            });
-        }
-      }
-    }
+    let cancelled = false;
+    loadCreatureTranslation(baseData, locale).then(({ creatureData, diagnostics }) => {
+      if (cancelled) return;
+      setGameData(creatureData);
+      setTranslationDiagnostics(diagnostics);
+    });
 
-    // Requirement 10.2: Play creature-specific audio when creature is selected
-    if (gameEngine.selectedCreature && gameEngine.gameState !== 'select' && gameEngine.gameState !== 'intro') {
-      // Stop background audio
-      if (backgroundAudioRef.current) {
-        console.log('🛑 Stopping background audio');
-        backgroundAudioRef.current.pause();
-        backgroundAudioRef.current.currentTime = 0;
-        backgroundAudioRef.current = null;
-      }
+    return () => {
+      cancelled = true;
+    };
+  }, [baseData, locale]);
 
-      // Start creature-specific audio if not already playing
-      if (!creatureAudioRef.current) {
-        const creatureName = gameEngine.selectedCreature.name;
-        // Exact filenames: "Baba Yaga audio.mp3", "Banshee audio.mp3", "Aswang audio.mp3"
-        const audioPath = `${import.meta.env.BASE_URL}assets/${encodeURIComponent(creatureName)} audio.mp3`;
-        console.log('🎵 Loading creature audio:', audioPath, 'for creature:', creatureName);
-        
-        creatureAudioRef.current = new Audio(audioPath);
-        creatureAudioRef.current.loop = true;
-        creatureAudioRef.current.volume = 0.7;
-        
-        creatureAudioRef.current.addEventListener('error', (e) => {
-          console.error('❌ Audio loading error:', e, 'Path:', audioPath);
-          console.error('Error details:', e.target.error);
-        });
-        
-        creatureAudioRef.current.addEventListener('canplaythrough', () => {
-          console.log('✅ Audio loaded successfully:', audioPath);
-        });
-        
-        creatureAudioRef.current.addEventListener('loadeddata', () => {
-          console.log('📦 Audio data loaded:', audioPath);
-        });
-        
-        const playPromise = creatureAudioRef.current.play();
-        if (playPromise !== undefined) {
-          playPromise
-            .then(() => {
-              console.log('▶️ Creature audio playing:', audioPath);
-            })
-            .catch(error => {
-              console.log('⚠️ Creature audio autoplay prevented:', error);
-              // Try to play on next user interaction
-              const playOnClick = () => {
-                if (creatureAudioRef.current) {
-                  console.log('🖱️ Attempting to play on user click');
-                  creatureAudioRef.current.play()
-                    .then(() => console.log('✅ Audio playing after click'))
-                    .catch(e => console.log('❌ Still blocked:', e));
-                }
-              };
-              document.addEventListener('click', playOnClick, { once: true });
-              document.addEventListener('touchstart', playOnClick, { once: true });
-            });
-        }
-      } else {
-        console.log('ℹ️ Creature audio already playing');
-      }
+  // Music - Requirements 10.1, 10.2
+  // The music channel crossfades between the menu track and the creature's track
+  useEffect(() => {
+    const { selectedCreature, gameState } = gameEngine;
+
+    // Requirement 10.1: Menu music when no creature is selected (intro and selection)
+    if (!selectedCreature && (showIntro || gameState === 'select')) {
+      audio.play(Channel.MUSIC, assets.menuMusic, { loop: true, volume: MENU_MUSIC_VOLUME });
     }
 
-    // Cleanup function - don't set to null, just pause
-    return () => {
-      // Don't cleanup on every render, only when component unmounts
-    };
-  }, [gameEngine.selectedCreature, gameEngine.gameState, showIntro]);
+    // Requirement 10.2: Creature-specific music once a creature is selected
+    if (selectedCreature && gameState !== 'select' && gameState !== 'intro') {
+      audio.play(Channel.MUSIC, creatureTheme.music, { loop: true });
+    }
+  }, [gameEngine.selectedCreature, gameEngine.gameState, showIntro, assets, creatureTheme, audio]);
+
+  // Sound cues for reaching the next level and for the outcome - Requirements 10.3, 10.4
+  useEffect(() => {
+    if (gameEngine.gameState === 'levelTransition') {
+      soundCue.playSoundCue('level-complete');
+    } else if (gameEngine.gameState === 'end') {
+      soundCue.playSoundCue(gameEngine.outcome === 'victory' ? 'victory' : 'game-over');
+    }
+  }, [gameEngine.gameState]);
 
   // Apply reduced motion class to body - Requirement 12.1
   useEffect(() => {
@@ -233,6 +241,16 @@ function App() {
     }
   }, [reducedMotion]);
 
+  // Apply the text size setting to the root font size
+  useEffect(() => {
+    document.documentElement.dataset.textSize = settings.textSize;
+  }, [settings.textSize]);
+
+  // Tell the browser (and screen readers) which language the page is in
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
   // Apply global CSS variables for theming - Requirement 11.4
   useEffect(() => {
     if (!animationController.cssVariables) return;
@@ -249,7 +267,7 @@ function App() {
   };
 
   const handleCreatureSelect = (creatureId) => {
-    gameEngine.selectCreature(creatureId);
+    gameEngine.selectCreature(creatureId, difficulty);
   };
 
   const handleChoice = (choiceIndex) => {
@@ -262,37 +280,78 @@ function App() {
 
   const handleExit = () => {
     // Stop all audio
-    if (backgroundAudioRef.current) {
-      backgroundAudioRef.current.pause();
-      backgroundAudioRef.current.currentTime = 0;
-    }
-    if (creatureAudioRef.current) {
-      creatureAudioRef.current.pause();
-      creatureAudioRef.current.currentTime = 0;
-    }
+    audio.stopAll();
     
     // Show goodbye screen
     setShowGoodbye(true);
   };
 
+  // Sound cue visual feedback, and a log of recent captions - Requirements 10.3, 10.4, 10.5
+  const soundCueVisual = (
+    <>
+      <SoundCueVisual
+        currentCue={soundCue.currentCue}
+        descriptor={soundCue.descriptor}
+        triggerLocation={soundCue.triggerLocation}
+        visualEffectClass={soundCue.getVisualEffectClass()}
+        captions={settings.captions}
+      />
+      {settings.captions && (
+        <CaptionHistory
+          entries={soundCue.captionHistory}
+          onClear={soundCue.clearCaptionHistory}
+        />
+      )}
+    </>
+  );
+
+  // Settings button and overlay, available in every phase
+  const settingsPanel = <SettingsPanel />;
+
   // Show goodbye screen
   if (showGoodbye) {
-    return <GoodbyeScreen />;
+    return (
+      <>
+        <GoodbyeScreen />
+        {settingsPanel}
+      </>
+    );
   }
 
-  // Show loading state briefly if data isn't ready
-  if (isLoading) {
-    return <div className="app-loading">Loading...</div>;
+  // Wait for the game data, then for the creature text
+  if (isLoading || (baseData && !gameData)) {
+    return (
+      <>
+        <LoadingScreen />
+        {settingsPanel}
+      </>
+    );
   }
 
   // Start screen phase - User interaction to enable audio
   if (showStartScreen) {
     return (
       <ErrorBoundary>
-        <StartScreen onStart={() => {
-          setShowStartScreen(false);
-          setShowIntro(true);
-        }} />
+        <StartScreen
+          onStart={() => {
+            setShowStartScreen(false);
+            setShowIntro(true);
+          }}
+          savedRun={savedRun}
+          onContinue={() => {
+            setShowStartScreen(false);
+            gameEngine.resumeRun(savedRun);
+          }}
+          missingAssets={missingAssets}
+          assetProgress={assetProgress}
+        />
+        {settingsPanel}
+        {showDiagnostics && (
+          <DiagnosticsOverlay
+            reports={translationDiagnostics ? [...dataDiagnostics, translationDiagnostics] : dataDiagnostics}
+            onDismiss={() => setShowDiagnostics(false)}
+          />
+        )}
       </ErrorBoundary>
     );
   }
@@ -303,6 +362,26 @@ function App() {
       <ErrorBoundary>
         <IntroAnimation onComplete={handleIntroComplete} reducedMotion={reducedMotion} />
         <ReducedMotionToggle reducedMotion={reducedMotion} onToggle={toggleReducedMotion} />
+        {settingsPanel}
+      </ErrorBoundary>
+    );
+  }
+
+  // Stats screen - opened from creature selection
+  if (gameEngine.gameState === 'select' && runHistory) {
+    return (
+      <ErrorBoundary>
+        <StatsScreen
+          history={runHistory}
+          creatures={gameData?.creatures}
+          onBack={() => setRunHistory(null)}
+          onClearHistory={() => {
+            clearRunHistory();
+            setRunHistory([]);
+          }}
+        />
+        <ReducedMotionToggle reducedMotion={reducedMotion} onToggle={toggleReducedMotion} />
+        {settingsPanel}
       </ErrorBoundary>
     );
   }
@@ -316,9 +395,13 @@ function App() {
           gameData={gameData} 
           onSelectCreature={handleCreatureSelect}
           onExit={handleExit}
+          onShowStats={() => setRunHistory(loadRunHistory())}
+          difficulty={difficulty}
+          onDifficultyChange={setDifficulty}
           reducedMotion={reducedMotion}
         />
         <ReducedMotionToggle reducedMotion={reducedMotion} onToggle={toggleReducedMotion} />
+        {settingsPanel}
       </ErrorBoundary>
     );
   }
@@ -332,8 +415,8 @@ function App() {
       console.error('❌ CharacterReveal state but no creature selected!');
       return (
         <div className="app-error">
-          <p>Error: No creature selected</p>
-          <button onClick={gameEngine.goHome}>Return to Selection</button>
+          <p>{t('app.noCreature')}</p>
+          <button onClick={gameEngine.goHome}>{t('app.returnToSelection')}</button>
         </div>
       );
     }
@@ -349,6 +432,7 @@ function App() {
           />
           <BackButton onBack={gameEngine.goHome} />
           <ReducedMotionToggle reducedMotion={reducedMotion} onToggle={toggleReducedMotion} />
+          {settingsPanel}
         </div>
       </ErrorBoundary>
     );
@@ -365,7 +449,7 @@ function App() {
           <div 
             className="story-background"
             style={{
-              backgroundImage: `url(${import.meta.env.BASE_URL}assets/${encodeURIComponent(gameEngine.selectedCreature.name)}.jpg)`,
+              backgroundImage: `url(${creatureTheme.images.portrait})`,
               filter: reducedMotion ? 'blur(8px)' : 'blur(8px)',
               position: 'fixed',
               top: 0,
@@ -379,11 +463,14 @@ function App() {
           />
           <StoryBubbles
             creature={gameEngine.selectedCreature}
+            storyLines={storyLines}
             onComplete={gameEngine.advanceStoryBubble}
             reducedMotion={reducedMotion}
+            autoAdvance={settings.autoAdvanceStory}
           />
           <BackButton onBack={gameEngine.goHome} />
           <ReducedMotionToggle reducedMotion={reducedMotion} onToggle={toggleReducedMotion} />
+          {settingsPanel}
         </div>
       </ErrorBoundary>
     );
@@ -395,11 +482,13 @@ function App() {
       <ErrorBoundary>
         <LevelTransition
           creature={gameEngine.selectedCreature}
-          fromLevel={gameEngine.transitionFrom}
-          toLevel={gameEngine.transitionFrom + 1}
+          fromLevel={gameEngine.levelNumber - 1}
+          toLevel={gameEngine.levelNumber}
           onComplete={gameEngine.completeLevelTransition}
           reducedMotion={reducedMotion}
         />
+        {soundCueVisual}
+        {settingsPanel}
       </ErrorBoundary>
     );
   }
@@ -411,8 +500,8 @@ function App() {
     if (!levelData) {
       return (
         <div className="app-error">
-          <p>Error loading level data</p>
-          <button onClick={gameEngine.restartGame}>Restart</button>
+          <p>{t('app.levelError')}</p>
+          <button onClick={gameEngine.restartGame}>{t('app.restart')}</button>
         </div>
       );
     }
@@ -423,23 +512,23 @@ function App() {
           creature={gameEngine.selectedCreature}
           levelData={levelData}
           currentLevel={gameEngine.currentLevel}
+          levelNumber={gameEngine.levelNumber}
           mechanicState={gameEngine.mechanicState}
           onChoice={handleChoice}
+          onTimeout={gameEngine.timeOut}
           onMechanicUpdate={handleMechanicUpdate}
+          onTimerIntensityChange={setTimerIntensity}
+          playSoundCue={soundCue.playSoundCue}
           uiConfig={uiConfig}
+          difficulty={gameEngine.difficulty}
           reducedMotion={reducedMotion}
         />
         
-        {/* Sound cue visual feedback - Requirements 10.3, 10.4, 10.5 */}
-        <SoundCueVisual
-          currentCue={soundCue.currentCue}
-          descriptor={soundCue.descriptor}
-          triggerLocation={soundCue.triggerLocation}
-          visualEffectClass={soundCue.getVisualEffectClass()}
-        />
+        {soundCueVisual}
 
         <BackButton onBack={gameEngine.goHome} />
         <ReducedMotionToggle reducedMotion={reducedMotion} onToggle={toggleReducedMotion} />
+        {settingsPanel}
       </ErrorBoundary>
     );
   }
@@ -447,11 +536,19 @@ function App() {
   // End screen phase - Requirements 15.1-15.5
   if (gameEngine.gameState === 'end') {
     console.log('📍 Rendering EndCard - gameState:', gameEngine.gameState, 'creature:', gameEngine.selectedCreature?.name);
+    const { selectedCreature: creature, ending } = gameEngine;
+    // This run may not be in the history yet
+    const discovered = new Set(getDiscoveredEndings(loadRunHistory(), creature));
+    if (ending) discovered.add(ending.id);
+
     return (
       <ErrorBoundary>
         <EndCard
           outcome={gameEngine.outcome}
-          creature={gameEngine.selectedCreature}
+          creature={creature}
+          ending={ending}
+          endingsDiscovered={{ found: discovered.size, total: creature?.endings?.length ?? 0 }}
+          seed={gameEngine.seed}
           onRestart={() => {
             console.log('🎮 onRestart called from App.jsx');
             gameEngine.restartGame();
@@ -463,8 +560,10 @@ function App() {
           uiConfig={uiConfig}
           reducedMotion={reducedMotion}
         />
+        {soundCueVisual}
         <BackButton onBack={gameEngine.goHome} />
         <ReducedMotionToggle reducedMotion={reducedMotion} onToggle={toggleReducedMotion} />
+        {settingsPanel}
       </ErrorBoundary>
     );
   }
@@ -474,7 +573,7 @@ function App() {
     <ErrorBoundary>
       <div className="app">
         <h1>FOLKLORERUN</h1>
-        <p>Loading game state...</p>
+        <p>{t('app.loadingState')}</p>
       </div>
     </ErrorBoundary>
   );
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import App from './App';
 
 // Mock fetch for JSON data loading
@@ -36,6 +36,20 @@ describe('App', () => {
     });
   });
 
+  it('offers the settings while loading and after exiting', async () => {
+    render(<App />);
+
+    expect(screen.getByText(/Loading/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Settings/i })).toBeInTheDocument();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Start the game' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Skip intro' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Exit game' }));
+
+    expect(await screen.findByText('Happy Halloween!')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Settings/i })).toBeInTheDocument();
+  });
+
   it('loads game data on mount', async () => {
     render(<App />);
     
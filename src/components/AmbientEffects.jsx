@@ -1,5 +1,7 @@
 import React, { useEffect, useState, useCallback } from 'react';
 import './AmbientEffects.css';
+import useRandom from '../hooks/useRandom';
+import { pickRandom } from '../engine/random';
 
 // Neon colors for Baba Yaga lanterns
 const LANTERN_COLORS = ['#A67CFF', '#B88FFF', '#9A6FEE', '#C89FFF', '#8B5FDD'];
@@ -13,6 +15,7 @@ const AmbientEffects = ({
 }) => {
   const [flyingElements, setFlyingElements] = useState([]);
   const [staticElements, setStaticElements] = useState([]);
+  const random = useRandom(`ambient-${mode}`);
 
   // Generate static border elements on mount
   useEffect(() => {
@@ -51,8 +54,8 @@ const AmbientEffects = ({
       const col = i % gridSize;
       
       // Add randomness within each grid cell
-      const left = col * cellWidth + (Math.random() * cellWidth * 0.6 + cellWidth * 0.2);
-      const top = row * cellHeight + (Math.random() * cellHeight * 0.6 + cellHeight * 0.2);
+      const left = col * cellWidth + (random() * cellWidth * 0.6 + cellWidth * 0.2);
+      const top = row * cellHeight + (random() * cellHeight * 0.6 + cellHeight * 0.2);
       
       // Ensure elements stay near borders (top, bottom, left, right edges)
       let position = {};
@@ -61,26 +64,26 @@ const AmbientEffects = ({
       switch (edge) {
         case 0: // top edge
           position = {
-            top: `${Math.random() * 15 + 2}%`,
+            top: `${random() * 15 + 2}%`,
             left: `${left}%`
           };
           break;
         case 1: // right edge
           position = {
             top: `${top}%`,
-            right: `${Math.random() * 8 + 2}%`
+            right: `${random() * 8 + 2}%`
           };
           break;
         case 2: // bottom edge
           position = {
-            bottom: `${Math.random() * 15 + 2}%`,
+            bottom: `${random() * 15 + 2}%`,
             left: `${left}%`
           };
           break;
         case 3: // left edge
           position = {
             top: `${top}%`,
-            left: `${Math.random() * 8 + 2}%`
+            left: `${random() * 8 + 2}%`
           };
           break;
       }
@@ -88,8 +91,9 @@ const AmbientEffects = ({
       elements.push({
         id: `static-${i}`,
         type: creatureType,
+        color: pickRandom(random, LANTERN_COLORS),
         position,
-        delay: Math.random() * 3
+        delay: random() * 3
       });
     }
 
@@ -109,21 +113,22 @@ const AmbientEffects = ({
       const col = i % gridSize;
       
       // Start from grid positions with some randomness
-      const startX = col * cellSize + (Math.random() * cellSize * 0.8 + cellSize * 0.1);
-      const startY = row * cellSize + (Math.random() * cellSize * 0.8 + cellSize * 0.1);
+      const startX = col * cellSize + (random() * cellSize * 0.8 + cellSize * 0.1);
+      const startY = row * cellSize + (random() * cellSize * 0.8 + cellSize * 0.1);
       
       // Fly in varied directions with better spread
-      const angle = (Math.random() * Math.PI * 2);
-      const distance = 200 + Math.random() * 200;
+      const angle = (random() * Math.PI * 2);
+      const distance = 200 + random() * 200;
       const flyX = Math.cos(angle) * distance;
       const flyY = Math.sin(angle) * distance;
-      const flyRotate = (Math.random() - 0.5) * 720; // More rotation
-      const duration = 2.5 + Math.random() * 1.5;
-      const delay = Math.random() * 0.8;
+      const flyRotate = (random() - 0.5) * 720; // More rotation
+      const duration = 2.5 + random() * 1.5;
+      const delay = random() * 0.8;
 
       elements.push({
         id: `flying-${i}`,
         type: creatureType,
+        color: pickRandom(random, LANTERN_COLORS),
         startX,
         startY,
         flyX,
@@ -161,10 +166,6 @@ const AmbientEffects = ({
   );
 
   const renderElement = (element, isStatic) => {
-    const color = creature === 'baba-yaga' 
-      ? LANTERN_COLORS[Math.floor(Math.random() * LANTERN_COLORS.length)]
-      : null;
-
     const style = isStatic
       ? {
           ...element.position,
@@ -185,7 +186,7 @@ const AmbientEffects = ({
     switch (creature) {
       case 'baba-yaga':
         className = `ambient-lantern ${isStatic ? 'static' : 'flying'}`;
-        content = renderLantern(color);
+        content = renderLantern(element.color);
         break;
       case 'banshee':
         className = `ambient-crystal ${isStatic ? 'static' : 'flying'}`;
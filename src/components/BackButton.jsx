@@ -1,5 +1,6 @@
 import React from 'react';
 import './BackButton.css';
+import useI18n from '../hooks/useI18n';
 
 /**
  * BackButton Component
@@ -9,12 +10,14 @@ import './BackButton.css';
  * @param {Function} onBack - Callback when back button is clicked
  */
 const BackButton = ({ onBack }) => {
+  const { t } = useI18n();
+
   return (
     <button
       className="back-button"
       onClick={onBack}
-      aria-label="Return to creature selection"
-      title="Back to Home"
+      aria-label={t('common.returnToSelection')}
+      title={t('back.title')}
     >
       <span className="back-icon">←</span>
     </button>
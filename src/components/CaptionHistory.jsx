@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import './CaptionHistory.css';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * CaptionHistory Component
+ *
+ * A "Sounds" button opening a log of recent sound cue captions, newest first,
+ * so players who can't hear the game can review what they missed.
+ *
+ * Requirements: 8.4
+ *
+ * @param {Array} entries - Caption history from useSoundCue: {id, name, descriptor, timestamp}
+ * @param {Function} onClear - Called to empty the history
+ */
+const CaptionHistory = ({ entries = [], onClear }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { t } = useI18n();
+
+  return (
+    <div className="caption-history">
+      {isOpen && (
+        <div className="caption-history-panel">
+          <ol className="caption-history-list" role="log" aria-label={t('captions.log')}>
+            {[...entries].reverse().map(entry => (
+              <li key={entry.id} className="caption-history-entry">
+                {entry.descriptor}
+              </li>
+            ))}
+          </ol>
+          {entries.length === 0 && (
+            <p className="caption-history-empty">{t('captions.empty')}</p>
+          )}
+          {onClear && entries.length > 0 && (
+            <button className="caption-history-clear" onClick={onClear}>
+              {t('captions.clear')}
+            </button>
+          )}
+        </div>
+      )}
+      <button
+        className="caption-history-toggle"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        aria-label={isOpen ? t('captions.hide') : t('captions.show')}
+      >
+        <span aria-hidden="true">♪</span> {t('captions.sounds', { count: entries.length })}
+      </button>
+    </div>
+  );
+};
+
+export default CaptionHistory;
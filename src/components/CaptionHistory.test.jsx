@@ -0,0 +1,48 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import CaptionHistory from './CaptionHistory';
+
+describe('CaptionHistory', () => {
+  const entries = [
+    { id: 1, name: 'choice-select', descriptor: 'soft-neon-chime', timestamp: 1 },
+    { id: 2, name: 'correct-choice', descriptor: 'warm-glow-hum', timestamp: 2 }
+  ];
+
+  it('shows the number of captions while closed', () => {
+    render(<CaptionHistory entries={entries} />);
+
+    expect(screen.getByRole('button', { name: 'Show recent sounds' })).toHaveTextContent('Sounds (2)');
+    expect(screen.queryByRole('log')).not.toBeInTheDocument();
+  });
+
+  // Requirement 8.4: Captions can be reviewed after they fade
+  it('lists captions newest first when opened', () => {
+    render(<CaptionHistory entries={entries} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show recent sounds' }));
+
+    const items = screen.getAllByRole('listitem').map(item => item.textContent);
+    expect(screen.getByRole('log', { name: 'Recent sounds' })).toBeInTheDocument();
+    expect(items).toEqual(['warm-glow-hum', 'soft-neon-chime']);
+    expect(screen.getByRole('button', { name: 'Hide recent sounds' })).toHaveAttribute('aria-expanded', 'true');
+  });
+
+  it('says when there is nothing to review', () => {
+    render(<CaptionHistory entries={[]} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show recent sounds' }));
+
+    expect(screen.getByText('No sounds yet')).toBeInTheDocument();
+  });
+
+  it('clears the history', () => {
+    const onClear = vi.fn();
+    render(<CaptionHistory entries={entries} onClear={onClear} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show recent sounds' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+
+    expect(onClear).toHaveBeenCalled();
+  });
+});
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import './CharacterReveal.css';
+import useTheme from '../hooks/useTheme';
+import useI18n from '../hooks/useI18n';
 
 /**
  * CharacterReveal Component
@@ -17,6 +19,7 @@ import './CharacterReveal.css';
 const CharacterReveal = ({ creature, onEntranceComplete, onCloseUpComplete, reducedMotion = false }) => {
   const [animationPhase, setAnimationPhase] = useState('entrance'); // entrance, closeup, complete, exiting
   const [isExiting, setIsExiting] = useState(false);
+  const { t } = useI18n();
 
   useEffect(() => {
     if (reducedMotion) {
@@ -53,10 +56,8 @@ const CharacterReveal = ({ creature, onEntranceComplete, onCloseUpComplete, redu
     };
   }, [onEntranceComplete, onCloseUpComplete, reducedMotion]);
 
-  // Get creature image path
-  // Requirement 2.4: Load creature high-res image from /assets/
-  // URL encode the name to handle spaces (e.g., "Baba Yaga" -> "Baba%20Yaga")
-  const imagePath = `${import.meta.env.BASE_URL}assets/${encodeURIComponent(creature.name)}.jpg`;
+  // Requirement 2.4: Creature high-res image from /assets/
+  const imagePath = useTheme(creature.id).images.portrait;
 
   return (
     <div className={`character-reveal ${reducedMotion ? 'reduced-motion' : ''} ${isExiting ? 'exiting' : ''}`}>
@@ -64,7 +65,7 @@ const CharacterReveal = ({ creature, onEntranceComplete, onCloseUpComplete, redu
         className={`character-image ${animationPhase}`}
         style={{ backgroundImage: `url(${imagePath})` }}
         role="img"
-        aria-label={`${creature.name} character reveal`}
+        aria-label={t('reveal.label', { name: creature.name })}
       >
         {/* Parallax foreground elements */}
         <div className="parallax-layer"></div>
@@ -1,11 +1,14 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState } from 'react';
 import './CreatureSelection.css';
+import { DEFAULT_DIFFICULTY, DIFFICULTY_MODES } from '../engine/difficulty';
+import useI18n from '../hooks/useI18n';
 
 /**
  * CreatureSelection Component
  * 
  * Displays three large vertical creature cards with dynamic fire effects.
- * Implements keyboard navigation and starts creature-specific audio on selection.
+ * Implements keyboard navigation. Music is left to App, which crossfades to the
+ * creature's track once one is selected.
  * 
  * Requirements: 2.1, 2.2, 2.3
  * 
@@ -13,62 +16,33 @@ import './CreatureSelection.css';
  * @param {Object} props.gameData - Creature data from JSON or fallback
  * @param {Function} props.onSelectCreature - Callback when creature is selected
  * @param {Function} props.onExit - Callback when exit button is clicked
+ * @param {Function} [props.onShowStats] - Callback for the Stats button (hidden when omitted)
+ * @param {String} [props.difficulty] - Selected difficulty mode id
+ * @param {Function} [props.onDifficultyChange] - Callback with the new mode id (picker hidden when omitted)
  * @param {Boolean} props.reducedMotion - Disable complex animations for accessibility
  */
-const CreatureSelection = ({ gameData, onSelectCreature, onExit, reducedMotion = false }) => {
+const CreatureSelection = ({
+  gameData,
+  onSelectCreature,
+  onExit,
+  onShowStats,
+  difficulty = DEFAULT_DIFFICULTY,
+  onDifficultyChange,
+  reducedMotion = false
+}) => {
   const [hoveredCreature, setHoveredCreature] = useState(null);
-  const audioRef = useRef(null);
-
-  useEffect(() => {
-    // Play background audio when component mounts
-    // Requirement 10.1: Play Background audio.mp3 when no creature is selected
-    if (audioRef.current) {
-      audioRef.current.volume = 0.2; // Set volume to 20% (reduced by 10%)
-      const playPromise = audioRef.current.play();
-      if (playPromise !== undefined) {
-        playPromise.catch(err => {
-          console.log('Audio autoplay prevented:', err);
-        });
-      }
-    }
-
-    return () => {
-      // Cleanup audio on unmount
-      if (audioRef.current) {
-        audioRef.current.pause();
-        audioRef.current.currentTime = 0;
-      }
-    };
-  }, []);
+  const { t } = useI18n();
 
   if (!gameData || !gameData.creatures) {
     return (
       <div className="creature-selection">
-        <p>Loading creatures...</p>
+        <p>{t('selection.loading')}</p>
       </div>
     );
   }
 
   const handleCreatureClick = (creature) => {
-    // Requirement 2.3: Load creature data and start creature-specific audio
-    
-    // Stop background audio
-    if (audioRef.current) {
-      audioRef.current.pause();
-      audioRef.current.currentTime = 0;
-    }
-
-    // Start creature-specific audio
-    // Requirement 10.2: Play creature-specific audio when creature is selected
-    const creatureAudio = new Audio(`${import.meta.env.BASE_URL}assets/${creature.name} audio.mp3`);
-    const playPromise = creatureAudio.play();
-    if (playPromise !== undefined) {
-      playPromise.catch(err => {
-        console.log('Creature audio playback failed:', err);
-      });
-    }
-
-    // Trigger callback to load creature data
+    // Requirement 2.3: Load creature data (App then starts the creature's music)
     onSelectCreature(creature.id);
   };
 
@@ -84,26 +58,38 @@ const CreatureSelection = ({ gameData, onSelectCreature, onExit, reducedMotion =
   const getCreatureDescription = (creature) => {
     switch (creature.coreMechanic) {
       case 'riddle':
-        return 'Answer her riddles with wit and wisdom';
       case 'calmness':
-        return 'Soothe her sorrow with gentle words';
       case 'deduction':
-        return 'Unmask the creature before it strikes';
+        return t(`selection.tagline.${creature.coreMechanic}`);
       default:
-        return 'Face the unknown';
+        return t('selection.tagline.default');
     }
   };
 
   // Requirement 2.1: Display three large vertical tappable cards
   return (
     <div className={`creature-selection ${reducedMotion ? 'reduced-motion' : ''}`}>
-      {/* Background audio - Requirement 10.1 */}
-      <audio ref={audioRef} loop>
-        <source src={`${import.meta.env.BASE_URL}assets/Background audio.mp3`} type="audio/mpeg" />
-      </audio>
-
       {/* Requirement 2.1: Title in Playfair Display font */}
-      <h1 className="selection-title">Pick your fire — step into a story</h1>
+      <h1 className="selection-title">{t('selection.title')}</h1>
+
+      {/* Difficulty mode for the next run */}
+      {onDifficultyChange && (
+        <div className="difficulty-picker" role="radiogroup" aria-label={t('selection.difficulty')}>
+          {Object.values(DIFFICULTY_MODES).map(mode => (
+            <button
+              key={mode.id}
+              className={`difficulty-option ${difficulty === mode.id ? 'selected' : ''}`}
+              role="radio"
+              aria-checked={difficulty === mode.id}
+              title={t(`difficulty.${mode.id}.description`, { defaultValue: mode.description })}
+              onClick={() => onDifficultyChange(mode.id)}
+              data-difficulty={mode.id}
+            >
+              {t(`difficulty.${mode.id}.label`, { defaultValue: mode.label })}
+            </button>
+          ))}
+        </div>
+      )}
       
       {/* Requirement 2.1: Three large vertical cards stacked vertically */}
       <div className="creature-carousel">
@@ -117,7 +103,7 @@ const CreatureSelection = ({ gameData, onSelectCreature, onExit, reducedMotion =
             onMouseLeave={() => setHoveredCreature(null)}
             tabIndex={0}
             role="button"
-            aria-label={`Select ${creature.name} - ${getCreatureDescription(creature)}`}
+            aria-label={t('selection.selectLabel', { name: creature.name, description: getCreatureDescription(creature) })}
             data-creature={creature.id}
           >
             {/* Requirement 2.2: Dynamic fire effects with correct colors */}
@@ -149,13 +135,24 @@ const CreatureSelection = ({ gameData, onSelectCreature, onExit, reducedMotion =
         ))}
       </div>
 
+      {/* Run statistics */}
+      {onShowStats && (
+        <button
+          className="exit-button stats-link"
+          onClick={onShowStats}
+          aria-label={t('selection.statsLabel')}
+        >
+          {t('selection.stats')}
+        </button>
+      )}
+
       {/* Exit Button */}
       <button 
         className="exit-button"
         onClick={onExit}
-        aria-label="Exit game"
+        aria-label={t('selection.exitLabel')}
       >
-        Exit
+        {t('selection.exit')}
       </button>
     </div>
   );
@@ -21,6 +21,32 @@ describe('CreatureSelection Component', () => {
     expect(screen.getByText('Aswang')).toBeInTheDocument();
   });
 
+  it('offers difficulty modes when a change handler is given', () => {
+    const onDifficultyChange = vi.fn();
+    const { rerender } = render(
+      <CreatureSelection
+        gameData={fallbackCreatureData}
+        onSelectCreature={mockOnSelectCreature}
+      />
+    );
+    expect(screen.queryByRole('radiogroup', { name: 'Difficulty' })).not.toBeInTheDocument();
+
+    rerender(
+      <CreatureSelection
+        gameData={fallbackCreatureData}
+        onSelectCreature={mockOnSelectCreature}
+        difficulty="easy"
+        onDifficultyChange={onDifficultyChange}
+      />
+    );
+
+    expect(screen.getByRole('radio', { name: 'Easy' })).toHaveAttribute('aria-checked', 'true');
+    expect(screen.getByRole('radio', { name: 'Normal' })).toHaveAttribute('aria-checked', 'false');
+
+    fireEvent.click(screen.getByRole('radio', { name: 'Nightmare' }));
+    expect(onDifficultyChange).toHaveBeenCalledWith('nightmare');
+  });
+
   it('displays creature descriptions', () => {
     render(
       <CreatureSelection 
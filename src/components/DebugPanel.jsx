@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import './DebugPanel.css';
+import { useRandomService } from '../hooks/useRandom';
+import useReplay from '../hooks/useReplay';
+import { parseSeed } from '../engine/random';
+import { readReplayFile } from '../utils/replayFile';
+
+/**
+ * DebugPanel Component
+ *
+ * Small panel for reproducing runs, opened with ?debug in the URL. Shows the
+ * session seed of the random service and whether it is pinned (?seed= in the
+ * URL, so every run plays with it), and lets a seed be pinned or unpinned.
+ * The session's recorded actions can be downloaded as a replay file, and a
+ * replay file loaded to play back.
+ *
+ * @param {Function} onApplySeed - Called with the seed to pin, or null to unpin
+ * @param {Function} onDownloadReplay - Called with the session's replay
+ * @param {Function} onLoadReplay - Called with a parsed replay file to play
+ */
+const DebugPanel = ({ onApplySeed, onDownloadReplay, onLoadReplay }) => {
+  const random = useRandomService();
+  const { recorder, replay } = useReplay();
+  const [expanded, setExpanded] = useState(true);
+  const [seedText, setSeedText] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const seed = parseSeed(seedText);
+    if (seed === null) {
+      setError('Enter a whole number');
+      return;
+    }
+    setError(null);
+    onApplySeed(seed);
+  };
+
+  const handleReplayFile = async (event) => {
+    const [file] = event.target.files;
+    if (!file) return;
+    const loaded = await readReplayFile(file);
+    if (!loaded) {
+      setError('Not a replay file');
+      return;
+    }
+    setError(null);
+    onLoadReplay(loaded);
+  };
+
+  return (
+    <aside className="debug-panel" aria-label="Debug panel">
+      <button
+        className="debug-panel-toggle"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+      >
+        Debug
+      </button>
+
+      {expanded && (
+        <div className="debug-panel-body">
+          <p className="debug-panel-seed">
+            Seed: <code>{random.seed}</code>
+            <span className="debug-panel-mode">
+              {random.pinned ? 'pinned, every run uses it' : 'fresh this session'}
+            </span>
+          </p>
+
+          <form className="debug-panel-form" onSubmit={handleSubmit}>
+            <label htmlFor="debug-panel-seed-input">Pin seed</label>
+            <input
+              id="debug-panel-seed-input"
+              type="text"
+              inputMode="numeric"
+              value={seedText}
+              onChange={(event) => setSeedText(event.target.value)}
+            />
+            <button type="submit">Apply</button>
+          </form>
+
+          {random.pinned && (
+            <button className="debug-panel-unpin" onClick={() => onApplySeed(null)}>
+              Unpin seed
+            </button>
+          )}
+
+          <div className="debug-panel-replay">
+            {replay && <p className="debug-panel-replaying">Playing a replay</p>}
+            <button onClick={() => onDownloadReplay(recorder.toReplay())}>
+              Download replay
+            </button>
+            <label className="debug-panel-file">
+              Load replay
+              <input type="file" accept=".json,application/json" onChange={handleReplayFile} />
+            </label>
+          </div>
+
+          {error && <p className="debug-panel-error" role="alert">{error}</p>}
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default DebugPanel;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import DebugPanel from './DebugPanel';
+import { RandomProvider } from '../hooks/useRandom';
+import { ReplayProvider } from '../hooks/useReplay';
+import { createReplayRecorder, REPLAY_VERSION } from '../engine/replay';
+
+const renderPanel = (seed, onApplySeed = vi.fn(), props = {}) => render(
+  <RandomProvider seed={seed}>
+    <DebugPanel onApplySeed={onApplySeed} onDownloadReplay={vi.fn()} onLoadReplay={vi.fn()} {...props} />
+  </RandomProvider>
+);
+
+const pickFile = (contents) => {
+  const file = new File([contents], 'replay.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Load replay'), { target: { files: [file] } });
+};
+
+describe('DebugPanel', () => {
+  it('shows the pinned session seed and unpins it', () => {
+    const onApplySeed = vi.fn();
+    renderPanel(777, onApplySeed);
+
+    expect(screen.getByText('777')).toBeInTheDocument();
+    expect(screen.getByText('pinned, every run uses it')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Unpin seed' }));
+    expect(onApplySeed).toHaveBeenCalledWith(null);
+  });
+
+  it('pins a typed seed and rejects anything else', () => {
+    const onApplySeed = vi.fn();
+    renderPanel(null, onApplySeed);
+
+    expect(screen.getByText('fresh this session')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Unpin seed' })).not.toBeInTheDocument();
+
+    const input = screen.getByLabelText('Pin seed');
+    fireEvent.change(input, { target: { value: 'soon' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('Enter a whole number');
+    expect(onApplySeed).not.toHaveBeenCalled();
+
+    fireEvent.change(input, { target: { value: '90210' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+    expect(onApplySeed).toHaveBeenCalledWith(90210);
+  });
+
+  it('downloads the recorded session as a replay', () => {
+    const onDownloadReplay = vi.fn();
+    const recorder = createReplayRecorder();
+    recorder.record({ type: 'startGame' });
+
+    render(
+      <ReplayProvider recorder={recorder}>
+        <DebugPanel onApplySeed={vi.fn()} onDownloadReplay={onDownloadReplay} onLoadReplay={vi.fn()} />
+      </ReplayProvider>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Download replay' }));
+    expect(onDownloadReplay).toHaveBeenCalledWith(expect.objectContaining({
+      version: REPLAY_VERSION,
+      entries: [expect.objectContaining({ action: { type: 'startGame' } })]
+    }));
+  });
+
+  it('loads replay files and rejects other files', async () => {
+    const onLoadReplay = vi.fn();
+    renderPanel(1, vi.fn(), { onLoadReplay });
+
+    pickFile('{"notes": "not a replay"}');
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('Not a replay file');
+    });
+    expect(onLoadReplay).not.toHaveBeenCalled();
+
+    const replay = { version: REPLAY_VERSION, recordedAt: 0, entries: [] };
+    pickFile(JSON.stringify(replay));
+    await waitFor(() => {
+      expect(onLoadReplay).toHaveBeenCalledWith(replay);
+    });
+  });
+
+  it('collapses to its toggle', () => {
+    renderPanel(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Debug' }));
+    expect(screen.getByRole('button', { name: 'Debug' })).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.queryByLabelText('Pin seed')).not.toBeInTheDocument();
+  });
+});
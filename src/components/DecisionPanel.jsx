@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import './DecisionPanel.css';
 import AmbientEffects from './AmbientEffects';
+import useTheme from '../hooks/useTheme';
 
 /**
  * DecisionPanel Component
@@ -16,10 +17,9 @@ import AmbientEffects from './AmbientEffects';
  * @param {Function} props.onChoice - Callback when choice is selected (receives choice index)
  * @param {boolean} props.disabled - Prevents interaction during transitions
  * @param {Object} props.creature - Current creature for theming
- * @param {Object} props.uiConfig - UI configuration for theming
  * @param {Function} props.playSoundCue - Function to play sound cues with visual feedback
  */
-const DecisionPanel = ({ choices, onChoice, disabled = false, creature, uiConfig, playSoundCue }) => {
+const DecisionPanel = ({ choices, onChoice, disabled = false, creature, playSoundCue }) => {
   const [selectedChoice, setSelectedChoice] = useState(null);
   const [showConsequence, setShowConsequence] = useState(false);
   const [hoveredChoice, setHoveredChoice] = useState(null);
@@ -44,16 +44,10 @@ const DecisionPanel = ({ choices, onChoice, disabled = false, creature, uiConfig
     // Requirement 7.1: Baba Yaga - scale(0.98), purple glow pulse, paper-rustle cue
     // Requirement 7.2: Banshee - pixel-snap jitter (1 frame), ribbon-snap cue
     // Requirement 7.3: Aswang - ember-wave ripple bottom-to-top, vignette flash, ember-clink cue
-    // Requirements 10.3, 10.4: Map sound cues to visual effects and display textual descriptors
-    const creatureId = creature?.id;
+    // Requirements 10.3, 10.4: Each creature's cue set in the UI config gives
+    // choice-select its own sound and descriptor
     if (playSoundCue) {
-      if (creatureId === 'baba-yaga') {
-        playSoundCue('paper-rustle', { x: event?.clientX, y: event?.clientY });
-      } else if (creatureId === 'banshee') {
-        playSoundCue('ribbon-snap', { x: event?.clientX, y: event?.clientY });
-      } else if (creatureId === 'aswang') {
-        playSoundCue('ember-clink', { x: event?.clientX, y: event?.clientY });
-      }
+      playSoundCue('choice-select', { x: event?.clientX, y: event?.clientY });
     }
 
     // Clear tap animation after micro-interaction completes
@@ -80,38 +74,9 @@ const DecisionPanel = ({ choices, onChoice, disabled = false, creature, uiConfig
     }
   };
 
-  // Get creature-specific styling configuration
-  const getCreatureConfig = () => {
-    if (!creature || !uiConfig?.creatures) {
-      return {
-        primary: '#ffffff',
-        secondary: '#cccccc',
-        font: 'Georgia, serif'
-      };
-    }
-
-    const creatureConfig = uiConfig.creatures[creature.id];
-    const creatureId = creature.id;
-    
-    // Requirement 18.1, 18.2, 18.3: Creature-specific fonts
-    let font = 'Georgia, serif';
-    if (creatureId === 'baba-yaga') {
-      font = "'Asimovian', serif";
-    } else if (creatureId === 'banshee') {
-      font = "'Jersey 10', monospace";
-    } else if (creatureId === 'aswang') {
-      font = "'Road Rage', serif";
-    }
-
-    return {
-      primary: creatureConfig?.primaryColor || '#ffffff',
-      secondary: creatureConfig?.secondaryColor || '#cccccc',
-      font: font,
-      creatureId: creatureId
-    };
-  };
-
-  const config = getCreatureConfig();
+  // Creature-specific styling, including (Requirement 18.1, 18.2, 18.3) creature-specific fonts
+  const theme = useTheme(creature?.id);
+  const creatureId = creature?.id;
 
   if (!choices || choices.length === 0) {
     return null;
@@ -121,15 +86,15 @@ const DecisionPanel = ({ choices, onChoice, disabled = false, creature, uiConfig
     <div 
       className="decision-panel"
       style={{
-        '--creature-primary': config.primary,
-        '--creature-secondary': config.secondary,
-        '--creature-font': config.font
+        '--creature-primary': theme.primaryColor,
+        '--creature-secondary': theme.secondaryColor,
+        '--creature-font': theme.font
       }}
     >
       {/* Flying ambient effects when consequence is shown */}
       {selectedChoice !== null && showConsequence && (
         <AmbientEffects 
-          creature={config.creatureId}
+          creature={creatureId}
           mode="flying"
           trigger={showConsequence}
           isCorrect={choices[selectedChoice].isCorrect}
@@ -150,7 +115,7 @@ const DecisionPanel = ({ choices, onChoice, disabled = false, creature, uiConfig
           // Requirement 7.1: Baba Yaga - glass neon purple rounded rectangles
           // Requirement 7.2: Banshee - pixel pale-blue rectangles
           // Requirement 7.3: Aswang - irregular dark grilled with foggy edges
-          const creatureClass = config.creatureId ? `creature-${config.creatureId}` : '';
+          const creatureClass = creatureId ? `creature-${creatureId}` : '';
           
           return (
             <button
@@ -167,7 +132,7 @@ const DecisionPanel = ({ choices, onChoice, disabled = false, creature, uiConfig
               aria-disabled={isDisabled}
             >
               {/* Requirement 7.1: Baba Yaga - rune icon on left */}
-              {config.creatureId === 'baba-yaga' && (
+              {creatureId === 'baba-yaga' && (
                 <span className="rune-icon" aria-hidden="true">ᚱ</span>
               )}
               
@@ -177,12 +142,12 @@ const DecisionPanel = ({ choices, onChoice, disabled = false, creature, uiConfig
               <span className="choice-glow"></span>
               
               {/* Requirement 7.3: Aswang - ember inner glow */}
-              {config.creatureId === 'aswang' && (
+              {creatureId === 'aswang' && (
                 <span className="ember-glow" aria-hidden="true"></span>
               )}
               
               {/* Requirement 7.2: Banshee - scanline noise overlay */}
-              {config.creatureId === 'banshee' && (
+              {creatureId === 'banshee' && (
                 <span className="scanline-noise" aria-hidden="true"></span>
               )}
             </button>
@@ -2,6 +2,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import fc from 'fast-check';
 import DecisionPanel from './DecisionPanel';
+import { ThemeProvider } from '../hooks/useTheme';
 
 describe('DecisionPanel Component', () => {
   const mockChoices = [
@@ -76,6 +77,23 @@ describe('DecisionPanel Component', () => {
     }, { timeout: 3000 });
   });
 
+  // Requirements 10.3, 10.4: The creature's cue set decides how choice-select sounds
+  it('should play the choice-select cue where the choice was clicked', () => {
+    render(
+      <DecisionPanel
+        choices={mockChoices}
+        onChoice={mockOnChoice}
+        creature={mockCreature}
+        uiConfig={mockUiConfig}
+        playSoundCue={mockPlaySoundCue}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Answer with force'), { clientX: 40, clientY: 60 });
+
+    expect(mockPlaySoundCue).toHaveBeenCalledWith('choice-select', { x: 40, y: 60 });
+  });
+
   // Requirement 4.1: Display consequence text within 200ms of selection
   it('should display consequence text within 200ms of selection', async () => {
     render(
@@ -199,13 +217,14 @@ describe('DecisionPanel Component', () => {
   // Test creature-specific theming
   it('should apply creature-specific theming', () => {
     const { container } = render(
-      <DecisionPanel
-        choices={mockChoices}
-        onChoice={mockOnChoice}
-        creature={mockCreature}
-        uiConfig={mockUiConfig}
-        playSoundCue={mockPlaySoundCue}
-      />
+      <ThemeProvider uiConfig={mockUiConfig}>
+        <DecisionPanel
+          choices={mockChoices}
+          onChoice={mockOnChoice}
+          creature={mockCreature}
+          playSoundCue={mockPlaySoundCue}
+        />
+      </ThemeProvider>
     );
 
     const panel = container.querySelector('.decision-panel');
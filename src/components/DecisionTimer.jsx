@@ -0,0 +1,58 @@
+import React from 'react';
+import './DecisionTimer.css';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * DecisionTimer Component
+ *
+ * Countdown bar for levels with a decision timer (see engine/timer.js).
+ * The bar shifts colour as the time left becomes tense and critical. With
+ * reduced motion the bar moves in whole-second steps and never pulses.
+ *
+ * Requirements: 11.1, 11.2, 11.3, 12.1
+ *
+ * @param {number} seconds - Length of the countdown
+ * @param {number} secondsLeft - Whole seconds left
+ * @param {number} remainingMs - Time left (ms)
+ * @param {string} intensity - calm, tense or critical
+ * @param {boolean} paused - Whether the countdown is paused (tab hidden or blurred)
+ * @param {string} notice - Text shown after a timeout penalty
+ * @param {boolean} reducedMotion - Whether reduced motion is enabled
+ */
+const DecisionTimer = ({
+  seconds,
+  secondsLeft,
+  remainingMs,
+  intensity = 'calm',
+  paused = false,
+  notice = '',
+  reducedMotion = false
+}) => {
+  const { t } = useI18n();
+  const fraction = reducedMotion ? secondsLeft / seconds : remainingMs / (seconds * 1000);
+
+  return (
+    <div
+      className={`decision-timer timer-${intensity} ${paused ? 'paused' : ''} ${reducedMotion ? 'reduced-motion' : ''}`}
+      role="timer"
+      aria-label={t('timer.label', { count: secondsLeft })}
+    >
+      <div className="decision-timer-track" aria-hidden="true">
+        <div
+          className="decision-timer-fill"
+          style={{ width: `${Math.max(0, Math.min(1, fraction)) * 100}%` }}
+        />
+      </div>
+      <span className="decision-timer-label">
+        {paused ? t('timer.paused') : t('timer.seconds', { count: secondsLeft })}
+      </span>
+      {notice && (
+        <div className="decision-timer-notice" role="status" aria-live="polite">
+          {notice}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DecisionTimer;
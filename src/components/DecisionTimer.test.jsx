@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import DecisionTimer from './DecisionTimer';
+
+describe('DecisionTimer Component', () => {
+  it('shows the seconds left and the intensity', () => {
+    render(<DecisionTimer seconds={20} secondsLeft={4} remainingMs={3500} intensity="critical" />);
+
+    const timer = screen.getByRole('timer', { name: '4 seconds left to decide' });
+    expect(timer).toHaveClass('timer-critical');
+    expect(screen.getByText('4s')).toBeInTheDocument();
+  });
+
+  it('steps the bar in whole seconds with reduced motion', () => {
+    const { container } = render(
+      <DecisionTimer seconds={20} secondsLeft={10} remainingMs={9500} reducedMotion={true} />
+    );
+
+    expect(screen.getByRole('timer')).toHaveClass('reduced-motion');
+    expect(container.querySelector('.decision-timer-fill')).toHaveStyle({ width: '50%' });
+  });
+
+  it('shows when it is paused and the last timeout penalty', () => {
+    render(<DecisionTimer seconds={20} secondsLeft={12} remainingMs={12000} paused={true} notice="Hush." />);
+
+    expect(screen.getByText('Paused')).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('Hush.');
+  });
+});
@@ -0,0 +1,69 @@
+import React from 'react';
+import './DiagnosticsOverlay.css';
+
+/**
+ * DiagnosticsOverlay Component
+ * 
+ * Development-only panel listing problems found while loading the game's JSON files.
+ * Shows each issue's JSON path, expected type, severity, and whether the loader
+ * fell back to embedded content or applied a default.
+ * 
+ * Requirements: 9.3, 9.4, 9.5
+ * 
+ * @param {Array} reports - Diagnostics reports from loadAllGameData()
+ * @param {Function} onDismiss - Callback when the overlay is closed
+ */
+const DiagnosticsOverlay = ({ reports = [], onDismiss }) => {
+  const reportsWithIssues = reports.filter(report => report.issues.length > 0);
+
+  if (reportsWithIssues.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      className="diagnostics-overlay"
+      role="dialog"
+      aria-labelledby="diagnostics-title"
+    >
+      <div className="diagnostics-header">
+        <h2 id="diagnostics-title" className="diagnostics-title">Data diagnostics</h2>
+        <button
+          className="diagnostics-dismiss"
+          onClick={onDismiss}
+          aria-label="Dismiss data diagnostics"
+        >
+          ×
+        </button>
+      </div>
+
+      {reportsWithIssues.map(report => (
+        <section key={report.source} className="diagnostics-report">
+          <h3 className="diagnostics-source">
+            {report.source}
+            {report.usedFallback && (
+              <span className="diagnostics-fallback">using embedded fallback</span>
+            )}
+          </h3>
+          <ul className="diagnostics-issues">
+            {report.issues.map((issue, index) => (
+              <li key={`${issue.path}-${index}`} className={`diagnostics-issue diagnostics-issue--${issue.severity}`}>
+                <span className="diagnostics-severity">{issue.severity}</span>
+                <code className="diagnostics-path">{issue.path || '(file)'}</code>
+                <span className="diagnostics-message">{issue.message}</span>
+                {issue.expected && (
+                  <span className="diagnostics-expected">
+                    expected {issue.expected}{issue.received ? `, got ${issue.received}` : ''}
+                  </span>
+                )}
+                <span className="diagnostics-resolution">{issue.resolution}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default DiagnosticsOverlay;
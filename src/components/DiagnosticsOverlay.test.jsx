@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import DiagnosticsOverlay from './DiagnosticsOverlay';
+
+const reports = [
+  {
+    source: 'creatures_game_data.json',
+    usedFallback: true,
+    issues: [
+      {
+        path: 'creatures[1].levels',
+        expected: 'non-empty array',
+        received: 'undefined',
+        severity: 'error',
+        resolution: 'fallback',
+        message: 'Creature "banshee": needs at least one level'
+      }
+    ]
+  },
+  {
+    source: 'ui_dynamic_config.json',
+    usedFallback: false,
+    issues: []
+  }
+];
+
+describe('DiagnosticsOverlay', () => {
+  it('renders nothing when there are no issues', () => {
+    const { container } = render(<DiagnosticsOverlay reports={[reports[1]]} onDismiss={vi.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('lists issues with path, expected type, severity and resolution', () => {
+    render(<DiagnosticsOverlay reports={reports} onDismiss={vi.fn()} />);
+
+    expect(screen.getByText('creatures_game_data.json')).toBeInTheDocument();
+    expect(screen.getByText('using embedded fallback')).toBeInTheDocument();
+    expect(screen.getByText('creatures[1].levels')).toBeInTheDocument();
+    expect(screen.getByText('expected non-empty array, got undefined')).toBeInTheDocument();
+    expect(screen.getByText('error')).toBeInTheDocument();
+    expect(screen.getByText('fallback')).toBeInTheDocument();
+    expect(screen.queryByText('ui_dynamic_config.json')).not.toBeInTheDocument();
+  });
+
+  it('calls onDismiss when closed', () => {
+    const onDismiss = vi.fn();
+    render(<DiagnosticsOverlay reports={reports} onDismiss={onDismiss} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Dismiss data diagnostics/i }));
+    expect(onDismiss).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,5 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './EndCard.css';
+import useRandom from '../hooks/useRandom';
+import useTheme from '../hooks/useTheme';
+import useI18n from '../hooks/useI18n';
+import { createRunRandom, pickRandom } from '../engine/random';
 
 /**
  * EndCard Component
@@ -14,6 +18,9 @@ import './EndCard.css';
  * @param {String} props.outcome - "victory" or "defeat"
  * @param {Object} props.creature - Current creature object with id, name, victoryTexts, defeatTexts
  * @param {String} props.outcomeText - Enriched text for the ending (optional, uses creature data if not provided)
+ * @param {Object} props.ending - Ending the run earned ({ id, title, text }), if the creature declares endings
+ * @param {Object} props.endingsDiscovered - Tally of the creature's endings reached ({ found, total })
+ * @param {Number} props.seed - Run seed, shown so the run can be reproduced
  * @param {Function} props.onRestart - Callback to restart game
  * @param {Function} props.onHome - Callback to return to creature selection
  * @param {Object} props.uiConfig - UI configuration for theming
@@ -23,6 +30,9 @@ const EndCard = ({
   outcome, 
   creature, 
   outcomeText, 
+  ending = null,
+  endingsDiscovered = null,
+  seed = null,
   onRestart, 
   onHome,
   uiConfig,
@@ -39,6 +49,20 @@ const EndCard = ({
 
     return () => clearTimeout(timer);
   }, [outcome]);
+
+  // Pick the text variant from the run seed, so the seed reproduces it (the
+  // session's random service stands in when there is no run seed)
+  const sessionRandom = useRandom('end-card');
+  const variantText = useMemo(() => {
+    const variants = outcome === 'victory' ? creature?.victoryTexts : creature?.defeatTexts;
+    if (!Array.isArray(variants) || variants.length === 0) return null;
+    const random = seed === null ? sessionRandom : createRunRandom(seed, 'end-card');
+    return pickRandom(random, variants);
+  }, [sessionRandom, seed, creature, outcome]);
+
+  const theme = useTheme(creature?.id);
+  const { t } = useI18n();
+
   if (!creature || !outcome) {
     return null;
   }
@@ -46,66 +70,21 @@ const EndCard = ({
   // Requirement 15.2, 15.5: Get creature-specific text
   const getOutcomeText = () => {
     if (outcomeText) return outcomeText;
+    if (ending && ending.text) return ending.text;
     
-    if (outcome === 'victory') {
-      // Select random victory text variant if available
-      if (creature.victoryTexts && Array.isArray(creature.victoryTexts)) {
-        const randomIndex = Math.floor(Math.random() * creature.victoryTexts.length);
-        return creature.victoryTexts[randomIndex];
-      }
-      return creature.victoryText || '';
-    } else {
-      // Requirement 15.5: Use defeatTexts for dynamic cause-of-death line
-      if (creature.defeatTexts && Array.isArray(creature.defeatTexts)) {
-        const randomIndex = Math.floor(Math.random() * creature.defeatTexts.length);
-        return creature.defeatTexts[randomIndex];
-      }
-      return creature.defeatText || '';
-    }
+    // Random victory text variant, or (Requirement 15.5) dynamic cause-of-death line from defeatTexts
+    if (variantText !== null) return variantText;
+    return (outcome === 'victory' ? creature.victoryText : creature.defeatText) || '';
   };
 
   const displayText = getOutcomeText();
 
-  // Requirement 15.1: Get creature image path (Aswang uses defeated image for victory)
-  const getCreatureImagePath = () => {
-    if (outcome === 'victory' && creature.id === 'aswang') {
-      return `${import.meta.env.BASE_URL}assets/Aswang_defeated.jpg`;
-    }
-    // Use base creature image for all other cases
-    const creatureNameMap = {
-      'baba-yaga': 'Baba Yaga',
-      'banshee': 'Banshee',
-      'aswang': 'Aswang'
-    };
-    const imageName = creatureNameMap[creature.id] || creature.name;
-    return `${import.meta.env.BASE_URL}assets/${imageName}.jpg`;
-  };
-
-  const creatureImagePath = getCreatureImagePath();
-
-  // Get creature-specific fire colors for animations
-  const getFireColor = () => {
-    const fireColors = {
-      'baba-yaga': '#A67CFF', // purple
-      'banshee': '#CFE8FF',   // pale blue
-      'aswang': '#E04B4B'     // red
-    };
-    return fireColors[creature.id] || '#ffffff';
-  };
+  // Requirement 15.1: Creature image (on victory, its defeated image if it has one, e.g. the defeated Aswang)
+  const creatureImagePath = outcome === 'victory' ? theme.images.defeated : theme.images.portrait;
 
-  const fireColor = getFireColor();
-
-  // Get creature-specific font
-  const getCreatureFont = () => {
-    const fonts = {
-      'baba-yaga': "'Asimovian', serif",
-      'banshee': "'Jersey 10', monospace",
-      'aswang': "'Road Rage', serif"
-    };
-    return fonts[creature.id] || "serif";
-  };
-
-  const creatureFont = getCreatureFont();
+  // Creature-specific fire color for animations, and font
+  const fireColor = theme.primaryColor;
+  const creatureFont = theme.font;
 
   // CSS variables for dynamic styling
   const cssVariables = {
@@ -153,9 +132,15 @@ const EndCard = ({
             className="end-card-title"
             style={{ fontFamily: creatureFont }}
           >
-            {outcome === 'victory' ? 'Defeated!' : 'You Died'}
+            {outcome === 'victory' ? t('end.victoryTitle') : t('end.defeatTitle')}
           </h1>
 
+          {ending && ending.title && (
+            <h2 className="end-card-ending-title" style={{ fontFamily: creatureFont }}>
+              {ending.title}
+            </h2>
+          )}
+
           {/* Requirement 15.5: Display dynamic cause-of-death text */}
           <div 
             id="end-card-text"
@@ -166,6 +151,18 @@ const EndCard = ({
             </p>
           </div>
 
+          {endingsDiscovered && endingsDiscovered.total > 0 && (
+            <p className="end-card-endings">
+              {t('end.endings', endingsDiscovered)}
+            </p>
+          )}
+
+          {seed !== null && (
+            <p className="end-card-seed">
+              {t('end.seed')} <code>{seed}</code>
+            </p>
+          )}
+
           {/* Requirement 15.2, 15.5: Action buttons */}
           <div className="end-card-buttons">
             <button
@@ -174,10 +171,10 @@ const EndCard = ({
                 console.log('🎮 Play Again/Try Again button clicked');
                 onRestart();
               }}
-              aria-label={outcome === 'victory' ? 'Play again' : 'Try again'}
+              aria-label={outcome === 'victory' ? t('end.playAgainLabel') : t('end.tryAgainLabel')}
               style={{ fontFamily: creatureFont }}
             >
-              <span className="button-text">{outcome === 'victory' ? 'Play Again' : 'Try Again'}</span>
+              <span className="button-text">{outcome === 'victory' ? t('end.playAgain') : t('end.tryAgain')}</span>
               <span className="button-glow"></span>
             </button>
             
@@ -187,10 +184,10 @@ const EndCard = ({
                 console.log('🏠 Home button clicked');
                 onHome();
               }}
-              aria-label="Return to creature selection"
+              aria-label={t('common.returnToSelection')}
               style={{ fontFamily: creatureFont }}
             >
-              <span className="button-text">Home</span>
+              <span className="button-text">{t('end.home')}</span>
               <span className="button-glow"></span>
             </button>
           </div>
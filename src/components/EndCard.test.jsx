@@ -1,6 +1,8 @@
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
 import EndCard from './EndCard';
+import { RandomProvider } from '../hooks/useRandom';
+import { createRandomService, createRunRandom, pickRandom } from '../engine/random';
 
 describe('EndCard Component', () => {
   const mockCreature = {
@@ -81,6 +83,110 @@ describe('EndCard Component', () => {
     expect(screen.queryByText(mockCreature.victoryText)).not.toBeInTheDocument();
   });
 
+  it('shows the earned ending and the endings discovered tally', async () => {
+    const ending = {
+      id: 'wit-of-the-ancients',
+      outcome: 'victory',
+      title: 'Wit of the Ancients',
+      text: 'Three riddles, no hints, no hesitation.'
+    };
+    render(
+      <EndCard
+        outcome="victory"
+        creature={mockCreature}
+        ending={ending}
+        endingsDiscovered={{ found: 2, total: 5 }}
+        onRestart={mockOnRestart}
+        onHome={vi.fn()}
+        uiConfig={mockUIConfig}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(ending.text)).toBeInTheDocument();
+    }, { timeout: 2000 });
+
+    expect(screen.getByText('Wit of the Ancients')).toBeInTheDocument();
+    expect(screen.getByText('Endings discovered: 2 of 5')).toBeInTheDocument();
+    expect(screen.queryByText(mockCreature.victoryText)).not.toBeInTheDocument();
+  });
+
+  it('picks the text variant from the run seed, whatever the session', async () => {
+    const defeatTexts = ['Swallowed by the birches.', 'Lost to the mist.', 'Ground into bone meal.', 'Taken by the hut.'];
+    const expected = pickRandom(createRunRandom(99, 'end-card'), defeatTexts);
+    const renderWithSession = (sessionSeed) => render(
+      <RandomProvider seed={sessionSeed}>
+        <EndCard
+          outcome="defeat"
+          creature={{ ...mockCreature, defeatTexts }}
+          seed={99}
+          onRestart={vi.fn()}
+          onHome={vi.fn()}
+          uiConfig={mockUIConfig}
+        />
+      </RandomProvider>
+    );
+
+    renderWithSession(1);
+    await waitFor(() => {
+      expect(screen.getByText(expected)).toBeInTheDocument();
+    }, { timeout: 2000 });
+    cleanup();
+    renderWithSession(2);
+    await waitFor(() => {
+      expect(screen.getByText(expected)).toBeInTheDocument();
+    }, { timeout: 2000 });
+  });
+
+  it('picks the text variant from the seeded random service without a run seed', async () => {
+    const defeatTexts = ['Swallowed by the birches.', 'Lost to the mist.', 'Ground into bone meal.', 'Taken by the hut.'];
+    const expected = pickRandom(createRandomService(2718).stream('end-card'), defeatTexts);
+
+    render(
+      <RandomProvider seed={2718}>
+        <EndCard
+          outcome="defeat"
+          creature={{ ...mockCreature, defeatTexts }}
+          onRestart={vi.fn()}
+          onHome={vi.fn()}
+          uiConfig={mockUIConfig}
+        />
+      </RandomProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(expected)).toBeInTheDocument();
+    }, { timeout: 2000 });
+  });
+
+  it('shows the run seed so the run can be reproduced', async () => {
+    const { rerender } = render(
+      <EndCard
+        outcome="victory"
+        creature={mockCreature}
+        seed={123456}
+        onRestart={vi.fn()}
+        onHome={vi.fn()}
+        uiConfig={mockUIConfig}
+      />
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('123456')).toBeInTheDocument();
+    }, { timeout: 2000 });
+
+    rerender(
+      <EndCard
+        outcome="victory"
+        creature={mockCreature}
+        onRestart={vi.fn()}
+        onHome={vi.fn()}
+        uiConfig={mockUIConfig}
+      />
+    );
+    expect(screen.queryByText(/Run seed/)).not.toBeInTheDocument();
+  });
+
   it('renders restart button with click handler', async () => {
     const mockRestart = vi.fn();
     render(
@@ -309,8 +415,8 @@ describe('EndCard Component', () => {
     const endCard = container.querySelector('.end-card');
     const style = endCard.style;
 
-    // New implementation uses fire color from creature-specific mapping
-    expect(style.getPropertyValue('--fire-color')).toBe('#A67CFF'); // Baba Yaga purple
+    // Fire color is the creature theme's primary color
+    expect(style.getPropertyValue('--fire-color')).toBe('#BA55D3'); // Baba Yaga purple
     expect(style.getPropertyValue('--creature-font')).toContain('Asimovian');
   });
 
@@ -328,6 +434,6 @@ describe('EndCard Component', () => {
     const style = endCard.style;
 
     // Should use creature-specific fire color (Baba Yaga = purple)
-    expect(style.getPropertyValue('--fire-color')).toBe('#A67CFF');
+    expect(style.getPropertyValue('--fire-color')).toBe('#BA55D3');
   });
 });
@@ -1,308 +1,202 @@
 import React from 'react';
 import './GameplayScreen.css';
 import AmbientEffects from './AmbientEffects';
+import DecisionTimer from './DecisionTimer';
+import Inventory from './Inventory';
+import './mechanics';
+import { evaluateChoice, evaluateTimeout, getCreatureMechanic } from '../engine/gameEngine';
+import { getDifficulty } from '../engine/difficulty';
+import { getLevelTimer, getTimerIntensity, TIMEOUT_CONSEQUENCE_KEY } from '../engine/timer';
+import useCountdown from '../hooks/useCountdown';
+import useTheme from '../hooks/useTheme';
+import useI18n from '../hooks/useI18n';
 
 /**
  * GameplayScreen Component
  * 
  * Complete level gameplay screen with proper 9:16 mobile-first layout.
  * Displays scene text, creature mechanics, and choice buttons in organized sections.
+ * The mechanic UI and the choice gate come from the mechanic registered for the
+ * creature's `coreMechanic`.
+ * `currentLevel` is the level's index in the creature data; the badge shows
+ * `levelNumber`, the level's position along the path taken (see getLevelNumber).
+ * The run's `difficulty` settings are passed on to the mechanic component.
+ * Levels with a decision timer show a countdown until a choice is made; when it
+ * runs out, the timeout's consequence is shown like a wrong answer before
+ * `onTimeout` is called, or, for penalties that keep the level going (calmness
+ * drain, failed riddle), `onTimeout` is called at once and the countdown starts
+ * again. The countdown's intensity is reported through `onTimerIntensityChange`.
+ * Sound cues go through `playSoundCue`: choice-select on a tap, then
+ * correct-choice or incorrect-choice with the consequence.
+ * The mechanic's inventory panel (see Inventory) opens from the button under
+ * the level badge.
  * 
- * Requirements: 4.1, 5.1-5.5, 6.1-6.5, 7.1-7.5
+ * Requirements: 4.1, 5.1-5.5, 6.1-6.5, 7.1-7.5, 11.3
  */
 const GameplayScreen = ({ 
   creature, 
   levelData, 
   currentLevel,
+  levelNumber = currentLevel + 1,
   mechanicState,
   onChoice,
+  onTimeout,
   onMechanicUpdate,
+  onTimerIntensityChange,
+  playSoundCue,
   uiConfig,
+  difficulty = getDifficulty(),
   reducedMotion = false 
 }) => {
   const [selectedChoice, setSelectedChoice] = React.useState(null);
   const [showConsequence, setShowConsequence] = React.useState(false);
-  const [riddleAnswer, setRiddleAnswer] = React.useState('');
-  const [showHint, setShowHint] = React.useState(false);
-  const [answerFeedback, setAnswerFeedback] = React.useState('');
   const [hideSceneText, setHideSceneText] = React.useState(false);
-  const [riddleSolved, setRiddleSolved] = React.useState(false);
-  const [hasValidTokens, setHasValidTokens] = React.useState(false);
-  const [riddleAttempts, setRiddleAttempts] = React.useState(0);
+  const [evaluation, setEvaluation] = React.useState(null);
+  const [timedOut, setTimedOut] = React.useState(false);
+  const [timeoutNotice, setTimeoutNotice] = React.useState('');
+  const [showInventory, setShowInventory] = React.useState(false);
+  const answered = selectedChoice !== null || timedOut;
+  const { t } = useI18n();
 
-  // Get creature-specific background image
-  const getBgImage = () => {
-    const bgMap = {
-      'baba-yaga': 'Baba Yaga BG.jpg',
-      'banshee': 'Banshee BG.jpg',
-      'aswang': 'Aswang BG.jpg'
-    };
-    return `${import.meta.env.BASE_URL}assets/${encodeURIComponent(bgMap[creature.id] || '')}`;
-  };
-
-  // Get creature-specific font
-  const getFont = () => {
-    const fontMap = {
-      'baba-yaga': "'Asimovian', serif",
-      'banshee': "'Jersey 10', monospace",
-      'aswang': "'Road Rage', serif"
-    };
-    return fontMap[creature.id] || "'Georgia', serif";
-  };
+  // Creature-specific background, font and colors
+  const theme = useTheme(creature.id);
+  const font = theme.font;
 
-  // Get creature colors
-  const getColors = () => {
-    const colorMap = {
-      'baba-yaga': { primary: '#A67CFF', secondary: '#8B5FE6' },
-      'banshee': { primary: '#CFE8FF', secondary: '#A8D0F0' },
-      'aswang': { primary: '#E04B4B', secondary: '#B83838' }
-    };
-    return colorMap[creature.id] || { primary: '#ffffff', secondary: '#cccccc' };
-  };
-
-  const colors = getColors();
-  const font = getFont();
+  // Show the consequence of an answer, then hand it to the engine
+  const revealConsequence = (result, proceed) => {
+    setEvaluation(result);
 
-  // Handle choice selection
-  const handleChoice = (index) => {
-    if (selectedChoice !== null) return;
-    
-    // For Aswang deduction mechanic, validate both item and choice match
-    if (creature.coreMechanic === 'deduction') {
-      const choice = levelData.choices[index];
-      const selectedItem = mechanicState.selectedItem;
-      
-      // Check if this choice requires a specific item
-      if (choice.correctItem && selectedItem !== choice.correctItem) {
-        // Wrong item selected - treat as incorrect choice
-        setSelectedChoice(index);
-        setTimeout(() => {
-          setHideSceneText(true);
-          setShowConsequence(true);
-        }, 200);
-        
-        // Force incorrect outcome by passing a modified index that triggers wrong consequence
-        setTimeout(() => {
-          // Find the first incorrect choice index
-          const incorrectIndex = levelData.choices.findIndex(c => !c.isCorrect);
-          onChoice(incorrectIndex >= 0 ? incorrectIndex : index);
-        }, 4200);
-        return;
-      }
-    }
-    
-    setSelectedChoice(index);
-    
     // Small delay then show consequence and fade everything else
     setTimeout(() => {
       setHideSceneText(true);
       setShowConsequence(true);
+      if (playSoundCue) playSoundCue(result.isCorrect ? 'correct-choice' : 'incorrect-choice');
     }, 200);
     
     // Proceed to next level after showing consequence (extended by 2 seconds)
-    setTimeout(() => {
-      onChoice(index);
-    }, 4200);
+    setTimeout(proceed, 4200);
   };
 
-  // Handle riddle submission
-  const handleRiddleSubmit = (e) => {
-    e.preventDefault();
-    const normalizedAnswer = riddleAnswer.trim().toLowerCase();
-    const normalizedKey = levelData.riddleData?.answerKey?.toLowerCase() || '';
-    
-    if (normalizedAnswer === normalizedKey) {
-      setAnswerFeedback('Correct! The witch is pleased. You may proceed.');
-      setRiddleSolved(true); // Unlock choice buttons
-    } else {
-      const newAttempts = riddleAttempts + 1;
-      setRiddleAttempts(newAttempts);
-      
-      if (newAttempts === 1) {
-        // First wrong answer - show hint
-        setAnswerFeedback('Incorrect. The witch frowns.');
-        setTimeout(() => setShowHint(true), 500);
-      } else if (newAttempts >= 2) {
-        // Second wrong answer - auto-proceed
-        setAnswerFeedback('Incorrect again. The witch sighs and lets you pass anyway.');
-        setTimeout(() => {
-          setRiddleSolved(true); // Unlock choice buttons after 2 attempts
-        }, 1500);
-      }
-    }
+  // Handle choice selection
+  const handleChoice = (index, event) => {
+    if (answered) return;
+    if (playSoundCue) playSoundCue('choice-select', { x: event?.clientX, y: event?.clientY });
     
-    // Clear the input after submission
-    setRiddleAnswer('');
+    // The mechanic may overrule the choice (e.g. right answer, wrong tool)
+    setSelectedChoice(index);
+    revealConsequence(
+      evaluateChoice({ creature, levelData, mechanicState, choiceIndex: index }),
+      () => onChoice(index)
+    );
   };
 
-  // Check if Aswang has selected an item
-  React.useEffect(() => {
-    if (creature.coreMechanic === 'deduction') {
-      const hasSelected = mechanicState.selectedItem !== null && mechanicState.selectedItem !== undefined;
-      setHasValidTokens(hasSelected);
-      // Hide scene text after selecting ingredient
-      if (hasSelected) {
-        setHideSceneText(true);
-      }
-    }
-  }, [mechanicState.selectedItem, creature.coreMechanic]);
+  // Decision timer - Requirement 11.3
+  const timer = getLevelTimer(levelData);
 
-  // Check if player can make a choice
-  const canMakeChoice = () => {
-    if (creature.coreMechanic === 'riddle') {
-      return riddleSolved; // Must solve riddle first
-    }
-    if (creature.coreMechanic === 'deduction') {
-      return hasValidTokens; // Must have valid token combination
-    }
-    return true; // Banshee can always choose
-  };
+  const handleTimeout = () => {
+    const result = evaluateTimeout({ creature, levelData, mechanicState, depth: levelNumber - 1, difficulty });
+    if (!result || answered) return;
+    const consequence = result.consequence || t(TIMEOUT_CONSEQUENCE_KEY);
 
-  // Render creature-specific mechanic
-  const renderMechanic = () => {
-    if (creature.coreMechanic === 'riddle' && levelData.riddleData) {
-      // Hide riddle box after solving
-      if (riddleSolved) return null;
-      
-      return (
-        <div className="mechanic-box riddle-box">
-          <form onSubmit={handleRiddleSubmit} className="riddle-form">
-            <input
-              type="text"
-              value={riddleAnswer}
-              onChange={(e) => setRiddleAnswer(e.target.value)}
-              placeholder="Speak your answer..."
-              className="riddle-input"
-              style={{ fontFamily: font }}
-            />
-            <button type="submit" className="riddle-button" disabled={!riddleAnswer.trim()}>
-              Answer
-            </button>
-          </form>
-          {answerFeedback && (
-            <div className={`feedback ${answerFeedback.includes('Correct') ? 'correct' : 'incorrect'}`}>
-              {answerFeedback}
-            </div>
-          )}
-          {showHint && (
-            <div className="hint-box">
-              <strong>Hint:</strong> {levelData.riddleData.hint}
-            </div>
-          )}
-        </div>
-      );
+    if (!result.answered) {
+      // The level goes on after the penalty, with a fresh countdown
+      setTimeoutNotice(consequence);
+      countdown.reset();
+      if (onTimeout) onTimeout();
+      return;
     }
 
-    if (creature.coreMechanic === 'calmness') {
-      const calmness = mechanicState.calmnessLevel ?? 100;
-      const mood = calmness < 30 ? 'Anguished' : calmness < 60 ? 'Sorrowful' : 'Peaceful';
-      
-      return (
-        <div className="mechanic-box calmness-box">
-          <div className="mechanic-header">
-            <h3 className="mechanic-title" style={{ fontFamily: font }}>
-              Banshee's Sorrow
-            </h3>
-            <span className={`mood-badge ${mood.toLowerCase()}`}>{mood}</span>
-          </div>
-          <div className="calmness-meter" data-calmness={mood.toLowerCase()}>
-            <div className="meter-fill" style={{ width: `${calmness}%` }} />
-          </div>
-          <div className="meter-labels">
-            <span>Anguished</span>
-            <span className="meter-value">{calmness}%</span>
-            <span>Peaceful</span>
-          </div>
-        </div>
-      );
-    }
+    setTimedOut(true);
+    revealConsequence({ isCorrect: false, consequence }, () => {
+      if (onTimeout) onTimeout();
+    });
+  };
 
-    if (creature.coreMechanic === 'deduction') {
-      // Level-specific items for Aswang
-      const levelItems = {
-        0: [
-          { id: 'salt', name: '🧂 Salt', desc: 'Burns paths' },
-          { id: 'mirror', name: '🪞 Mirror', desc: 'Shows reflections' },
-          { id: 'garlic', name: '🧄 Garlic', desc: 'Wards evil' },
-          { id: 'candle', name: '🕯️ Candle', desc: 'Lights the way' }
-        ],
-        1: [
-          { id: 'ember', name: '🔥 Ember', desc: 'Reveals truth' },
-          { id: 'mirror', name: '🪞 Mirror', desc: 'Shows reflections' },
-          { id: 'holy-water', name: '💧 Holy Water', desc: 'Purifies' },
-          { id: 'cross', name: '✝️ Cross', desc: 'Protects' }
-        ],
-        2: [
-          { id: 'speak-name', name: '📢 Speak Name', desc: 'Binds the creature' },
-          { id: 'blade', name: '🗡️ Blade', desc: 'Strikes first' },
-          { id: 'holy-oil', name: '🛢️ Holy Oil', desc: 'Anoints' },
-          { id: 'prayer', name: '🙏 Prayer', desc: 'Invokes protection' }
-        ]
-      };
+  const countdown = useCountdown(timer ? timer.seconds : 0, {
+    running: !answered,
+    onExpire: handleTimeout
+  });
+  const timerIntensity = timer && !answered ? getTimerIntensity(countdown.secondsLeft, timer.seconds) : null;
 
-      const items = levelItems[currentLevel] || [];
-      const selectedItem = mechanicState.selectedItem || null;
+  React.useEffect(() => {
+    if (onTimerIntensityChange) onTimerIntensityChange(timerIntensity);
+  }, [timerIntensity]);
 
-      return (
-        <div className="mechanic-box deduction-box">
-          <h3 className="mechanic-title" style={{ fontFamily: font }}>
-            Choose Your Tool
-          </h3>
-          <p className="deduction-hint">What will you use against the Aswang?</p>
-          <div className="item-grid">
-            {items.map(item => (
-              <button
-                key={item.id}
-                className={`item-btn ${selectedItem === item.id ? 'selected' : ''}`}
-                onClick={() => {
-                  onMechanicUpdate({ selectedItem: item.id });
-                  setHasValidTokens(true); // Allow choice after selecting
-                }}
-              >
-                <span className="item-icon">{item.name.split(' ')[0]}</span>
-                <span className="item-name">{item.name.split(' ').slice(1).join(' ')}</span>
-                <span className="item-desc">{item.desc}</span>
-              </button>
-            ))}
-          </div>
-        </div>
-      );
-    }
+  // The scene's mood no longer depends on this level's timer once it is gone
+  React.useEffect(() => () => {
+    if (onTimerIntensityChange) onTimerIntensityChange(null);
+  }, []);
 
-    return null;
-  };
+  const mechanic = getCreatureMechanic(creature);
+  const MechanicComponent = mechanic.Component;
+
+  // The registered mechanic decides when the choice buttons unlock
+  const canMakeChoice = () => mechanic.canChoose({ mechanicState, levelData });
 
   return (
     <div 
       className={`gameplay-screen creature-${creature.id}`}
       style={{
-        '--creature-primary': colors.primary,
-        '--creature-secondary': colors.secondary,
+        '--creature-primary': theme.primaryColor,
+        '--creature-secondary': theme.secondaryColor,
         '--creature-font': font
       }}
     >
       {/* Background Image */}
       <div 
         className="gameplay-bg"
-        style={{ backgroundImage: `url(${getBgImage()})` }}
+        style={{ backgroundImage: `url(${theme.images.background})` }}
       />
 
       {/* Flying ambient effects when consequence is shown - notification screen */}
-      {showConsequence && selectedChoice !== null && (
+      {showConsequence && evaluation && (
         <AmbientEffects 
           creature={creature.id}
           mode="flying"
           trigger={showConsequence}
-          isCorrect={levelData.choices[selectedChoice].isCorrect}
+          isCorrect={evaluation.isCorrect}
           reducedMotion={reducedMotion}
         />
       )}
 
       {/* Level Indicator */}
       <div className="level-badge">
-        Level {currentLevel + 1}
+        {t('common.level', { number: levelNumber })}
       </div>
 
+      {/* Inventory - Top Right, under the level badge */}
+      <button
+        className="inventory-toggle"
+        onClick={() => setShowInventory(open => !open)}
+        aria-expanded={showInventory}
+        aria-controls="gameplay-inventory"
+      >
+        {t(showInventory ? 'inventory.close' : 'inventory.open')}
+      </button>
+      {showInventory && (
+        <div className="inventory-section" id="gameplay-inventory">
+          <Inventory
+            creature={creature}
+            levelData={levelData}
+            mechanicState={mechanicState}
+            onMechanicUpdate={onMechanicUpdate}
+          />
+        </div>
+      )}
+
+      {/* Decision Timer - Top Left (timed levels only) */}
+      {timer && !answered && (
+        <DecisionTimer
+          seconds={timer.seconds}
+          secondsLeft={countdown.secondsLeft}
+          remainingMs={countdown.remainingMs}
+          intensity={timerIntensity}
+          paused={countdown.paused}
+          notice={timeoutNotice}
+          reducedMotion={reducedMotion}
+        />
+      )}
+
       {/* Scene Text - Top (hides when choice is made) */}
       <div className={`scene-section ${hideSceneText ? 'hidden' : ''}`}>
         <div className="scene-box">
@@ -314,18 +208,30 @@ const GameplayScreen = ({
 
       {/* Creature Mechanic - Middle */}
       <div className={`mechanic-section ${showConsequence ? 'faded' : ''}`}>
-        {renderMechanic()}
+        {MechanicComponent && (
+          <MechanicComponent
+            key={currentLevel}
+            creature={creature}
+            levelData={levelData}
+            currentLevel={currentLevel}
+            mechanicState={mechanicState}
+            onMechanicUpdate={onMechanicUpdate}
+            onHideScene={() => setHideSceneText(true)}
+            font={font}
+            difficulty={difficulty}
+          />
+        )}
       </div>
 
       {/* Choice Buttons - Bottom (Hidden until ready) */}
       <div className={`choices-section ${showConsequence ? 'faded' : ''} ${!canMakeChoice() ? 'hidden' : ''}`}>
         {levelData.choices.map((choice, index) => {
-          const isDisabled = selectedChoice !== null;
+          const isDisabled = answered;
           return (
             <button
               key={index}
               className={`choice-btn ${selectedChoice === index ? 'selected' : ''} ${selectedChoice !== null && selectedChoice !== index ? 'dimmed' : ''}`}
-              onClick={() => handleChoice(index)}
+              onClick={(event) => handleChoice(index, event)}
               disabled={isDisabled}
               style={{ fontFamily: font }}
             >
@@ -336,10 +242,10 @@ const GameplayScreen = ({
       </div>
 
       {/* Consequence Display - Full screen overlay when shown */}
-      {showConsequence && selectedChoice !== null && (
+      {showConsequence && evaluation && (
         <div className="consequence-overlay">
-          <div className={`consequence-box-large ${levelData.choices[selectedChoice].isCorrect ? 'correct' : 'incorrect'}`}>
-            {levelData.choices[selectedChoice].consequence}
+          <div className={`consequence-box-large ${evaluation.isCorrect ? 'correct' : 'incorrect'}`}>
+            {evaluation.consequence}
           </div>
         </div>
       )}
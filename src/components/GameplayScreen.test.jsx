@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import GameplayScreen from './GameplayScreen';
+import { SettingsProvider } from '../hooks/useSettings';
+import { createSettingsStore } from '../utils/settings';
+import { findCreature, createMechanicState } from '../engine/gameEngine';
+import creaturesGameData from '../../public/creatures_game_data.json';
+
+/**
+ * Tests for the gameplay screen's inventory panel and decision timer
+ */
+
+describe('GameplayScreen', () => {
+  const aswang = findCreature(creaturesGameData, 'aswang');
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('opens the mechanic inventory from the level badge', () => {
+    render(
+      <GameplayScreen
+        creature={aswang}
+        levelData={aswang.levels[0]}
+        currentLevel={0}
+        mechanicState={{ ...createMechanicState(aswang), tokensCollected: ['salt'] }}
+        onChoice={vi.fn()}
+        onMechanicUpdate={vi.fn()}
+      />
+    );
+
+    const toggle = screen.getByRole('button', { name: 'Inventory' });
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.queryByText('Aswang Deduction')).not.toBeInTheDocument();
+
+    fireEvent.click(toggle);
+    expect(screen.getByText('Aswang Deduction')).toBeInTheDocument();
+    expect(screen.getByText(`1 / ${aswang.tokens.length} clues`)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Hide inventory' }));
+    expect(screen.queryByText('Aswang Deduction')).not.toBeInTheDocument();
+  });
+
+  it("shows the default timeout consequence in the player's language", () => {
+    vi.useFakeTimers();
+    const store = createSettingsStore(null);
+    store.update({ locale: 'tl' });
+    const levelData = { ...aswang.levels[0], items: [], timer: { seconds: 1 } };
+
+    render(
+      <SettingsProvider store={store}>
+        <GameplayScreen
+          creature={aswang}
+          levelData={levelData}
+          currentLevel={0}
+          mechanicState={createMechanicState(aswang)}
+          onChoice={vi.fn()}
+          onTimeout={vi.fn()}
+          onMechanicUpdate={vi.fn()}
+        />
+      </SettingsProvider>
+    );
+
+    // The countdown runs out, then the consequence shows
+    act(() => { vi.advanceTimersByTime(1000); });
+    act(() => { vi.advanceTimersByTime(200); });
+    expect(screen.getByText('Masyado kang nag-atubili.')).toBeInTheDocument();
+  });
+});
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import './GoodbyeScreen.css';
+import useI18n from '../hooks/useI18n';
 
 /**
  * GoodbyeScreen Component
@@ -9,6 +10,7 @@ import './GoodbyeScreen.css';
  */
 const GoodbyeScreen = () => {
   const [isHorror, setIsHorror] = useState(false);
+  const { t } = useI18n();
 
   useEffect(() => {
     // Glitch between happy and horror pumpkin
@@ -21,7 +23,10 @@ const GoodbyeScreen = () => {
       window.close();
       // If window.close() doesn't work (some browsers block it), show a message
       setTimeout(() => {
-        document.body.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100vh; font-family: Arial; font-size: 1.5rem; color: #fff; background: #0a0a0a;">You can now close this tab. Happy Halloween! 🎃</div>';
+        const message = document.createElement('div');
+        message.setAttribute('style', 'display: flex; align-items: center; justify-content: center; height: 100vh; font-family: Arial; font-size: 1.5rem; color: #fff; background: #0a0a0a;');
+        message.textContent = t('goodbye.closeTab');
+        document.body.replaceChildren(message);
       }, 500);
     }, 12000);
 
@@ -52,8 +57,8 @@ const GoodbyeScreen = () => {
       </div>
 
       <div className="goodbye-content">
-        <h1 className="goodbye-title">Happy Halloween!</h1>
-        <p className="goodbye-subtitle">Thanks for playing... if you dare return 👻</p>
+        <h1 className="goodbye-title">{t('goodbye.title')}</h1>
+        <p className="goodbye-subtitle">{t('goodbye.subtitle')}</p>
         
         <div className={`pumpkin-container ${isHorror ? 'horror' : 'happy'}`}>
           {/* Happy Pumpkin - Cute version */}
@@ -88,7 +93,7 @@ const GoodbyeScreen = () => {
           </div>
         </div>
 
-        <p className="goodbye-message">See you next Halloween...</p>
+        <p className="goodbye-message">{t('goodbye.message')}</p>
       </div>
     </div>
   );
@@ -1,6 +1,8 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import './HeroScene.css';
 import AmbientEffects from './AmbientEffects';
+import useRandom from '../hooks/useRandom';
+import useTheme from '../hooks/useTheme';
 
 /**
  * HeroScene Component
@@ -89,13 +91,7 @@ const HeroScene = ({
     };
   }, [reducedMotion]);
 
-  if (!creature || !uiConfig) {
-    return <div className="hero-scene">Loading scene...</div>;
-  }
-
-  // Get creature-specific config
-  const creatureConfig = uiConfig.creatures?.[creature.id] || {};
-  const stateConfig = uiConfig.gameStates?.[gameState] || uiConfig.gameStates?.calm || {};
+  const stateConfig = uiConfig?.gameStates?.[gameState] || uiConfig?.gameStates?.calm || {};
 
   // Calculate particle count based on device capabilities - Requirement 5.5
   const baseParticleCount = stateConfig.particleCount || 20;
@@ -103,50 +99,42 @@ const HeroScene = ({
     ? Math.min(10, Math.floor(baseParticleCount / 2))
     : baseParticleCount;
 
+  // Place particles once per count, not on every render
+  const random = useRandom('hero-particles');
+  const particles = useMemo(() => Array.from({ length: particleCount }, () => ({
+    left: random() * 100,
+    delay: random() * 5,
+    duration: 5 + random() * 5
+  })), [random, particleCount]);
+
+  // Creature-specific colors, background and font
+  const theme = useTheme(creature?.id);
+
+  if (!creature || !uiConfig) {
+    return <div className="hero-scene">Loading scene...</div>;
+  }
+
   // Determine if we should show particles at all
   const showParticles = !reducedMotion && particleCount > 0;
 
   // CSS variables for dynamic styling
   const cssVariables = {
-    '--creature-primary': creatureConfig.primaryColor || '#FFB84D',
-    '--creature-secondary': creatureConfig.secondaryColor || '#FF8C42',
-    '--fog-color': creatureConfig.fogColor || 'rgba(255, 184, 77, 0.3)',
-    '--particle-color': creatureConfig.particleColor || '#FFD700',
+    '--creature-primary': theme.primaryColor,
+    '--creature-secondary': theme.secondaryColor,
+    '--fog-color': theme.fogColor,
+    '--particle-color': theme.particleColor,
     '--fog-density': stateConfig.fogDensity || 0.3,
-    '--animation-speed': creatureConfig.animationSpeed || 1.0,
+    '--animation-speed': theme.animationSpeed,
     '--animation-intensity': stateConfig.animationIntensity || 0.5,
-    '--glow-intensity': creatureConfig.glowIntensity || 0.8,
+    '--glow-intensity': theme.glowIntensity,
   };
 
   // Apply vignette for critical state
   const showVignette = stateConfig.vignette && !reducedMotion;
   const vignetteIntensity = stateConfig.vignetteIntensity || 0.6;
 
-  // Get creature-specific background image path - Requirement 4.1
-  // Exact filenames: Baba Yaga BG.jpg, Banshee BG.jpg, Aswang BG.jpg
-  const getBgImagePath = () => {
-    const bgFileMap = {
-      'baba-yaga': 'Baba Yaga BG.jpg',
-      'banshee': 'Banshee BG.jpg',
-      'aswang': 'Aswang BG.jpg'
-    };
-    const filename = bgFileMap[creature.id] || '';
-    const path = filename ? `${import.meta.env.BASE_URL}assets/${encodeURIComponent(filename)}` : '';
-    console.log('🖼️ Background image path for', creature.id, ':', path);
-    return path;
-  };
-
-  const bgImagePath = getBgImagePath();
-
-  // Get creature-specific font
-  const getCreatureFont = () => {
-    const fontMap = {
-      'baba-yaga': "'Asimovian', serif",
-      'banshee': "'Jersey 10', monospace",
-      'aswang': "'Road Rage', serif"
-    };
-    return fontMap[creature.id] || "'Georgia', serif";
-  };
+  // Creature-specific background image - Requirement 4.1
+  const bgImagePath = theme.images.background;
 
   return (
     <div 
@@ -213,14 +201,14 @@ const HeroScene = ({
       {/* Particle system - Requirement 5.4 */}
       {showParticles && (
         <div className="particles" aria-hidden="true">
-          {Array.from({ length: particleCount }).map((_, i) => (
+          {particles.map((particle, i) => (
             <div
               key={i}
-              className={`particle particle--${creatureConfig.particleType || 'default'}`}
+              className={`particle particle--${theme.particleType}`}
               style={{
-                left: `${Math.random() * 100}%`,
-                animationDelay: `${Math.random() * 5}s`,
-                animationDuration: `${(5 + Math.random() * 5) / (creatureConfig.animationSpeed || 1)}s`,
+                left: `${particle.left}%`,
+                animationDelay: `${particle.delay}s`,
+                animationDuration: `${particle.duration / theme.animationSpeed}s`,
               }}
             />
           ))}
@@ -248,7 +236,7 @@ const HeroScene = ({
         <div className="scene-text-container">
           <p 
             className="scene-text"
-            style={{ fontFamily: getCreatureFont() }}
+            style={{ fontFamily: theme.font }}
           >
             {sceneText || level?.enrichedScene || level?.sceneText || ''}
           </p>
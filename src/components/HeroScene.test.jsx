@@ -3,6 +3,7 @@ import { render, screen } from '@testing-library/react';
 import { describe, it, expect, beforeEach } from 'vitest';
 import fc from 'fast-check';
 import HeroScene from './HeroScene';
+import { ThemeProvider } from '../hooks/useTheme';
 
 describe('HeroScene Component', () => {
   const mockCreature = {
@@ -248,12 +249,14 @@ describe('HeroScene Component', () => {
 
   it('applies correct CSS variables for creature styling', () => {
     const { container } = render(
-      <HeroScene
-        creature={mockCreature}
-        level={mockLevel}
-        sceneText="Test"
-        uiConfig={mockUiConfig}
-      />
+      <ThemeProvider uiConfig={mockUiConfig}>
+        <HeroScene
+          creature={mockCreature}
+          level={mockLevel}
+          sceneText="Test"
+          uiConfig={mockUiConfig}
+        />
+      </ThemeProvider>
     );
 
     const heroScene = container.querySelector('.hero-scene');
@@ -312,13 +315,15 @@ describe('HeroScene Component', () => {
           };
 
           const { container } = render(
-            <HeroScene
-              creature={creature}
-              level={mockLevel}
-              sceneText="Test scene"
-              uiConfig={mockUiConfig}
-              gameState="calm"
-            />
+            <ThemeProvider uiConfig={mockUiConfig}>
+              <HeroScene
+                creature={creature}
+                level={mockLevel}
+                sceneText="Test scene"
+                uiConfig={mockUiConfig}
+                gameState="calm"
+              />
+            </ThemeProvider>
           );
 
           // Verify creature-specific CSS class is applied
@@ -1,10 +1,15 @@
 import React, { useEffect, useState, useRef } from 'react';
 import './IntroAnimation.css';
+import { useThemes } from '../hooks/useTheme';
+import useAudio from '../hooks/useAudio';
+import { Channel } from '../utils/audioManager';
+import useI18n from '../hooks/useI18n';
 
 /**
  * IntroAnimation Component
  * Displays the opening video intro with audio and skip functionality
  * Falls back to CSS animation for reduced motion
+ * The soundtrack plays on the audio manager's ambience channel
  * 
  * @param {Function} onComplete - Callback when video ends or skip is tapped
  * @param {Boolean} reducedMotion - Use CSS fallback instead of video
@@ -12,9 +17,10 @@ import './IntroAnimation.css';
 function IntroAnimation({ onComplete, reducedMotion = false }) {
   const [isVisible, setIsVisible] = useState(true);
   const [isFadingOut, setIsFadingOut] = useState(false);
-  const [audioEnabled, setAudioEnabled] = useState(false);
   const videoRef = useRef(null);
-  const audioRef = useRef(null);
+  const { assets } = useThemes();
+  const audio = useAudio();
+  const { t } = useI18n();
 
   // Detect user's motion preference if not explicitly provided
   const prefersReducedMotion = window.matchMedia 
@@ -22,30 +28,21 @@ function IntroAnimation({ onComplete, reducedMotion = false }) {
     : false;
   const shouldReduceMotion = reducedMotion || prefersReducedMotion;
 
-  // Enable audio on first user interaction
-  const enableAudio = () => {
-    if (!audioEnabled && audioRef.current) {
-      audioRef.current.volume = 0.4; // Reduce intro audio by 60% (from default 1.0 to 0.4)
-      audioRef.current.play().catch(err => {
-        console.warn('Audio playback failed:', err);
-      });
-      setAudioEnabled(true);
-    }
+  // Start the soundtrack with the video; if the browser blocks it, the audio
+  // manager retries on the next click
+  const playSoundtrack = () => {
+    audio.play(Channel.AMBIENCE, assets.introMusic, { fadeMs: 0 });
   };
 
   // Handle skip button click
   const handleSkip = () => {
     if (isFadingOut) return; // Prevent multiple clicks
     
-    enableAudio(); // Try to play audio if not already playing
-    
-    // Stop video and audio
+    // Stop video, fading the soundtrack out with the crossfade
     if (videoRef.current) {
       videoRef.current.pause();
     }
-    if (audioRef.current) {
-      audioRef.current.pause();
-    }
+    audio.stop(Channel.AMBIENCE, { fadeMs: 300 });
     
     // Start crossfade transition
     setIsFadingOut(true);
@@ -81,24 +78,6 @@ function IntroAnimation({ onComplete, reducedMotion = false }) {
       }, duration);
 
       return () => clearTimeout(timer);
-    } else {
-      // Try to play audio when video starts (may be blocked by browser)
-      if (videoRef.current && audioRef.current) {
-        const handleVideoPlay = () => {
-          audioRef.current.volume = 0.4; // Reduce intro audio by 60% (from default 1.0 to 0.4)
-          audioRef.current.play().catch(err => {
-            console.warn('Audio autoplay prevented - click Skip to enable audio');
-          });
-        };
-        
-        videoRef.current.addEventListener('play', handleVideoPlay);
-        
-        return () => {
-          if (videoRef.current) {
-            videoRef.current.removeEventListener('play', handleVideoPlay);
-          }
-        };
-      }
     }
   }, [onComplete, shouldReduceMotion, isFadingOut]);
 
@@ -110,7 +89,7 @@ function IntroAnimation({ onComplete, reducedMotion = false }) {
     <div 
       className={`intro-animation ${shouldReduceMotion ? 'reduced-motion' : ''} ${isFadingOut ? 'fade-out' : ''}`}
       role="banner"
-      aria-label="FOLKLORERUN intro"
+      aria-label={t('intro.label')}
     >
       {shouldReduceMotion ? (
         // CSS animation fallback for reduced motion
@@ -132,30 +111,23 @@ function IntroAnimation({ onComplete, reducedMotion = false }) {
           <video
             ref={videoRef}
             className="intro-video"
-            src={`${import.meta.env.BASE_URL}assets/Intro.mp4`}
+            src={assets.introVideo}
             autoPlay
             muted
             playsInline
+            onPlay={playSoundtrack}
             onEnded={handleVideoEnd}
-            onClick={enableAudio}
-            aria-label="FOLKLORERUN intro video - click to enable audio"
-          />
-          
-          {/* Synchronized audio */}
-          <audio
-            ref={audioRef}
-            src={`${import.meta.env.BASE_URL}assets/intro audio.mp3`}
-            loop={false}
-            aria-label="FOLKLORERUN intro audio"
+            onClick={playSoundtrack}
+            aria-label={t('intro.videoLabel')}
           />
           
           {/* Skip button - top right */}
           <button
             className="skip-button"
             onClick={handleSkip}
-            aria-label="Skip intro"
+            aria-label={t('intro.skipLabel')}
           >
-            Skip
+            {t('intro.skip')}
           </button>
         </>
       )}
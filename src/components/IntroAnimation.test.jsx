@@ -2,6 +2,10 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, act, fireEvent } from '@testing-library/react';
 import fc from 'fast-check';
 import IntroAnimation from './IntroAnimation';
+import { AudioProvider } from '../hooks/useAudio';
+import { Channel, createAudioManager } from '../utils/audioManager';
+import { getAssetUrl } from '../utils/assetManifest';
+import { createFakeAudioBackend } from '../test/fakeAudioBackend';
 
 describe('IntroAnimation Component', () => {
   beforeEach(() => {
@@ -25,11 +29,17 @@ describe('IntroAnimation Component', () => {
       expect(video).toHaveAttribute('src', '/assets/Intro.mp4');
     });
 
-    it('renders audio element with correct source', () => {
-      const { container } = render(<IntroAnimation onComplete={() => {}} />);
-      const audio = container.querySelector('audio');
-      expect(audio).toBeInTheDocument();
-      expect(audio).toHaveAttribute('src', '/assets/intro audio.mp3');
+    it('plays the intro soundtrack on the ambience channel with the video', () => {
+      const manager = createAudioManager({ backend: createFakeAudioBackend(), gestureTarget: null });
+      const { container } = render(
+        <AudioProvider manager={manager}>
+          <IntroAnimation onComplete={() => {}} />
+        </AudioProvider>
+      );
+
+      fireEvent.play(container.querySelector('video'));
+
+      expect(manager.getPlaying(Channel.AMBIENCE)).toEqual([getAssetUrl('intro audio.mp3')]);
     });
 
     it('renders skip button', () => {
@@ -85,16 +95,25 @@ describe('IntroAnimation Component', () => {
     });
 
     it('pauses video and audio when skip is clicked', () => {
-      const { container } = render(<IntroAnimation onComplete={() => {}} />);
+      const backend = createFakeAudioBackend();
+      const manager = createAudioManager({ backend, gestureTarget: null });
+      const { container } = render(
+        <AudioProvider manager={manager}>
+          <IntroAnimation onComplete={() => {}} />
+        </AudioProvider>
+      );
       
       const video = container.querySelector('video');
-      const audio = container.querySelector('audio');
+      fireEvent.play(video);
       const skipButton = screen.getByRole('button', { name: /skip intro/i });
       
       fireEvent.click(skipButton);
+      act(() => {
+        vi.advanceTimersByTime(300);
+      });
       
       expect(video.pause).toHaveBeenCalled();
-      expect(audio.pause).toHaveBeenCalled();
+      expect(backend.playing()).toEqual([]);
     });
   });
 
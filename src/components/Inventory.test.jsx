@@ -1,6 +1,7 @@
 import { describe, it, expect, vi } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import Inventory from './Inventory';
+import { ThemeProvider } from '../hooks/useTheme';
 
 describe('Inventory Component', () => {
   const mockUIConfig = {
@@ -236,28 +237,7 @@ describe('Inventory Component', () => {
       expect(screen.getByText('0 / 6 clues')).toBeInTheDocument();
     });
 
-    it('should collect tokens when clicked', () => {
-      const onMechanicUpdate = vi.fn();
-      
-      render(
-        <Inventory
-          creature={aswangCreature}
-          mechanicState={{ tokensCollected: [] }}
-          onMechanicUpdate={onMechanicUpdate}
-          levelData={null}
-          uiConfig={mockUIConfig}
-        />
-      );
-
-      const tokenButton = screen.getByLabelText(/Reversed Reflection/i);
-      fireEvent.click(tokenButton);
-
-      expect(onMechanicUpdate).toHaveBeenCalledWith({
-        tokensCollected: ['reversed-reflection']
-      });
-    });
-
-    it('should toggle token collection', () => {
+    it('should show collected tokens without letting them be changed', () => {
       const onMechanicUpdate = vi.fn();
       
       render(
@@ -270,12 +250,16 @@ describe('Inventory Component', () => {
         />
       );
 
-      const tokenButton = screen.getByLabelText(/Reversed Reflection/i);
-      fireEvent.click(tokenButton);
+      const collected = screen.getByLabelText(/Reversed Reflection/i);
+      const missing = screen.getByLabelText(/No Shadow/i);
+      expect(collected).toHaveClass('collected');
+      expect(missing).not.toHaveClass('collected');
 
-      expect(onMechanicUpdate).toHaveBeenCalledWith({
-        tokensCollected: []
-      });
+      // Tokens come from the tools used on the levels, not from the panel
+      fireEvent.click(collected);
+      fireEvent.click(missing);
+      expect(onMechanicUpdate).not.toHaveBeenCalled();
+      expect(screen.queryByRole('button')).not.toBeInTheDocument();
     });
 
     it('should validate correct combination', () => {
@@ -319,6 +303,36 @@ describe('Inventory Component', () => {
 
       expect(screen.getByText('3 / 6 clues')).toBeInTheDocument();
     });
+
+    it('should use tokens and ordered combinations from creature data', () => {
+      const creature = {
+        ...aswangCreature,
+        tokens: [
+          { id: 'salt', label: 'Salt Line', description: 'Warded' },
+          { id: 'ember', label: 'Ember Light', description: 'Revealed' },
+          { id: 'speak-name', label: 'True Name', description: 'Bound' }
+        ],
+        combinations: [
+          { id: 'rite', label: 'Ward, reveal, and bind', sequence: ['salt', 'ember', 'speak-name'], ordered: true }
+        ]
+      };
+
+      render(
+        <Inventory
+          creature={creature}
+          mechanicState={{ tokensCollected: ['ember', 'salt'] }}
+          onMechanicUpdate={vi.fn()}
+          levelData={null}
+          uiConfig={mockUIConfig}
+        />
+      );
+
+      expect(screen.getByText('2 / 3 clues')).toBeInTheDocument();
+      expect(screen.getByLabelText('Collected clues in order')).toHaveTextContent('Ember LightSalt Line');
+      // Out of order: only the first step counts
+      expect(screen.getByText(/Keep searching/i)).toBeInTheDocument();
+      expect(screen.getByText('Ward, reveal, and bind: 1 / 3')).toBeInTheDocument();
+    });
   });
 
   describe('General Behavior', () => {
@@ -344,19 +358,20 @@ describe('Inventory Component', () => {
       };
 
       const { container } = render(
-        <Inventory
-          creature={babaYagaCreature}
-          mechanicState={{ hintsRevealed: 0 }}
-          onMechanicUpdate={vi.fn()}
-          levelData={{
-            riddleData: {
-              riddle: 'Test riddle',
-              hint: 'Test hint',
-              answerKey: 'test'
-            }
-          }}
-          uiConfig={mockUIConfig}
-        />
+        <ThemeProvider uiConfig={mockUIConfig}>
+          <Inventory
+            creature={babaYagaCreature}
+            mechanicState={{ hintsRevealed: 0 }}
+            onMechanicUpdate={vi.fn()}
+            levelData={{
+              riddleData: {
+                riddle: 'Test riddle',
+                hint: 'Test hint',
+                answerKey: 'test'
+              }
+            }}
+          />
+        </ThemeProvider>
       );
 
       const inventory = container.querySelector('.inventory');
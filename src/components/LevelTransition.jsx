@@ -1,5 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import './LevelTransition.css';
+import useTheme, { useThemes } from '../hooks/useTheme';
+import useI18n from '../hooks/useI18n';
 
 /**
  * LevelTransition Component
@@ -11,8 +13,8 @@ import './LevelTransition.css';
  * 
  * @param {Object} props
  * @param {Object} props.creature - Current creature
- * @param {Number} props.fromLevel - Starting level (0, 1)
- * @param {Number} props.toLevel - Destination level (1, 2)
+ * @param {Number} props.fromLevel - Starting level, counted along the story path (0-based)
+ * @param {Number} props.toLevel - Destination level, counted along the story path (0-based)
  * @param {Function} props.onComplete - Callback when animation completes
  * @param {Boolean} props.reducedMotion - Accessibility preference
  */
@@ -46,36 +48,19 @@ const LevelTransition = ({ creature, fromLevel, toLevel, onComplete, reducedMoti
     };
   }, [onComplete, reducedMotion]);
 
-  // Get creature-specific background
-  const getBgImagePath = () => {
-    const bgFileMap = {
-      'baba-yaga': 'Baba Yaga BG.jpg',
-      'banshee': 'Banshee BG.jpg',
-      'aswang': 'Aswang BG.jpg'
-    };
-    const filename = bgFileMap[creature.id] || '';
-    return filename ? `${import.meta.env.BASE_URL}assets/${encodeURIComponent(filename)}` : '';
-  };
-
-  // Get creature-specific font
-  const getCreatureFont = () => {
-    const fontMap = {
-      'baba-yaga': "'Asimovian', serif",
-      'banshee': "'Jersey 10', monospace",
-      'aswang': "'Road Rage', serif"
-    };
-    return fontMap[creature.id] || "'Georgia', serif";
-  };
-
-  const bgImagePath = getBgImagePath();
-  const creatureFont = getCreatureFont();
+  // Creature-specific background and font
+  const theme = useTheme(creature.id);
+  const bgImagePath = theme.images.background;
+  const creatureFont = theme.font;
+  const { assets } = useThemes();
+  const { t } = useI18n();
 
   return (
     <div 
       className={`level-transition level-transition--${creature.id} ${reducedMotion ? 'reduced-motion' : ''}`}
       role="status"
       aria-live="polite"
-      aria-label={`Transitioning from level ${fromLevel + 1} to level ${toLevel + 1}`}
+      aria-label={t('transition.label', { from: fromLevel + 1, to: toLevel + 1 })}
     >
       {/* Background with creature-specific image */}
       {bgImagePath && (
@@ -92,9 +77,9 @@ const LevelTransition = ({ creature, fromLevel, toLevel, onComplete, reducedMoti
         className={`level-number-display phase-${animationPhase}`}
         style={{ fontFamily: creatureFont }}
       >
-        <span className="level-from">Level {fromLevel + 1}</span>
+        <span className="level-from">{t('common.level', { number: fromLevel + 1 })}</span>
         <span className="level-arrow">→</span>
-        <span className="level-to">Level {toLevel + 1}</span>
+        <span className="level-to">{t('common.level', { number: toLevel + 1 })}</span>
       </div>
 
       {/* Main character crossing obstacle */}
@@ -102,8 +87,8 @@ const LevelTransition = ({ creature, fromLevel, toLevel, onComplete, reducedMoti
         {/* Character image */}
         <div className="character">
           <img 
-            src="/Folklorerun-game/assets/Main%20Character.png" 
-            alt="Main character" 
+            src={assets.hero}
+            alt={t('transition.hero')}
             className="character-image"
           />
         </div>
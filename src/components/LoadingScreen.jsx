@@ -0,0 +1,49 @@
+import React from 'react';
+import './LoadingScreen.css';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * LoadingProgress Component
+ *
+ * Bar tracking the check of the asset manifest (see utils/assetManifest.js),
+ * which runs in the background once the game data is loaded.
+ *
+ * @param {number} loaded - Files checked so far (including missing ones)
+ * @param {number} total - Files in the manifest
+ */
+export const LoadingProgress = ({ loaded = 0, total = 0 }) => {
+  const { t } = useI18n();
+
+  return (
+    <div
+      className="loading-progress"
+      role="progressbar"
+      aria-label={t('loading.progressLabel')}
+      aria-valuemin={0}
+      aria-valuemax={total}
+      aria-valuenow={loaded}
+    >
+      <div className="loading-track" aria-hidden="true">
+        <div className="loading-fill" style={{ width: `${total > 0 ? (loaded / total) * 100 : 0}%` }} />
+      </div>
+      <span className="loading-count">{t('loading.count', { loaded, total })}</span>
+    </div>
+  );
+};
+
+/**
+ * LoadingScreen Component
+ *
+ * Shown while the game data and the creature text load.
+ */
+const LoadingScreen = () => {
+  const { t } = useI18n();
+
+  return (
+    <div className="app-loading loading-screen">
+      <p className="loading-title">{t('loading.title')}</p>
+    </div>
+  );
+};
+
+export default LoadingScreen;
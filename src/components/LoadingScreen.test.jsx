@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import LoadingScreen, { LoadingProgress } from './LoadingScreen';
+
+describe('LoadingScreen', () => {
+  it('shows only the title', () => {
+    render(<LoadingScreen />);
+
+    expect(screen.getByText('Loading...')).toBeInTheDocument();
+    expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+  });
+
+  it('shows how many files are checked', () => {
+    const { container } = render(<LoadingProgress loaded={3} total={12} />);
+
+    const progress = screen.getByRole('progressbar', { name: 'Checking game files' });
+    expect(progress).toHaveAttribute('aria-valuenow', '3');
+    expect(progress).toHaveAttribute('aria-valuemax', '12');
+    expect(screen.getByText('3 / 12 files')).toBeInTheDocument();
+    expect(container.querySelector('.loading-fill')).toHaveStyle({ width: '25%' });
+  });
+});
@@ -1,24 +1,28 @@
 import React from 'react';
 import './ReducedMotionToggle.css';
+import useI18n from '../hooks/useI18n';
 
 /**
  * Toggle button for reduced motion accessibility
  * Allows users to manually enable/disable animations
  */
 function ReducedMotionToggle({ reducedMotion, onToggle }) {
+  const { t } = useI18n();
+  const label = reducedMotion ? t('motion.enable') : t('motion.reduce');
+
   return (
     <button
       className="reduced-motion-toggle"
       onClick={onToggle}
-      aria-label={reducedMotion ? "Enable animations" : "Reduce motion"}
+      aria-label={label}
       aria-pressed={reducedMotion}
-      title={reducedMotion ? "Enable animations" : "Reduce motion"}
+      title={label}
     >
       <span className="toggle-icon" aria-hidden="true">
         {reducedMotion ? '▶' : '⏸'}
       </span>
       <span className="toggle-text">
-        {reducedMotion ? 'Animations Off' : 'Animations On'}
+        {reducedMotion ? t('motion.off') : t('motion.on')}
       </span>
     </button>
   );
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useSettings from '../hooks/useSettings';
+import useReducedMotion from '../hooks/useReducedMotion';
+import useI18n from '../hooks/useI18n';
+import { TEXT_SIZES } from '../utils/settings';
+import './SettingsPanel.css';
+
+const VOLUME_SLIDERS = ['masterVolume', 'musicVolume', 'sfxVolume'];
+
+// Value of the language option that follows the browser's language
+const AUTO_LOCALE = '';
+
+/**
+ * SettingsPanel Component
+ *
+ * A Settings button, shown in every phase, opening an overlay with the
+ * player's audio, motion, text and language preferences. Changes apply at
+ * once and are saved (see utils/settings.js).
+ */
+const SettingsPanel = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { settings, updateSettings, resetSettings } = useSettings();
+  const { reducedMotion, toggleReducedMotion } = useReducedMotion();
+  const { t, setLocale, locales } = useI18n();
+  const openButtonRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const wasOpenRef = useRef(false);
+
+  // Focus moves into the panel when it opens and back to the button when it closes
+  useEffect(() => {
+    if (isOpen) {
+      closeButtonRef.current?.focus();
+    } else if (wasOpenRef.current) {
+      openButtonRef.current?.focus();
+    }
+    wasOpenRef.current = isOpen;
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setIsOpen(false);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen]);
+
+  const handleCheckbox = (key) => (event) => {
+    updateSettings({ [key]: event.target.checked });
+  };
+
+  return (
+    <>
+      <button
+        ref={openButtonRef}
+        className="settings-button"
+        onClick={() => setIsOpen(true)}
+        aria-haspopup="dialog"
+        aria-expanded={isOpen}
+      >
+        <span className="settings-button-icon" aria-hidden="true">⚙</span>
+        <span className="settings-button-text">{t('settings.button')}</span>
+      </button>
+
+      {isOpen && (
+        <div className="settings-overlay" onClick={() => setIsOpen(false)}>
+          <div
+            className="settings-panel"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="settings-title"
+            onClick={(event) => event.stopPropagation()}
+          >
+            <div className="settings-header">
+              <h2 id="settings-title">{t('settings.title')}</h2>
+              <button
+                ref={closeButtonRef}
+                className="settings-close"
+                onClick={() => setIsOpen(false)}
+                aria-label={t('settings.close')}
+              >
+                ✕
+              </button>
+            </div>
+
+            <fieldset className="settings-group">
+              <legend>{t('settings.audio')}</legend>
+              {VOLUME_SLIDERS.map(key => (
+                <label key={key} className="settings-row settings-slider">
+                  <span>{t(`settings.${key}`)}</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="5"
+                    value={Math.round(settings[key] * 100)}
+                    onChange={(event) => updateSettings({ [key]: Number(event.target.value) / 100 })}
+                    disabled={settings.muted}
+                  />
+                  <output>{Math.round(settings[key] * 100)}%</output>
+                </label>
+              ))}
+              <label className="settings-row">
+                <input type="checkbox" checked={settings.muted} onChange={handleCheckbox('muted')} />
+                <span>{t('settings.mute')}</span>
+              </label>
+            </fieldset>
+
+            <fieldset className="settings-group">
+              <legend>{t('settings.display')}</legend>
+              <label className="settings-row">
+                <input type="checkbox" checked={reducedMotion} onChange={toggleReducedMotion} />
+                <span>{t('settings.reduceMotion')}</span>
+              </label>
+              <label className="settings-row">
+                <input type="checkbox" checked={settings.captions} onChange={handleCheckbox('captions')} />
+                <span>{t('settings.captions')}</span>
+              </label>
+              <label className="settings-row">
+                <span>{t('settings.textSize')}</span>
+                <select
+                  value={settings.textSize}
+                  onChange={(event) => updateSettings({ textSize: event.target.value })}
+                >
+                  {Object.keys(TEXT_SIZES).map(size => (
+                    <option key={size} value={size}>{t(`settings.textSize.${size}`, { defaultValue: size })}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="settings-row">
+                <span>{t('settings.language')}</span>
+                <select
+                  value={settings.locale ?? AUTO_LOCALE}
+                  onChange={(event) => setLocale(event.target.value === AUTO_LOCALE ? null : event.target.value)}
+                >
+                  <option value={AUTO_LOCALE}>{t('settings.languageAuto')}</option>
+                  {locales.map(({ code, name }) => (
+                    <option key={code} value={code} lang={code}>{name}</option>
+                  ))}
+                </select>
+              </label>
+            </fieldset>
+
+            <fieldset className="settings-group">
+              <legend>{t('settings.story')}</legend>
+              <label className="settings-row">
+                <input
+                  type="checkbox"
+                  checked={settings.autoAdvanceStory}
+                  onChange={handleCheckbox('autoAdvanceStory')}
+                />
+                <span>{t('settings.autoAdvance')}</span>
+              </label>
+            </fieldset>
+
+            <button className="settings-reset" onClick={resetSettings}>
+              {t('settings.reset')}
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import SettingsPanel from './SettingsPanel';
+import { SettingsProvider } from '../hooks/useSettings';
+import { createSettingsStore, DEFAULT_SETTINGS } from '../utils/settings';
+
+describe('SettingsPanel', () => {
+  let store;
+
+  const renderPanel = () => render(
+    <SettingsProvider store={store}>
+      <SettingsPanel />
+    </SettingsProvider>
+  );
+
+  const openPanel = () => {
+    renderPanel();
+    fireEvent.click(screen.getByRole('button', { name: /Settings/ }));
+  };
+
+  beforeEach(() => {
+    store = createSettingsStore(null);
+  });
+
+  it('opens from the Settings button', () => {
+    renderPanel();
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /Settings/ }));
+
+    expect(screen.getByRole('dialog', { name: 'Settings' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Close settings' })).toHaveFocus();
+  });
+
+  it('closes on Escape and returns focus to the Settings button', () => {
+    openPanel();
+
+    fireEvent.keyDown(window, { key: 'Escape' });
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Settings/ })).toHaveFocus();
+  });
+
+  it('changes volumes', () => {
+    openPanel();
+
+    fireEvent.change(screen.getByRole('slider', { name: /Music volume/ }), { target: { value: '35' } });
+
+    expect(store.getSettings().musicVolume).toBe(0.35);
+    expect(screen.getByText('35%')).toBeInTheDocument();
+  });
+
+  it('disables the volume sliders while muted', () => {
+    openPanel();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Mute all sound' }));
+
+    expect(store.getSettings().muted).toBe(true);
+    screen.getAllByRole('slider').forEach(slider => expect(slider).toBeDisabled());
+  });
+
+  it('toggles reduced motion, captions and story auto-advance', () => {
+    openPanel();
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Reduce motion' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Show sound captions' }));
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Auto-advance story' }));
+
+    expect(store.getSettings()).toMatchObject({
+      reducedMotion: true,
+      captions: false,
+      autoAdvanceStory: true
+    });
+  });
+
+  it('changes the text size', () => {
+    openPanel();
+
+    fireEvent.change(screen.getByRole('combobox', { name: /Text size/ }), { target: { value: 'large' } });
+
+    expect(store.getSettings().textSize).toBe('large');
+  });
+
+  it('switches the language and back to the device language', () => {
+    openPanel();
+
+    fireEvent.change(screen.getByRole('combobox', { name: /Language/ }), { target: { value: 'ga' } });
+
+    expect(store.getSettings().locale).toBe('ga');
+    expect(screen.getByRole('dialog', { name: 'Socruithe' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Русский' })).toHaveAttribute('lang', 'ru');
+
+    fireEvent.change(screen.getByRole('combobox', { name: /Teanga/ }), { target: { value: '' } });
+
+    expect(store.getSettings().locale).toBeNull();
+  });
+
+  it('resets everything to the defaults', () => {
+    store.update({ sfxVolume: 0.1, captions: false });
+    openPanel();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reset to defaults' }));
+
+    expect(store.getSettings()).toEqual(DEFAULT_SETTINGS);
+    expect(screen.getByRole('checkbox', { name: 'Show sound captions' })).toBeChecked();
+  });
+});
@@ -12,8 +12,9 @@ import './SoundCueVisual.css';
  * @param {string} descriptor - Textual descriptor for the sound
  * @param {object} triggerLocation - {x, y} coordinates for effect origin
  * @param {string} visualEffectClass - CSS class for the visual effect
+ * @param {boolean} captions - Whether to show the descriptor (a player setting)
  */
-const SoundCueVisual = ({ currentCue, descriptor, triggerLocation, visualEffectClass }) => {
+const SoundCueVisual = ({ currentCue, descriptor, triggerLocation, visualEffectClass, captions = true }) => {
   if (!currentCue) {
     return null;
   }
@@ -37,7 +38,7 @@ const SoundCueVisual = ({ currentCue, descriptor, triggerLocation, visualEffectC
         aria-live="polite"
         aria-atomic="true"
       >
-        {descriptor && (
+        {captions && descriptor && (
           <span className="sound-cue-descriptor">
             {descriptor}
           </span>
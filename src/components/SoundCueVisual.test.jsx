@@ -31,6 +31,20 @@ describe('SoundCueVisual Component', () => {
     expect(screen.getByText('soft-neon-chime')).toBeInTheDocument();
   });
 
+  it('should hide the descriptor when captions are turned off', () => {
+    render(
+      <SoundCueVisual
+        currentCue={mockCue}
+        descriptor="soft-neon-chime"
+        triggerLocation={mockLocation}
+        visualEffectClass="sound-effect-ripple"
+        captions={false}
+      />
+    );
+
+    expect(screen.queryByText('soft-neon-chime')).not.toBeInTheDocument();
+  });
+
   // Requirement 8.2, 8.3: Visual effects
   it('should render visual effect element with correct class', () => {
     const { container } = render(
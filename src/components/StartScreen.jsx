@@ -1,15 +1,32 @@
 import React from 'react';
 import './StartScreen.css';
+import useI18n from '../hooks/useI18n';
+import { LoadingProgress } from './LoadingScreen';
 
 /**
  * StartScreen Component
  * 
  * Entry screen with fire animations and Start Game button.
  * Solves browser autoplay policy by requiring user interaction.
+ * When a saved run exists, also offers to continue it. While the game files
+ * are checked in the background a progress bar shows; files that failed the
+ * check are listed before play starts.
  * 
  * @param {Function} onStart - Callback when user clicks Start Game
+ * @param {Object} savedRun - Restorable run from readSave(), if any
+ * @param {Function} onContinue - Callback when user chooses to continue the saved run
+ * @param {Array} missingAssets - Manifest entries that failed the check
+ * @param {Object} assetProgress - Files checked so far, as { loaded, total }
  */
-function StartScreen({ onStart }) {
+function StartScreen({ onStart, savedRun = null, onContinue, missingAssets = [], assetProgress = { loaded: 0, total: 0 } }) {
+  const { t } = useI18n();
+  const levelsAnswered = savedRun && Array.isArray(savedRun.snapshot.choiceHistory)
+    ? savedRun.snapshot.choiceHistory.length
+    : savedRun?.snapshot.currentLevel;
+  const savedProgress = savedRun
+    ? `${savedRun.creature.name} · ${savedRun.snapshot.gameState === 'level' ? t('common.level', { number: levelsAnswered + 1 }) : t('start.progressStory')}`
+    : '';
+
   return (
     <div className="start-screen">
       {/* Animated fire effects in creature colors - floating particles */}
@@ -34,10 +51,39 @@ function StartScreen({ onStart }) {
       <button 
         className="start-button"
         onClick={onStart}
-        aria-label="Start the game"
+        aria-label={t('start.buttonLabel')}
       >
-        Start Game
+        {t('start.button')}
       </button>
+
+      {/* Resume a run saved in a previous session */}
+      {savedRun && onContinue && (
+        <button
+          className="continue-button"
+          onClick={onContinue}
+          aria-label={t('start.continueLabel', { progress: savedProgress })}
+        >
+          {t('start.continue')}
+          <span className="continue-progress">{savedProgress}</span>
+        </button>
+      )}
+
+      {/* Game files still being checked */}
+      {assetProgress.loaded < assetProgress.total && (
+        <LoadingProgress loaded={assetProgress.loaded} total={assetProgress.total} />
+      )}
+
+      {/* Files missing from public/assets */}
+      {missingAssets.length > 0 && (
+        <div className="missing-assets" role="alert">
+          <p>{t('start.missingAssets')}</p>
+          <ul>
+            {missingAssets.map(entry => (
+              <li key={entry.url}>{entry.file}</li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,39 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import StartScreen from './StartScreen';
+
+describe('StartScreen', () => {
+  it('lists game files that failed the check', () => {
+    render(
+      <StartScreen
+        onStart={vi.fn()}
+        missingAssets={[
+          { path: 'assets.introVideo', type: 'video', file: 'Intro.mp4', url: '/assets/Intro.mp4' },
+          { path: 'creatures.banshee.assets.music', type: 'audio', file: 'Banshee audio.mp3', url: '/assets/Banshee%20audio.mp3' }
+        ]}
+      />
+    );
+
+    const notice = screen.getByRole('alert');
+    expect(notice).toHaveTextContent('could not be loaded');
+    expect(notice).toHaveTextContent('Intro.mp4');
+    expect(notice).toHaveTextContent('Banshee audio.mp3');
+  });
+
+  it('shows no notice when every file loaded', () => {
+    render(<StartScreen onStart={vi.fn()} />);
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Start the game' })).toBeInTheDocument();
+  });
+
+  it('can be started while the game files are still checked', () => {
+    const { rerender } = render(<StartScreen onStart={vi.fn()} assetProgress={{ loaded: 2, total: 9 }} />);
+
+    expect(screen.getByRole('progressbar', { name: 'Checking game files' })).toHaveAttribute('aria-valuenow', '2');
+    expect(screen.getByRole('button', { name: 'Start the game' })).toBeEnabled();
+
+    rerender(<StartScreen onStart={vi.fn()} assetProgress={{ loaded: 9, total: 9 }} />);
+    expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,146 @@
+import React from 'react';
+import './StatsScreen.css';
+import { computeRunStats } from '../utils/runHistory';
+import { getDifficulty } from '../engine/difficulty';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * Format a 0-1 ratio as a whole percentage
+ */
+const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+/**
+ * Format a duration as m:ss
+ */
+const formatDuration = (ms) => {
+  if (typeof ms !== 'number') return '—';
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * Describe the mechanic-specific facts of a run
+ */
+const describeMechanic = (mechanic = {}, t) => {
+  const facts = [];
+  if (typeof mechanic.riddleAttempts === 'number') facts.push(t('stats.riddleAttempts', { count: mechanic.riddleAttempts }));
+  if (typeof mechanic.finalCalmness === 'number') facts.push(t('stats.calmness', { percent: mechanic.finalCalmness }));
+  if (Array.isArray(mechanic.tokensCollected)) facts.push(t('stats.tokens', { count: mechanic.tokensCollected.length }));
+  return facts.join(', ');
+};
+
+/**
+ * Name of a run's difficulty mode in the player's language
+ */
+const describeDifficulty = (id, t) => {
+  const mode = getDifficulty(id);
+  return t(`difficulty.${mode.id}.label`, { defaultValue: mode.label });
+};
+
+const RECENT_RUNS_SHOWN = 5;
+
+/**
+ * StatsScreen Component
+ *
+ * Shows statistics from the run history: win rate, best winning streak and
+ * most-failed level per creature, plus the most recent runs.
+ *
+ * @param {Object} props
+ * @param {Array} props.history - Run records from loadRunHistory(), oldest first
+ * @param {Array} props.creatures - Creatures to report on, in display order
+ * @param {Function} props.onBack - Callback to return to creature selection
+ * @param {Function} props.onClearHistory - Callback to delete the run history
+ */
+const StatsScreen = ({ history = [], creatures = [], onBack, onClearHistory }) => {
+  const stats = computeRunStats(history, creatures);
+  const recentRuns = history.slice(-RECENT_RUNS_SHOWN).reverse();
+  const { t } = useI18n();
+
+  return (
+    <div className="stats-screen">
+      <h1 className="stats-title">{t('stats.title')}</h1>
+
+      {history.length === 0 ? (
+        <p className="stats-empty">{t('stats.empty')}</p>
+      ) : (
+        <>
+          <p className="stats-overall">
+            {t('stats.overall', {
+              count: stats.overall.runs,
+              winRate: formatPercent(stats.overall.winRate),
+              bestStreak: stats.overall.bestStreak
+            })}
+          </p>
+
+          <div className="stats-creatures">
+            {stats.creatures.map(creature => (
+              <section key={creature.id} className="stats-card" data-creature={creature.id} aria-label={t('stats.creatureLabel', { name: creature.name })}>
+                <h2 className="stats-creature-name">{creature.name}</h2>
+                <dl className="stats-list">
+                  <div>
+                    <dt>{t('stats.winRate')}</dt>
+                    <dd>{creature.runs > 0 ? `${formatPercent(creature.winRate)} (${creature.wins}/${creature.runs})` : '—'}</dd>
+                  </div>
+                  <div>
+                    <dt>{t('stats.bestStreak')}</dt>
+                    <dd>{creature.bestStreak}</dd>
+                  </div>
+                  <div>
+                    <dt>{t('stats.mostFailed')}</dt>
+                    <dd>
+                      {creature.mostFailedLevel !== null
+                        ? t('stats.mostFailedValue', {
+                          number: creature.mostFailedLevel + 1,
+                          count: creature.levelFailures[creature.mostFailedLevel]
+                        })
+                        : '—'}
+                    </dd>
+                  </div>
+                  <div>
+                    <dt>{t('stats.averageTime')}</dt>
+                    <dd>{formatDuration(creature.averageDurationMs)}</dd>
+                  </div>
+                </dl>
+              </section>
+            ))}
+          </div>
+
+          <h2 className="stats-subtitle">{t('stats.recent')}</h2>
+          <ol className="stats-recent">
+            {recentRuns.map((run, index) => (
+              <li key={`${run.endedAt}-${index}`} className={`stats-run ${run.outcome}`}>
+                <span className="stats-run-creature">{run.creatureName || run.creatureId}</span>
+                <span className="stats-run-choices" aria-label={t('stats.choicesLabel', { correct: run.correctAnswers, total: run.choices.length })}>
+                  {run.choices.map(choice => (choice.isCorrect ? '✓' : '✗')).join(' ')}
+                </span>
+                <span className="stats-run-outcome">{run.outcome === 'victory' ? t('stats.victory') : t('stats.defeat')}</span>
+                <span className="stats-run-details">
+                  {[
+                    run.difficulty ? describeDifficulty(run.difficulty, t) : '',
+                    formatDuration(run.durationMs),
+                    describeMechanic(run.mechanic, t)
+                  ].filter(Boolean).join(' · ')}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      <div className="stats-actions">
+        <button className="stats-button" onClick={onBack} aria-label={t('stats.backLabel')}>
+          {t('stats.back')}
+        </button>
+        {history.length > 0 && onClearHistory && (
+          <button className="stats-button secondary" onClick={onClearHistory}>
+            {t('stats.clear')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StatsScreen;
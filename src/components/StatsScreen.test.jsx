@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import StatsScreen from './StatsScreen';
+
+describe('StatsScreen Component', () => {
+  const creatures = [
+    { id: 'baba-yaga', name: 'Baba Yaga' },
+    { id: 'banshee', name: 'Banshee' }
+  ];
+
+  const history = [
+    {
+      creatureId: 'baba-yaga',
+      creatureName: 'Baba Yaga',
+      outcome: 'defeat',
+      correctAnswers: 1,
+      choices: [
+        { level: 0, choiceIndex: 0, isCorrect: true },
+        { level: 1, choiceIndex: 1, isCorrect: false },
+        { level: 2, choiceIndex: 1, isCorrect: false }
+      ],
+      mechanic: { riddleAttempts: 3, hintsRevealed: 1 },
+      startedAt: 0,
+      endedAt: 95000,
+      durationMs: 95000
+    },
+    {
+      creatureId: 'baba-yaga',
+      creatureName: 'Baba Yaga',
+      outcome: 'victory',
+      correctAnswers: 3,
+      choices: [
+        { level: 0, choiceIndex: 0, isCorrect: true },
+        { level: 1, choiceIndex: 0, isCorrect: true },
+        { level: 2, choiceIndex: 0, isCorrect: true }
+      ],
+      mechanic: { riddleAttempts: 1, hintsRevealed: 0 },
+      startedAt: 100000,
+      endedAt: 165000,
+      durationMs: 65000
+    }
+  ];
+
+  it('shows an empty state before any runs', () => {
+    render(<StatsScreen history={[]} creatures={creatures} onBack={vi.fn()} onClearHistory={vi.fn()} />);
+
+    expect(screen.getByText(/No runs yet/)).toBeInTheDocument();
+    expect(screen.queryByText('Clear history')).not.toBeInTheDocument();
+  });
+
+  it('shows per-creature win rate, streak, most-failed level and average time', () => {
+    render(<StatsScreen history={history} creatures={creatures} onBack={vi.fn()} />);
+
+    expect(screen.getByText('2 runs · 50% won · best streak 1')).toBeInTheDocument();
+
+    const babaYaga = within(screen.getByLabelText('Baba Yaga statistics'));
+    expect(babaYaga.getByText('50% (1/2)')).toBeInTheDocument();
+    expect(babaYaga.getByText('Level 2 (1×)')).toBeInTheDocument();
+    expect(babaYaga.getByText('1:20')).toBeInTheDocument();
+
+    const banshee = within(screen.getByLabelText('Banshee statistics'));
+    expect(banshee.getAllByText('—')).toHaveLength(3);
+  });
+
+  it('lists recent runs newest first with their answers and mechanic facts', () => {
+    render(<StatsScreen history={history} creatures={creatures} onBack={vi.fn()} />);
+
+    const runs = screen.getAllByRole('listitem');
+    expect(runs).toHaveLength(2);
+    expect(within(runs[0]).getByText('Victory')).toBeInTheDocument();
+    expect(within(runs[0]).getByLabelText('3 of 3 correct')).toHaveTextContent('✓ ✓ ✓');
+    expect(within(runs[1]).getByLabelText('1 of 3 correct')).toHaveTextContent('✓ ✗ ✗');
+    expect(within(runs[1]).getByText('1:35 · 3 riddle attempts')).toBeInTheDocument();
+  });
+
+  it('calls back to go back and to clear the history', () => {
+    const onBack = vi.fn();
+    const onClearHistory = vi.fn();
+    render(<StatsScreen history={history} creatures={creatures} onBack={onBack} onClearHistory={onClearHistory} />);
+
+    fireEvent.click(screen.getByLabelText('Back to creature selection'));
+    fireEvent.click(screen.getByText('Clear history'));
+
+    expect(onBack).toHaveBeenCalledTimes(1);
+    expect(onClearHistory).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,54 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import './StoryBubbles.css';
+import useI18n from '../hooks/useI18n';
+
+// Auto-advance gives each bubble time to be read: a minimum, or this much per character
+const AUTO_ADVANCE_MIN_MS = 2500;
+const AUTO_ADVANCE_MS_PER_CHAR = 50;
 
 /**
  * StoryBubbles Component
  * 
  * Displays sequential talking bubbles with creature-specific styling.
- * Uses exact canonical story text from design document.
+ * Story text comes from the creature's `storyLines` in the game data.
  * 
  * Requirements: 3.1, 3.2, 3.3, 3.4, 3.5, 3.6, 12.1, 12.2, 12.3
  * 
  * @param {Object} props
  * @param {Object} props.creature - Current creature object
+ * @param {Array} props.storyLines - Story lines to show (defaults to creature.storyLines)
  * @param {Function} props.onComplete - Callback when all bubbles are shown
  * @param {Boolean} props.reducedMotion - Disable complex animations for accessibility
+ * @param {Boolean} props.autoAdvance - Advance to the next bubble after a reading delay
  */
-const StoryBubbles = ({ creature, onComplete, reducedMotion = false }) => {
+const StoryBubbles = ({ creature, storyLines = creature.storyLines || [], onComplete, reducedMotion = false, autoAdvance = false }) => {
   const [currentBubbleIndex, setCurrentBubbleIndex] = useState(0);
   const [isTransitioning, setIsTransitioning] = useState(false);
-
-  // Requirement 12.1, 12.2, 12.3: Canonical story text from design document
-  const getStoryLines = () => {
-    switch (creature.id) {
-      case 'baba-yaga':
-        return [
-          "In a ring of birch the hut wanders on spindly legs; it eats the footprints of those who pass.",
-          "Baba Yaga asks riddles and tests manners — those who offer the right thing may be spared, those who are crude often pay.",
-          "She is neither wholly guardian nor villain; she values cunning, gifts, and correct ritual.",
-          "Speak carefully. Offer without arrogance. Even a small talisman or a clever answer may sway her."
-        ];
-      case 'banshee':
-        return [
-          "By hedgerow and stream she walks, a quiet light in moon-damp air.",
-          "Her cry is a thread that sometimes warns families of coming loss; it is a sound to be honored, not mocked.",
-          "To soothe her is to acknowledge memory — names, laces, ribbons tied with care.",
-          "Listen and answer with reverence; the wrong noise draws the wail closer."
-        ];
-      case 'aswang':
-        return [
-          "In the small lanes the night moves with extra eyes; a neighbor's shadow may not be what it seems.",
-          "The Aswang wears faces, eats the quiet, and slips under lantern light.",
-          "Salt burns paths, ember reveals truth, and the spoken name pins the thing.",
-          "Watch reflections and odd slips of movement — the clues are small and deadly.",
-          "Act in sequence: reveal, bind, and speak — or the night remembers you."
-        ];
-      default:
-        return [];
-    }
-  };
-
-  const storyLines = getStoryLines();
+  const { t } = useI18n();
 
   useEffect(() => {
     // Requirement 3.6: After last bubble, proceed automatically (300ms) to encounter phase
@@ -73,6 +49,18 @@ const StoryBubbles = ({ creature, onComplete, reducedMotion = false }) => {
     }
   };
 
+  // Auto-advance setting: move on once the current bubble has had time to be read
+  useEffect(() => {
+    if (!autoAdvance || isTransitioning || currentBubbleIndex >= storyLines.length) return;
+
+    const line = String(storyLines[currentBubbleIndex] ?? '');
+    const advanceTimer = setTimeout(
+      handleAdvance,
+      Math.max(AUTO_ADVANCE_MIN_MS, line.length * AUTO_ADVANCE_MS_PER_CHAR)
+    );
+    return () => clearTimeout(advanceTimer);
+  }, [autoAdvance, isTransitioning, currentBubbleIndex, storyLines]);
+
   // Requirement 3.5: Allow tap on small "Next" chevron
   const handleNextClick = (e) => {
     e.stopPropagation();
@@ -84,7 +72,7 @@ const StoryBubbles = ({ creature, onComplete, reducedMotion = false }) => {
       className={`story-bubbles ${creature.id} ${reducedMotion ? 'reduced-motion' : ''}`}
       onClick={handleAdvance}
       role="region"
-      aria-label="Story narration"
+      aria-label={t('story.label')}
     >
       <div className="bubbles-container">
         {/* Show only the current bubble */}
@@ -128,7 +116,7 @@ const StoryBubbles = ({ creature, onComplete, reducedMotion = false }) => {
           <div
             key={index}
             className={`progress-dot ${index < currentBubbleIndex ? 'completed' : ''} ${index === currentBubbleIndex ? 'current' : ''}`}
-            aria-label={`Story bubble ${index + 1} of ${storyLines.length}`}
+            aria-label={t('story.bubbleLabel', { number: index + 1, total: storyLines.length })}
           ></div>
         ))}
       </div>
@@ -138,7 +126,7 @@ const StoryBubbles = ({ creature, onComplete, reducedMotion = false }) => {
         <button
           className="next-button"
           onClick={handleNextClick}
-          aria-label="Next bubble"
+          aria-label={t('story.next')}
         >
           <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
             <path d="M9 18l6-6-6-6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import StoryBubbles from './StoryBubbles';
+
+describe('StoryBubbles', () => {
+  const creature = { id: 'banshee', name: 'Banshee' };
+  const storyLines = ['A keening rises over the moor.', 'Someone is listening.'];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('waits for the player without auto-advance', () => {
+    render(<StoryBubbles creature={creature} storyLines={storyLines} onComplete={vi.fn()} />);
+
+    act(() => {
+      vi.advanceTimersByTime(10000);
+    });
+
+    expect(screen.getByText(storyLines[0])).toBeInTheDocument();
+  });
+
+  it('advances by itself and completes with auto-advance', () => {
+    const onComplete = vi.fn();
+    render(
+      <StoryBubbles creature={creature} storyLines={storyLines} onComplete={onComplete} autoAdvance />
+    );
+
+    act(() => {
+      vi.advanceTimersByTime(2500);
+    });
+    act(() => {
+      vi.advanceTimersByTime(200);
+    });
+    expect(screen.getByText(storyLines[1])).toBeInTheDocument();
+
+    act(() => {
+      vi.advanceTimersByTime(2500);
+    });
+    act(() => {
+      vi.advanceTimersByTime(200);
+    });
+    act(() => {
+      vi.advanceTimersByTime(300);
+    });
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+});
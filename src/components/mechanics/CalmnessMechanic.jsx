@@ -0,0 +1,97 @@
+import React from 'react';
+import useI18n from '../../hooks/useI18n';
+
+/**
+ * Get the Banshee's mood for a calmness level
+ *
+ * @param {number} calmness - Calmness level (0-100)
+ * @returns {string} 'anguished', 'sorrowful' or 'peaceful' (also its CSS class)
+ */
+const getMood = (calmness) => {
+  if (calmness < 30) return 'anguished';
+  if (calmness < 60) return 'sorrowful';
+  return 'peaceful';
+};
+
+/**
+ * CalmnessMechanic Component (Banshee)
+ *
+ * Sorrow meter shown during gameplay; wrong choices drain it.
+ *
+ * Requirements: 6.2, 6.4, 6.5
+ */
+const CalmnessMechanic = ({ mechanicState, font }) => {
+  const calmness = mechanicState.calmnessLevel ?? 100;
+  const mood = getMood(calmness);
+  const { t } = useI18n();
+
+  return (
+    <div className="mechanic-box calmness-box">
+      <div className="mechanic-header">
+        <h3 className="mechanic-title" style={{ fontFamily: font }}>
+          {t('calmness.title')}
+        </h3>
+        <span className={`mood-badge ${mood}`}>{t(`calmness.mood.${mood}`)}</span>
+      </div>
+      <div className="calmness-meter" data-calmness={mood}>
+        <div className="meter-fill" style={{ width: `${calmness}%` }} />
+      </div>
+      <div className="meter-labels">
+        <span>{t('calmness.mood.anguished')}</span>
+        <span className="meter-value">{calmness}%</span>
+        <span>{t('calmness.mood.peaceful')}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Banshee Calmness Meter for the Inventory panel
+ * Requirements: 6.2, 6.4, 6.5
+ *
+ * Displays visual indicator of calmness level (0-100)
+ */
+export const CalmnessInventory = ({ mechanicState, colors }) => {
+  const calmnessLevel = mechanicState.calmnessLevel ?? 100;
+
+  // Requirement 6.4: Validate against creature-specific rules (0-100 range)
+  const normalizedCalmness = Math.max(0, Math.min(100, calmnessLevel));
+  const moodClass = getMood(normalizedCalmness);
+  const { t } = useI18n();
+
+  return (
+    <div className="calmness-meter">
+      <div className="calmness-header">
+        <h3 className="mechanic-title">{t('calmness.title')}</h3>
+        <span className={`mood-indicator ${moodClass}`}>{t(`calmness.mood.${moodClass}`)}</span>
+      </div>
+
+      {/* Requirement 6.2, 6.5: Visual indicator with immediate updates */}
+      <div className="meter-container" role="meter" aria-valuenow={normalizedCalmness} aria-valuemin="0" aria-valuemax="100" aria-label={t('calmness.meterLabel')}>
+        <div className="meter-background">
+          <div
+            className="meter-fill"
+            style={{
+              width: `${normalizedCalmness}%`,
+              backgroundColor: colors.primary,
+              transition: 'width 0.3s ease-out'
+            }}
+          >
+            <span className="meter-glow"></span>
+          </div>
+        </div>
+        <div className="meter-labels">
+          <span className="meter-label-min">{t('calmness.mood.anguished')}</span>
+          <span className="meter-value">{normalizedCalmness}%</span>
+          <span className="meter-label-max">{t('calmness.mood.peaceful')}</span>
+        </div>
+      </div>
+
+      <p className="calmness-description">
+        {t('calmness.description')}
+      </p>
+    </div>
+  );
+};
+
+export default CalmnessMechanic;
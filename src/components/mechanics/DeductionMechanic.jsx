@@ -0,0 +1,157 @@
+import React from 'react';
+import {
+  evaluateCombinations,
+  getBestCombination,
+  getDeductionRules,
+  getOfferedItems
+} from '../../engine/mechanics/deduction';
+import { getDifficulty } from '../../engine/difficulty';
+import useI18n from '../../hooks/useI18n';
+
+/**
+ * DeductionMechanic Component (Aswang)
+ *
+ * Tool picker shown during gameplay, listing the level's item pool from the
+ * creature data with the difficulty mode's number of decoys. Picking a
+ * tool unlocks the choices and hides the scene text.
+ * Progress toward the closest combination rule is shown below the tools.
+ *
+ * Requirements: 6.3, 6.4, 6.5
+ */
+const DeductionMechanic = ({
+  creature,
+  levelData,
+  mechanicState,
+  onMechanicUpdate,
+  onHideScene,
+  font,
+  difficulty = getDifficulty()
+}) => {
+  const items = getOfferedItems(levelData, difficulty.decoyItems, creature);
+  const selectedItem = mechanicState.selectedItem || null;
+  const { combinations } = getDeductionRules(creature);
+  const closest = getBestCombination(evaluateCombinations(combinations, mechanicState.tokensCollected));
+  const { t } = useI18n();
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mechanic-box deduction-box">
+      <h3 className="mechanic-title" style={{ fontFamily: font }}>
+        {t('deduction.title')}
+      </h3>
+      <p className="deduction-hint">{t('deduction.hint')}</p>
+      <div className="item-grid">
+        {items.map(item => (
+          <button
+            key={item.id}
+            className={`item-btn ${selectedItem === item.id ? 'selected' : ''}`}
+            onClick={() => {
+              onMechanicUpdate({ selectedItem: item.id });
+              onHideScene();
+            }}
+          >
+            <span className="item-icon">{item.icon}</span>
+            <span className="item-name">{item.label}</span>
+            <span className="item-desc">{item.description}</span>
+          </button>
+        ))}
+      </div>
+      {/* Partial credit toward the creature's combination rules */}
+      {closest && closest.matched > 0 && (
+        <p className={`deduction-progress ${closest.complete ? 'complete' : ''}`}>
+          {t('deduction.steps', { label: closest.label, matched: closest.matched, total: closest.total })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Aswang Token-Based Deduction System for the Inventory panel
+ * Requirements: 6.3, 6.4, 6.5
+ *
+ * Displays the creature's clue tokens, the order they were collected in, and
+ * progress toward each combination rule. Tokens are only collected by the
+ * tools used on the levels' choices (see engine/mechanics/deduction.js), so the
+ * panel shows them without letting the player change them.
+ */
+export const DeductionInventory = ({ creature, mechanicState }) => {
+  const tokensCollected = mechanicState.tokensCollected || [];
+  const { tokens, combinations } = getDeductionRules(creature);
+  const { t } = useI18n();
+
+  // Requirement 6.3, 6.4: Combination validation with partial credit
+  const results = evaluateCombinations(combinations, tokensCollected);
+  const isValidCombination = results.some(result => result.complete);
+  const closest = getBestCombination(results);
+  const showTrail = combinations.some(combination => combination.ordered) && tokensCollected.length > 0;
+  const labelFor = (tokenId) => tokens.find(token => token.id === tokenId)?.label || tokenId;
+
+  return (
+    <div className="deduction-system">
+      <div className="deduction-header">
+        <h3 className="mechanic-title">{t('deduction.inventoryTitle')}</h3>
+        <span className="tokens-count">{t('deduction.clues', { count: tokensCollected.length, total: tokens.length })}</span>
+      </div>
+
+      <p className="deduction-description">
+        {t('deduction.description')}
+      </p>
+
+      {/* Requirement 6.3, 6.5: Token display with immediate visual updates */}
+      <ul className="tokens-grid">
+        {tokens.map(token => {
+          const isCollected = tokensCollected.includes(token.id);
+
+          return (
+            <li
+              key={token.id}
+              className={`token-card ${isCollected ? 'collected' : ''}`}
+              aria-label={`${token.label}: ${token.description}`}
+            >
+              <div className="token-icon">
+                {isCollected ? '✓' : '?'}
+              </div>
+              <div className="token-info">
+                <h4 className="token-name">{token.label}</h4>
+                {isCollected && (
+                  <p className="token-description">{token.description}</p>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {/* Order matters for sequence rules, so show the collection order */}
+      {showTrail && (
+        <ol className="token-trail" aria-label={t('deduction.trailLabel')}>
+          {tokensCollected.map((tokenId, index) => (
+            <li key={`${tokenId}-${index}`}>{labelFor(tokenId)}</li>
+          ))}
+        </ol>
+      )}
+
+      {/* Requirement 6.3, 6.4: Combination validation feedback */}
+      {(tokensCollected.length >= 2 || (showTrail && closest)) && (
+        <div
+          className={`combination-status ${isValidCombination ? 'valid' : 'invalid'}`}
+          role="status"
+          aria-live="polite"
+        >
+          {isValidCombination ? t('deduction.valid') : t('deduction.searching')}
+          {closest && !closest.complete && closest.matched > 0 && (
+            <span className="combination-progress">
+              {t('deduction.progress', { label: closest.label, matched: closest.matched, total: closest.total })}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeductionMechanic;
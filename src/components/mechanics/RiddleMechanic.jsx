@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { getDifficulty } from '../../engine/difficulty';
+import { matchRiddleAnswer } from '../../engine/mechanics/riddle';
+import useI18n from '../../hooks/useI18n';
+
+// Feedback is kept as its tone and message key, so it follows language changes
+const feedback = (tone, key) => ({ tone, key });
+
+/**
+ * RiddleMechanic Component (Baba Yaga)
+ *
+ * Answer box shown on levels with a riddle. A correct answer, or running out of
+ * attempts, marks the riddle solved so the choice buttons unlock. The number of
+ * attempts and when the hint shows come from the difficulty mode. Answers are
+ * matched loosely, in the player's language (see matchRiddleAnswer); a close
+ * answer doesn't use an attempt, and a correct one is logged with the accepted
+ * answer it matched.
+ *
+ * Requirements: 6.1, 6.4, 6.5
+ */
+const RiddleMechanic = ({
+  levelData,
+  currentLevel,
+  mechanicState,
+  onMechanicUpdate,
+  font,
+  difficulty = getDifficulty()
+}) => {
+  const [riddleAnswer, setRiddleAnswer] = useState('');
+  const [showHint, setShowHint] = useState(false);
+  const [answerFeedback, setAnswerFeedback] = useState(null);
+  const [riddleAttempts, setRiddleAttempts] = useState(0);
+  const { riddleAttempts: maxAttempts, hintAfterAttempts } = difficulty;
+  const { locale, t } = useI18n();
+
+  // Modes that show the hint from the start reveal it when the riddle appears
+  useEffect(() => {
+    if (hintAfterAttempts === 0 && levelData.riddleData && !mechanicState.riddleSolved) {
+      setShowHint(true);
+      onMechanicUpdate({ hintsRevealed: (mechanicState.hintsRevealed || 0) + 1 });
+    }
+    // Only once per level (the component is keyed by level)
+  }, []);
+
+  if (!levelData.riddleData || mechanicState.riddleSolved) {
+    return null;
+  }
+
+  const handleRiddleSubmit = (e) => {
+    e.preventDefault();
+    const { verdict, matched } = matchRiddleAnswer(levelData.riddleData, riddleAnswer, locale);
+    const riddleAttemptsTotal = (mechanicState.riddleAttempts || 0) + 1;
+
+    if (verdict === 'correct') {
+      setAnswerFeedback(feedback('correct', 'riddle.correct'));
+      onMechanicUpdate({
+        riddleSolved: true,
+        riddleAttempts: riddleAttemptsTotal,
+        riddleAnswers: [
+          ...(mechanicState.riddleAnswers || []),
+          { level: currentLevel, given: riddleAnswer.trim(), matched }
+        ]
+      });
+    } else if (verdict === 'close') {
+      // Near miss - let the player fix it without spending an attempt
+      setAnswerFeedback(feedback('close', 'riddle.close'));
+    } else {
+      onMechanicUpdate({ riddleAttempts: riddleAttemptsTotal });
+      const newAttempts = riddleAttempts + 1;
+      setRiddleAttempts(newAttempts);
+
+      if (newAttempts < maxAttempts) {
+        // Wrong answer with attempts left - show hint once the mode allows it
+        setAnswerFeedback(feedback('incorrect', 'riddle.incorrect'));
+        if (!showHint && hintAfterAttempts !== null && newAttempts >= hintAfterAttempts) {
+          setTimeout(() => {
+            setShowHint(true);
+            onMechanicUpdate({ hintsRevealed: (mechanicState.hintsRevealed || 0) + 1 });
+          }, 500);
+        }
+      } else {
+        // Out of attempts - let the player pass anyway
+        setAnswerFeedback(feedback('incorrect', newAttempts > 1 ? 'riddle.incorrectAgainPass' : 'riddle.incorrectPass'));
+        setTimeout(() => {
+          onMechanicUpdate({ riddleSolved: true });
+        }, 1500);
+      }
+    }
+
+    // Clear the input after submission
+    setRiddleAnswer('');
+  };
+
+  return (
+    <div className="mechanic-box riddle-box">
+      <form onSubmit={handleRiddleSubmit} className="riddle-form">
+        <input
+          type="text"
+          value={riddleAnswer}
+          onChange={(e) => setRiddleAnswer(e.target.value)}
+          placeholder={t('riddle.placeholder')}
+          className="riddle-input"
+          style={{ fontFamily: font }}
+        />
+        <button type="submit" className="riddle-button" disabled={!riddleAnswer.trim()}>
+          {t('riddle.answer')}
+        </button>
+      </form>
+      {answerFeedback && (
+        <div className={`feedback ${answerFeedback.tone}`}>
+          {t(answerFeedback.key)}
+        </div>
+      )}
+      {showHint && (
+        <div className="hint-box">
+          <strong>{t('riddle.hint')}</strong> {levelData.riddleData.hint}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Baba Yaga Riddle Interface for the Inventory panel
+ * Requirements: 6.1, 6.4, 6.5
+ *
+ * Displays riddle, allows answer submission, reveals hint after incorrect attempt
+ */
+export const RiddleInventory = ({ mechanicState, onMechanicUpdate, levelData }) => {
+  const [riddleAnswer, setRiddleAnswer] = useState('');
+  const [showHint, setShowHint] = useState(false);
+  const [answerFeedback, setAnswerFeedback] = useState(null);
+  const { locale, t } = useI18n();
+
+  // Reset state when level changes
+  useEffect(() => {
+    setRiddleAnswer('');
+    setShowHint(false);
+    setAnswerFeedback(null);
+  }, [levelData]);
+
+  if (!levelData?.riddleData) {
+    return null;
+  }
+
+  const { riddle, hint } = levelData.riddleData;
+
+  const handleSubmitAnswer = (e) => {
+    e.preventDefault();
+
+    // Requirement 6.4: Validate inputs against creature-specific rules
+    const { verdict } = matchRiddleAnswer(levelData.riddleData, riddleAnswer, locale);
+    if (verdict === 'correct') {
+      setAnswerFeedback(feedback('correct', 'riddle.inventoryCorrect'));
+    } else if (verdict === 'close') {
+      setAnswerFeedback(feedback('close', 'riddle.inventoryClose'));
+    } else {
+      setAnswerFeedback(feedback('incorrect', 'riddle.incorrect'));
+
+      // Requirement 6.1: Reveal hint after incorrect attempt
+      // Requirement 6.5: Update visual indicators immediately
+      if (!showHint) {
+        setTimeout(() => {
+          setShowHint(true);
+          onMechanicUpdate({ hintsRevealed: (mechanicState.hintsRevealed || 0) + 1 });
+        }, 500);
+      }
+    }
+  };
+
+  return (
+    <div className="riddle-interface">
+      <div className="riddle-header">
+        <h3 className="mechanic-title">{t('riddle.title')}</h3>
+      </div>
+
+      <div className="riddle-content">
+        <p className="riddle-text">{riddle}</p>
+
+        <form onSubmit={handleSubmitAnswer} className="riddle-form">
+          <input
+            type="text"
+            value={riddleAnswer}
+            onChange={(e) => setRiddleAnswer(e.target.value)}
+            placeholder={t('riddle.placeholder')}
+            className="riddle-input"
+            aria-label={t('riddle.inputLabel')}
+          />
+          <button
+            type="submit"
+            className="riddle-submit"
+            disabled={!riddleAnswer.trim()}
+            aria-label={t('riddle.submitLabel')}
+          >
+            {t('riddle.answer')}
+          </button>
+        </form>
+
+        {answerFeedback && (
+          <div
+            className={`answer-feedback ${answerFeedback.tone}`}
+            role="status"
+            aria-live="polite"
+          >
+            {t(answerFeedback.key)}
+          </div>
+        )}
+
+        {/* Requirement 6.1, 6.5: Hint reveal after incorrect attempt */}
+        {showHint && (
+          <div className="riddle-hint" role="status" aria-live="polite">
+            <span className="hint-label">{t('riddle.hint')}</span> {hint}
+          </div>
+        )}
+
+        <div className="hints-counter">
+          {t('riddle.hintsRevealed', { count: mechanicState.hintsRevealed || 0 })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RiddleMechanic;
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import RiddleMechanic from './RiddleMechanic';
+import { getDifficulty } from '../../engine/difficulty';
+
+describe('RiddleMechanic Component', () => {
+  const levelData = {
+    riddleData: {
+      riddle: 'What has roots as nobody sees?',
+      hint: 'It is taller than trees.',
+      answerKey: 'mountain',
+      answers: ['peak']
+    }
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const renderRiddle = (mode, onMechanicUpdate = vi.fn()) => {
+    render(
+      <RiddleMechanic
+        levelData={levelData}
+        currentLevel={1}
+        mechanicState={{ hintsRevealed: 0, riddleAttempts: 0, riddleSolved: false }}
+        onMechanicUpdate={onMechanicUpdate}
+        difficulty={getDifficulty(mode)}
+      />
+    );
+    return onMechanicUpdate;
+  };
+
+  const answer = (text) => {
+    fireEvent.change(screen.getByPlaceholderText('Speak your answer...'), { target: { value: text } });
+    fireEvent.click(screen.getByText('Answer'));
+    act(() => {
+      vi.advanceTimersByTime(2000);
+    });
+  };
+
+  it('accepts other listed answers and logs the one matched', () => {
+    const onMechanicUpdate = renderRiddle('normal');
+
+    answer('The Peaks');
+
+    expect(screen.getByText('Correct! The witch is pleased. You may proceed.')).toBeInTheDocument();
+    expect(onMechanicUpdate).toHaveBeenCalledWith({
+      riddleSolved: true,
+      riddleAttempts: 1,
+      riddleAnswers: [{ level: 1, given: 'The Peaks', matched: 'peak' }]
+    });
+  });
+
+  it('lets a near miss be corrected without using an attempt', () => {
+    const onMechanicUpdate = renderRiddle('nightmare');
+
+    answer('montain');
+
+    expect(screen.getByText(/^Close…/)).toHaveClass('close');
+    expect(onMechanicUpdate).not.toHaveBeenCalled();
+  });
+
+  it('shows the hint after the first wrong answer on Normal', () => {
+    const onMechanicUpdate = renderRiddle('normal');
+    expect(screen.queryByText(levelData.riddleData.hint)).not.toBeInTheDocument();
+
+    answer('tree');
+
+    expect(screen.getByText(levelData.riddleData.hint)).toBeInTheDocument();
+    expect(onMechanicUpdate).not.toHaveBeenCalledWith({ riddleSolved: true });
+  });
+
+  it('shows the hint from the start and allows three attempts on Easy', () => {
+    const onMechanicUpdate = renderRiddle('easy');
+    expect(screen.getByText(levelData.riddleData.hint)).toBeInTheDocument();
+    expect(onMechanicUpdate).toHaveBeenCalledWith({ hintsRevealed: 1 });
+
+    answer('tree');
+    answer('river');
+    expect(onMechanicUpdate).not.toHaveBeenCalledWith({ riddleSolved: true });
+
+    answer('cloud');
+    expect(onMechanicUpdate).toHaveBeenCalledWith({ riddleSolved: true });
+  });
+
+  it('gives one attempt and no hint on Nightmare', () => {
+    const onMechanicUpdate = renderRiddle('nightmare');
+
+    answer('tree');
+
+    expect(screen.queryByText(levelData.riddleData.hint)).not.toBeInTheDocument();
+    expect(screen.getByText('Incorrect. The witch sighs and lets you pass anyway.')).toBeInTheDocument();
+    expect(onMechanicUpdate).toHaveBeenCalledWith({ riddleSolved: true });
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Mechanic UI registration
+ *
+ * Attaches the gameplay and inventory components of the built-in mechanics to
+ * their rules in the mechanic registry. Components that render mechanics import
+ * this module so the UI is registered before it is looked up.
+ *
+ * A new mechanic registers its rules and components with registerMechanic()
+ * and is then selected by `coreMechanic` in the creature data.
+ */
+
+import { registerMechanic } from '../../engine/mechanics';
+import RiddleMechanic, { RiddleInventory } from './RiddleMechanic';
+import CalmnessMechanic, { CalmnessInventory } from './CalmnessMechanic';
+import DeductionMechanic, { DeductionInventory } from './DeductionMechanic';
+
+registerMechanic({ id: 'riddle', Component: RiddleMechanic, InventoryComponent: RiddleInventory });
+registerMechanic({ id: 'calmness', Component: CalmnessMechanic, InventoryComponent: CalmnessInventory });
+registerMechanic({ id: 'deduction', Component: DeductionMechanic, InventoryComponent: DeductionInventory });
+
+export { getMechanic, hasMechanic, registerMechanic } from '../../engine/mechanics';
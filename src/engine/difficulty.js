@@ -0,0 +1,67 @@
+/**
+ * Difficulty Modes for FOLKLORERUN
+ *
+ * A mode is picked on the creature selection screen and kept for the whole run
+ * (and its restarts). The engine passes the mode's settings to the mechanic
+ * hooks and components as `difficulty`:
+ * - riddleAttempts: wrong riddle answers before the witch lets the player pass
+ * - hintAfterAttempts: wrong answers before the hint shows (0: from the start,
+ *   null: never)
+ * - calmnessScale: multiplier on the Banshee's calmness penalties
+ * - decoyItems: Aswang tools offered besides the right ones (null: the level's
+ *   own; more than the level has are borrowed from other levels)
+ * - riddleTags: difficulty tags of the riddles drawn from a riddle bank
+ * - winThresholdOffset: change to the number of correct answers needed to win
+ *
+ * Normal matches the game before modes existed.
+ */
+
+import { MAX_RIDDLE_ATTEMPTS } from './mechanics/riddle';
+
+export const DIFFICULTY_MODES = {
+  easy: {
+    id: 'easy',
+    label: 'Easy',
+    description: 'Extra riddle attempts, gentler calmness, fewer decoys',
+    riddleAttempts: 3,
+    hintAfterAttempts: 0,
+    calmnessScale: 0.6,
+    decoyItems: 1,
+    riddleTags: ['easy', 'normal'],
+    winThresholdOffset: -1
+  },
+  normal: {
+    id: 'normal',
+    label: 'Normal',
+    description: 'The tale as it is told',
+    riddleAttempts: MAX_RIDDLE_ATTEMPTS,
+    hintAfterAttempts: 1,
+    calmnessScale: 1,
+    decoyItems: null,
+    riddleTags: ['easy', 'normal', 'hard'],
+    winThresholdOffset: 0
+  },
+  nightmare: {
+    id: 'nightmare',
+    label: 'Nightmare',
+    description: 'One riddle attempt, no hints, extra decoys, every answer counts',
+    riddleAttempts: 1,
+    hintAfterAttempts: null,
+    calmnessScale: 1.5,
+    decoyItems: 4,
+    riddleTags: ['normal', 'hard'],
+    winThresholdOffset: 1
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Get a difficulty mode's settings
+ *
+ * @param {string} [id] - Mode id (easy, normal, nightmare)
+ * @returns {object} The mode, or Normal for unknown ids
+ */
+export function getDifficulty(id = DEFAULT_DIFFICULTY) {
+  return DIFFICULTY_MODES[id] || DIFFICULTY_MODES[DEFAULT_DIFFICULTY];
+}
@@ -0,0 +1,73 @@
+/**
+ * Endings for FOLKLORERUN
+ *
+ * Creatures can declare endings in their data, each tied to an outcome and to
+ * conditions on how the run was played:
+ *
+ *   { id, outcome: 'victory' | 'defeat', title, text,
+ *     conditions: { <fact>: { min?, max?, equals?, includes?, excludes? } } }
+ *
+ * Facts come from getRunFacts() in the game engine: correctAnswers, answered
+ * (levels answered), plus whatever the creature's mechanic reports in
+ * summarize() - e.g. finalCalmness (Banshee), hintsRevealed and riddleAttempts
+ * (Baba Yaga), itemsUsed, tokensCollected and combinationsCompleted (Aswang).
+ *
+ * The first ending whose outcome and conditions match is used, so data lists
+ * specific endings before general ones.
+ */
+
+/**
+ * Operators a condition can use
+ */
+export const CONDITION_OPERATORS = ['min', 'max', 'equals', 'includes', 'excludes'];
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Check one fact against a condition
+ *
+ * @param {*} value - Fact value (number, string or array)
+ * @param {object} condition - Operators to check, all of which must hold
+ * @returns {boolean}
+ */
+export function matchesCondition(value, condition) {
+  if (value === undefined || value === null) return false;
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case 'min':
+        return value >= expected;
+      case 'max':
+        return value <= expected;
+      case 'equals':
+        return Array.isArray(value)
+          ? JSON.stringify(value) === JSON.stringify(expected)
+          : value === expected;
+      case 'includes':
+        return asList(expected).every(item => asList(value).includes(item));
+      case 'excludes':
+        return asList(expected).every(item => !asList(value).includes(item));
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Pick the ending a run earned
+ *
+ * @param {object} creature - Creature data object
+ * @param {object} facts - Run facts from getRunFacts()
+ * @returns {object|null} The first matching ending, or null if the creature
+ *   declares none for this outcome (callers fall back to victoryTexts/defeatTexts)
+ */
+export function selectEnding(creature, facts) {
+  const endings = creature && Array.isArray(creature.endings) ? creature.endings : [];
+
+  return endings.find(ending => (
+    ending.outcome === facts.outcome &&
+    Object.entries(ending.conditions || {}).every(([fact, condition]) => (
+      matchesCondition(facts[fact], condition)
+    ))
+  )) || null;
+}
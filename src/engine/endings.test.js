@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { matchesCondition, selectEnding } from './endings';
+
+/**
+ * Tests for choosing an ending from run facts
+ */
+
+describe('endings', () => {
+  it('checks numeric, list and equality conditions', () => {
+    expect(matchesCondition(3, { min: 3 })).toBe(true);
+    expect(matchesCondition(2, { min: 3 })).toBe(false);
+    expect(matchesCondition(65, { min: 50, max: 70 })).toBe(true);
+    expect(matchesCondition(['salt', 'mirror'], { includes: 'mirror' })).toBe(true);
+    expect(matchesCondition(['salt', 'mirror'], { excludes: ['mirror', 'blade'] })).toBe(false);
+    expect(matchesCondition(['salt', 'ember'], { equals: ['salt', 'ember'] })).toBe(true);
+    expect(matchesCondition(['ember', 'salt'], { equals: ['salt', 'ember'] })).toBe(false);
+    expect(matchesCondition(undefined, { max: 0 })).toBe(false);
+    expect(matchesCondition(1, { around: 1 })).toBe(false);
+  });
+
+  it('picks the first ending whose outcome and conditions match', () => {
+    const creature = {
+      endings: [
+        { id: 'flawless', outcome: 'victory', conditions: { correctAnswers: { min: 3 }, hintsRevealed: { max: 0 } } },
+        { id: 'won', outcome: 'victory', conditions: {} },
+        { id: 'lost', outcome: 'defeat', conditions: {} }
+      ]
+    };
+
+    expect(selectEnding(creature, { outcome: 'victory', correctAnswers: 3, hintsRevealed: 0 }).id).toBe('flawless');
+    expect(selectEnding(creature, { outcome: 'victory', correctAnswers: 3, hintsRevealed: 1 }).id).toBe('won');
+    expect(selectEnding(creature, { outcome: 'defeat', correctAnswers: 0 }).id).toBe('lost');
+    expect(selectEnding({}, { outcome: 'victory' })).toBeNull();
+  });
+});
@@ -0,0 +1,783 @@
+/**
+ * Game Engine Core for FOLKLORERUN
+ *
+ * Pure, framework-agnostic rules for the game. Every transition is expressed as
+ * `step(state, action) -> state` with no React, timers or side effects, so whole
+ * playthroughs can run headlessly (tests, CLI, server) and `useGameEngine` only
+ * has to wrap it with `useReducer` and schedule the delayed actions.
+ *
+ * Game Phases:
+ * - intro: Opening video animation
+ * - select: Creature selection screen
+ * - characterReveal: Creature image entrance and close-up animations
+ * - story: Sequential story bubbles
+ * - level: Active gameplay with choices
+ * - levelTransition: Animated crossing between levels
+ * - end: Victory or defeat screen
+ *
+ * Levels form a story graph: a choice can name the `next` level by id or end
+ * the run with an `ending` outcome. Choices without either lead to the next
+ * level in array order, and the run ends after the last one. Whether a run is
+ * won, or lost early, is decided by the creature's win rules (see ./winRules.js)
+ * after every choice. The run's difficulty mode (see ./difficulty.js) is passed
+ * to the mechanic and the win rules. Anything random about a run (such as the
+ * riddles drawn from a riddle bank, see ./riddleBank.js) comes from the run's
+ * `seed`, passed in by the host with SELECT_CREATURE and RESTART_GAME.
+ *
+ * Timed behaviour (the pause that shows a consequence before the level
+ * transition) is modelled as the `awaitingTransition` flag: the host waits
+ * CONSEQUENCE_DELAY_MS and then dispatches BEGIN_LEVEL_TRANSITION. Levels with
+ * a decision timer (see ./timer.js) are counted down by the host, which
+ * dispatches TIME_OUT when the time is up.
+ *
+ * Creature-specific rules (riddles, calmness, deduction) come from the mechanic
+ * registry in ./mechanics, selected by the creature's `coreMechanic`. Finished
+ * runs are matched against the creature's endings (see ./endings.js).
+ *
+ * The state holds the selected creature in the language the run is shown in.
+ * When the language changes, the host dispatches LOCALIZE_CREATURE with the
+ * translated creature, so choices are judged and consequences told in it.
+ *
+ * Requirements: 2.3, 2.4, 2.5, 3.1, 3.6, 4.4, 4.5, 4.6
+ */
+
+import { getMechanic, hasMechanic } from './mechanics';
+import { selectEnding } from './endings';
+import { getWinRules, judgeChoice, meetsDefeatConditions } from './winRules';
+import { DEFAULT_DIFFICULTY, getDifficulty } from './difficulty';
+import { getLevelTimer } from './timer';
+import { normalizeSeed } from './random';
+
+/**
+ * Delay between showing a consequence and starting the level transition (ms)
+ */
+export const CONSEQUENCE_DELAY_MS = 2000;
+
+/**
+ * Action types understood by step()
+ */
+export const ActionTypes = {
+  START_GAME: 'startGame',
+  SELECT_CREATURE: 'selectCreature',
+  COMPLETE_ENTRANCE_ANIMATION: 'completeEntranceAnimation',
+  COMPLETE_CLOSE_UP_ANIMATION: 'completeCloseUpAnimation',
+  ADVANCE_STORY_BUBBLE: 'advanceStoryBubble',
+  MAKE_CHOICE: 'makeChoice',
+  TIME_OUT: 'timeOut',
+  BEGIN_LEVEL_TRANSITION: 'beginLevelTransition',
+  COMPLETE_LEVEL_TRANSITION: 'completeLevelTransition',
+  UPDATE_MECHANIC_STATE: 'updateMechanicState',
+  LOCALIZE_CREATURE: 'localizeCreature',
+  RESTORE_RUN: 'restoreRun',
+  RESTART_GAME: 'restartGame',
+  GO_HOME: 'goHome'
+};
+
+const initialAnimationState = () => ({
+  entranceComplete: false,
+  closeUpComplete: false,
+  storyComplete: false
+});
+
+const defaultMechanicState = () => ({
+  hintsRevealed: 0,
+  calmnessLevel: 100,
+  tokensCollected: []
+});
+
+/**
+ * Look up the registered mechanic for a creature
+ * Requirements: 6.1, 6.2, 6.3
+ *
+ * @param {object} creature - Creature data object
+ * @returns {object} Mechanic plugin ('none' when the creature has no coreMechanic)
+ * @throws {UnknownMechanicError} If coreMechanic names an unregistered mechanic
+ */
+export function getCreatureMechanic(creature) {
+  return getMechanic(creature.coreMechanic || 'none');
+}
+
+/**
+ * Get a level's data as the run plays it
+ *
+ * The creature's mechanic fills in anything it drew for the run, such as the
+ * riddle asked on a level with a riddle pool.
+ *
+ * @param {object} creature - Creature data object
+ * @param {object} mechanicState - Current mechanic state
+ * @param {number} level - Index of the level
+ * @returns {object|undefined} Level data, or undefined if the level doesn't exist
+ */
+export function getLevelData(creature, mechanicState, level) {
+  const levelData = creature.levels ? creature.levels[level] : undefined;
+  if (!levelData) return levelData;
+  return getCreatureMechanic(creature).resolveLevel({ levelData, level, mechanicState, creature });
+}
+
+/**
+ * Build the mechanic state a creature starts its first level with
+ * Requirements: 6.1, 6.2, 6.3
+ *
+ * @param {object} creature - Creature data object
+ * @param {object} [run] - Run settings: seed and difficulty (mode settings)
+ * @returns {object} Initial mechanic state
+ * @throws {UnknownMechanicError} If coreMechanic names an unregistered mechanic
+ */
+export function createMechanicState(creature, run = {}) {
+  const mechanic = getCreatureMechanic(creature);
+  const initial = mechanic.createInitialState(creature, {
+    seed: 0,
+    difficulty: getDifficulty(),
+    ...run
+  });
+  return mechanic.startLevel(initial, getLevelData(creature, initial, 0), 0);
+}
+
+/**
+ * Create the initial engine state (intro phase, no creature)
+ *
+ * @returns {object} Fresh engine state
+ */
+export function createInitialState() {
+  return {
+    gameState: 'intro',
+    selectedCreature: null,
+    currentLevel: 0,
+    outcome: null,
+    endingId: null,
+    consequenceText: '',
+    transitionFrom: 0,
+    nextLevel: null,
+    correctAnswers: 0,
+    animationState: initialAnimationState(),
+    storyBubbleIndex: 0,
+    mechanicState: defaultMechanicState(),
+    awaitingTransition: false,
+    choiceHistory: [],
+    startedAt: null,
+    difficulty: DEFAULT_DIFFICULTY,
+    seed: 0
+  };
+}
+
+/**
+ * Find a creature by id in loaded creature data
+ *
+ * @param {object} creatureData - Object with a `creatures` array
+ * @param {string} creatureId - ID of the creature (baba-yaga, banshee, aswang)
+ * @returns {object|null} The creature, or null if not found
+ */
+export function findCreature(creatureData, creatureId) {
+  if (!creatureData || !Array.isArray(creatureData.creatures)) return null;
+  return creatureData.creatures.find(c => c.id === creatureId) || null;
+}
+
+/**
+ * Get story lines for the selected creature from its data
+ * Requirements: 3.1, 12.1, 12.2, 12.3
+ *
+ * @param {object} state - Engine state
+ * @returns {array} Array of story text lines
+ */
+export function getStoryLines(state) {
+  if (!state.selectedCreature) return [];
+  return Array.isArray(state.selectedCreature.storyLines) ? state.selectedCreature.storyLines : [];
+}
+
+/**
+ * Get current level data for rendering
+ *
+ * @param {object} state - Engine state
+ * @returns {object|null} Current level data or null
+ */
+export function getCurrentLevelData(state) {
+  if (!state.selectedCreature || !state.selectedCreature.levels) {
+    return null;
+  }
+
+  return getLevelData(state.selectedCreature, state.mechanicState, state.currentLevel) || null;
+}
+
+/**
+ * Number of the level being played, counted along the path taken
+ *
+ * In a branching story the level's position in `levels` says nothing about how
+ * far the player has come, so displays count the levels answered instead. While
+ * a consequence or level transition is showing, this is the level just answered.
+ *
+ * @param {object} state - Engine state
+ * @returns {number} 1-based level number (0 before the first level)
+ */
+export function getLevelNumber(state) {
+  const answered = state.choiceHistory.length;
+  return state.gameState === 'level' && !state.awaitingTransition ? answered + 1 : answered;
+}
+
+/**
+ * Work out where a choice leads in the creature's story graph
+ *
+ * @param {object} creature - Creature data object
+ * @param {number} level - Index of the level the choice was made on
+ * @param {object} choice - Choice whose route is followed
+ * @returns {{nextLevel: number|null, ending: string|null}} Index of the next
+ *   level, or the ending outcome when the run is over (null to use the score)
+ */
+export function resolveRoute(creature, level, choice) {
+  if (choice.ending) {
+    return { nextLevel: null, ending: choice.ending };
+  }
+
+  const levels = creature.levels || [];
+  if (choice.next !== undefined) {
+    const nextLevel = levels.findIndex(l => l.id === choice.next);
+    if (nextLevel !== -1) return { nextLevel, ending: null };
+  }
+
+  return { nextLevel: levels[level + 1] ? level + 1 : null, ending: null };
+}
+
+// The choice whose consequence and route follow an answer judged `isCorrect`
+const getShownChoice = (levelData, choice, isCorrect) => (
+  isCorrect === Boolean(choice.isCorrect)
+    ? choice
+    : levelData.choices.find(c => Boolean(c.isCorrect) === isCorrect) || choice
+);
+
+/**
+ * Evaluate a choice with the creature's mechanic
+ *
+ * The mechanic decides whether the choice counts as correct. When it overrides
+ * the choice's own `isCorrect` (e.g. right answer, wrong tool), the consequence
+ * and route of a choice with the matching outcome are used instead.
+ * Requirements: 3.2, 6.4
+ *
+ * @param {object} params
+ * @param {object} params.creature - Creature data object
+ * @param {object} params.levelData - Current level data
+ * @param {object} params.mechanicState - Current mechanic state
+ * @param {number} params.choiceIndex - Index of the selected choice
+ * @returns {{choice: object, isCorrect: boolean, consequence: string, routeChoice: object}|null}
+ *   Evaluation, or null if the choice does not exist
+ */
+export function evaluateChoice({ creature, levelData, mechanicState, choiceIndex }) {
+  const choice = levelData && levelData.choices ? levelData.choices[choiceIndex] : undefined;
+  if (!choice) return null;
+
+  const isCorrect = Boolean(
+    getCreatureMechanic(creature).isChoiceCorrect({ choice, choiceIndex, mechanicState, levelData })
+  );
+  const shown = getShownChoice(levelData, choice, isCorrect);
+
+  return { choice, isCorrect, consequence: shown.consequence, routeChoice: shown };
+}
+
+/**
+ * Work out what running out of time does on a level
+ *
+ * The timer's effect is applied by the creature's mechanic; when the mechanic
+ * can't apply it (or the effect is `incorrect`), the level is answered with its
+ * first wrong choice.
+ *
+ * @param {object} params
+ * @param {object} params.creature - Creature data object
+ * @param {object} params.levelData - Current level data
+ * @param {object} params.mechanicState - Current mechanic state
+ * @param {number} params.depth - Levels answered before this one
+ * @param {object} [params.difficulty] - Difficulty mode settings
+ * @returns {{answered: boolean, choiceIndex: number|null, mechanicState: object|null, consequence: string}|null}
+ *   Whether the level is answered (and with which choice), or the mechanic
+ *   state after the penalty; null if the level has no timer
+ */
+export function evaluateTimeout({ creature, levelData, mechanicState, depth, difficulty = getDifficulty() }) {
+  const timer = getLevelTimer(levelData);
+  if (!timer) return null;
+
+  if (timer.onTimeout !== 'incorrect') {
+    const penalized = getCreatureMechanic(creature).timeOut({
+      mechanicState,
+      effect: timer.onTimeout,
+      levelData,
+      depth,
+      difficulty
+    });
+    if (penalized) {
+      return { answered: false, choiceIndex: null, mechanicState: penalized, consequence: timer.consequence };
+    }
+  }
+
+  const wrongChoice = (levelData.choices || []).findIndex(choice => !choice.isCorrect);
+  return {
+    answered: true,
+    choiceIndex: wrongChoice === -1 ? null : wrongChoice,
+    mechanicState: null,
+    consequence: timer.consequence
+  };
+}
+
+/**
+ * Facts about how a run was played, for choosing its ending
+ *
+ * @param {object} state - Engine state with a selected creature
+ * @returns {object} outcome, correctAnswers, answered (levels answered) and the
+ *   facts reported by the creature's mechanic (see summarize())
+ */
+export function getRunFacts(state) {
+  return {
+    ...getCreatureMechanic(state.selectedCreature).summarize(state.mechanicState, state.selectedCreature),
+    outcome: state.outcome,
+    correctAnswers: state.correctAnswers,
+    answered: state.choiceHistory.length,
+    difficulty: state.difficulty
+  };
+}
+
+/**
+ * Get the ending the finished run earned
+ *
+ * @param {object} state - Engine state
+ * @returns {object|null} Ending from the creature data, or null when none matched
+ */
+export function getEnding(state) {
+  if (!state.selectedCreature || !state.endingId || !Array.isArray(state.selectedCreature.endings)) {
+    return null;
+  }
+  return state.selectedCreature.endings.find(ending => ending.id === state.endingId) || null;
+}
+
+/**
+ * End the run with the outcome the win rules decided, and pick its ending
+ * Requirements: 3.4, 3.5
+ */
+function finishRun(state, outcome) {
+  const finished = { ...state, outcome, gameState: 'end' };
+  const earned = selectEnding(finished.selectedCreature, getRunFacts(finished));
+  return { ...finished, endingId: earned ? earned.id : null };
+}
+
+const canAnswer = (state) => (
+  Boolean(state.selectedCreature) && state.gameState === 'level' && !state.awaitingTransition
+);
+
+/**
+ * Record the answer to the current level and follow its route
+ * Requirements: 3.2, 3.4, 3.5
+ */
+function answerLevel(state, { choiceIndex, choice, isCorrect, consequence, routeChoice, timedOut = false }) {
+  const { selectedCreature, currentLevel } = state;
+  const levelData = getCurrentLevelData(state);
+  const difficulty = getDifficulty(state.difficulty);
+  const answer = timedOut
+    ? { level: currentLevel, choiceIndex, isCorrect, timedOut }
+    : { level: currentLevel, choiceIndex, isCorrect };
+
+  // Display consequence text (Requirement 4.1: within 200ms)
+  const next = {
+    ...state,
+    consequenceText: consequence,
+    choiceHistory: [...state.choiceHistory, answer],
+    mechanicState: getCreatureMechanic(selectedCreature).applyChoice({
+      mechanicState: state.mechanicState,
+      choice,
+      isCorrect,
+      level: currentLevel,
+      depth: state.choiceHistory.length,
+      creature: selectedCreature,
+      difficulty
+    })
+  };
+
+  const answered = { ...next, correctAnswers: state.correctAnswers + (isCorrect ? 1 : 0) };
+  const { nextLevel, ending } = resolveRoute(selectedCreature, currentLevel, routeChoice);
+
+  // Check the creature's win rules - the run may be won or lost here
+  const outcome = judgeChoice({
+    creature: selectedCreature,
+    levelData,
+    isCorrect,
+    facts: getRunFacts(answered),
+    ending,
+    storyOver: nextLevel === null,
+    difficulty
+  });
+  if (outcome) {
+    return finishRun(answered, outcome);
+  }
+
+  // Progress along the route (even with a wrong answer) once the consequence has been shown
+  return { ...answered, nextLevel, awaitingTransition: true };
+}
+
+/**
+ * Handle player choice selection
+ * Requirements: 3.2, 3.4, 3.5
+ */
+function makeChoice(state, choiceIndex) {
+  if (!canAnswer(state)) return state;
+
+  const evaluation = evaluateChoice({
+    creature: state.selectedCreature,
+    levelData: getCurrentLevelData(state),
+    mechanicState: state.mechanicState,
+    choiceIndex
+  });
+
+  return evaluation ? answerLevel(state, { ...evaluation, choiceIndex }) : state;
+}
+
+/**
+ * Handle the level's decision timer running out
+ */
+function timeOut(state) {
+  if (!canAnswer(state)) return state;
+
+  const { selectedCreature: creature } = state;
+  const levelData = getCurrentLevelData(state);
+  const result = evaluateTimeout({
+    creature,
+    levelData,
+    mechanicState: state.mechanicState,
+    depth: state.choiceHistory.length,
+    difficulty: getDifficulty(state.difficulty)
+  });
+
+  if (!result) return state;
+
+  if (!result.answered) {
+    // The level goes on, unless the penalty meets the creature's defeat conditions
+    const penalized = { ...state, mechanicState: result.mechanicState };
+    return meetsDefeatConditions(getWinRules(creature), getRunFacts(penalized))
+      ? finishRun(penalized, 'defeat')
+      : penalized;
+  }
+
+  const choice = result.choiceIndex === null ? {} : levelData.choices[result.choiceIndex];
+  return answerLevel(state, {
+    choiceIndex: result.choiceIndex,
+    choice,
+    isCorrect: false,
+    consequence: result.consequence,
+    routeChoice: choice,
+    timedOut: true
+  });
+}
+
+/**
+ * Tell the consequence of the last answer again, from another copy of the creature
+ */
+function retellConsequence(state, creature) {
+  const last = state.choiceHistory[state.choiceHistory.length - 1];
+  if (!state.consequenceText || !last) return state.consequenceText;
+
+  const levelData = getLevelData(creature, state.mechanicState, last.level);
+  if (!levelData) return state.consequenceText;
+
+  if (last.timedOut) {
+    const timer = getLevelTimer(levelData);
+    return timer ? timer.consequence : state.consequenceText;
+  }
+
+  const choice = levelData.choices && levelData.choices[last.choiceIndex];
+  return choice ? getShownChoice(levelData, choice, last.isCorrect).consequence : state.consequenceText;
+}
+
+/**
+ * Reset run progress, keeping or clearing the selected creature
+ */
+function resetRun(state, gameState, selectedCreature, { at = null, seed = state.seed } = {}) {
+  const run = { seed: normalizeSeed(seed), difficulty: getDifficulty(state.difficulty) };
+  const mechanicState = selectedCreature ? createMechanicState(selectedCreature, run) : defaultMechanicState();
+
+  return {
+    ...state,
+    gameState,
+    selectedCreature,
+    currentLevel: 0,
+    nextLevel: null,
+    outcome: null,
+    endingId: null,
+    correctAnswers: 0,
+    consequenceText: '',
+    storyBubbleIndex: 0,
+    animationState: initialAnimationState(),
+    mechanicState,
+    awaitingTransition: false,
+    choiceHistory: [],
+    startedAt: at,
+    seed: run.seed
+  };
+}
+
+/**
+ * Capture the resumable parts of a run
+ *
+ * Runs are resumed in the story or level phase. A choice waiting for its
+ * level transition is saved as the start of the next level, so reloading can't
+ * answer the same level twice.
+ *
+ * @param {object} state - Engine state
+ * @returns {object|null} Snapshot ({creatureId, gameState, currentLevel,
+ *   correctAnswers, storyBubbleIndex, mechanicState, choiceHistory, startedAt,
+ *   difficulty, seed}), or null when there is nothing to resume
+ */
+export function createSnapshot(state) {
+  const { selectedCreature: creature } = state;
+  if (!creature) return null;
+
+  const snapshot = {
+    creatureId: creature.id,
+    gameState: 'level',
+    currentLevel: state.currentLevel,
+    correctAnswers: state.correctAnswers,
+    storyBubbleIndex: state.storyBubbleIndex,
+    mechanicState: state.mechanicState,
+    choiceHistory: state.choiceHistory,
+    startedAt: state.startedAt,
+    difficulty: state.difficulty,
+    seed: state.seed
+  };
+
+  switch (state.gameState) {
+    case 'characterReveal':
+    case 'story':
+      return { ...snapshot, gameState: 'story' };
+
+    case 'level':
+      if (!state.awaitingTransition) return snapshot;
+    // Falls through: the level is answered, resume at the next one
+    case 'levelTransition': {
+      const { nextLevel } = state;
+      if (nextLevel === null || !creature.levels || !creature.levels[nextLevel]) return null;
+      return {
+        ...snapshot,
+        currentLevel: nextLevel,
+        mechanicState: getCreatureMechanic(creature).startLevel(
+          state.mechanicState,
+          getLevelData(creature, state.mechanicState, nextLevel),
+          nextLevel
+        )
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe a finished run for the run history
+ *
+ * @param {object} state - Engine state in the end phase
+ * @param {number} endedAt - Time the run ended (ms since epoch)
+ * @returns {object|null} Run record, or null if the run hasn't ended
+ */
+export function createRunRecord(state, endedAt) {
+  const { selectedCreature: creature } = state;
+  if (state.gameState !== 'end' || !creature) return null;
+
+  return {
+    creatureId: creature.id,
+    creatureName: creature.name,
+    outcome: state.outcome,
+    endingId: state.endingId,
+    difficulty: state.difficulty,
+    seed: state.seed,
+    correctAnswers: state.correctAnswers,
+    choices: state.choiceHistory,
+    mechanic: getCreatureMechanic(creature).summarize(state.mechanicState, creature),
+    startedAt: state.startedAt,
+    endedAt,
+    durationMs: state.startedAt !== null ? Math.max(0, endedAt - state.startedAt) : null
+  };
+}
+
+/**
+ * Advance the engine by one action
+ *
+ * Unknown or invalid actions return the same state object, so callers can
+ * detect no-ops with an identity check.
+ *
+ * @param {object} state - Current engine state
+ * @param {object} action - Action with a `type` from ActionTypes and its payload
+ * @returns {object} Next engine state
+ */
+export function step(state, action) {
+  switch (action.type) {
+    // Requirements: 1.3
+    case ActionTypes.START_GAME:
+      return { ...state, gameState: 'select' };
+
+    // Requirements: 2.3, 2.4
+    case ActionTypes.SELECT_CREATURE: {
+      const { creature } = action;
+      // Creatures with an unregistered mechanic cannot be played (the host reports them)
+      if (!creature || !hasMechanic(creature.coreMechanic || 'none')) return state;
+
+      const difficulty = action.difficulty ? getDifficulty(action.difficulty).id : state.difficulty;
+      const seed = normalizeSeed(action.seed ?? 0);
+
+      return {
+        ...state,
+        selectedCreature: creature,
+        currentLevel: 0,
+        nextLevel: null,
+        outcome: null,
+        endingId: null,
+        consequenceText: '',
+        storyBubbleIndex: 0,
+        correctAnswers: 0,
+        animationState: initialAnimationState(),
+        mechanicState: createMechanicState(creature, {
+          seed,
+          difficulty: getDifficulty(difficulty)
+        }),
+        awaitingTransition: false,
+        choiceHistory: [],
+        startedAt: action.at ?? null,
+        difficulty,
+        seed,
+        gameState: 'characterReveal'
+      };
+    }
+
+    // Requirements: 2.4
+    case ActionTypes.COMPLETE_ENTRANCE_ANIMATION:
+      return {
+        ...state,
+        animationState: { ...state.animationState, entranceComplete: true }
+      };
+
+    // Requirements: 2.5, 3.1
+    case ActionTypes.COMPLETE_CLOSE_UP_ANIMATION:
+      return {
+        ...state,
+        animationState: { ...state.animationState, closeUpComplete: true },
+        gameState: 'story'
+      };
+
+    // Requirements: 3.1
+    case ActionTypes.ADVANCE_STORY_BUBBLE: {
+      if (!state.selectedCreature) return state;
+
+      // Bubble count comes from the creature's story lines
+      const totalBubbles = getStoryLines(state).length;
+
+      if (state.storyBubbleIndex < totalBubbles - 1) {
+        return { ...state, storyBubbleIndex: state.storyBubbleIndex + 1 };
+      }
+
+      // All bubbles shown, mark story as complete and transition to level
+      return {
+        ...state,
+        animationState: { ...state.animationState, storyComplete: true },
+        gameState: 'level'
+      };
+    }
+
+    case ActionTypes.MAKE_CHOICE:
+      return makeChoice(state, action.choiceIndex);
+
+    case ActionTypes.TIME_OUT:
+      return timeOut(state);
+
+    case ActionTypes.BEGIN_LEVEL_TRANSITION:
+      if (!state.awaitingTransition) return state;
+      return {
+        ...state,
+        transitionFrom: state.currentLevel,
+        gameState: 'levelTransition',
+        consequenceText: '',
+        awaitingTransition: false
+      };
+
+    case ActionTypes.COMPLETE_LEVEL_TRANSITION: {
+      // Only a running transition can complete (a run can end before its last level)
+      if (state.gameState !== 'levelTransition') return state;
+      const currentLevel = state.nextLevel ?? state.currentLevel + 1;
+      const mechanicState = state.selectedCreature
+        ? getCreatureMechanic(state.selectedCreature).startLevel(
+          state.mechanicState,
+          getLevelData(state.selectedCreature, state.mechanicState, currentLevel),
+          currentLevel
+        )
+        : state.mechanicState;
+      return { ...state, currentLevel, nextLevel: null, mechanicState, gameState: 'level' };
+    }
+
+    // Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
+    case ActionTypes.UPDATE_MECHANIC_STATE:
+      return {
+        ...state,
+        mechanicState: { ...state.mechanicState, ...action.updates }
+      };
+
+    // The selected creature in another language; the run goes on where it is
+    case ActionTypes.LOCALIZE_CREATURE: {
+      const { creature } = action;
+      const { selectedCreature } = state;
+      if (!creature || !selectedCreature || creature === selectedCreature || creature.id !== selectedCreature.id) {
+        return state;
+      }
+
+      return { ...state, selectedCreature: creature, consequenceText: retellConsequence(state, creature) };
+    }
+
+    // Resume a saved run (see createSnapshot) straight into the story or level
+    case ActionTypes.RESTORE_RUN: {
+      const { snapshot, creature } = action;
+      if (!snapshot || !creature || !hasMechanic(creature.coreMechanic || 'none')) return state;
+
+      return {
+        ...createInitialState(),
+        selectedCreature: creature,
+        gameState: snapshot.gameState,
+        currentLevel: snapshot.currentLevel,
+        correctAnswers: snapshot.correctAnswers,
+        storyBubbleIndex: snapshot.storyBubbleIndex,
+        mechanicState: snapshot.mechanicState,
+        choiceHistory: Array.isArray(snapshot.choiceHistory) ? snapshot.choiceHistory : [],
+        startedAt: snapshot.startedAt ?? null,
+        difficulty: getDifficulty(snapshot.difficulty).id,
+        seed: normalizeSeed(snapshot.seed ?? 0),
+        animationState: {
+          entranceComplete: true,
+          closeUpComplete: true,
+          storyComplete: snapshot.gameState === 'level'
+        }
+      };
+    }
+
+    // Requirements: 13.5 - keep selected creature, restart from character reveal
+    // (with a new seed when the host passes one)
+    case ActionTypes.RESTART_GAME:
+      return resetRun(state, 'characterReveal', state.selectedCreature, {
+        at: action.at ?? null,
+        seed: action.seed ?? state.seed
+      });
+
+    // Requirements: 15.2 - reset everything including creature
+    case ActionTypes.GO_HOME:
+      return resetRun(state, 'select', null);
+
+    default:
+      return state;
+  }
+}
+
+/**
+ * Run a list of actions through the engine
+ *
+ * Delayed transitions are applied immediately, which makes this suitable for
+ * headless playthroughs where no timers exist.
+ *
+ * @param {object} state - Starting engine state
+ * @param {array} actions - Actions to apply in order
+ * @returns {object} Final engine state
+ */
+export function runActions(state, actions) {
+  return actions.reduce((current, action) => {
+    const next = step(current, action);
+    return next.awaitingTransition
+      ? step(next, { type: ActionTypes.BEGIN_LEVEL_TRANSITION })
+      : next;
+  }, state);
+}
@@ -0,0 +1,630 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fc from 'fast-check';
+import {
+  ActionTypes,
+  createInitialState,
+  createRunRecord,
+  createSnapshot,
+  evaluateChoice,
+  evaluateTimeout,
+  findCreature,
+  getCurrentLevelData,
+  getEnding,
+  getLevelNumber,
+  getRunFacts,
+  getStoryLines,
+  resolveRoute,
+  runActions,
+  step
+} from './gameEngine';
+import { registerMechanic, unregisterMechanic } from './mechanics';
+import { evaluateCombinations } from './mechanics/deduction';
+import { fallbackCreatureData } from '../fallbackData';
+import creaturesGameData from '../../public/creatures_game_data.json';
+
+/**
+ * Tests for the pure game engine core
+ *
+ * Whole playthroughs run headlessly through step()/runActions() without
+ * rendering React or advancing timers.
+ */
+
+const selectAndReachLevel = (creature) => {
+  const actions = [
+    { type: ActionTypes.START_GAME },
+    { type: ActionTypes.SELECT_CREATURE, creature },
+    { type: ActionTypes.COMPLETE_ENTRANCE_ANIMATION },
+    { type: ActionTypes.COMPLETE_CLOSE_UP_ANIMATION }
+  ];
+  const totalBubbles = creature.storyLines.length;
+  for (let i = 0; i < totalBubbles; i++) {
+    actions.push({ type: ActionTypes.ADVANCE_STORY_BUBBLE });
+  }
+  return runActions(createInitialState(), actions);
+};
+
+// Picks the answer for each level, first using an item that satisfies it on deduction levels
+const playLevels = (state, picks) => runActions(
+  state,
+  picks.flatMap((pickCorrect, level) => {
+    const { choices, items = [] } = state.selectedCreature.levels[level];
+    const choiceIndex = choices.findIndex(c => c.isCorrect === pickCorrect);
+    const item = items.find(i => i.satisfies.includes(choiceIndex)) || items[0];
+    const actions = [];
+    if (item) actions.push({ type: ActionTypes.UPDATE_MECHANIC_STATE, updates: { selectedItem: item.id } });
+    actions.push({ type: ActionTypes.MAKE_CHOICE, choiceIndex });
+    if (level < 2) actions.push({ type: ActionTypes.COMPLETE_LEVEL_TRANSITION });
+    return actions;
+  })
+);
+
+describe('gameEngine', () => {
+  afterEach(() => {
+    unregisterMechanic('coin-flip');
+  });
+
+  it('starts in the intro phase with no creature', () => {
+    const state = createInitialState();
+    expect(state.gameState).toBe('intro');
+    expect(state.selectedCreature).toBeNull();
+    expect(state.mechanicState).toEqual({
+      hintsRevealed: 0,
+      calmnessLevel: 100,
+      tokensCollected: []
+    });
+  });
+
+  it('returns the same state for unknown actions and invalid choices', () => {
+    const state = createInitialState();
+    expect(step(state, { type: 'nonsense' })).toBe(state);
+    expect(step(state, { type: ActionTypes.MAKE_CHOICE, choiceIndex: 0 })).toBe(state);
+    expect(step(state, { type: ActionTypes.SELECT_CREATURE, creature: null })).toBe(state);
+  });
+
+  it('finds creatures by id', () => {
+    expect(findCreature(fallbackCreatureData, 'banshee').name).toBe('Banshee');
+    expect(findCreature(fallbackCreatureData, 'missing')).toBeNull();
+    expect(findCreature(null, 'banshee')).toBeNull();
+  });
+
+  it('reaches the level phase after all story bubbles', () => {
+    const creature = findCreature(fallbackCreatureData, 'aswang');
+    const state = selectAndReachLevel(creature);
+
+    expect(state.gameState).toBe('level');
+    expect(state.storyBubbleIndex).toBe(4);
+    expect(state.animationState).toEqual({
+      entranceComplete: true,
+      closeUpComplete: true,
+      storyComplete: true
+    });
+    expect(getStoryLines(state)).toHaveLength(5);
+    expect(getCurrentLevelData(state)).toBe(creature.levels[0]);
+  });
+
+  it('derives the story bubble count from the creature data', () => {
+    const creature = {
+      ...findCreature(fallbackCreatureData, 'banshee'),
+      storyLines: ['First line.', 'Second line.']
+    };
+    const selected = step(createInitialState(), { type: ActionTypes.SELECT_CREATURE, creature });
+    const once = step(selected, { type: ActionTypes.ADVANCE_STORY_BUBBLE });
+    const twice = step(once, { type: ActionTypes.ADVANCE_STORY_BUBBLE });
+
+    expect(getStoryLines(selected)).toEqual(['First line.', 'Second line.']);
+    expect(once.gameState).toBe('characterReveal');
+    expect(once.storyBubbleIndex).toBe(1);
+    expect(twice.gameState).toBe('level');
+  });
+
+  it('waits for the consequence before transitioning between levels', () => {
+    const creature = findCreature(fallbackCreatureData, 'baba-yaga');
+    const atLevel = selectAndReachLevel(creature);
+    const chosen = step(atLevel, { type: ActionTypes.MAKE_CHOICE, choiceIndex: 0 });
+
+    expect(chosen.gameState).toBe('level');
+    expect(chosen.awaitingTransition).toBe(true);
+    expect(chosen.consequenceText).toBe(creature.levels[0].choices[0].consequence);
+    expect(step(chosen, { type: ActionTypes.MAKE_CHOICE, choiceIndex: 1 })).toBe(chosen);
+
+    const transitioning = step(chosen, { type: ActionTypes.BEGIN_LEVEL_TRANSITION });
+    expect(transitioning.gameState).toBe('levelTransition');
+    expect(transitioning.transitionFrom).toBe(0);
+    expect(transitioning.consequenceText).toBe('');
+
+    const next = step(transitioning, { type: ActionTypes.COMPLETE_LEVEL_TRANSITION });
+    expect(next.gameState).toBe('level');
+    expect(next.currentLevel).toBe(1);
+  });
+
+  it('ignores a stale level transition after going home', () => {
+    const creature = findCreature(fallbackCreatureData, 'baba-yaga');
+    const chosen = step(selectAndReachLevel(creature), { type: ActionTypes.MAKE_CHOICE, choiceIndex: 0 });
+    const home = step(chosen, { type: ActionTypes.GO_HOME });
+
+    expect(step(home, { type: ActionTypes.BEGIN_LEVEL_TRANSITION })).toBe(home);
+    expect(home.gameState).toBe('select');
+    expect(home.selectedCreature).toBeNull();
+  });
+
+  it('drains Banshee calmness on wrong choices', () => {
+    const creature = findCreature(fallbackCreatureData, 'banshee');
+    const state = playLevels(selectAndReachLevel(creature), [false, false, false]);
+
+    expect(state.mechanicState.calmnessLevel).toBe(10);
+    expect(state.outcome).toBe('defeat');
+  });
+
+  it('judges choices with the deduction mechanic', () => {
+    const creature = findCreature(creaturesGameData, 'aswang');
+    const atLevel = selectAndReachLevel(creature);
+    const levelData = getCurrentLevelData(atLevel);
+    const correctIndex = levelData.choices.findIndex(c => c.isCorrect);
+    const wrongTool = step(atLevel, { type: ActionTypes.UPDATE_MECHANIC_STATE, updates: { selectedItem: 'mirror' } });
+    const rightTool = step(atLevel, { type: ActionTypes.UPDATE_MECHANIC_STATE, updates: { selectedItem: 'salt' } });
+
+    const evaluation = evaluateChoice({
+      creature,
+      levelData,
+      mechanicState: wrongTool.mechanicState,
+      choiceIndex: correctIndex
+    });
+    expect(evaluation.isCorrect).toBe(false);
+    expect(evaluation.consequence).toBe(levelData.choices.find(c => !c.isCorrect).consequence);
+
+    expect(step(wrongTool, { type: ActionTypes.MAKE_CHOICE, choiceIndex: correctIndex }).correctAnswers).toBe(0);
+    expect(step(rightTool, { type: ActionTypes.MAKE_CHOICE, choiceIndex: correctIndex }).correctAnswers).toBe(1);
+
+    const nextLevel = runActions(rightTool, [
+      { type: ActionTypes.MAKE_CHOICE, choiceIndex: correctIndex },
+      { type: ActionTypes.COMPLETE_LEVEL_TRANSITION }
+    ]);
+    expect(nextLevel.mechanicState.selectedItem).toBeNull();
+  });
+
+  it('collects Aswang tokens across levels in order', () => {
+    const creature = findCreature(creaturesGameData, 'aswang');
+    const state = playLevels(selectAndReachLevel(creature), [true, true, true]);
+    const [rite] = evaluateCombinations(creature.combinations, state.mechanicState.tokensCollected);
+
+    expect(state.mechanicState.tokensCollected).toEqual(['salt', 'ember', 'speak-name']);
+    expect(rite).toEqual(expect.objectContaining({ id: 'hunters-rite', complete: true }));
+  });
+
+  it('snapshots resumable runs and restores them', () => {
+    const creature = findCreature(fallbackCreatureData, 'banshee');
+    const atLevel = selectAndReachLevel(creature);
+    const answered = step(atLevel, { type: ActionTypes.MAKE_CHOICE, choiceIndex: 1 });
+
+    expect(createSnapshot(createInitialState())).toBeNull();
+    expect(createSnapshot(step(createInitialState(), { type: ActionTypes.SELECT_CREATURE, creature })))
+      .toEqual(expect.objectContaining({ creatureId: 'banshee', gameState: 'story', currentLevel: 0 }));
+    expect(createSnapshot(atLevel)).toEqual(expect.objectContaining({ gameState: 'level', currentLevel: 0 }));
+
+    // An answered level is saved as the start of the next one
+    const snapshot = createSnapshot(answered);
+    expect(snapshot).toEqual(expect.objectContaining({
+      gameState: 'level',
+      currentLevel: 1,
+      correctAnswers: answered.correctAnswers,
+      mechanicState: answered.mechanicState
+    }));
+    expect(createSnapshot(playLevels(atLevel, [true, true, true]))).toBeNull();
+
+    const restored = step(createInitialState(), { type: ActionTypes.RESTORE_RUN, snapshot, creature });
+    expect(restored.gameState).toBe('level');
+    expect(restored.selectedCreature).toBe(creature);
+    expect(restored.currentLevel).toBe(1);
+    expect(restored.animationState.storyComplete).toBe(true);
+    expect(restored.awaitingTransition).toBe(false);
+    expect(createSnapshot(restored)).toEqual(snapshot);
+  });
+
+  it('carries on a run with its creature in another language', () => {
+    const creature = findCreature(fallbackCreatureData, 'banshee');
+    const translated = {
+      ...creature,
+      levels: creature.levels.map(level => ({
+        ...level,
+        choices: level.choices.map(choice => ({ ...choice, consequence: `tl: ${choice.consequence}` }))
+      }))
+    };
+    const answered = step(selectAndReachLevel(creature), { type: ActionTypes.MAKE_CHOICE, choiceIndex: 1 });
+
+    const localized = step(answered, { type: ActionTypes.LOCALIZE_CREATURE, creature: translated });
+    expect(localized.selectedCreature).toBe(translated);
+    expect(localized.consequenceText).toBe(`tl: ${answered.consequenceText}`);
+    expect(localized.choiceHistory).toBe(answered.choiceHistory);
+    expect(localized.mechanicState).toBe(answered.mechanicState);
+
+    // Later answers are told in the new language
+    const next = [
+      { type: ActionTypes.BEGIN_LEVEL_TRANSITION },
+      { type: ActionTypes.COMPLETE_LEVEL_TRANSITION },
+      { type: ActionTypes.MAKE_CHOICE, choiceIndex: 0 }
+    ].reduce(step, localized);
+    expect(next.consequenceText).toBe(translated.levels[1].choices[0].consequence);
+
+    // Another creature, or none selected, is left alone
+    const other = findCreature(fallbackCreatureData, 'aswang');
+    expect(step(answered, { type: ActionTypes.LOCALIZE_CREATURE, creature: other })).toBe(answered);
+    expect(step(createInitialState(), { type: ActionTypes.LOCALIZE_CREATURE, creature: translated }))
+      .toEqual(createInitialState());
+  });
+
+  it('follows choices through a branching story graph', () => {
+    const banshee = findCreature(fallbackCreatureData, 'banshee');
+    const level = (id, choices) => ({ id, sceneText: id, enrichedScene: id, choices });
+    const creature = {
+      ...banshee,
+      levels: [
+        level('shore', [
+          { text: 'Follow the keening', isCorrect: true, consequence: 'You climb.', next: 'cliff' },
+          { text: 'Hide in the boat', isCorrect: false, consequence: 'You drift.', next: 'boat' }
+        ]),
+        level('boat', [
+          { text: 'Row back', isCorrect: true, consequence: 'You land.', next: 'cliff' },
+          { text: 'Sleep', isCorrect: false, consequence: 'The tide takes you.', ending: 'defeat' }
+        ]),
+        level('cliff', [
+          { text: 'Answer her', isCorrect: true, consequence: 'She quiets.' },
+          { text: 'Cover your ears', isCorrect: false, consequence: 'Her wail breaks you.' }
+        ])
+      ]
+    };
+    const atLevel = selectAndReachLevel(creature);
+    const choose = (state, choiceIndex) => runActions(state, [
+      { type: ActionTypes.MAKE_CHOICE, choiceIndex },
+      { type: ActionTypes.COMPLETE_LEVEL_TRANSITION }
+    ]);
+
+    expect(resolveRoute(creature, 0, creature.levels[0].choices[1])).toEqual({ nextLevel: 1, ending: null });
+    expect(resolveRoute(creature, 2, creature.levels[2].choices[0])).toEqual({ nextLevel: null, ending: null });
+
+    // Skipping the side scene goes straight to the cliff, the last level on the route
+    const direct = choose(atLevel, 0);
+    expect(direct.currentLevel).toBe(2);
+    expect(getLevelNumber(direct)).toBe(2);
+    const won = step(direct, { type: ActionTypes.MAKE_CHOICE, choiceIndex: 0 });
+    expect(won.outcome).toBe('victory');
+
+    // A detour through the boat makes the story one level longer
+    const detour = choose(choose(atLevel, 1), 0);
+    expect(detour.currentLevel).toBe(2);
+    expect(getLevelNumber(detour)).toBe(3);
+    expect(step(detour, { type: ActionTypes.MAKE_CHOICE, choiceIndex: 0 }).outcome).toBe('victory');
+    expect(step(detour, { type: ActionTypes.MAKE_CHOICE, choiceIndex: 1 }).outcome).toBe('defeat');
+
+    // An ending finishes the run at once
+    const drowned = step(choose(atLevel, 1), { type: ActionTypes.MAKE_CHOICE, choiceIndex: 1 });
+    expect(drowned.gameState).toBe('end');
+    expect(drowned.outcome).toBe('defeat');
+    expect(drowned.choiceHistory.map(c => c.level)).toEqual([0, 1]);
+  });
+
+  it('saves a branching run at the level the route leads to', () => {
+    const baba = findCreature(fallbackCreatureData, 'baba-yaga');
+    const creature = {
+      ...baba,
+      levels: baba.levels.map((level, index) => (index === 0
+        ? { ...level, choices: level.choices.map(choice => ({ ...choice, next: 'last' })) }
+        : index === 2 ? { ...level, id: 'last' } : level))
+    };
+    const answered = step(selectAndReachLevel(creature), { type: ActionTypes.MAKE_CHOICE, choiceIndex: 0 });
+
+    expect(answered.nextLevel).toBe(2);
+    expect(createSnapshot(answered)).toEqual(expect.objectContaining({ gameState: 'level', currentLevel: 2 }));
+  });
+
+  it('branches the shipped Aswang story', () => {
+    const aswang = findCreature(creaturesGameData, 'aswang');
+    const atLevel = selectAndReachLevel(aswang);
+    const wrongIndex = (level) => aswang.levels[level].choices.findIndex(c => !c.isCorrect);
+
+    // Inviting it inside skips the ember and goes straight to its stolen name
+    const invited = runActions(atLevel, [
+      { type: ActionTypes.MAKE_CHOICE, choiceIndex: wrongIndex(0) },
+      { type: ActionTypes.COMPLETE_LEVEL_TRANSITION }
+    ]);
+    expect(aswang.levels[invited.currentLevel].id).toBe('stolen-name');
+    expect(getLevelNumber(invited)).toBe(2);
+
+    // Trusting the mirror ends the run on the spot
+    const ward = playLevels(atLevel, [true]);
+    const mirrored = runActions(ward, [
+      { type: ActionTypes.UPDATE_MECHANIC_STATE, updates: { selectedItem: 'mirror' } },
+      { type: ActionTypes.MAKE_CHOICE, choiceIndex: wrongIndex(1) }
+    ]);
+    expect(mirrored.gameState).toBe('end');
+    expect(mirrored.outcome).toBe('defeat');
+    expect(getEnding(mirrored).id).toBe('the-mirror-lied');
+  });
+
+  it('applies per-creature win rules after every choice', () => {
+    const banshee = findCreature(fallbackCreatureData, 'banshee');
+
+    // Calmness at zero ends the run before the story does
+    const fragile = { ...banshee, rules: { defeatIf: { finalCalmness: { max: 0 } } } };
+    const atLevel = runActions(selectAndReachLevel(fragile), [
+      { type: ActionTypes.UPDATE_MECHANIC_STATE, updates: { calmnessLevel: 20 } }
+    ]);
+    const broken = playLevels(atLevel, [false]);
+    expect(broken.gameState).toBe('end');
+    expect(broken.outcome).toBe('defeat');
+    expect(broken.choiceHistory).toHaveLength(1);
+
+    // A wrong answer on a sudden death level loses at once
+    const suddenDeath = {
+      ...banshee,
+      levels: banshee.levels.map((level, index) => (index === 1 ? { ...level, suddenDeath: true } : level))
+    };
+    const fell = playLevels(selectAndReachLevel(suddenDeath), [true, false]);
+    expect(fell.outcome).toBe('defeat');
+    expect(fell.currentLevel).toBe(1);
+
+    // A stricter threshold turns a 2 of 3 win into a defeat
+    const strict = { ...banshee, rules: { winThreshold: 3 } };
+    expect(playLevels(selectAndReachLevel(strict), [true, false, true]).outcome).toBe('defeat');
+    expect(playLevels(selectAndReachLevel(strict), [true, true, true]).outcome).toBe('victory');
+
+    // Rules can ask for a finished Aswang rite
+    const aswang = findCreature(creaturesGameData, 'aswang');
+    const ritual = {
+      ...aswang,
+      rules: { defeatIf: { answered: { min: 3 }, combinationsCompleted: { excludes: 'hunters-rite' } } }
+    };
+    const strikeFirst = (creature) => runActions(playLevels(selectAndReachLevel(creature), [true, true]), [
+      { type: ActionTypes.UPDATE_MECHANIC_STATE, updates: { selectedItem: 'blade' } },
+      { type: ActionTypes.MAKE_CHOICE, choiceIndex: 1 }
+    ]);
+    expect(playLevels(selectAndReachLevel(ritual), [true, true, true]).outcome).toBe('victory');
+    expect(strikeFirst(ritual).outcome).toBe('defeat');
+    expect(strikeFirst(aswang).outcome).toBe('victory');
+  });
+
+  it('answers a timed level with a wrong choice when the time runs out', () => {
+    const aswang = findCreature(fallbackCreatureData, 'aswang');
+    const timed = {
+      ...aswang,
+      levels: aswang.levels.map((level, index) => (
+        index === 0 ? { ...level, timer: { seconds: 10, consequence: 'Too slow.' } } : level
+      ))
+    };
+    const atLevel = selectAndReachLevel(timed);
+    const wrongChoice = timed.levels[0].choices.findIndex(c => !c.isCorrect);
+
+    const late = step(atLevel, { type: ActionTypes.TIME_OUT });
+    expect(late.consequenceText).toBe('Too slow.');
+    expect(late.awaitingTransition).toBe(true);
+    expect(late.correctAnswers).toBe(0);
+    expect(late.choiceHistory).toEqual([
+      { level: 0, choiceIndex: wrongChoice, isCorrect: false, timedOut: true }
+    ]);
+
+    // Already answered, and untimed levels, ignore the timeout
+    expect(step(late, { type: ActionTypes.TIME_OUT })).toBe(late);
+    const untimed = playLevels(atLevel, [true]);
+    expect(step(untimed, { type: ActionTypes.TIME_OUT })).toBe(untimed);
+  });
+
+  it('applies mechanic timeout penalties and keeps the level going', () => {
+    const banshee = findCreature(fallbackCreatureData, 'banshee');
+    const draining = {
+      ...banshee,
+      rules: { defeatIf: { finalCalmness: { max: 0 } } },
+      levels: banshee.levels.map(level => ({ ...level, timer: { seconds: 20, onTimeout: 'calmness-drain' } }))
+    };
+    const atLevel = selectAndReachLevel(draining);
+
+    const drained = step(atLevel, { type: ActionTypes.TIME_OUT });
+    expect(drained.mechanicState.calmnessLevel).toBe(75);
+    expect(drained.gameState).toBe('level');
+    expect(drained.choiceHistory).toHaveLength(0);
+
+    // Draining to zero meets the defeat rule
+    const silent = runActions(atLevel, Array(4).fill({ type: ActionTypes.TIME_OUT }));
+    expect(silent.outcome).toBe('defeat');
+    expect(silent.choiceHistory).toHaveLength(0);
+
+    // A failed riddle unlocks the choices; the next timeout answers the level
+    const babaYaga = findCreature(fallbackCreatureData, 'baba-yaga');
+    const riddling = {
+      ...babaYaga,
+      levels: babaYaga.levels.map(level => ({ ...level, timer: { seconds: 60, onTimeout: 'riddle-fail' } }))
+    };
+    const failed = step(selectAndReachLevel(riddling), { type: ActionTypes.TIME_OUT });
+    expect(failed.mechanicState).toEqual(expect.objectContaining({ riddleSolved: true, riddleAttempts: 1 }));
+    expect(failed.choiceHistory).toHaveLength(0);
+    expect(step(failed, { type: ActionTypes.TIME_OUT }).choiceHistory[0].timedOut).toBe(true);
+
+    // Effects the creature's mechanic doesn't know count as a wrong answer
+    expect(evaluateTimeout({
+      creature: banshee,
+      levelData: riddling.levels[0],
+      mechanicState: atLevel.mechanicState,
+      depth: 0
+    }).answered).toBe(true);
+  });
+
+  it('keeps the difficulty mode for the run, its restarts and its save', () => {
+    const creature = findCreature(fallbackCreatureData, 'banshee');
+    const selected = step(createInitialState(), { type: ActionTypes.SELECT_CREATURE, creature, difficulty: 'nightmare' });
+    const atLevel = runActions(selected, [
+      { type: ActionTypes.COMPLETE_ENTRANCE_ANIMATION },
+      { type: ActionTypes.COMPLETE_CLOSE_UP_ANIMATION },
+      ...creature.storyLines.map(() => ({ type: ActionTypes.ADVANCE_STORY_BUBBLE }))
+    ]);
+
+    expect(createInitialState().difficulty).toBe('normal');
+    expect(step(createInitialState(), { type: ActionTypes.SELECT_CREATURE, creature, difficulty: 'impossible' }).difficulty)
+      .toBe('normal');
+    expect(createSnapshot(atLevel).difficulty).toBe('nightmare');
+
+    // Nightmare drains more calmness and needs every answer right
+    const scraped = playLevels(atLevel, [true, false, true]);
+    expect(scraped.mechanicState.calmnessLevel).toBe(55);
+    expect(scraped.outcome).toBe('defeat');
+    expect(createRunRecord(scraped, 0).difficulty).toBe('nightmare');
+    expect(step(scraped, { type: ActionTypes.RESTART_GAME }).difficulty).toBe('nightmare');
+
+    const easy = step(scraped, { type: ActionTypes.SELECT_CREATURE, creature, difficulty: 'easy' });
+    expect(playLevels(runActions(easy, [
+      { type: ActionTypes.COMPLETE_ENTRANCE_ANIMATION },
+      { type: ActionTypes.COMPLETE_CLOSE_UP_ANIMATION },
+      ...creature.storyLines.map(() => ({ type: ActionTypes.ADVANCE_STORY_BUBBLE }))
+    ]), [true, false, false]).outcome).toBe('victory');
+  });
+
+  it('picks the ending that matches how the run was played', () => {
+    const banshee = findCreature(creaturesGameData, 'banshee');
+    const aswang = findCreature(creaturesGameData, 'aswang');
+
+    const flawless = playLevels(selectAndReachLevel(banshee), [true, true, true]);
+    expect(getRunFacts(flawless)).toEqual(expect.objectContaining({
+      outcome: 'victory',
+      correctAnswers: 3,
+      answered: 3,
+      finalCalmness: 100
+    }));
+    expect(getEnding(flawless).id).toBe('the-lullaby');
+    expect(getEnding(playLevels(selectAndReachLevel(banshee), [true, false, true])).id).toBe('sorrow-eased');
+    expect(getEnding(playLevels(selectAndReachLevel(banshee), [false, false, false])).id).toBe('eternal-chorus');
+
+    const hunter = playLevels(selectAndReachLevel(aswang), [true, true, true]);
+    expect(getRunFacts(hunter).itemsUsed).toEqual(['salt', 'ember', 'speak-name']);
+    expect(getRunFacts(hunter).combinationsCompleted).toEqual(['hunters-rite']);
+    expect(getEnding(hunter).id).toBe('keeper-of-the-old-ways');
+
+    const trustedMirror = runActions(selectAndReachLevel(aswang), [0, 1, 2].flatMap(level => [
+      { type: ActionTypes.UPDATE_MECHANIC_STATE, updates: { selectedItem: 'mirror' } },
+      { type: ActionTypes.MAKE_CHOICE, choiceIndex: aswang.levels[level].choices.findIndex(c => c.isCorrect) },
+      { type: ActionTypes.COMPLETE_LEVEL_TRANSITION }
+    ]).slice(0, -1));
+    expect(trustedMirror.outcome).toBe('defeat');
+    expect(getEnding(trustedMirror).id).toBe('the-mirror-lied');
+    expect(getEnding(step(flawless, { type: ActionTypes.RESTART_GAME }))).toBeNull();
+  });
+
+  it('asks the riddles drawn with the run seed, and keeps them when resumed', () => {
+    const babaYaga = findCreature(creaturesGameData, 'baba-yaga');
+    const start = (seed) => runActions(createInitialState(), [
+      { type: ActionTypes.SELECT_CREATURE, creature: babaYaga, seed },
+      { type: ActionTypes.COMPLETE_ENTRANCE_ANIMATION },
+      { type: ActionTypes.COMPLETE_CLOSE_UP_ANIMATION },
+      ...babaYaga.storyLines.map(() => ({ type: ActionTypes.ADVANCE_STORY_BUBBLE }))
+    ]);
+    const atLevel = start(7);
+    const { riddleDraw } = atLevel.mechanicState;
+
+    expect(atLevel.seed).toBe(7);
+    expect(start(7).mechanicState.riddleDraw).toEqual(riddleDraw);
+    expect(getCurrentLevelData(atLevel).riddleData.id).toBe(riddleDraw[0]);
+
+    const snapshot = createSnapshot(atLevel);
+    expect(snapshot.seed).toBe(7);
+    const resumed = step(createInitialState(), { type: ActionTypes.RESTORE_RUN, snapshot, creature: babaYaga });
+    expect(resumed.seed).toBe(7);
+    expect(getCurrentLevelData(resumed).riddleData).toEqual(getCurrentLevelData(atLevel).riddleData);
+
+    // Restarting with a new seed draws again
+    const restarted = step(atLevel, { type: ActionTypes.RESTART_GAME, seed: 8 });
+    expect(restarted.seed).toBe(8);
+    expect(restarted.mechanicState.riddleDraw).toEqual(start(8).mechanicState.riddleDraw);
+  });
+
+  it('records finished runs with their choices and mechanic summary', () => {
+    const creature = findCreature(fallbackCreatureData, 'banshee');
+    const selected = step(createInitialState(), { type: ActionTypes.SELECT_CREATURE, creature, at: 1000 });
+    const atLevel = runActions(selected, [
+      { type: ActionTypes.COMPLETE_ENTRANCE_ANIMATION },
+      { type: ActionTypes.COMPLETE_CLOSE_UP_ANIMATION },
+      ...creature.storyLines.map(() => ({ type: ActionTypes.ADVANCE_STORY_BUBBLE }))
+    ]);
+    const ended = playLevels(atLevel, [true, false, true]);
+
+    expect(createRunRecord(atLevel, 5000)).toBeNull();
+    expect(createRunRecord(ended, 61000)).toEqual({
+      creatureId: 'banshee',
+      creatureName: creature.name,
+      outcome: 'victory',
+      endingId: null,
+      difficulty: 'normal',
+      seed: 0,
+      correctAnswers: 2,
+      choices: [
+        expect.objectContaining({ level: 0, isCorrect: true }),
+        expect.objectContaining({ level: 1, isCorrect: false }),
+        expect.objectContaining({ level: 2, isCorrect: true })
+      ],
+      mechanic: { finalCalmness: 70 },
+      startedAt: 1000,
+      endedAt: 61000,
+      durationMs: 60000
+    });
+
+    const restarted = step(ended, { type: ActionTypes.RESTART_GAME, at: 70000 });
+    expect(restarted.choiceHistory).toEqual([]);
+    expect(restarted.startedAt).toBe(70000);
+  });
+
+  it('runs creatures with a newly registered mechanic', () => {
+    registerMechanic({
+      id: 'coin-flip',
+      createInitialState: () => ({ flips: 0 }),
+      isChoiceCorrect: ({ choice }) => !choice.isCorrect,
+      applyChoice: ({ mechanicState }) => ({ flips: mechanicState.flips + 1 })
+    });
+    const creature = { ...findCreature(fallbackCreatureData, 'banshee'), coreMechanic: 'coin-flip' };
+    const state = playLevels(selectAndReachLevel(creature), [false, false, true]);
+
+    expect(state.mechanicState).toEqual({ flips: 3 });
+    expect(state.correctAnswers).toBe(2);
+    expect(state.outcome).toBe('victory');
+  });
+
+  it('refuses to select a creature with an unregistered mechanic', () => {
+    const creature = { ...findCreature(fallbackCreatureData, 'banshee'), coreMechanic: 'coin-flip' };
+    const state = createInitialState();
+
+    expect(step(state, { type: ActionTypes.SELECT_CREATURE, creature })).toBe(state);
+  });
+
+  it('restart keeps the creature and resets progress', () => {
+    const creature = findCreature(fallbackCreatureData, 'aswang');
+    const ended = playLevels(selectAndReachLevel(creature), [true, true, true]);
+    const restarted = step(ended, { type: ActionTypes.RESTART_GAME });
+
+    expect(restarted.gameState).toBe('characterReveal');
+    expect(restarted.selectedCreature).toBe(creature);
+    expect(restarted.currentLevel).toBe(0);
+    expect(restarted.outcome).toBeNull();
+    expect(restarted.correctAnswers).toBe(0);
+  });
+
+  /**
+   * Feature: folklorerun-game, Property: 2-of-3 win rule
+   * Validates: Requirements 3.4, 3.5
+   *
+   * Property: For any creature and any sequence of three answers, a headless
+   * playthrough ends in victory exactly when at least two answers were correct.
+   */
+  it('property: a run is won exactly when two or more answers are correct', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 2 }),
+        fc.array(fc.boolean(), { minLength: 3, maxLength: 3 }),
+        (creatureIndex, picks) => {
+          const creature = fallbackCreatureData.creatures[creatureIndex];
+          const state = playLevels(selectAndReachLevel(creature), picks);
+          const correctCount = picks.filter(Boolean).length;
+
+          expect(state.gameState).toBe('end');
+          expect(state.currentLevel).toBe(2);
+          expect(state.correctAnswers).toBe(correctCount);
+          expect(state.outcome).toBe(correctCount >= 2 ? 'victory' : 'defeat');
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
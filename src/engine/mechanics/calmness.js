@@ -0,0 +1,35 @@
+/**
+ * Calmness mechanic (Banshee)
+ *
+ * Wrong choices drain the Banshee's calmness; the deeper into the story, the
+ * more they drain. The difficulty mode scales the penalties. A decision timer
+ * with the `calmness-drain` effect drains the same amount when it runs out.
+ *
+ * Requirements: 6.2, 6.4, 6.5
+ */
+
+/**
+ * Calmness lost on a wrong choice, by levels answered so far (the last value repeats)
+ */
+export const CALMNESS_PENALTIES = [25, 30, 35];
+
+const drainCalmness = (mechanicState, depth, difficulty) => {
+  const scale = difficulty ? difficulty.calmnessScale : 1;
+  const penalty = Math.round(CALMNESS_PENALTIES[Math.min(depth, CALMNESS_PENALTIES.length - 1)] * scale);
+  return {
+    ...mechanicState,
+    calmnessLevel: Math.max(0, (mechanicState.calmnessLevel ?? 100) - penalty)
+  };
+};
+
+export const calmnessMechanic = {
+  id: 'calmness',
+  createInitialState: () => ({ calmnessLevel: 100 }),
+  applyChoice: ({ mechanicState, isCorrect, depth, difficulty }) => (
+    isCorrect ? mechanicState : drainCalmness(mechanicState, depth, difficulty)
+  ),
+  timeOut: ({ mechanicState, effect, depth, difficulty }) => (
+    effect === 'calmness-drain' ? drainCalmness(mechanicState, depth, difficulty) : null
+  ),
+  summarize: (mechanicState) => ({ finalCalmness: mechanicState.calmnessLevel ?? 100 })
+};
@@ -0,0 +1,222 @@
+/**
+ * Deduction mechanic (Aswang)
+ *
+ * Each level declares an item pool in the creature data:
+ *   items: [{ id, label, icon, description, satisfies: [choiceIndex, ...] }]
+ * The player picks one item before choosing. A correct choice only counts when
+ * the picked item satisfies it; choices no item satisfies need no particular
+ * item. Levels without a pool skip the item step.
+ *
+ * Tokens are collected across levels: the item used for each choice is added
+ * to `tokensCollected` when the creature lists it in `tokens`. Combination
+ * rules in the creature data check the collected tokens:
+ *   tokens: [{ id, label, description }]
+ *   combinations: [{ id, label, sequence: [tokenId, ...], ordered }]
+ * Ordered rules need the tokens in sequence order (other tokens may come in
+ * between); partial progress is reported as the number of steps matched.
+ * Creatures without `tokens` use the default clue board below. Every item used
+ * is also kept in `itemsUsed`, and the ids of the completed combination rules
+ * are reported as `combinationsCompleted`, so win rules and endings can depend
+ * on the tools chosen and the rites finished.
+ *
+ * The difficulty mode limits how many decoys (items that satisfy no correct
+ * choice) are offered alongside the right tools.
+ *
+ * Requirements: 6.3, 6.4, 6.5
+ */
+
+/**
+ * Clue board used when the creature data declares no tokens
+ */
+export const DEFAULT_CLUE_TOKENS = [
+  { id: 'reversed-reflection', label: 'Reversed Reflection', description: 'Mirror shows wrong image' },
+  { id: 'no-shadow', label: 'No Shadow', description: 'Casts no shadow in moonlight' },
+  { id: 'salt-reaction', label: 'Salt Reaction', description: 'Recoils from salt' },
+  { id: 'garlic-aversion', label: 'Garlic Aversion', description: 'Avoids garlic' },
+  { id: 'extended-tongue', label: 'Extended Tongue', description: 'Impossibly long tongue' },
+  { id: 'leathery-wings', label: 'Leathery Wings', description: 'Hidden wings visible' }
+];
+
+/**
+ * Matching clue pairs for the default clue board
+ */
+export const DEFAULT_COMBINATIONS = [
+  { id: 'false-reflection', label: 'Reflection and shadow', sequence: ['reversed-reflection', 'no-shadow'], ordered: false },
+  { id: 'warded', label: 'Salt and garlic', sequence: ['salt-reaction', 'garlic-aversion'], ordered: false },
+  { id: 'true-form', label: 'Tongue and wings', sequence: ['extended-tongue', 'leathery-wings'], ordered: false }
+];
+
+/**
+ * Get the tokens and combination rules for a creature
+ *
+ * @param {object} creature - Creature data object
+ * @returns {{tokens: array, combinations: array}} The creature's rules, or the
+ *   default clue board when it declares no tokens
+ */
+export function getDeductionRules(creature) {
+  if (Array.isArray(creature?.tokens) && creature.tokens.length > 0) {
+    return {
+      tokens: creature.tokens,
+      combinations: Array.isArray(creature.combinations) ? creature.combinations : []
+    };
+  }
+  return { tokens: DEFAULT_CLUE_TOKENS, combinations: DEFAULT_COMBINATIONS };
+}
+
+/**
+ * Check collected tokens against one combination rule
+ *
+ * @param {object} combination - Rule with `sequence` and `ordered`
+ * @param {string[]} tokensCollected - Tokens in the order they were collected
+ * @returns {{id: string, label: string, matched: number, total: number, complete: boolean}}
+ */
+export function evaluateCombination(combination, tokensCollected) {
+  const { sequence } = combination;
+  let matched = 0;
+
+  if (combination.ordered) {
+    // Longest prefix of the sequence found in collection order
+    tokensCollected.forEach(token => {
+      if (token === sequence[matched]) matched += 1;
+    });
+  } else {
+    matched = sequence.filter(token => tokensCollected.includes(token)).length;
+  }
+
+  return {
+    id: combination.id,
+    label: combination.label,
+    matched,
+    total: sequence.length,
+    complete: sequence.length > 0 && matched === sequence.length
+  };
+}
+
+/**
+ * Check collected tokens against every combination rule
+ *
+ * @param {array} combinations - Combination rules
+ * @param {string[]} tokensCollected - Tokens in the order they were collected
+ * @returns {array} One result per rule (see evaluateCombination)
+ */
+export function evaluateCombinations(combinations, tokensCollected = []) {
+  return combinations.map(combination => evaluateCombination(combination, tokensCollected));
+}
+
+/**
+ * Pick the result closest to completion, for partial-credit feedback
+ *
+ * @param {array} results - Results from evaluateCombinations
+ * @returns {object|null} A complete result if any, else the best partial one
+ */
+export function getBestCombination(results) {
+  const progress = (result) => (result.total > 0 ? result.matched / result.total : 0);
+  return results.reduce((best, result) => {
+    if (!best) return result;
+    if (result.complete !== best.complete) return result.complete ? result : best;
+    return progress(result) > progress(best) ? result : best;
+  }, null);
+}
+
+/**
+ * Get the item pool for a level
+ *
+ * @param {object} levelData - Level data
+ * @returns {array} Items the player can pick (empty when the level has none)
+ */
+export function getLevelItems(levelData) {
+  return Array.isArray(levelData?.items) ? levelData.items : [];
+}
+
+// Whether an item satisfies none of the level's correct choices
+const isDecoy = (levelData, item) => {
+  const choices = Array.isArray(levelData.choices) ? levelData.choices : [];
+  return !(item.satisfies || []).some(index => choices[index]?.isCorrect);
+};
+
+/**
+ * Get the items offered to the player, offering `decoyItems` decoys
+ *
+ * The level's own decoys are kept in data order, up to that many. When the
+ * level has fewer, decoys from the creature's other levels make up the rest;
+ * borrowed items satisfy nothing here, and clue tokens are never borrowed.
+ *
+ * @param {object} levelData - Level data
+ * @param {number|null} [decoyItems] - Decoys to offer (null or omitted: the level's own)
+ * @param {object} [creature] - Creature data object, to borrow decoys from
+ * @returns {array} Items to show
+ */
+export function getOfferedItems(levelData, decoyItems = null, creature = null) {
+  const items = getLevelItems(levelData);
+  if (decoyItems === null || decoyItems === undefined) return items;
+
+  let decoysLeft = decoyItems;
+  const offered = items.filter(item => {
+    if (!isDecoy(levelData, item)) return true;
+    decoysLeft -= 1;
+    return decoysLeft >= 0;
+  });
+  if (decoysLeft <= 0 || items.length === 0 || !Array.isArray(creature?.levels)) return offered;
+
+  const { tokens } = getDeductionRules(creature);
+  const taken = new Set([...items.map(item => item.id), ...tokens.map(token => token.id)]);
+  const borrowed = creature.levels
+    .flatMap(level => getLevelItems(level).filter(item => isDecoy(level, item)))
+    .filter(item => {
+      if (taken.has(item.id)) return false;
+      taken.add(item.id);
+      return true;
+    })
+    .slice(0, decoysLeft)
+    .map(item => ({ ...item, satisfies: [] }));
+
+  return [...offered, ...borrowed];
+}
+
+/**
+ * Get the ids of the items that satisfy a choice
+ *
+ * @param {object} levelData - Level data
+ * @param {number} choiceIndex - Index of the choice
+ * @returns {string[]} Item ids
+ */
+export function getSatisfyingItems(levelData, choiceIndex) {
+  return getLevelItems(levelData)
+    .filter(item => Array.isArray(item.satisfies) && item.satisfies.includes(choiceIndex))
+    .map(item => item.id);
+}
+
+export const deductionMechanic = {
+  id: 'deduction',
+  createInitialState: () => ({ tokensCollected: [], itemsUsed: [], selectedItem: null }),
+  startLevel: (mechanicState) => ({ ...mechanicState, selectedItem: null }),
+  applyChoice: ({ mechanicState, creature }) => {
+    const { selectedItem } = mechanicState;
+    if (selectedItem === null || selectedItem === undefined) return mechanicState;
+
+    const { tokens } = getDeductionRules(creature);
+    const used = { ...mechanicState, itemsUsed: [...(mechanicState.itemsUsed || []), selectedItem] };
+    if (!tokens.some(token => token.id === selectedItem)) return used;
+
+    return {
+      ...used,
+      tokensCollected: [...(mechanicState.tokensCollected || []), selectedItem]
+    };
+  },
+  isChoiceCorrect: ({ choice, choiceIndex, mechanicState, levelData }) => {
+    if (!choice.isCorrect) return false;
+    const required = getSatisfyingItems(levelData, choiceIndex);
+    return required.length === 0 || required.includes(mechanicState.selectedItem);
+  },
+  canChoose: ({ mechanicState, levelData }) => (
+    getLevelItems(levelData).length === 0 ||
+    (mechanicState.selectedItem !== null && mechanicState.selectedItem !== undefined)
+  ),
+  summarize: (mechanicState, creature) => ({
+    tokensCollected: mechanicState.tokensCollected || [],
+    itemsUsed: mechanicState.itemsUsed || [],
+    combinationsCompleted: evaluateCombinations(getDeductionRules(creature).combinations, mechanicState.tokensCollected)
+      .filter(result => result.complete)
+      .map(result => result.id)
+  })
+};
@@ -0,0 +1,26 @@
+/**
+ * Built-in creature mechanics
+ *
+ * Importing this module registers the rules for the built-in mechanics and
+ * re-exports the registry API.
+ */
+
+import { registerMechanic } from './registry';
+import { riddleMechanic } from './riddle';
+import { calmnessMechanic } from './calmness';
+import { deductionMechanic } from './deduction';
+
+// 'none' is the schema default for creatures without a mechanic
+registerMechanic({ id: 'none' });
+registerMechanic(riddleMechanic);
+registerMechanic(calmnessMechanic);
+registerMechanic(deductionMechanic);
+
+export {
+  registerMechanic,
+  hasMechanic,
+  getMechanic,
+  getRegisteredMechanicIds,
+  unregisterMechanic,
+  UnknownMechanicError
+} from './registry';
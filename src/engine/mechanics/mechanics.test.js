@@ -0,0 +1,265 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  evaluateCombination,
+  getBestCombination,
+  getDeductionRules,
+  getOfferedItems,
+  DEFAULT_CLUE_TOKENS
+} from './deduction';
+import { getEditDistance, matchRiddleAnswer, normalizeRiddleAnswer } from './riddle';
+import { getDifficulty } from '../difficulty';
+import creaturesGameData from '../../../public/creatures_game_data.json';
+import {
+  getMechanic,
+  getRegisteredMechanicIds,
+  hasMechanic,
+  registerMechanic,
+  unregisterMechanic,
+  UnknownMechanicError
+} from './index';
+
+/**
+ * Tests for the creature mechanic registry and the built-in mechanic rules
+ */
+
+const choice = (overrides = {}) => ({ text: 'Go', isCorrect: true, consequence: 'Gone.', ...overrides });
+
+describe('mechanic registry', () => {
+  afterEach(() => {
+    unregisterMechanic('test-mechanic');
+  });
+
+  it('registers the built-in mechanics', () => {
+    expect(getRegisteredMechanicIds()).toEqual(
+      expect.arrayContaining(['none', 'riddle', 'calmness', 'deduction'])
+    );
+  });
+
+  it('throws a clear error for unknown mechanics', () => {
+    expect(hasMechanic('mirror-maze')).toBe(false);
+    expect(() => getMechanic('mirror-maze')).toThrow(UnknownMechanicError);
+    expect(() => getMechanic('mirror-maze')).toThrow(/"mirror-maze".*riddle, calmness, deduction/);
+  });
+
+  it('fills in defaults for a new mechanic', () => {
+    const mechanic = registerMechanic({ id: 'test-mechanic' });
+
+    expect(mechanic.createInitialState({})).toEqual({});
+    expect(mechanic.isChoiceCorrect({ choice: choice() })).toBe(true);
+    expect(mechanic.isChoiceCorrect({ choice: choice({ isCorrect: false }) })).toBe(false);
+    expect(mechanic.canChoose({ mechanicState: {} })).toBe(true);
+    expect(mechanic.Component).toBeNull();
+  });
+
+  it('merges later registrations into the existing mechanic', () => {
+    const canChoose = () => false;
+    const Component = () => null;
+    registerMechanic({ id: 'test-mechanic', canChoose });
+    registerMechanic({ id: 'test-mechanic', Component });
+
+    const mechanic = getMechanic('test-mechanic');
+    expect(mechanic.canChoose).toBe(canChoose);
+    expect(mechanic.Component).toBe(Component);
+  });
+
+  it('rejects definitions without an id', () => {
+    expect(() => registerMechanic({})).toThrow(TypeError);
+  });
+});
+
+describe('built-in mechanics', () => {
+  it('riddle unlocks choices once the riddle is solved', () => {
+    const riddle = getMechanic('riddle');
+    const levelData = { riddleData: { riddle: '?', hint: '!', answerKey: 'e' } };
+    const state = riddle.startLevel({ ...riddle.createInitialState(), riddleSolved: true });
+
+    expect(riddle.canChoose({ mechanicState: state, levelData })).toBe(false);
+    expect(riddle.canChoose({ mechanicState: { ...state, riddleSolved: true }, levelData })).toBe(true);
+    expect(riddle.canChoose({ mechanicState: state, levelData: {} })).toBe(true);
+  });
+
+  it('riddle answers ignore case, punctuation, articles and plurals', () => {
+    expect(normalizeRiddleAnswer('  A Human! ')).toBe('human');
+    expect(normalizeRiddleAnswer('The footsteps')).toBe('footstep');
+    expect(normalizeRiddleAnswer('berries')).toBe('berry');
+    expect(normalizeRiddleAnswer('glass')).toBe('glass');
+    expect(normalizeRiddleAnswer('the letter E')).toBe('letter e');
+  });
+
+  it('riddles accept any listed answer and flag near misses as close', () => {
+    const riddleData = { answerKey: 'human', answers: ['man', 'footsteps'] };
+
+    expect(matchRiddleAnswer(riddleData, 'a human')).toEqual({ verdict: 'correct', matched: 'human' });
+    expect(matchRiddleAnswer(riddleData, 'Humans')).toEqual({ verdict: 'correct', matched: 'human' });
+    expect(matchRiddleAnswer(riddleData, 'man')).toEqual({ verdict: 'correct', matched: 'man' });
+    expect(matchRiddleAnswer(riddleData, 'footstep')).toEqual({ verdict: 'correct', matched: 'footsteps' });
+    expect(matchRiddleAnswer(riddleData, 'humen')).toEqual({ verdict: 'close', matched: 'human' });
+    expect(matchRiddleAnswer(riddleData, 'fotsteps')).toEqual({ verdict: 'close', matched: 'footsteps' });
+    expect(matchRiddleAnswer(riddleData, 'mat')).toEqual({ verdict: 'close', matched: 'man' });
+    expect(matchRiddleAnswer(riddleData, 'woman')).toEqual({ verdict: 'wrong', matched: null });
+    expect(matchRiddleAnswer(riddleData, 'tree')).toEqual({ verdict: 'wrong', matched: null });
+    expect(matchRiddleAnswer(riddleData, '  ')).toEqual({ verdict: 'wrong', matched: null });
+    expect(matchRiddleAnswer({ answerKey: 'e' }, 'a')).toEqual({ verdict: 'wrong', matched: null });
+    expect(getEditDistance('kitten', 'sitting')).toBe(3);
+  });
+
+  it('riddle answers follow the spelling rules of the locale', () => {
+    expect(normalizeRiddleAnswer('Ang Apoy', 'tl')).toBe('apoy');
+    expect(normalizeRiddleAnswer('An Tine!', 'ga')).toBe('tine');
+    expect(normalizeRiddleAnswer('an leabhar', 'ga')).toBe('leabhar');
+    expect(normalizeRiddleAnswer('na bhfear', 'ga')).toBe('fear');
+    expect(normalizeRiddleAnswer('Ёлка', 'ru')).toBe('елка');
+    expect(normalizeRiddleAnswer('a tine', 'ga')).toBe('a tine');
+    expect(normalizeRiddleAnswer('footsteps', 'ru')).toBe('footsteps');
+
+    expect(matchRiddleAnswer({ answerKey: 'огонь', answers: ['костёр'] }, 'костер', 'ru'))
+      .toEqual({ verdict: 'correct', matched: 'костёр' });
+    expect(matchRiddleAnswer({ answerKey: 'léarscáil' }, 'learscail', 'ga'))
+      .toEqual({ verdict: 'correct', matched: 'léarscáil' });
+    expect(normalizeRiddleAnswer('na bhfear')).toBe('na bhfear');
+  });
+
+  it('calmness drains more on later levels and never goes below zero', () => {
+    const calmness = getMechanic('calmness');
+    const state = calmness.createInitialState();
+
+    expect(calmness.applyChoice({ mechanicState: state, isCorrect: true, depth: 0 })).toBe(state);
+    expect(calmness.applyChoice({ mechanicState: state, isCorrect: false, depth: 0 }).calmnessLevel).toBe(75);
+    expect(calmness.applyChoice({ mechanicState: state, isCorrect: false, depth: 2 }).calmnessLevel).toBe(65);
+    expect(calmness.applyChoice({ mechanicState: { calmnessLevel: 10 }, isCorrect: false, depth: 1 }).calmnessLevel).toBe(0);
+  });
+
+  it('calmness penalties scale with the difficulty mode', () => {
+    const calmness = getMechanic('calmness');
+    const drain = (mode) => calmness.applyChoice({
+      mechanicState: calmness.createInitialState(),
+      isCorrect: false,
+      depth: 0,
+      difficulty: getDifficulty(mode)
+    }).calmnessLevel;
+
+    expect(drain('easy')).toBe(85);
+    expect(drain('normal')).toBe(75);
+    expect(drain('nightmare')).toBe(62);
+  });
+
+  it('deduction offers only as many decoys as the difficulty allows', () => {
+    const levelData = {
+      choices: [choice(), choice({ isCorrect: false })],
+      items: [
+        { id: 'mirror', satisfies: [] },
+        { id: 'salt', satisfies: [0] },
+        { id: 'garlic', satisfies: [1] },
+        { id: 'candle', satisfies: [] }
+      ]
+    };
+    const offered = (decoyItems) => getOfferedItems(levelData, decoyItems).map(item => item.id);
+
+    expect(offered(null)).toEqual(['mirror', 'salt', 'garlic', 'candle']);
+    expect(offered(1)).toEqual(['mirror', 'salt']);
+    expect(offered(0)).toEqual(['salt']);
+    expect(getOfferedItems({}, 1)).toEqual([]);
+  });
+
+  it('deduction borrows decoys from other levels on Nightmare', () => {
+    const aswang = creaturesGameData.creatures.find(c => c.id === 'aswang');
+    const [threshold] = aswang.levels;
+    const { tokens } = getDeductionRules(aswang);
+    const offered = (mode) => getOfferedItems(threshold, getDifficulty(mode).decoyItems, aswang);
+
+    const normal = offered('normal');
+    const nightmare = offered('nightmare');
+    expect(normal).toEqual(threshold.items);
+    expect(nightmare).not.toEqual(normal);
+    expect(nightmare.slice(0, normal.length)).toEqual(normal);
+
+    const borrowed = nightmare.slice(normal.length);
+    expect(borrowed.length).toBeGreaterThan(0);
+    borrowed.forEach(item => {
+      expect(item.satisfies).toEqual([]);
+      expect(tokens.map(token => token.id)).not.toContain(item.id);
+      expect(normal.map(i => i.id)).not.toContain(item.id);
+    });
+    expect(nightmare.filter(item => !(item.satisfies || []).includes(0))).toHaveLength(getDifficulty('nightmare').decoyItems);
+  });
+
+  it('deduction requires an item that satisfies the choice', () => {
+    const deduction = getMechanic('deduction');
+    const state = deduction.createInitialState();
+    const withTool = (selectedItem) => ({ ...state, selectedItem });
+    const levelData = {
+      choices: [choice(), choice({ isCorrect: false }), choice()],
+      items: [
+        { id: 'salt', satisfies: [0, 1] },
+        { id: 'garlic', satisfies: [0] },
+        { id: 'mirror', satisfies: [] }
+      ]
+    };
+    const judge = (choiceIndex, selectedItem) => deduction.isChoiceCorrect({
+      choice: levelData.choices[choiceIndex],
+      choiceIndex,
+      mechanicState: withTool(selectedItem),
+      levelData
+    });
+
+    expect(deduction.canChoose({ mechanicState: state, levelData })).toBe(false);
+    expect(deduction.canChoose({ mechanicState: withTool('salt'), levelData })).toBe(true);
+    expect(judge(0, 'salt')).toBe(true);
+    expect(judge(0, 'garlic')).toBe(true);
+    expect(judge(0, 'mirror')).toBe(false);
+    expect(judge(1, 'salt')).toBe(false);
+    expect(judge(2, 'mirror')).toBe(true);
+    expect(deduction.startLevel(withTool('salt')).selectedItem).toBeNull();
+  });
+
+  it('deduction collects the items the creature lists as tokens', () => {
+    const deduction = getMechanic('deduction');
+    const creature = { tokens: [{ id: 'salt', label: 'Salt', description: '' }] };
+    const state = { ...deduction.createInitialState(), tokensCollected: ['salt'] };
+
+    expect(deduction.applyChoice({ mechanicState: { ...state, selectedItem: 'salt' }, creature }).tokensCollected)
+      .toEqual(['salt', 'salt']);
+    expect(deduction.applyChoice({ mechanicState: { ...state, selectedItem: 'mirror' }, creature }).tokensCollected)
+      .toEqual(['salt']);
+    expect(deduction.applyChoice({ mechanicState: { ...state, selectedItem: 'mirror' }, creature }).itemsUsed)
+      .toEqual(['mirror']);
+    expect(getDeductionRules({}).tokens).toBe(DEFAULT_CLUE_TOKENS);
+  });
+
+  it('deduction reports the completed combinations as a run fact', () => {
+    const deduction = getMechanic('deduction');
+    const creature = {
+      tokens: [{ id: 'a', label: 'A', description: '' }, { id: 'b', label: 'B', description: '' }],
+      combinations: [{ id: 'rite', label: 'Rite', sequence: ['a', 'b'], ordered: true }]
+    };
+    const summarize = (tokensCollected) => deduction.summarize({ ...deduction.createInitialState(), tokensCollected }, creature);
+
+    expect(summarize(['a', 'b']).combinationsCompleted).toEqual(['rite']);
+    expect(summarize(['b', 'a']).combinationsCompleted).toEqual([]);
+    expect(deduction.summarize(deduction.createInitialState(), {}).combinationsCompleted).toEqual([]);
+  });
+
+  it('combinations give partial credit and respect order when required', () => {
+    const rite = { id: 'rite', label: 'Rite', sequence: ['a', 'b', 'c'], ordered: true };
+    const pair = { id: 'pair', label: 'Pair', sequence: ['a', 'c'], ordered: false };
+
+    expect(evaluateCombination(rite, ['a', 'x', 'b', 'c'])).toEqual({
+      id: 'rite', label: 'Rite', matched: 3, total: 3, complete: true
+    });
+    expect(evaluateCombination(rite, ['b', 'a', 'c']).matched).toBe(1);
+    expect(evaluateCombination(pair, ['c', 'a']).complete).toBe(true);
+    expect(evaluateCombination(pair, ['c']).matched).toBe(1);
+
+    const results = [evaluateCombination(rite, ['a', 'b']), evaluateCombination(pair, ['a'])];
+    expect(getBestCombination(results).id).toBe('rite');
+    expect(getBestCombination([])).toBeNull();
+  });
+
+  it('deduction skips the item step on levels without an item pool', () => {
+    const deduction = getMechanic('deduction');
+    const state = deduction.createInitialState();
+
+    expect(deduction.canChoose({ mechanicState: state, levelData: { choices: [choice()] } })).toBe(true);
+    expect(deduction.isChoiceCorrect({ choice: choice(), choiceIndex: 0, mechanicState: state, levelData: {} })).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Creature Mechanic Registry for FOLKLORERUN
+ *
+ * Each creature's `coreMechanic` in creatures_game_data.json names a mechanic
+ * plugin registered here. A plugin bundles everything the game needs to run it:
+ *
+ * - id: Name used by `coreMechanic` in the data
+ * - createInitialState(creature, run): Mechanic state when the creature is selected
+ *   (`run` holds the run's seed and difficulty settings)
+ * - startLevel(mechanicState, levelData, level): State at the start of each level
+ * - resolveLevel({ levelData, level, mechanicState, creature }): Level data with
+ *   anything the mechanic drew for the run filled in (e.g. the level's riddle)
+ * - isChoiceCorrect({ choice, choiceIndex, mechanicState, levelData }): Validate a choice
+ * - applyChoice({ mechanicState, choice, isCorrect, level, depth, creature, difficulty }): State after a choice
+ *   (`level` is the level's index, `depth` the number of levels answered before it,
+ *   `difficulty` the run's difficulty mode settings - see engine/difficulty.js)
+ * - canChoose({ mechanicState, levelData }): Whether choice buttons are available
+ * - timeOut({ mechanicState, effect, levelData, depth, difficulty }): State after a
+ *   level's decision timer ran out with the given effect (see engine/timer.js), or
+ *   null when the mechanic doesn't apply that effect
+ * - summarize(mechanicState, creature): Mechanic-specific facts kept in the run history
+ * - Component: Gameplay UI rendered by GameplayScreen (also given `difficulty`)
+ * - InventoryComponent: Summary panel rendered by Inventory
+ *
+ * Rules are plain functions so the engine core stays framework-agnostic; UI
+ * components can be attached by a later registerMechanic() call with the same id.
+ *
+ * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
+ */
+
+const mechanics = new Map();
+
+const defaultMechanic = {
+  createInitialState: () => ({}),
+  startLevel: (mechanicState) => mechanicState,
+  resolveLevel: ({ levelData }) => levelData,
+  isChoiceCorrect: ({ choice }) => Boolean(choice.isCorrect),
+  applyChoice: ({ mechanicState }) => mechanicState,
+  canChoose: () => true,
+  timeOut: () => null,
+  summarize: () => ({}),
+  Component: null,
+  InventoryComponent: null
+};
+
+/**
+ * Thrown when creature data names a mechanic that has not been registered
+ */
+export class UnknownMechanicError extends Error {
+  constructor(mechanicId) {
+    const known = Array.from(mechanics.keys()).join(', ') || 'none';
+    super(`Unknown creature mechanic "${mechanicId}". Registered mechanics: ${known}`);
+    this.name = 'UnknownMechanicError';
+    this.mechanicId = mechanicId;
+  }
+}
+
+/**
+ * Register a mechanic plugin, or add fields to an already registered one
+ *
+ * @param {object} definition - Plugin fields; `id` is required
+ * @returns {object} The complete registered mechanic
+ */
+export function registerMechanic(definition) {
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw new TypeError('registerMechanic requires a definition with a string id');
+  }
+
+  const existing = mechanics.get(definition.id) || { ...defaultMechanic };
+  const mechanic = { ...existing, ...definition };
+  mechanics.set(definition.id, mechanic);
+  return mechanic;
+}
+
+/**
+ * Check whether a mechanic is registered
+ *
+ * @param {string} mechanicId - Mechanic id
+ * @returns {boolean}
+ */
+export function hasMechanic(mechanicId) {
+  return mechanics.has(mechanicId);
+}
+
+/**
+ * Look up a registered mechanic
+ *
+ * @param {string} mechanicId - Mechanic id
+ * @returns {object} The registered mechanic
+ * @throws {UnknownMechanicError} If no mechanic with that id is registered
+ */
+export function getMechanic(mechanicId) {
+  const mechanic = mechanics.get(mechanicId);
+  if (!mechanic) {
+    throw new UnknownMechanicError(mechanicId);
+  }
+  return mechanic;
+}
+
+/**
+ * List registered mechanic ids
+ *
+ * @returns {string[]}
+ */
+export function getRegisteredMechanicIds() {
+  return Array.from(mechanics.keys());
+}
+
+/**
+ * Remove a mechanic (used by tests that register throwaway plugins)
+ *
+ * @param {string} mechanicId - Mechanic id
+ */
+export function unregisterMechanic(mechanicId) {
+  mechanics.delete(mechanicId);
+}
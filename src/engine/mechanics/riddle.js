@@ -0,0 +1,189 @@
+/**
+ * Riddle mechanic (Baba Yaga)
+ *
+ * The player must answer the level's riddle, or exhaust their attempts, before
+ * the choice buttons unlock. Levels without riddleData can be chosen freely.
+ * A decision timer with the `riddle-fail` effect fails the riddle when it runs
+ * out, which unlocks the choices as if the attempts were used up.
+ *
+ * Answers are matched loosely: besides `answerKey`, riddleData can list other
+ * accepted answers and synonyms in `answers`, and both sides are compared
+ * without case, punctuation, articles or plural endings ("A human!" matches
+ * "humans"). Matching follows the language the riddle is asked in: each
+ * locale drops its own articles, Irish and Tagalog answers match without their
+ * accents (and Irish without initial mutations, so "an tine" matches "tine"),
+ * Russian treats ё as е, and plural endings are only stripped in English.
+ * Answers a small edit distance away count as close, so the player
+ * can fix a typo without losing an attempt. Each solved riddle is logged in
+ * `riddleAnswers` with the accepted answer it matched.
+ *
+ * Levels with a `riddlePool` ask a riddle drawn from the creature's riddle bank
+ * when the run starts (see engine/riddleBank.js); the draw is kept in
+ * `riddleDraw` so saved runs resume with the same riddles.
+ *
+ * Requirements: 6.1, 6.4, 6.5
+ */
+
+import { drawRiddles, getDrawnRiddle } from '../riddleBank';
+
+/**
+ * Wrong answers allowed before the witch lets the player pass anyway (on Normal;
+ * see engine/difficulty.js)
+ */
+export const MAX_RIDDLE_ATTEMPTS = 2;
+
+/**
+ * Largest edit distance at which an answer counts as close (shorter answers allow less)
+ */
+export const CLOSE_ANSWER_DISTANCE = 2;
+
+// Words dropped from answers in each locale's riddles
+const ARTICLES = {
+  en: ['a', 'an', 'the'],
+  tl: ['ang', 'ng', 'mga', 'si', 'ni'],
+  ga: ['an', 'na'],
+  ru: []
+};
+
+// Irish initial mutations: eclipsis (gc, bhf...) and lenition (bh, ch...)
+const IRISH_ECLIPSIS = /^(?:m(?=b)|g(?=c)|n(?=[dg])|bh(?=f)|b(?=p)|d(?=t))/;
+const IRISH_LENITION = /^([bcdfgmpst])h/;
+
+// Naive singular form, good enough for riddle answers (footsteps, fires, berries)
+const singularize = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ss|sh|ch|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+// Undo the Irish prefixes (t-, n-, h- before vowels) and consonant mutations
+const unmutateIrish = (word) => word
+  .replace(/^[tnh]-(?=[aeiou])/, '')
+  .replace(IRISH_ECLIPSIS, '')
+  .replace(IRISH_LENITION, '$1');
+
+const stripAccents = (text) => text.normalize('NFD').replace(/\p{M}/gu, '');
+
+/**
+ * Reduce an answer to the form answers are compared in
+ *
+ * @param {string} answer - Answer as typed or written in the data
+ * @param {string} [locale] - Language the riddle is asked in (see utils/i18n.js)
+ * @returns {string} Lowercase words without punctuation, articles or plurals
+ */
+export function normalizeRiddleAnswer(answer, locale = 'en') {
+  let text = String(answer || '').toLocaleLowerCase(locale);
+  if (locale === 'ga' || locale === 'tl') text = stripAccents(text);
+  if (locale === 'ru') text = text.replace(/ё/g, 'е');
+
+  const articles = ARTICLES[locale] || [];
+  return text
+    .split(/\s+/)
+    .map(word => (locale === 'ga' ? unmutateIrish(word) : word))
+    .join(' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !articles.includes(word))
+    .map(word => (locale === 'en' ? singularize(word) : word))
+    .join(' ');
+}
+
+/**
+ * Get every answer a riddle accepts
+ *
+ * @param {object} riddleData - Level riddle data
+ * @returns {string[]} answerKey followed by the other accepted answers
+ */
+export function getAcceptedAnswers(riddleData) {
+  if (!riddleData) return [];
+  const others = Array.isArray(riddleData.answers) ? riddleData.answers : [];
+  return [riddleData.answerKey, ...others].filter(answer => typeof answer === 'string' && answer.trim());
+}
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Insertions, deletions and substitutions needed to turn a into b
+ */
+export function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check an answer against a riddle
+ *
+ * @param {object} riddleData - Level riddle data
+ * @param {string} answer - Answer as typed
+ * @param {string} [locale] - Language the riddle is asked in
+ * @returns {{verdict: 'correct'|'close'|'wrong', matched: string|null}} The
+ *   verdict and the accepted answer matched (the nearest one when close)
+ */
+export function matchRiddleAnswer(riddleData, answer, locale = 'en') {
+  const given = normalizeRiddleAnswer(answer, locale);
+  const accepted = getAcceptedAnswers(riddleData);
+  if (!given) return { verdict: 'wrong', matched: null };
+
+  const exact = accepted.find(variant => normalizeRiddleAnswer(variant, locale) === given);
+  if (exact !== undefined) return { verdict: 'correct', matched: exact };
+
+  const nearest = accepted.reduce((best, variant) => {
+    const target = normalizeRiddleAnswer(variant, locale);
+    const distance = getEditDistance(given, target);
+    const allowed = Math.min(CLOSE_ANSWER_DISTANCE, Math.floor(target.length / 3));
+    if (distance > allowed || (best && best.distance <= distance)) return best;
+    return { variant, distance };
+  }, null);
+
+  return nearest
+    ? { verdict: 'close', matched: nearest.variant }
+    : { verdict: 'wrong', matched: null };
+}
+
+export const riddleMechanic = {
+  id: 'riddle',
+  createInitialState: (creature, run = {}) => ({
+    hintsRevealed: 0,
+    riddleSolved: false,
+    riddleAttempts: 0,
+    riddleAnswers: [],
+    riddleDraw: creature ? drawRiddles(creature, { seed: run.seed, difficulty: run.difficulty }) : {}
+  }),
+  startLevel: (mechanicState) => ({ ...mechanicState, riddleSolved: false }),
+  resolveLevel: ({ levelData, level, mechanicState, creature }) => {
+    const drawn = getDrawnRiddle(creature, levelData, level, (mechanicState.riddleDraw || {})[level]);
+    return drawn ? { ...levelData, riddleData: drawn } : levelData;
+  },
+  canChoose: ({ mechanicState, levelData }) => !levelData?.riddleData || Boolean(mechanicState.riddleSolved),
+  timeOut: ({ mechanicState, effect, levelData }) => {
+    if (effect !== 'riddle-fail' || !levelData?.riddleData || mechanicState.riddleSolved) return null;
+    return {
+      ...mechanicState,
+      riddleSolved: true,
+      riddleAttempts: (mechanicState.riddleAttempts || 0) + 1
+    };
+  },
+  summarize: (mechanicState) => ({
+    riddleAttempts: mechanicState.riddleAttempts || 0,
+    hintsRevealed: mechanicState.hintsRevealed || 0,
+    riddleAnswers: mechanicState.riddleAnswers || [],
+    riddlesDrawn: Object.values(mechanicState.riddleDraw || {})
+  })
+};
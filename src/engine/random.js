@@ -0,0 +1,130 @@
+/**
+ * Seeded Randomness for FOLKLORERUN
+ *
+ * Everything random about a run is drawn from a generator seeded with the run's
+ * `seed`, so a run can be reproduced from the seed shown on the end card.
+ * The engine never creates seeds itself (step() stays pure); the host passes
+ * one in with SELECT_CREATURE and RESTART_GAME.
+ *
+ * Outside the engine, randomness comes from a random service (see
+ * createRandomService) holding the session seed. The session seed is fresh on
+ * every page load unless it is pinned with the ?seed= URL parameter, in which
+ * case every run plays with that seed. The service hands out named streams, so
+ * what one part of the game draws never shifts another part's numbers.
+ * Choices made for a run outside the engine (e.g. the end card's text) use a
+ * named stream of the run seed instead (see createRunRandom).
+ */
+
+/**
+ * Seeds are unsigned 32-bit integers
+ */
+const SEED_RANGE = 2 ** 32;
+
+/**
+ * Bring any number into the seed range
+ *
+ * @param {number} seed - Seed value
+ * @returns {number} Unsigned 32-bit integer (0 for non-numbers)
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed !== 'number' || !Number.isFinite(seed)) return 0;
+  return ((Math.floor(seed) % SEED_RANGE) + SEED_RANGE) % SEED_RANGE;
+}
+
+/**
+ * Read a seed written as text, e.g. the ?seed= URL parameter
+ *
+ * @param {string|number|null} value - Seed text
+ * @returns {number|null} The seed, or null when the value is not a whole number
+ */
+export function parseSeed(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? normalizeSeed(value) : null;
+  if (typeof value !== 'string' || !/^-?\d+$/.test(value.trim())) return null;
+  return normalizeSeed(Number(value.trim()));
+}
+
+/**
+ * Create a fresh seed
+ *
+ * @param {function(): number} [random] - Generator to draw from (defaults to Math.random)
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function createSeed(random = Math.random) {
+  return Math.floor(random() * SEED_RANGE);
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ *
+ * @param {number} seed - Seed value
+ * @returns {function(): number} Returns the next number in [0, 1) on each call
+ */
+export function createRandom(seed) {
+  let a = normalizeSeed(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a, to turn a stream name into seed bits
+const hashName = (name) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < name.length; i++) {
+    hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create the generator for a named part of a run, seeded from the run seed
+ *
+ * @param {number} seed - Run seed
+ * @param {string} name - Stream name
+ * @returns {function(): number} A fresh generator (the same sequence for the same seed and name)
+ */
+export function createRunRandom(seed, name) {
+  return createRandom(normalizeSeed(seed) ^ hashName(name));
+}
+
+/**
+ * Create the random service for a session
+ *
+ * @param {number} seed - Session seed
+ * @param {object} [options]
+ * @param {boolean} [options.pinned] - Play every run with the session seed
+ * @returns {{seed: number, pinned: boolean, stream: function, nextRunSeed: function}}
+ *   stream(name) returns the generator for a named stream (the same one on
+ *   every call), nextRunSeed() the seed for the next run
+ */
+export function createRandomService(seed, { pinned = false } = {}) {
+  const sessionSeed = normalizeSeed(seed);
+  const streams = new Map();
+
+  const stream = (name) => {
+    if (!streams.has(name)) {
+      streams.set(name, createRandom(sessionSeed ^ hashName(name)));
+    }
+    return streams.get(name);
+  };
+
+  return {
+    seed: sessionSeed,
+    pinned,
+    stream,
+    nextRunSeed: () => (pinned ? sessionSeed : createSeed(stream('runs')))
+  };
+}
+
+/**
+ * Pick an item from a list
+ *
+ * @param {function(): number} random - Generator to draw from
+ * @param {array} items - Items to pick from
+ * @returns {*} The picked item (undefined for an empty list)
+ */
+export function pickRandom(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, createRandomService, createRunRandom, createSeed, parseSeed, pickRandom } from './random';
+
+/**
+ * Tests for seeded randomness
+ */
+
+const draws = (random, count = 5) => Array.from({ length: count }, () => random());
+
+describe('random', () => {
+  it('generates a repeatable sequence from a seed', () => {
+    const a = createRandom(99);
+    const b = createRandom(99);
+    const values = Array.from({ length: 5 }, () => a());
+
+    expect(values).toEqual(Array.from({ length: 5 }, () => b()));
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+    expect(createRandom(100)()).not.toBe(values[0]);
+  });
+
+  it('reads seeds written as text', () => {
+    expect(parseSeed('12345')).toBe(12345);
+    expect(parseSeed(' 7 ')).toBe(7);
+    expect(parseSeed('-1')).toBe(2 ** 32 - 1);
+    expect(parseSeed(42)).toBe(42);
+    expect(parseSeed('1.5')).toBeNull();
+    expect(parseSeed('abc')).toBeNull();
+    expect(parseSeed('')).toBeNull();
+    expect(parseSeed(null)).toBeNull();
+  });
+
+  it('draws seeds from a given generator', () => {
+    expect(createSeed(() => 0)).toBe(0);
+    expect(createSeed(() => 0.5)).toBe(2 ** 31);
+  });
+
+  it('gives each named stream its own repeatable sequence', () => {
+    const service = createRandomService(2024);
+    const again = createRandomService(2024);
+
+    const endCard = draws(service.stream('end-card'));
+    draws(again.stream('ambient-static'), 50);
+
+    expect(draws(again.stream('end-card'))).toEqual(endCard);
+    expect(draws(createRandomService(2024).stream('hero-particles'))).not.toEqual(endCard);
+    expect(service.stream('end-card')).toBe(service.stream('end-card'));
+  });
+
+  it('derives named run streams from the run seed alone', () => {
+    expect(draws(createRunRandom(31, 'end-card'))).toEqual(draws(createRunRandom(31, 'end-card')));
+    expect(draws(createRunRandom(31, 'end-card'))).not.toEqual(draws(createRunRandom(32, 'end-card')));
+    expect(draws(createRunRandom(31, 'end-card'))).not.toEqual(draws(createRunRandom(31, 'other')));
+  });
+
+  it('hands out fresh run seeds unless the seed is pinned', () => {
+    const service = createRandomService(5);
+    const runSeeds = [service.nextRunSeed(), service.nextRunSeed()];
+
+    expect(runSeeds[0]).not.toBe(runSeeds[1]);
+    expect([createRandomService(5).nextRunSeed(), createRandomService(5).nextRunSeed()]).toEqual([runSeeds[0], runSeeds[0]]);
+
+    const pinned = createRandomService(5, { pinned: true });
+    expect([pinned.nextRunSeed(), pinned.nextRunSeed()]).toEqual([5, 5]);
+  });
+
+  it('picks items from a list', () => {
+    expect(pickRandom(() => 0, ['a', 'b', 'c'])).toBe('a');
+    expect(pickRandom(() => 0.99, ['a', 'b', 'c'])).toBe('c');
+    expect(pickRandom(() => 0.5, [])).toBeUndefined();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Replays for FOLKLORERUN
+ *
+ * Since step() is pure and every action carries what it needs (the run seed,
+ * timestamps, the riddle answers given), a playthrough can be reproduced by
+ * feeding the same actions back through the engine. A recorder logs each
+ * action dispatched with the time it happened; the log is exported as a replay
+ * file:
+ *
+ *   { version, recordedAt, entries: [{ at, action }] }
+ *
+ * `at` is milliseconds since recording started. Replay files reference
+ * creatures by id (`creatureId` instead of `creature`), so they stay small and
+ * are checked against the loaded creature data when read.
+ */
+
+import { ActionTypes, createInitialState, findCreature, step } from './gameEngine';
+
+/**
+ * Current replay file format version
+ */
+export const REPLAY_VERSION = 1;
+
+/**
+ * How many times faster than recorded a replay plays by default
+ */
+export const REPLAY_SPEED = 4;
+
+const ACTION_TYPES = Object.values(ActionTypes);
+
+/**
+ * Create a recorder for the actions of a session
+ *
+ * @param {function(): number} [now] - Clock (defaults to Date.now)
+ * @returns {{record: function, getEntries: function, clear: function, toReplay: function}}
+ */
+export function createReplayRecorder(now = Date.now) {
+  let startedAt = now();
+  let entries = [];
+
+  return {
+    record: (action) => {
+      entries.push({ at: now() - startedAt, action });
+    },
+    getEntries: () => entries.slice(),
+    clear: () => {
+      startedAt = now();
+      entries = [];
+    },
+    toReplay: () => createReplay(entries, now())
+  };
+}
+
+// Swap the creature object for its id
+const serializeAction = ({ creature, ...action }) => (
+  creature ? { ...action, creatureId: creature.id } : action
+);
+
+/**
+ * Create a replay file from recorded entries
+ *
+ * @param {array} entries - Recorded entries ({ at, action })
+ * @param {number} recordedAt - Time the recording was exported
+ * @returns {object} Replay file contents (plain JSON)
+ */
+export function createReplay(entries, recordedAt) {
+  return {
+    version: REPLAY_VERSION,
+    recordedAt,
+    entries: entries.map(({ at, action }) => ({ at, action: serializeAction(action) }))
+  };
+}
+
+/**
+ * Read a replay file against the loaded creature data
+ *
+ * @param {object} replay - Parsed replay file
+ * @param {object} creatureData - Loaded creature data
+ * @returns {array|null} Entries with their creatures looked up, or null when
+ *   the file is unreadable or names a creature that isn't loaded
+ */
+export function readReplay(replay, creatureData) {
+  if (!replay || replay.version !== REPLAY_VERSION || !Array.isArray(replay.entries)) return null;
+
+  const entries = [];
+  for (const entry of replay.entries) {
+    if (!entry || typeof entry.at !== 'number' || entry.at < 0) return null;
+    if (!entry.action || !ACTION_TYPES.includes(entry.action.type)) return null;
+
+    const { creatureId, ...action } = entry.action;
+    if (creatureId !== undefined) {
+      const creature = findCreature(creatureData, creatureId);
+      if (!creature) return null;
+      action.creature = creature;
+    }
+    entries.push({ at: entry.at, action });
+  }
+  return entries;
+}
+
+/**
+ * Play entries through the engine without waiting
+ *
+ * Unlike runActions(), delayed transitions aren't applied early: the recorded
+ * ones are among the entries.
+ *
+ * @param {array} entries - Entries from readReplay()
+ * @param {object} [state] - State to start from (a fresh one by default)
+ * @returns {object} Engine state after the last action
+ */
+export function replayEntries(entries, state = createInitialState()) {
+  return entries.reduce((current, { action }) => step(current, action), state);
+}
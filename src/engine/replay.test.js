@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { ActionTypes, createInitialState, step } from './gameEngine';
+import { createReplay, createReplayRecorder, readReplay, replayEntries, REPLAY_VERSION } from './replay';
+import creaturesGameData from '../../public/creatures_game_data.json';
+
+/**
+ * Tests for recording and replaying playthroughs
+ */
+
+const aswang = creaturesGameData.creatures.find(c => c.id === 'aswang');
+
+// Plays a losing Aswang run through step(), recording each action on a fake clock
+const recordAswangRun = () => {
+  let clock = 1000;
+  const recorder = createReplayRecorder(() => clock);
+  let state = createInitialState();
+  const play = (action) => {
+    clock += 250;
+    recorder.record(action);
+    state = step(state, action);
+  };
+
+  play({ type: ActionTypes.START_GAME });
+  play({ type: ActionTypes.SELECT_CREATURE, creature: aswang, seed: 77, at: 5 });
+  play({ type: ActionTypes.COMPLETE_ENTRANCE_ANIMATION });
+  play({ type: ActionTypes.COMPLETE_CLOSE_UP_ANIMATION });
+  aswang.storyLines.forEach(() => play({ type: ActionTypes.ADVANCE_STORY_BUBBLE }));
+  while (state.gameState === 'level' || state.gameState === 'levelTransition') {
+    if (state.gameState === 'levelTransition') {
+      play({ type: ActionTypes.COMPLETE_LEVEL_TRANSITION });
+    } else if (state.awaitingTransition) {
+      play({ type: ActionTypes.BEGIN_LEVEL_TRANSITION });
+    } else {
+      const wrong = aswang.levels[state.currentLevel].choices.findIndex(choice => !choice.isCorrect);
+      play({ type: ActionTypes.MAKE_CHOICE, choiceIndex: wrong });
+    }
+  }
+
+  return { recorder, state };
+};
+
+describe('replay', () => {
+  it('records actions with the time since recording started', () => {
+    let clock = 100;
+    const recorder = createReplayRecorder(() => clock);
+
+    clock = 350;
+    recorder.record({ type: ActionTypes.START_GAME });
+    expect(recorder.getEntries()).toEqual([{ at: 250, action: { type: ActionTypes.START_GAME } }]);
+
+    recorder.clear();
+    expect(recorder.getEntries()).toEqual([]);
+  });
+
+  it('writes creatures into replay files by id', () => {
+    const replay = createReplay([
+      { at: 0, action: { type: ActionTypes.SELECT_CREATURE, creature: aswang, seed: 3 } }
+    ], 42);
+
+    expect(replay).toEqual({
+      version: REPLAY_VERSION,
+      recordedAt: 42,
+      entries: [{ at: 0, action: { type: ActionTypes.SELECT_CREATURE, creatureId: 'aswang', seed: 3 } }]
+    });
+  });
+
+  it('reproduces a playthrough from its replay file', () => {
+    const { recorder, state } = recordAswangRun();
+    const file = JSON.parse(JSON.stringify(recorder.toReplay()));
+
+    const replayed = replayEntries(readReplay(file, creaturesGameData));
+
+    expect(state.outcome).toBe('defeat');
+    expect(replayed.outcome).toBe(state.outcome);
+    expect(replayed.choiceHistory).toEqual(state.choiceHistory);
+    expect(replayed.mechanicState).toEqual(state.mechanicState);
+    expect(replayed.seed).toBe(77);
+  });
+
+  it('rejects replay files it cannot play', () => {
+    const entry = (action) => ({ version: REPLAY_VERSION, entries: [{ at: 0, action }] });
+
+    expect(readReplay(null, creaturesGameData)).toBeNull();
+    expect(readReplay({ version: REPLAY_VERSION + 1, entries: [] }, creaturesGameData)).toBeNull();
+    expect(readReplay(entry({ type: 'teleport' }), creaturesGameData)).toBeNull();
+    expect(readReplay(entry({ type: ActionTypes.SELECT_CREATURE, creatureId: 'kappa' }), creaturesGameData)).toBeNull();
+    expect(readReplay({ version: REPLAY_VERSION, entries: [{ at: -1, action: { type: ActionTypes.START_GAME } }] }, creaturesGameData)).toBeNull();
+    expect(readReplay(entry({ type: ActionTypes.START_GAME }), creaturesGameData)).toEqual([
+      { at: 0, action: { type: ActionTypes.START_GAME } }
+    ]);
+  });
+});
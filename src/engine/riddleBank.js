@@ -0,0 +1,134 @@
+/**
+ * Riddle Bank for FOLKLORERUN
+ *
+ * Instead of a fixed riddle, a level can name a pool of riddles in the
+ * creature's `riddleBank`:
+ *
+ *   riddleBank: [{ id, pool, difficulty: 'easy' | 'normal' | 'hard',
+ *                  riddle, hint, answerKey, answers }]
+ *   levels: [{ ..., riddlePool: 'hut', riddleData: { id, ... } }]
+ *
+ * When the run starts, one riddle is drawn for each pooled level from the
+ * level's own riddleData and the bank riddles in its pool. The draw uses the
+ * run's seed (see ./random.js), keeps to the difficulty tags the run's
+ * difficulty mode allows and never asks the same riddle twice in a run.
+ *
+ * The draw depends on the seed alone, so a run's seed reproduces its riddles.
+ * Riddles asked in recent runs are avoided by choosing the seed instead (see
+ * chooseRunSeed).
+ */
+
+import { createRandom } from './random';
+
+/**
+ * Difficulty tags a riddle can carry
+ */
+export const RIDDLE_DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+/**
+ * Number of recent runs whose riddles are avoided
+ */
+export const RECENT_RIDDLE_RUNS = 2;
+
+/**
+ * Number of seeds tried when choosing one that avoids recent riddles
+ */
+export const RUN_SEED_ATTEMPTS = 32;
+
+const levelRiddleId = (levelData, level) => (levelData.riddleData.id || `level-${level}`);
+
+/**
+ * Get the riddles a level can ask
+ *
+ * @param {object} creature - Creature data object
+ * @param {object} levelData - Level data
+ * @param {number} level - Index of the level
+ * @returns {array} The level's own riddle (if any) followed by its pool
+ */
+export function getRiddlePool(creature, levelData, level) {
+  const own = levelData && levelData.riddleData
+    ? [{ difficulty: 'normal', ...levelData.riddleData, id: levelRiddleId(levelData, level) }]
+    : [];
+  if (!levelData || !levelData.riddlePool) return own;
+
+  const bank = Array.isArray(creature.riddleBank) ? creature.riddleBank : [];
+  return [...own, ...bank.filter(riddle => riddle.pool === levelData.riddlePool)];
+}
+
+/**
+ * Draw the riddles for a run
+ *
+ * @param {object} creature - Creature data object
+ * @param {object} options
+ * @param {number} options.seed - Run seed
+ * @param {object} [options.difficulty] - Difficulty mode settings (`riddleTags`)
+ * @returns {object} Riddle id by level index, for levels with a riddle pool
+ */
+export function drawRiddles(creature, { seed, difficulty }) {
+  const random = createRandom(seed);
+  const allowedTags = difficulty && difficulty.riddleTags ? difficulty.riddleTags : RIDDLE_DIFFICULTIES;
+  const asked = new Set();
+  const draw = {};
+
+  (creature.levels || []).forEach((levelData, level) => {
+    if (!levelData.riddlePool) return;
+
+    // Fall back step by step: other difficulties, then repeats
+    const unasked = getRiddlePool(creature, levelData, level).filter(riddle => !asked.has(riddle.id));
+    const suitable = unasked.filter(riddle => allowedTags.includes(riddle.difficulty));
+    const candidates = [
+      suitable,
+      unasked,
+      getRiddlePool(creature, levelData, level)
+    ].find(list => list.length > 0);
+
+    if (!candidates) return;
+    const riddle = candidates[Math.floor(random() * candidates.length)];
+    asked.add(riddle.id);
+    draw[level] = riddle.id;
+  });
+
+  return draw;
+}
+
+/**
+ * Choose the seed for a new run
+ *
+ * Tries candidate seeds until one draws none of the riddles to avoid, keeping
+ * the one that draws the fewest when every candidate repeats some.
+ *
+ * @param {object} creature - Creature data object
+ * @param {object} options
+ * @param {function(): number} options.nextSeed - Returns the next candidate seed
+ * @param {object} [options.difficulty] - Difficulty mode settings (`riddleTags`)
+ * @param {string[]} [options.avoid] - Riddle ids asked in recent runs
+ * @param {number} [options.attempts] - Most candidates to try
+ * @returns {number} Run seed
+ */
+export function chooseRunSeed(creature, { nextSeed, difficulty, avoid = [], attempts = RUN_SEED_ATTEMPTS }) {
+  let best = null;
+
+  for (let attempt = 0; attempt < Math.max(1, attempts); attempt++) {
+    const seed = nextSeed();
+    const repeats = Object.values(drawRiddles(creature, { seed, difficulty }))
+      .filter(id => avoid.includes(id)).length;
+    if (!best || repeats < best.repeats) best = { seed, repeats };
+    if (repeats === 0) break;
+  }
+
+  return best.seed;
+}
+
+/**
+ * Get the riddle drawn for a level
+ *
+ * @param {object} creature - Creature data object
+ * @param {object} levelData - Level data
+ * @param {number} level - Index of the level
+ * @param {string} [riddleId] - Drawn riddle id
+ * @returns {object|null} Riddle data, or null when nothing was drawn
+ */
+export function getDrawnRiddle(creature, levelData, level, riddleId) {
+  if (riddleId === undefined) return null;
+  return getRiddlePool(creature, levelData, level).find(riddle => riddle.id === riddleId) || null;
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { chooseRunSeed, drawRiddles, getDrawnRiddle, getRiddlePool } from './riddleBank';
+import { getDifficulty } from './difficulty';
+
+/**
+ * Tests for seeded riddle draws
+ */
+
+const riddle = (id, pool, difficulty = 'normal') => ({ id, pool, difficulty, riddle: id, hint: '', answerKey: id });
+
+const creature = {
+  riddleBank: [
+    riddle('gate-easy', 'gate', 'easy'),
+    riddle('gate-hard', 'gate', 'hard'),
+    riddle('gate-normal', 'gate'),
+    riddle('hut-easy', 'hut', 'easy'),
+    riddle('hut-hard', 'hut', 'hard')
+  ],
+  levels: [
+    { riddlePool: 'gate', riddleData: { riddle: 'Own?', hint: '', answerKey: 'own' } },
+    { riddlePool: 'hut' },
+    { riddleData: { riddle: 'Fixed?', hint: '', answerKey: 'fixed' } }
+  ]
+};
+
+const seeds = Array.from({ length: 30 }, (_, index) => index);
+
+describe('riddle bank', () => {
+  it('draws the same riddles for the same seed', () => {
+    expect(drawRiddles(creature, { seed: 42 })).toEqual(drawRiddles(creature, { seed: 42 }));
+
+    const draws = new Set(seeds.map(seed => JSON.stringify(drawRiddles(creature, { seed }))));
+    expect(draws.size).toBeGreaterThan(1);
+  });
+
+  it('offers the level riddle alongside its pool and leaves unpooled levels alone', () => {
+    expect(getRiddlePool(creature, creature.levels[0], 0).map(r => r.id))
+      .toEqual(['level-0', 'gate-easy', 'gate-hard', 'gate-normal']);
+
+    const draw = drawRiddles(creature, { seed: 1 });
+    expect(Object.keys(draw)).toEqual(['0', '1']);
+    expect(getDrawnRiddle(creature, creature.levels[1], 1, draw[1]).pool).toBe('hut');
+    expect(getDrawnRiddle(creature, creature.levels[2], 2, undefined)).toBeNull();
+  });
+
+  it('keeps to the difficulty mode tags while the pool allows it', () => {
+    seeds.forEach(seed => {
+      const easy = drawRiddles(creature, { seed, difficulty: getDifficulty('easy') });
+      const nightmare = drawRiddles(creature, { seed, difficulty: getDifficulty('nightmare') });
+
+      expect(easy[0]).not.toBe('gate-hard');
+      expect(easy[1]).toBe('hut-easy');
+      expect(nightmare[0]).not.toBe('gate-easy');
+      expect(nightmare[1]).toBe('hut-hard');
+    });
+  });
+
+  it('chooses a run seed whose draw avoids recently asked riddles', () => {
+    const candidates = () => {
+      let next = 0;
+      return () => next++;
+    };
+    const avoid = ['level-0', 'gate-easy', 'gate-normal', 'hut-easy'];
+
+    const seed = chooseRunSeed(creature, { nextSeed: candidates(), avoid });
+    expect(drawRiddles(creature, { seed })).toEqual({ 0: 'gate-hard', 1: 'hut-hard' });
+
+    // Nothing to avoid keeps the first candidate
+    expect(chooseRunSeed(creature, { nextSeed: candidates() })).toBe(0);
+
+    // When every draw repeats a riddle, the one with the fewest repeats wins
+    const easy = getDifficulty('easy');
+    const fewest = chooseRunSeed(creature, { nextSeed: candidates(), difficulty: easy, avoid: ['hut-easy', 'gate-easy'] });
+    expect(drawRiddles(creature, { seed: fewest, difficulty: easy })[0]).not.toBe('gate-easy');
+  });
+
+  it('never asks the same riddle twice in a run', () => {
+    const shared = {
+      riddleBank: [riddle('one', 'same'), riddle('two', 'same')],
+      levels: [{ riddlePool: 'same' }, { riddlePool: 'same' }]
+    };
+
+    seeds.forEach(seed => {
+      const draw = drawRiddles(shared, { seed });
+      expect(draw[0]).not.toBe(draw[1]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Decision Timers for FOLKLORERUN
+ *
+ * A level can put the player under time pressure with a countdown in the
+ * creature data:
+ *
+ *   timer: {
+ *     seconds: 20,                 // time to decide
+ *     onTimeout: 'calmness-drain', // what running out of time does
+ *     consequence: 'Too slow...'   // text shown when it happens
+ *   }
+ *
+ * Without its own consequence, the UI shows the translated default message
+ * (TIMEOUT_CONSEQUENCE_KEY in the locale catalogs).
+ *
+ * Timeout effects:
+ * - incorrect: the level is answered with its first wrong choice
+ * - calmness-drain: calmness drains as for a wrong choice and the countdown
+ *   starts again (Banshee)
+ * - riddle-fail: the riddle counts as failed and the choices unlock with a
+ *   fresh countdown (Baba Yaga)
+ *
+ * Effects other than `incorrect` are applied by the creature's mechanic (see
+ * timeOut() in ./mechanics/registry.js); when it can't apply one - e.g. the
+ * riddle is already solved - the level is answered as incorrect instead.
+ *
+ * The countdown itself runs in the UI (hooks/useCountdown.js), which
+ * dispatches TIME_OUT when it reaches zero.
+ */
+
+/**
+ * What running out of time can do
+ */
+export const TIMEOUT_EFFECTS = ['incorrect', 'calmness-drain', 'riddle-fail'];
+
+/**
+ * Message key of the consequence shown when a timer doesn't set its own
+ */
+export const TIMEOUT_CONSEQUENCE_KEY = 'timer.timeout';
+
+/**
+ * Seconds left at which a countdown always counts as critical
+ */
+export const CRITICAL_SECONDS = 5;
+
+/**
+ * Get a level's timer with defaults filled in
+ *
+ * @param {object} levelData - Level data
+ * @returns {{seconds: number, onTimeout: string, consequence: string}|null}
+ *   The timer, or null when the level is untimed (consequence is empty when
+ *   the default message applies)
+ */
+export function getLevelTimer(levelData) {
+  const timer = levelData && levelData.timer;
+  if (!timer || typeof timer.seconds !== 'number' || timer.seconds <= 0) return null;
+
+  return {
+    seconds: timer.seconds,
+    onTimeout: TIMEOUT_EFFECTS.includes(timer.onTimeout) ? timer.onTimeout : 'incorrect',
+    consequence: timer.consequence || ''
+  };
+}
+
+/**
+ * Mood the time left puts the scene in
+ * Requirements: 11.1, 11.2, 11.3
+ *
+ * @param {number} secondsLeft - Seconds left on the countdown
+ * @param {number} seconds - Length of the countdown
+ * @returns {'calm'|'tense'|'critical'} Critical in the last quarter (or last
+ *   CRITICAL_SECONDS), tense past the halfway mark
+ */
+export function getTimerIntensity(secondsLeft, seconds) {
+  if (secondsLeft <= Math.max(CRITICAL_SECONDS, seconds / 4)) return 'critical';
+  if (secondsLeft <= seconds / 2) return 'tense';
+  return 'calm';
+}
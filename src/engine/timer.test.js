@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { getLevelTimer, getTimerIntensity } from './timer';
+
+/**
+ * Tests for level decision timers
+ */
+
+describe('decision timers', () => {
+  it('fills in timer defaults and ignores levels without time', () => {
+    expect(getLevelTimer({ timer: { seconds: 20 } })).toEqual({
+      seconds: 20,
+      onTimeout: 'incorrect',
+      consequence: ''
+    });
+    expect(getLevelTimer({ timer: { seconds: 20, onTimeout: 'calmness-drain', consequence: 'Hush.' } }))
+      .toEqual({ seconds: 20, onTimeout: 'calmness-drain', consequence: 'Hush.' });
+    expect(getLevelTimer({ timer: { seconds: 20, onTimeout: 'explode' } }).onTimeout).toBe('incorrect');
+    expect(getLevelTimer({ timer: { seconds: 0 } })).toBeNull();
+    expect(getLevelTimer({})).toBeNull();
+    expect(getLevelTimer(null)).toBeNull();
+  });
+
+  it('turns critical in the last quarter or the last few seconds', () => {
+    expect(getTimerIntensity(40, 40)).toBe('calm');
+    expect(getTimerIntensity(20, 40)).toBe('tense');
+    expect(getTimerIntensity(10, 40)).toBe('critical');
+    expect(getTimerIntensity(6, 8)).toBe('calm');
+    expect(getTimerIntensity(5, 8)).toBe('critical');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Win Rules for FOLKLORERUN
+ *
+ * How a run is won or lost comes from the creature data, and is checked after
+ * every choice:
+ *
+ *   rules: {
+ *     winThreshold: 2,                              // correct answers needed when the story ends
+ *     defeatIf: { finalCalmness: { max: 0 } }       // instant defeat when all conditions hold
+ *   }
+ *   levels: [{ ..., suddenDeath: true }]            // a wrong answer here loses the run
+ *
+ * Conditions use the same facts and operators as endings (see ./endings.js).
+ * Without a winThreshold, a run is won when more than half of the levels
+ * answered were correct (2 of 3). The difficulty mode shifts the threshold, but
+ * never past the number of levels answered.
+ *
+ * Requirements: 3.4, 3.5
+ */
+
+import { matchesCondition } from './endings';
+import { getDifficulty } from './difficulty';
+
+/**
+ * Rules used for anything a creature doesn't set
+ */
+export const DEFAULT_WIN_RULES = {
+  winThreshold: null,
+  defeatIf: {}
+};
+
+/**
+ * Get a creature's win rules with defaults filled in
+ *
+ * @param {object} creature - Creature data object
+ * @returns {{winThreshold: number|null, defeatIf: object}}
+ */
+export function getWinRules(creature) {
+  return { ...DEFAULT_WIN_RULES, ...(creature && creature.rules) };
+}
+
+/**
+ * Whether a finished story counts as won
+ *
+ * @param {object} rules - Win rules from getWinRules()
+ * @param {object} facts - Run facts (correctAnswers, answered)
+ * @param {object} [difficulty] - Difficulty mode settings (defaults to Normal)
+ * @returns {boolean}
+ */
+export function meetsWinThreshold(rules, facts, difficulty = getDifficulty()) {
+  const base = typeof rules.winThreshold === 'number'
+    ? rules.winThreshold
+    : Math.floor(facts.answered / 2) + 1;
+  const required = Math.min(base + difficulty.winThresholdOffset, Math.max(base, facts.answered));
+  return facts.correctAnswers >= required;
+}
+
+/**
+ * Whether the run has met the creature's instant defeat conditions
+ *
+ * @param {object} rules - Win rules from getWinRules()
+ * @param {object} facts - Run facts (see getRunFacts())
+ * @returns {boolean} True when every defeatIf condition holds (false without any)
+ */
+export function meetsDefeatConditions(rules, facts) {
+  const defeatConditions = Object.entries(rules.defeatIf);
+  return defeatConditions.length > 0 && defeatConditions.every(([fact, condition]) => (
+    matchesCondition(facts[fact], condition)
+  ));
+}
+
+/**
+ * Decide whether a choice ends the run
+ *
+ * @param {object} params
+ * @param {object} params.creature - Creature data object
+ * @param {object} params.levelData - Level the choice was made on
+ * @param {boolean} params.isCorrect - Whether the choice counted as correct
+ * @param {object} params.facts - Run facts after the choice (see getRunFacts())
+ * @param {string|null} params.ending - Outcome of an ending the choice leads to
+ * @param {boolean} params.storyOver - Whether the route has no further level
+ * @param {object} [params.difficulty] - Difficulty mode settings
+ * @returns {'victory'|'defeat'|null} Outcome, or null if the run goes on
+ */
+export function judgeChoice({ creature, levelData, isCorrect, facts, ending, storyOver, difficulty }) {
+  const rules = getWinRules(creature);
+
+  if (levelData && levelData.suddenDeath && !isCorrect) return 'defeat';
+  if (meetsDefeatConditions(rules, facts)) return 'defeat';
+
+  if (ending) return ending;
+  if (storyOver) return meetsWinThreshold(rules, facts, difficulty) ? 'victory' : 'defeat';
+  return null;
+}
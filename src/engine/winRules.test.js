@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { getWinRules, judgeChoice, meetsWinThreshold } from './winRules';
+import { getDifficulty } from './difficulty';
+
+/**
+ * Tests for per-creature win and defeat rules
+ */
+
+const judge = (overrides = {}) => judgeChoice({
+  creature: {},
+  levelData: {},
+  isCorrect: true,
+  facts: { correctAnswers: 1, answered: 1 },
+  ending: null,
+  storyOver: false,
+  ...overrides
+});
+
+describe('winRules', () => {
+  it('wins with more than half correct unless a threshold is set', () => {
+    const defaults = getWinRules({});
+
+    expect(meetsWinThreshold(defaults, { correctAnswers: 2, answered: 3 })).toBe(true);
+    expect(meetsWinThreshold(defaults, { correctAnswers: 2, answered: 4 })).toBe(false);
+    expect(meetsWinThreshold(getWinRules({ rules: { winThreshold: 3 } }), { correctAnswers: 2, answered: 3 })).toBe(false);
+    expect(meetsWinThreshold(getWinRules({ rules: { winThreshold: 1 } }), { correctAnswers: 1, answered: 3 })).toBe(true);
+  });
+
+  it('shifts the threshold with the difficulty mode, never past the levels answered', () => {
+    const defaults = getWinRules({});
+    const strict = getWinRules({ rules: { winThreshold: 3 } });
+    const wins = (rules, correctAnswers, mode) => meetsWinThreshold(
+      rules,
+      { correctAnswers, answered: 3 },
+      getDifficulty(mode)
+    );
+
+    expect(wins(defaults, 1, 'easy')).toBe(true);
+    expect(wins(defaults, 1, 'normal')).toBe(false);
+    expect(wins(defaults, 2, 'nightmare')).toBe(false);
+    expect(wins(defaults, 3, 'nightmare')).toBe(true);
+    expect(wins(strict, 3, 'nightmare')).toBe(true);
+  });
+
+  it('keeps the run going until the story ends', () => {
+    expect(judge()).toBeNull();
+    expect(judge({ storyOver: true })).toBe('victory');
+    expect(judge({ storyOver: true, facts: { correctAnswers: 0, answered: 1 } })).toBe('defeat');
+    expect(judge({ ending: 'defeat' })).toBe('defeat');
+  });
+
+  it('loses at once on a wrong answer in a sudden death level', () => {
+    const levelData = { suddenDeath: true };
+
+    expect(judge({ levelData, isCorrect: false })).toBe('defeat');
+    expect(judge({ levelData, isCorrect: true })).toBeNull();
+  });
+
+  it('loses at once when every defeat condition holds', () => {
+    const creature = { rules: { defeatIf: { finalCalmness: { max: 0 }, answered: { min: 2 } } } };
+
+    expect(judge({ creature, facts: { finalCalmness: 0, answered: 2 } })).toBe('defeat');
+    expect(judge({ creature, facts: { finalCalmness: 0, answered: 1 } })).toBeNull();
+    expect(judge({ creature, facts: { finalCalmness: 5, answered: 2 }, ending: 'victory' })).toBe('victory');
+    expect(judge({ creature, facts: { finalCalmness: 0, answered: 2 }, ending: 'victory' })).toBe('defeat');
+  });
+});
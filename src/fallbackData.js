@@ -5,6 +5,7 @@
  */
 
 export const fallbackCreatureData = {
+  schemaVersion: 1,
   creatures: [
     {
       id: "baba-yaga",
@@ -14,6 +15,12 @@ export const fallbackCreatureData = {
         "The forest parts. A hut stands on chicken legs, scratching at the earth. Baba Yaga peers from the window, her grin crooked and knowing. 'Come closer, traveler. Let's see if you're clever.'",
         "Bone-white birch trees circle the clearing. The hut spins slowly, its door facing you. Inside, the witch stirs her cauldron, humming riddles. Will you answer, or will you flee?"
       ],
+      storyLines: [
+        "In a ring of birch the hut wanders on spindly legs; it eats the footprints of those who pass.",
+        "Baba Yaga asks riddles and tests manners — those who offer the right thing may be spared, those who are crude often pay.",
+        "She is neither wholly guardian nor villain; she values cunning, gifts, and correct ritual.",
+        "Speak carefully. Offer without arrogance. Even a small talisman or a clever answer may sway her."
+      ],
       coreMechanic: "riddle",
       levels: [
         {
@@ -35,7 +42,8 @@ export const fallbackCreatureData = {
           riddleData: {
             riddle: "What walks on four legs at dawn, two at noon, and three at dusk?",
             hint: "Think of life's stages, from cradle to grave.",
-            answerKey: "human"
+            answerKey: "human",
+            answers: ["man", "person", "mankind"]
           }
         },
         {
@@ -57,7 +65,8 @@ export const fallbackCreatureData = {
           riddleData: {
             riddle: "I have cities but no houses, forests but no trees, water but no fish. What am I?",
             hint: "You hold me to find your way.",
-            answerKey: "map"
+            answerKey: "map",
+            answers: ["atlas", "chart"]
           }
         },
         {
@@ -79,7 +88,8 @@ export const fallbackCreatureData = {
           riddleData: {
             riddle: "The more you take, the more you leave behind. What am I?",
             hint: "Every journey makes them.",
-            answerKey: "footsteps"
+            answerKey: "footsteps",
+            answers: ["steps", "footprints", "tracks"]
           }
         }
       ],
@@ -102,6 +112,12 @@ export const fallbackCreatureData = {
         "The mist thickens. A voice rises, elegiac and ancient. She drifts toward you, translucent and grieving. The Banshee remembers all who are forgotten. Will you listen to her lament?",
         "Cold wind carries her song. The Banshee materializes, eyes hollow with centuries of loss. Her sorrow is a tide that pulls the living under. Tread carefully, speak gently."
       ],
+      storyLines: [
+        "By hedgerow and stream she walks, a quiet light in moon-damp air.",
+        "Her cry is a thread that sometimes warns families of coming loss; it is a sound to be honored, not mocked.",
+        "To soothe her is to acknowledge memory — names, laces, ribbons tied with care.",
+        "Listen and answer with reverence; the wrong noise draws the wail closer."
+      ],
       coreMechanic: "calmness",
       levels: [
         {
@@ -175,12 +191,25 @@ export const fallbackCreatureData = {
         "Night falls on the village. Dogs bark warnings. A neighbor waves from the darkness, but their shadow falls wrong. The Aswang is here. Stay sharp, stay alive.",
         "The village sleeps uneasily. Lantern flames gutter and die. Something prowls between the houses, wearing stolen skin. The Aswang is hunting. Will you survive until dawn?"
       ],
+      storyLines: [
+        "In the small lanes the night moves with extra eyes; a neighbor's shadow may not be what it seems.",
+        "The Aswang wears faces, eats the quiet, and slips under lantern light.",
+        "Salt burns paths, ember reveals truth, and the spoken name pins the thing.",
+        "Watch reflections and odd slips of movement — the clues are small and deadly.",
+        "Act in sequence: reveal, bind, and speak — or the night remembers you."
+      ],
       coreMechanic: "deduction",
       levels: [
         {
           levelIndex: 0,
           sceneText: "A neighbor approaches, smiling too wide.",
           enrichedScene: "Red-tinted fog creeps through the village streets. Lantern light flickers, casting long shadows. The neighbor's eyes catch the light strangely. 'Come closer,' they say. 'I have something to show you.'",
+          items: [
+            { id: "mirror", label: "Mirror", icon: "🪞", description: "Shows reflections", satisfies: [0] },
+            { id: "salt", label: "Salt", icon: "🧂", description: "Burns paths", satisfies: [] },
+            { id: "garlic", label: "Garlic", icon: "🧄", description: "Wards evil", satisfies: [] },
+            { id: "candle", label: "Candle", icon: "🕯️", description: "Lights the way", satisfies: [] }
+          ],
           choices: [
             {
               text: "Check for the telltale signs",
@@ -198,6 +227,12 @@ export const fallbackCreatureData = {
           levelIndex: 1,
           sceneText: "The creature circles, testing your awareness.",
           enrichedScene: "Shadows twist and writhe. The Aswang wears many faces now, shifting between forms. Dogs howl in the distance. You must choose wisely, or become prey.",
+          items: [
+            { id: "salt", label: "Salt", icon: "🧂", description: "Burns paths", satisfies: [0] },
+            { id: "garlic", label: "Garlic", icon: "🧄", description: "Wards evil", satisfies: [0] },
+            { id: "ember", label: "Ember", icon: "🔥", description: "Reveals truth", satisfies: [] },
+            { id: "cross", label: "Cross", icon: "✝️", description: "Protects", satisfies: [] }
+          ],
           choices: [
             {
               text: "Use salt and garlic to reveal it",
@@ -215,6 +250,12 @@ export const fallbackCreatureData = {
           levelIndex: 2,
           sceneText: "The Aswang reveals its true form.",
           enrichedScene: "The creature sheds its human skin. Leathery wings unfold. Its tongue extends, impossibly long. This is your final chance to survive the night. Choose with care.",
+          items: [
+            { id: "blade", label: "Blade", icon: "🗡️", description: "Strikes first", satisfies: [0] },
+            { id: "holy-oil", label: "Holy Oil", icon: "🛢️", description: "Anoints", satisfies: [0] },
+            { id: "speak-name", label: "Speak Name", icon: "📢", description: "Binds the creature", satisfies: [] },
+            { id: "prayer", label: "Prayer", icon: "🙏", description: "Invokes protection", satisfies: [] }
+          ],
           choices: [
             {
               text: "Strike with blessed weapons",
@@ -229,6 +270,17 @@ export const fallbackCreatureData = {
           ]
         }
       ],
+      tokens: [
+        { id: "mirror", label: "Mirror", description: "Its reflection is reversed" },
+        { id: "salt", label: "Salt Line", description: "It recoils from salt" },
+        { id: "garlic", label: "Garlic", description: "It shies from garlic" },
+        { id: "blade", label: "Blade", description: "Steel finds its mark" },
+        { id: "holy-oil", label: "Holy Oil", description: "Anointed, it cannot heal" }
+      ],
+      combinations: [
+        { id: "hunters-rite", label: "Reveal, ward, and strike", sequence: ["mirror", "garlic", "blade"], ordered: true },
+        { id: "anointing", label: "Reveal, salt, and anoint", sequence: ["mirror", "salt", "holy-oil"], ordered: true }
+      ],
       victoryTexts: [
         "The Aswang flees into the night, wounded and wary. The village is safe, for now. You are a hunter.",
         "Your blade strikes true. The creature shrieks and vanishes into darkness. Dawn breaks. The village is saved, and you stand victorious.",
@@ -244,15 +296,43 @@ export const fallbackCreatureData = {
 };
 
 export const fallbackUIConfig = {
+  assets: {
+    menuMusic: "Background audio.mp3",
+    introVideo: "Intro.mp4",
+    introMusic: "intro audio.mp3",
+    hero: "Main Character.png"
+  },
   creatures: {
     "baba-yaga": {
-      primaryColor: "#FFB84D",
-      secondaryColor: "#FF8C42",
-      fogColor: "rgba(255, 184, 77, 0.3)",
+      primaryColor: "#BA55D3",
+      secondaryColor: "#FF1493",
+      fogColor: "rgba(186, 85, 211, 0.3)",
       particleType: "rune-glow",
-      particleColor: "#FFD700",
+      particleColor: "#E0B0FF",
       animationSpeed: 1.2,
-      glowIntensity: 0.8
+      glowIntensity: 0.8,
+      font: "'Asimovian', serif",
+      assets: {
+        background: "Baba Yaga BG.jpg",
+        portrait: "Baba Yaga.jpg",
+        music: "Baba Yaga audio.mp3",
+        font: "Asimovian-Regular.ttf"
+      },
+      soundCues: {
+        "choice-select": {
+          descriptor: "paper-rustle",
+          visualEffect: "ripple",
+          duration: 300,
+          sound: [
+            {
+              wave: "noise",
+              duration: 0.25,
+              attack: 0.02,
+              volume: 0.3
+            }
+          ]
+        }
+      }
     },
     "banshee": {
       primaryColor: "#B8D4E8",
@@ -261,7 +341,34 @@ export const fallbackUIConfig = {
       particleType: "echo-wave",
       particleColor: "#E0F2FF",
       animationSpeed: 0.9,
-      glowIntensity: 0.6
+      glowIntensity: 0.6,
+      font: "'Jersey 10', monospace",
+      assets: {
+        background: "Banshee BG.jpg",
+        portrait: "Banshee.jpg",
+        music: "Banshee audio.mp3"
+      },
+      soundCues: {
+        "choice-select": {
+          descriptor: "ribbon-snap",
+          visualEffect: "ripple",
+          duration: 300,
+          sound: [
+            {
+              wave: "noise",
+              duration: 0.08,
+              volume: 0.5
+            },
+            {
+              wave: "sine",
+              frequency: 1200,
+              endFrequency: 600,
+              duration: 0.12,
+              volume: 0.3
+            }
+          ]
+        }
+      }
     },
     "aswang": {
       primaryColor: "#D32F2F",
@@ -270,7 +377,36 @@ export const fallbackUIConfig = {
       particleType: "flicker",
       particleColor: "#FF6B6B",
       animationSpeed: 1.5,
-      glowIntensity: 0.9
+      glowIntensity: 0.9,
+      font: "'Road Rage', serif",
+      assets: {
+        background: "Aswang BG.jpg",
+        portrait: "Aswang.jpg",
+        defeated: "Aswang_defeated.jpg",
+        music: "Aswang audio.mp3"
+      },
+      soundCues: {
+        "choice-select": {
+          descriptor: "ember-clink",
+          visualEffect: "ripple",
+          duration: 300,
+          sound: [
+            {
+              wave: "triangle",
+              frequency: 2093,
+              duration: 0.2,
+              volume: 0.35
+            },
+            {
+              wave: "sine",
+              frequency: 3136,
+              duration: 0.15,
+              delay: 0.05,
+              volume: 0.2
+            }
+          ]
+        }
+      }
     }
   },
   gameStates: {
@@ -306,32 +442,156 @@ export const fallbackUIConfig = {
     "choice-select": {
       descriptor: "soft-neon-chime",
       visualEffect: "ripple",
-      duration: 300
+      duration: 300,
+      sound: [
+        {
+          wave: "sine",
+          frequency: 1319,
+          duration: 0.25,
+          volume: 0.35
+        },
+        {
+          wave: "sine",
+          frequency: 1976,
+          duration: 0.2,
+          volume: 0.15
+        }
+      ]
     },
     "correct-choice": {
       descriptor: "warm-glow-hum",
       visualEffect: "pulse",
-      duration: 500
+      duration: 500,
+      priority: 1,
+      sound: [
+        {
+          wave: "triangle",
+          frequency: 220,
+          endFrequency: 330,
+          duration: 0.5,
+          attack: 0.05,
+          volume: 0.4
+        },
+        {
+          wave: "sine",
+          frequency: 440,
+          endFrequency: 660,
+          duration: 0.5,
+          attack: 0.05,
+          volume: 0.2
+        }
+      ]
     },
     "incorrect-choice": {
       descriptor: "hollow-echo",
       visualEffect: "shake",
-      duration: 400
+      duration: 400,
+      priority: 1,
+      sound: [
+        {
+          wave: "triangle",
+          frequency: 196,
+          endFrequency: 147,
+          duration: 0.35,
+          volume: 0.4
+        },
+        {
+          wave: "triangle",
+          frequency: 196,
+          endFrequency: 147,
+          duration: 0.35,
+          delay: 0.15,
+          volume: 0.15
+        }
+      ]
     },
     "level-complete": {
       descriptor: "ascending-shimmer",
       visualEffect: "ripple",
-      duration: 600
+      duration: 600,
+      priority: 1,
+      sound: [
+        {
+          wave: "sine",
+          frequency: 523,
+          duration: 0.3,
+          delay: 0,
+          volume: 0.3
+        },
+        {
+          wave: "sine",
+          frequency: 659,
+          duration: 0.3,
+          delay: 0.1,
+          volume: 0.3
+        },
+        {
+          wave: "sine",
+          frequency: 784,
+          duration: 0.3,
+          delay: 0.2,
+          volume: 0.3
+        },
+        {
+          wave: "sine",
+          frequency: 1047,
+          duration: 0.3,
+          delay: 0.3,
+          volume: 0.3
+        }
+      ]
     },
     "game-over": {
       descriptor: "descending-drone",
       visualEffect: "fade",
-      duration: 800
+      duration: 800,
+      priority: 2,
+      sound: [
+        {
+          wave: "sawtooth",
+          frequency: 147,
+          endFrequency: 73,
+          duration: 0.8,
+          attack: 0.05,
+          volume: 0.25
+        }
+      ]
     },
     "victory": {
       descriptor: "triumphant-chime",
       visualEffect: "burst",
-      duration: 1000
+      duration: 1000,
+      priority: 2,
+      sound: [
+        {
+          wave: "sine",
+          frequency: 523,
+          duration: 0.7,
+          delay: 0,
+          volume: 0.3
+        },
+        {
+          wave: "sine",
+          frequency: 659,
+          duration: 0.7,
+          delay: 0.15,
+          volume: 0.3
+        },
+        {
+          wave: "sine",
+          frequency: 784,
+          duration: 0.7,
+          delay: 0.3,
+          volume: 0.3
+        },
+        {
+          wave: "sine",
+          frequency: 1047,
+          duration: 0.7,
+          delay: 0.45,
+          volume: 0.3
+        }
+      ]
     }
   },
   transitions: {
@@ -0,0 +1,37 @@
+import { createContext, createElement, useContext, useEffect } from 'react';
+import { createAudioManager } from '../utils/audioManager';
+import { applyAudioSettings } from '../utils/settings';
+import useSettings from './useSettings';
+
+/**
+ * The audio manager every sound goes through (see utils/audioManager.js).
+ * Without an AudioProvider, a manager playing through HTML audio is used.
+ */
+export const AudioManagerContext = createContext(createAudioManager());
+
+/**
+ * Provide an audio manager to the game, kept at the player's volume settings
+ *
+ * @param {object} props
+ * @param {object} props.manager - Manager from createAudioManager()
+ * @param {React.ReactNode} props.children
+ */
+export function AudioProvider({ manager, children }) {
+  const { settings } = useSettings();
+
+  useEffect(() => {
+    applyAudioSettings(manager, settings);
+  }, [manager, settings]);
+
+  return createElement(AudioManagerContext.Provider, { value: manager }, children);
+}
+
+/**
+ * Custom hook to get the audio manager
+ * @returns {object} Audio manager
+ */
+function useAudio() {
+  return useContext(AudioManagerContext);
+}
+
+export default useAudio;
@@ -0,0 +1,30 @@
+import { createElement } from 'react';
+import { describe, it, expect } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import useAudio, { AudioProvider } from './useAudio';
+import { Channel, createAudioManager } from '../utils/audioManager';
+import { createFakeAudioBackend } from '../test/fakeAudioBackend';
+
+/**
+ * Tests for reaching the audio manager through context
+ */
+
+describe('useAudio', () => {
+  it('gives a working manager without a provider', () => {
+    const { result } = renderHook(() => useAudio());
+
+    expect(result.current.getPlaying(Channel.MUSIC)).toEqual([]);
+  });
+
+  it('gives the provided manager', () => {
+    const backend = createFakeAudioBackend();
+    const manager = createAudioManager({ backend, gestureTarget: null });
+    const wrapper = ({ children }) => createElement(AudioProvider, { manager }, children);
+
+    const { result } = renderHook(() => useAudio(), { wrapper });
+    result.current.play(Channel.SFX, '/assets/chime.mp3');
+
+    expect(result.current).toBe(manager);
+    expect(backend.playing()).toEqual(['/assets/chime.mp3']);
+  });
+});
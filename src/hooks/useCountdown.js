@@ -0,0 +1,84 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Countdown tick length (ms)
+ */
+export const COUNTDOWN_TICK_MS = 100;
+
+const isPageHidden = () => typeof document !== 'undefined' && document.hidden;
+
+/**
+ * useCountdown Hook
+ *
+ * Counts a level's decision timer down (see engine/timer.js). The countdown
+ * pauses while the tab is hidden or the window loses focus, so switching away
+ * never costs the player their answer, and calls `onExpire` once when it
+ * reaches zero. `reset()` starts it again from the full length.
+ *
+ * @param {number} seconds - Length of the countdown (0 for no countdown)
+ * @param {object} [options]
+ * @param {boolean} [options.running=true] - Whether the countdown should run
+ * @param {function} [options.onExpire] - Called when the time runs out
+ * @returns {object} { secondsLeft, remainingMs, paused, reset }
+ */
+const useCountdown = (seconds, { running = true, onExpire } = {}) => {
+  const totalMs = seconds > 0 ? seconds * 1000 : 0;
+  const [remainingMs, setRemainingMs] = useState(totalMs);
+  const [paused, setPaused] = useState(isPageHidden);
+
+  // The latest callback is used without restarting the countdown
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  // A new length starts a new countdown
+  useEffect(() => {
+    setRemainingMs(totalMs);
+  }, [totalMs]);
+
+  // Pause on tab blur, resume when the player comes back
+  useEffect(() => {
+    const handleVisibilityChange = () => setPaused(isPageHidden());
+    const handleBlur = () => setPaused(true);
+    const handleFocus = () => setPaused(isPageHidden());
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', handleFocus);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', handleFocus);
+    };
+  }, []);
+
+  const ticking = totalMs > 0 && running && !paused && remainingMs > 0;
+
+  useEffect(() => {
+    if (!ticking) return;
+
+    const interval = setInterval(() => {
+      setRemainingMs(ms => Math.max(0, ms - COUNTDOWN_TICK_MS));
+    }, COUNTDOWN_TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [ticking]);
+
+  useEffect(() => {
+    if (totalMs > 0 && running && remainingMs === 0 && onExpireRef.current) {
+      onExpireRef.current();
+    }
+  }, [remainingMs, totalMs, running]);
+
+  const reset = useCallback(() => {
+    setRemainingMs(totalMs);
+  }, [totalMs]);
+
+  return {
+    secondsLeft: Math.ceil(remainingMs / 1000),
+    remainingMs,
+    paused,
+    reset
+  };
+};
+
+export default useCountdown;
@@ -0,0 +1,79 @@
+import { renderHook, act } from '@testing-library/react';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import useCountdown from './useCountdown';
+
+describe('useCountdown', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const advance = (ms) => act(() => {
+    vi.advanceTimersByTime(ms);
+  });
+
+  it('counts down and calls onExpire once when the time runs out', () => {
+    const onExpire = vi.fn();
+    const { result } = renderHook(() => useCountdown(3, { onExpire }));
+
+    expect(result.current.secondsLeft).toBe(3);
+    advance(1500);
+    expect(result.current.secondsLeft).toBe(2);
+    advance(1500);
+    expect(result.current.secondsLeft).toBe(0);
+    advance(1000);
+    expect(onExpire).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts again from the full length on reset', () => {
+    const { result } = renderHook(() => useCountdown(3));
+
+    advance(2000);
+    act(() => {
+      result.current.reset();
+    });
+    expect(result.current.secondsLeft).toBe(3);
+  });
+
+  it('stops while not running and never runs without a length', () => {
+    const onExpire = vi.fn();
+    const { result, rerender } = renderHook(
+      ({ running }) => useCountdown(2, { running, onExpire }),
+      { initialProps: { running: false } }
+    );
+
+    advance(5000);
+    expect(result.current.remainingMs).toBe(2000);
+
+    rerender({ running: true });
+    advance(2000);
+    expect(onExpire).toHaveBeenCalledTimes(1);
+
+    const untimed = renderHook(() => useCountdown(0, { onExpire }));
+    advance(5000);
+    expect(untimed.result.current.secondsLeft).toBe(0);
+    expect(onExpire).toHaveBeenCalledTimes(1);
+  });
+
+  it('pauses while the window is blurred', () => {
+    const { result } = renderHook(() => useCountdown(10));
+
+    advance(1000);
+    act(() => {
+      window.dispatchEvent(new Event('blur'));
+    });
+    expect(result.current.paused).toBe(true);
+    advance(5000);
+    expect(result.current.remainingMs).toBe(9000);
+
+    act(() => {
+      window.dispatchEvent(new Event('focus'));
+    });
+    advance(1000);
+    expect(result.current.paused).toBe(false);
+    expect(result.current.remainingMs).toBe(8000);
+  });
+});
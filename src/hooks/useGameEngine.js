@@ -1,374 +1,380 @@
-import { useState, useCallback } from 'react';
-
-/**
- * useGameEngine Hook
- * 
- * Central state management for FOLKLORERUN game logic.
- * Manages game phases, creature selection, animation sequencing, level progression, and choice validation.
- * 
- * Game Phases:
- * - intro: Opening video animation
- * - select: Creature selection screen
- * - characterReveal: Creature image entrance and close-up animations
- * - story: Sequential story bubbles (4-5 bubbles)
- * - level: Active gameplay with choices
- * - end: Victory or defeat screen
- * 
- * Requirements: 2.3, 2.4, 2.5, 3.1, 3.6, 4.4, 4.5, 4.6
- */
-const useGameEngine = (creatureData) => {
-  // Game state management
-  const [gameState, setGameState] = useState('intro'); // intro | select | characterReveal | story | level | levelTransition | end
-  const [selectedCreature, setSelectedCreature] = useState(null);
-  const [currentLevel, setCurrentLevel] = useState(0); // 0-2
-  const [outcome, setOutcome] = useState(null); // victory | defeat | null
-  const [consequenceText, setConsequenceText] = useState('');
-  const [transitionFrom, setTransitionFrom] = useState(0); // For level transitions
-  const [correctAnswers, setCorrectAnswers] = useState(0); // Track correct answers (need 2/3 to win)
-  
-  // Animation state tracking (Requirements: 2.4, 2.5)
-  const [animationState, setAnimationState] = useState({
-    entranceComplete: false,
-    closeUpComplete: false,
-    storyComplete: false
-  });
-  
-  // Story bubble progression tracking (Requirements: 3.1)
-  const [storyBubbleIndex, setStoryBubbleIndex] = useState(0); // 0-4 (or 0-5 for Aswang)
-  
-  // Creature-specific mechanic state
-  const [mechanicState, setMechanicState] = useState({
-    hintsRevealed: 0,
-    calmnessLevel: 100,
-    tokensCollected: []
-  });
-
-  /**
-   * Transition from intro animation to creature selection
-   * Requirements: 1.3
-   */
-  const startGame = useCallback(() => {
-    setGameState('select');
-  }, []);
-
-  /**
-   * Select a creature and begin their story with character reveal animation
-   * Requirements: 2.3, 2.4
-   * 
-   * @param {string} creatureId - ID of the selected creature (baba-yaga, banshee, aswang)
-   */
-  const selectCreature = useCallback((creatureId) => {
-    if (!creatureData || !creatureData.creatures) {
-      console.error('Creature data not available');
-      return;
-    }
-
-    const creature = creatureData.creatures.find(c => c.id === creatureId);
-    
-    if (!creature) {
-      console.error(`Creature with id ${creatureId} not found`);
-      return;
-    }
-
-    setSelectedCreature(creature);
-    setCurrentLevel(0);
-    setOutcome(null);
-    setConsequenceText('');
-    setStoryBubbleIndex(0);
-    setCorrectAnswers(0);
-    
-    // Reset animation state
-    setAnimationState({
-      entranceComplete: false,
-      closeUpComplete: false,
-      storyComplete: false
-    });
-    
-    // Reset mechanic state based on creature type
-    if (creature.coreMechanic === 'riddle') {
-      setMechanicState({ hintsRevealed: 0 });
-    } else if (creature.coreMechanic === 'calmness') {
-      setMechanicState({ calmnessLevel: 100 });
-    } else if (creature.coreMechanic === 'deduction') {
-      setMechanicState({ tokensCollected: [] });
-    }
-    
-    // Transition to character reveal phase for entrance animation
-    setGameState('characterReveal');
-  }, [creatureData]);
-
-  /**
-   * Mark entrance animation as complete
-   * Requirements: 2.4
-   */
-  const completeEntranceAnimation = useCallback(() => {
-    setAnimationState(prev => ({
-      ...prev,
-      entranceComplete: true
-    }));
-  }, []);
-
-  /**
-   * Mark close-up animation as complete and transition to story bubbles
-   * Requirements: 2.5, 3.1
-   */
-  const completeCloseUpAnimation = useCallback(() => {
-    setAnimationState(prev => ({
-      ...prev,
-      closeUpComplete: true
-    }));
-    // Transition to story bubble phase
-    setGameState('story');
-  }, []);
-
-  /**
-   * Advance to the next story bubble
-   * Requirements: 3.1
-   */
-  const advanceStoryBubble = useCallback(() => {
-    if (!selectedCreature) return;
-    
-    // Determine total number of story bubbles based on creature
-    // Baba Yaga and Banshee have 4 bubbles, Aswang has 5
-    const totalBubbles = selectedCreature.id === 'aswang' ? 5 : 4;
-    
-    if (storyBubbleIndex < totalBubbles - 1) {
-      // Move to next bubble
-      setStoryBubbleIndex(prev => prev + 1);
-    } else {
-      // All bubbles shown, mark story as complete and transition to level
-      setAnimationState(prev => ({
-        ...prev,
-        storyComplete: true
-      }));
-      setGameState('level');
-    }
-  }, [selectedCreature, storyBubbleIndex]);
-
-  /**
-   * Get canonical story lines for the selected creature
-   * Requirements: 3.1, 12.1, 12.2, 12.3
-   * 
-   * @returns {array} Array of story text lines
-   */
-  const getStoryLines = useCallback(() => {
-    if (!selectedCreature) return [];
-    
-    // Canonical story text hardcoded as per design document
-    const storyLines = {
-      'baba-yaga': [
-        "In a ring of birch the hut wanders on spindly legs; it eats the footprints of those who pass.",
-        "Baba Yaga asks riddles and tests manners — those who offer the right thing may be spared, those who are crude often pay.",
-        "She is neither wholly guardian nor villain; she values cunning, gifts, and correct ritual.",
-        "Speak carefully. Offer without arrogance. Even a small talisman or a clever answer may sway her."
-      ],
-      'banshee': [
-        "By hedgerow and stream she walks, a quiet light in moon-damp air.",
-        "Her cry is a thread that sometimes warns families of coming loss; it is a sound to be honored, not mocked.",
-        "To soothe her is to acknowledge memory — names, laces, ribbons tied with care.",
-        "Listen and answer with reverence; the wrong noise draws the wail closer."
-      ],
-      'aswang': [
-        "In the small lanes the night moves with extra eyes; a neighbor's shadow may not be what it seems.",
-        "The Aswang wears faces, eats the quiet, and slips under lantern light.",
-        "Salt burns paths, ember reveals truth, and the spoken name pins the thing.",
-        "Watch reflections and odd slips of movement — the clues are small and deadly.",
-        "Act in sequence: reveal, bind, and speak — or the night remembers you."
-      ]
-    };
-    
-    return storyLines[selectedCreature.id] || [];
-  }, [selectedCreature]);
-
-  /**
-   * Handle player choice selection
-   * Requirements: 3.2, 3.4, 3.5
-   * 
-   * @param {number} choiceIndex - Index of the selected choice (0 or 1)
-   */
-  const makeChoice = useCallback((choiceIndex) => {
-    if (!selectedCreature || gameState !== 'level') {
-      return;
-    }
-
-    const levelData = selectedCreature.levels[currentLevel];
-    
-    if (!levelData || !levelData.choices || !levelData.choices[choiceIndex]) {
-      console.error('Invalid choice or level data');
-      return;
-    }
-
-    const choice = levelData.choices[choiceIndex];
-    
-    // Display consequence text (Requirement 4.1: within 200ms)
-    setConsequenceText(choice.consequence);
-
-    // Update Banshee's calmness level if wrong choice
-    if (selectedCreature.coreMechanic === 'calmness' && !choice.isCorrect) {
-      // Decrease calmness based on level: Level 0: -25%, Level 1: -30%, Level 2: -35%
-      const decreaseAmount = currentLevel === 0 ? 25 : currentLevel === 1 ? 30 : 35;
-      setMechanicState(prev => ({
-        ...prev,
-        calmnessLevel: Math.max(0, prev.calmnessLevel - decreaseAmount)
-      }));
-    }
-
-    // Validate choice and determine outcome
-    if (choice.isCorrect) {
-      // Increment correct answers
-      const newCorrectCount = correctAnswers + 1;
-      setCorrectAnswers(newCorrectCount);
-      
-      // Check if this was the final level
-      if (currentLevel === 2) {
-        // Final level completed - check if player won (need 2/3 correct)
-        if (newCorrectCount >= 2) {
-          setOutcome('victory');
-        } else {
-          setOutcome('defeat');
-        }
-        setGameState('end');
-      } else {
-        // Progress to next level with transition animation
-        setTimeout(() => {
-          setTransitionFrom(currentLevel);
-          setGameState('levelTransition');
-          setConsequenceText('');
-        }, 2000); // Brief delay to show consequence
-      }
-    } else {
-      // Incorrect choice - continue to next level but track failure
-      if (currentLevel === 2) {
-        // Final level - check if player has enough correct answers (need 2/3)
-        if (correctAnswers >= 2) {
-          setOutcome('victory');
-        } else {
-          setOutcome('defeat');
-        }
-        setGameState('end');
-      } else {
-        // Progress to next level even with wrong answer
-        setTimeout(() => {
-          setTransitionFrom(currentLevel);
-          setGameState('levelTransition');
-          setConsequenceText('');
-        }, 2000);
-      }
-    }
-  }, [selectedCreature, currentLevel, gameState, correctAnswers]);
-
-  /**
-   * Get current level data for rendering
-   * 
-   * @returns {object|null} Current level data or null
-   */
-  const getCurrentLevelData = useCallback(() => {
-    if (!selectedCreature || !selectedCreature.levels) {
-      return null;
-    }
-    
-    return selectedCreature.levels[currentLevel] || null;
-  }, [selectedCreature, currentLevel]);
-
-  /**
-   * Restart the game with the same creature
-   * Requirements: 13.5
-   */
-  const restartGame = useCallback(() => {
-    console.log('🔄 restartGame called - keeping creature, going to characterReveal');
-    // Keep selected creature, restart from character reveal
-    setGameState('characterReveal');
-    setCurrentLevel(0);
-    setOutcome(null);
-    setCorrectAnswers(0);
-    setConsequenceText('');
-    setStoryBubbleIndex(0);
-    setAnimationState({
-      entranceComplete: false,
-      closeUpComplete: false,
-      storyComplete: false
-    });
-    setMechanicState({
-      hintsRevealed: 0,
-      calmnessLevel: 100,
-      tokensCollected: []
-    });
-  }, []);
-
-  /**
-   * Return to creature selection (home button)
-   * Requirements: 15.2
-   */
-  const goHome = useCallback(() => {
-    console.log('🏠 goHome called - clearing creature, going to select');
-    // Reset everything including creature
-    setSelectedCreature(null);
-    setGameState('select');
-    setCurrentLevel(0);
-    setOutcome(null);
-    setCorrectAnswers(0);
-    setConsequenceText('');
-    setStoryBubbleIndex(0);
-    setAnimationState({
-      entranceComplete: false,
-      closeUpComplete: false,
-      storyComplete: false
-    });
-    setMechanicState({
-      hintsRevealed: 0,
-      calmnessLevel: 100,
-      tokensCollected: []
-    });
-  }, []);
-
-  /**
-   * Complete level transition and move to next level
-   */
-  const completeLevelTransition = useCallback(() => {
-    setCurrentLevel(prev => prev + 1);
-    setGameState('level');
-  }, []);
-
-  /**
-   * Update creature-specific mechanic state
-   * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
-   * 
-   * @param {object} updates - Partial mechanic state updates
-   */
-  const updateMechanicState = useCallback((updates) => {
-    setMechanicState(prev => ({
-      ...prev,
-      ...updates
-    }));
-  }, []);
-
-  return {
-    // State
-    gameState,
-    selectedCreature,
-    currentLevel,
-    outcome,
-    consequenceText,
-    mechanicState,
-    animationState,
-    storyBubbleIndex,
-    transitionFrom,
-    correctAnswers,
-    
-    // Actions
-    startGame,
-    selectCreature,
-    completeEntranceAnimation,
-    completeCloseUpAnimation,
-    advanceStoryBubble,
-    completeLevelTransition,
-    getStoryLines,
-    makeChoice,
-    getCurrentLevelData,
-    restartGame,
-    goHome,
-    updateMechanicState
-  };
-};
-
-export default useGameEngine;
+import { useReducer, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ActionTypes,
+  CONSEQUENCE_DELAY_MS,
+  createInitialState,
+  createRunRecord,
+  createSnapshot,
+  findCreature,
+  getCreatureMechanic,
+  getCurrentLevelData as selectCurrentLevelData,
+  getEnding,
+  getLevelNumber,
+  getStoryLines as selectStoryLines,
+  step
+} from '../engine/gameEngine';
+import { getDifficulty } from '../engine/difficulty';
+import { readReplay } from '../engine/replay';
+import { useRandomService } from './useRandom';
+import useReplay from './useReplay';
+import { clearSave, writeSave } from '../utils/saveGame';
+import { chooseRunSeed } from '../engine/riddleBank';
+import { getRecentRiddles, loadRunHistory, recordRun } from '../utils/runHistory';
+
+/**
+ * useGameEngine Hook
+ *
+ * React binding for the FOLKLORERUN game engine core (src/engine/gameEngine.js).
+ * The rules live in the pure `step` reducer, which also checks the creature's
+ * win rules after every choice; this hook owns the state, exposes
+ * action callbacks, and schedules the delayed level transition after a choice.
+ * Runs in progress are saved to localStorage after every change (see
+ * utils/saveGame.js) and can be restored with resumeRun(); finished runs are
+ * added to the run history (see utils/runHistory.js). Each new run gets a fresh
+ * seed from the random service (see hooks/useRandom.js). The seed alone decides
+ * the run's draws, so it reproduces the run; a fresh seed is chosen to avoid the
+ * riddles asked in the creature's recent runs (see engine/riddleBank.js).
+ *
+ * The engine is handed the selected creature again whenever the creature data
+ * changes, so changing the language mid-run translates the run in progress and
+ * its choices are judged in the language they are shown in (see
+ * loadCreatureTranslation in utils/dataLoader.js).
+ *
+ * Every action is logged by the replay recorder (see hooks/useReplay.js). When
+ * a replay file is provided, its actions are played back on an accelerated
+ * clock instead: live input is ignored, and nothing is saved or added to the
+ * run history.
+ *
+ * Game Phases:
+ * - intro: Opening video animation
+ * - select: Creature selection screen
+ * - characterReveal: Creature image entrance and close-up animations
+ * - story: Sequential story bubbles (4-5 bubbles)
+ * - level: Active gameplay with choices
+ * - levelTransition: Animated crossing to the next level on the route
+ * - end: Victory or defeat screen
+ *
+ * Requirements: 2.3, 2.4, 2.5, 3.1, 3.6, 4.4, 4.5, 4.6
+ */
+const useGameEngine = (creatureData) => {
+  const [state, applyAction] = useReducer(step, undefined, createInitialState);
+  const { recorder, replay, speed } = useReplay();
+  const [replaying, setReplaying] = useState(Boolean(replay));
+  const replayingRef = useRef(Boolean(replay));
+  // Whether the latest action came from a replay rather than the player
+  const replayedRef = useRef(false);
+
+  const random = useRandomService();
+
+  // Latest creature data, for work that must not restart when it changes (e.g. its language)
+  const creatureDataRef = useRef(creatureData);
+  creatureDataRef.current = creatureData;
+  const creatureDataLoaded = Boolean(creatureData);
+
+  // Keep the engine on the selected creature in the current data's language.
+  // This follows the data rather than the player, so it is neither recorded
+  // nor held back by a replay
+  useEffect(() => {
+    if (!state.selectedCreature) return;
+    const current = findCreature(creatureData, state.selectedCreature.id);
+    if (current && current !== state.selectedCreature) {
+      applyAction({ type: ActionTypes.LOCALIZE_CREATURE, creature: current });
+    }
+  }, [creatureData, state.selectedCreature]);
+
+  // The state as shown, in the current data's language until the engine catches up
+  const view = useMemo(() => {
+    if (!state.selectedCreature) return state;
+    const current = findCreature(creatureData, state.selectedCreature.id);
+    return current && current !== state.selectedCreature ? { ...state, selectedCreature: current } : state;
+  }, [state, creatureData]);
+
+  // All actions go through here to be recorded; live input waits out a replay
+  const dispatch = useCallback((action) => {
+    if (replayingRef.current) return;
+    recorder.record(action);
+    replayedRef.current = false;
+    applyAction(action);
+  }, [recorder]);
+
+  // Play a replay file back once the creatures it names are loaded; later data
+  // changes (such as a new language) leave the playback schedule alone
+  useEffect(() => {
+    if (!replay || !creatureDataLoaded) return;
+
+    const finish = () => {
+      replayingRef.current = false;
+      setReplaying(false);
+    };
+
+    const entries = readReplay(replay, creatureDataRef.current);
+    if (!entries) {
+      console.error('Replay file could not be read; playing normally');
+      finish();
+      return;
+    }
+
+    // Keep the recorded pace between actions, sped up, from the first one on
+    const firstAt = entries.length > 0 ? entries[0].at : 0;
+    const lastAt = entries.length > 0 ? entries[entries.length - 1].at : 0;
+    const timers = entries.map(({ at, action }) => setTimeout(() => {
+      replayedRef.current = true;
+      applyAction(action);
+    }, (at - firstAt) / speed));
+    timers.push(setTimeout(finish, (lastAt - firstAt) / speed));
+
+    return () => timers.forEach(clearTimeout);
+  }, [replay, creatureDataLoaded]);
+
+  // Seed a new run; a given or pinned seed is used as is to reproduce a run
+  const newRun = (creature, difficulty, seed) => {
+    if (seed !== undefined) return { seed };
+    if (random.pinned) return { seed: random.nextRunSeed() };
+    return {
+      seed: chooseRunSeed(creature, {
+        nextSeed: random.nextRunSeed,
+        difficulty: getDifficulty(difficulty),
+        avoid: getRecentRiddles(loadRunHistory(), creature.id)
+      })
+    };
+  };
+
+  // Show the consequence briefly, then start the level transition (a replay has its own)
+  useEffect(() => {
+    if (!state.awaitingTransition || replaying) return;
+
+    const timer = setTimeout(() => {
+      dispatch({ type: ActionTypes.BEGIN_LEVEL_TRANSITION });
+    }, CONSEQUENCE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [state.awaitingTransition, replaying]);
+
+  // Keep the saved run up to date; a finished run has nothing to resume
+  useEffect(() => {
+    if (replayedRef.current) return;
+    const snapshot = createSnapshot(state);
+    if (snapshot) {
+      writeSave(snapshot);
+    } else if (state.gameState === 'end') {
+      clearSave();
+    }
+  }, [state]);
+
+  // Add each finished run to the run history once
+  const recordedRunRef = useRef(null);
+  useEffect(() => {
+    if (state.gameState !== 'end' || recordedRunRef.current === state.choiceHistory) return;
+    if (replayedRef.current) {
+      // A replayed run was recorded when it was played
+      recordedRunRef.current = state.choiceHistory;
+      return;
+    }
+
+    const record = createRunRecord(state, Date.now());
+    if (record) {
+      recordedRunRef.current = state.choiceHistory;
+      recordRun(record);
+    }
+  }, [state]);
+
+  /**
+   * Transition from intro animation to creature selection
+   * Requirements: 1.3
+   */
+  const startGame = useCallback(() => {
+    dispatch({ type: ActionTypes.START_GAME });
+  }, []);
+
+  /**
+   * Select a creature and begin their story with character reveal animation
+   * Requirements: 2.3, 2.4
+   *
+   * @param {string} creatureId - ID of the selected creature (baba-yaga, banshee, aswang)
+   * @param {string} [difficulty] - Difficulty mode id (keeps the current mode when omitted)
+   * @param {number} [seed] - Seed of a run to reproduce (a new one when omitted)
+   */
+  const selectCreature = useCallback((creatureId, difficulty, seed) => {
+    if (!creatureData || !creatureData.creatures) {
+      console.error('Creature data not available');
+      return;
+    }
+
+    const creature = findCreature(creatureData, creatureId);
+
+    if (!creature) {
+      console.error(`Creature with id ${creatureId} not found`);
+      return;
+    }
+
+    try {
+      getCreatureMechanic(creature);
+    } catch (error) {
+      console.error(`Creature ${creatureId} cannot be played: ${error.message}`);
+      return;
+    }
+
+    dispatch({
+      type: ActionTypes.SELECT_CREATURE,
+      creature,
+      difficulty,
+      ...newRun(creature, difficulty || state.difficulty, seed),
+      at: Date.now()
+    });
+  }, [creatureData, state.difficulty]);
+
+  /**
+   * Mark entrance animation as complete
+   * Requirements: 2.4
+   */
+  const completeEntranceAnimation = useCallback(() => {
+    dispatch({ type: ActionTypes.COMPLETE_ENTRANCE_ANIMATION });
+  }, []);
+
+  /**
+   * Mark close-up animation as complete and transition to story bubbles
+   * Requirements: 2.5, 3.1
+   */
+  const completeCloseUpAnimation = useCallback(() => {
+    dispatch({ type: ActionTypes.COMPLETE_CLOSE_UP_ANIMATION });
+  }, []);
+
+  /**
+   * Advance to the next story bubble
+   * Requirements: 3.1
+   *
+   * StoryBubbles re-invokes its onComplete whenever this callback changes,
+   * so it is rebuilt per bubble to keep walking the story to the level phase.
+   */
+  const advanceStoryBubble = useCallback(() => {
+    if (!state.selectedCreature) return;
+    dispatch({ type: ActionTypes.ADVANCE_STORY_BUBBLE });
+  }, [state.selectedCreature, state.storyBubbleIndex]);
+
+  /**
+   * Get canonical story lines for the selected creature
+   * Requirements: 3.1, 12.1, 12.2, 12.3
+   *
+   * @returns {array} Array of story text lines
+   */
+  const getStoryLines = useCallback(() => selectStoryLines(view), [view]);
+
+  /**
+   * Handle player choice selection
+   * Requirements: 3.2, 3.4, 3.5
+   *
+   * @param {number} choiceIndex - Index of the selected choice (0 or 1)
+   */
+  const makeChoice = useCallback((choiceIndex) => {
+    if (!state.selectedCreature || state.gameState !== 'level') {
+      return;
+    }
+
+    const levelData = selectCurrentLevelData(state);
+
+    if (!levelData || !levelData.choices || !levelData.choices[choiceIndex]) {
+      console.error('Invalid choice or level data');
+      return;
+    }
+
+    dispatch({ type: ActionTypes.MAKE_CHOICE, choiceIndex });
+  }, [state]);
+
+  /**
+   * Handle the current level's decision timer running out
+   */
+  const timeOut = useCallback(() => {
+    dispatch({ type: ActionTypes.TIME_OUT });
+  }, []);
+
+  /**
+   * Get current level data for rendering
+   *
+   * @returns {object|null} Current level data or null
+   */
+  const getCurrentLevelData = useCallback(() => selectCurrentLevelData(view), [view]);
+
+  /**
+   * Restart the game with the same creature
+   * Requirements: 13.5
+   */
+  const restartGame = useCallback(() => {
+    console.log('🔄 restartGame called - keeping creature, going to characterReveal');
+    const run = state.selectedCreature ? newRun(state.selectedCreature, state.difficulty) : {};
+    dispatch({ type: ActionTypes.RESTART_GAME, ...run, at: Date.now() });
+  }, [state.selectedCreature, state.difficulty]);
+
+  /**
+   * Return to creature selection (home button)
+   * Requirements: 15.2
+   */
+  const goHome = useCallback(() => {
+    console.log('🏠 goHome called - clearing creature, going to select');
+    clearSave();
+    dispatch({ type: ActionTypes.GO_HOME });
+  }, []);
+
+  /**
+   * Resume a saved run in its story or level phase
+   *
+   * @param {object} savedRun - Restorable run from readSave()
+   */
+  const resumeRun = useCallback((savedRun) => {
+    if (!savedRun) return;
+    dispatch({ type: ActionTypes.RESTORE_RUN, snapshot: savedRun.snapshot, creature: savedRun.creature });
+  }, []);
+
+  /**
+   * Complete level transition and move to next level
+   */
+  const completeLevelTransition = useCallback(() => {
+    dispatch({ type: ActionTypes.COMPLETE_LEVEL_TRANSITION });
+  }, []);
+
+  /**
+   * Update creature-specific mechanic state
+   * Requirements: 6.1, 6.2, 6.3, 6.4, 6.5
+   *
+   * @param {object} updates - Partial mechanic state updates
+   */
+  const updateMechanicState = useCallback((updates) => {
+    dispatch({ type: ActionTypes.UPDATE_MECHANIC_STATE, updates });
+  }, []);
+
+  return {
+    // State
+    gameState: state.gameState,
+    selectedCreature: view.selectedCreature,
+    currentLevel: state.currentLevel,
+    levelNumber: getLevelNumber(state),
+    outcome: state.outcome,
+    ending: getEnding(view),
+    difficulty: getDifficulty(state.difficulty),
+    seed: state.seed,
+    replaying,
+    consequenceText: state.consequenceText,
+    mechanicState: state.mechanicState,
+    animationState: state.animationState,
+    storyBubbleIndex: state.storyBubbleIndex,
+    transitionFrom: state.transitionFrom,
+    correctAnswers: state.correctAnswers,
+
+    // Actions
+    startGame,
+    selectCreature,
+    completeEntranceAnimation,
+    completeCloseUpAnimation,
+    advanceStoryBubble,
+    completeLevelTransition,
+    getStoryLines,
+    makeChoice,
+    timeOut,
+    getCurrentLevelData,
+    restartGame,
+    goHome,
+    resumeRun,
+    updateMechanicState
+  };
+};
+
+export default useGameEngine;
@@ -443,3 +443,53 @@ describe('useGameEngine - Property-Based Tests', () => {
     vi.useRealTimers();
   }, 30000); // 30 second timeout for 100 runs
 });
+
+describe('useGameEngine - language changes', () => {
+  const translate = (creatureData) => ({
+    ...creatureData,
+    creatures: creatureData.creatures.map(creature => ({
+      ...creature,
+      levels: creature.levels.map(level => ({
+        ...level,
+        choices: level.choices.map(choice => ({ ...choice, consequence: `tl: ${choice.consequence}` }))
+      }))
+    }))
+  });
+
+  it('judges and tells the run in the language it is shown in', () => {
+    vi.useFakeTimers();
+    try {
+      const { result, rerender } = renderHook(({ data }) => useGameEngine(data), {
+        initialProps: { data: fallbackCreatureData }
+      });
+
+      act(() => {
+        result.current.selectCreature('banshee');
+      });
+      act(() => {
+        result.current.completeEntranceAnimation();
+      });
+      act(() => {
+        result.current.completeCloseUpAnimation();
+      });
+      for (let i = 0; i < result.current.getStoryLines().length; i++) {
+        act(() => {
+          result.current.advanceStoryBubble();
+        });
+      }
+      act(() => {
+        result.current.makeChoice(0);
+      });
+      const shown = result.current.consequenceText;
+
+      const translated = translate(fallbackCreatureData);
+      rerender({ data: translated });
+
+      expect(result.current.selectedCreature).toBe(translated.creatures.find(c => c.id === 'banshee'));
+      expect(result.current.consequenceText).toBe(`tl: ${shown}`);
+      expect(result.current.currentLevel).toBe(0);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
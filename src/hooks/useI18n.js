@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useState } from 'react';
+import useSettings from './useSettings';
+import { detectLocale, LOCALES, translate } from '../utils/i18n';
+
+/**
+ * Custom hook to translate UI strings into the player's language
+ * The language picked in the Settings panel is kept in the player's settings
+ * (see utils/settings.js); until one is picked, or after picking the automatic
+ * option (null), the browser's language is followed.
+ * @returns {Object} { locale: string, t: function, setLocale: function, locales: Array }
+ */
+function useI18n() {
+  const { settings, updateSettings } = useSettings();
+  const [browserLocale, setBrowserLocale] = useState(() => detectLocale());
+  const locale = settings.locale ?? browserLocale;
+
+  // Follow changes to the browser's language preferences
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+
+    const handleChange = () => setBrowserLocale(detectLocale());
+    window.addEventListener('languagechange', handleChange);
+    return () => window.removeEventListener('languagechange', handleChange);
+  }, []);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+
+  const setLocale = (code) => {
+    updateSettings({ locale: code });
+  };
+
+  return { locale, t, setLocale, locales: LOCALES };
+}
+
+export default useI18n;
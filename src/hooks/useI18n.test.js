@@ -0,0 +1,58 @@
+import { createElement } from 'react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useI18n from './useI18n';
+import { SettingsProvider } from './useSettings';
+import { createSettingsStore } from '../utils/settings';
+
+/**
+ * Tests for translating UI strings in the player's language
+ */
+
+describe('useI18n', () => {
+  const renderWithStore = (store) => renderHook(() => useI18n(), {
+    wrapper: ({ children }) => createElement(SettingsProvider, { store }, children)
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('follows the browser language until one is picked', () => {
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['ga-IE', 'en']);
+    const { result } = renderWithStore(createSettingsStore(null));
+
+    expect(result.current.locale).toBe('ga');
+    expect(result.current.t('stats.back')).toBe('Siar');
+  });
+
+  it('switches language when one is picked and back with the automatic option', () => {
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['en-US']);
+    const store = createSettingsStore(null);
+    const { result } = renderWithStore(store);
+
+    act(() => {
+      result.current.setLocale('ru');
+    });
+    expect(result.current.locale).toBe('ru');
+    expect(result.current.t('end.playAgain')).toBe('Играть снова');
+    expect(store.getSettings().locale).toBe('ru');
+
+    act(() => {
+      result.current.setLocale(null);
+    });
+    expect(result.current.locale).toBe('en');
+  });
+
+  it('picks up changes to the browser language', () => {
+    const languages = vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['en']);
+    const { result } = renderWithStore(createSettingsStore(null));
+
+    languages.mockReturnValue(['fil']);
+    act(() => {
+      window.dispatchEvent(new Event('languagechange'));
+    });
+
+    expect(result.current.locale).toBe('tl');
+  });
+});
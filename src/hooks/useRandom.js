@@ -0,0 +1,46 @@
+import { createContext, createElement, useContext, useMemo } from 'react';
+import { createRandomService, createSeed } from '../engine/random';
+
+/**
+ * Random service the game draws from (see engine/random.js). Without a
+ * RandomProvider, a session with a fresh seed is used.
+ */
+export const RandomContext = createContext(createRandomService(createSeed()));
+
+/**
+ * Provide the random service to the game
+ *
+ * @param {object} props
+ * @param {number|null} [props.seed] - Seed to pin the session to (a fresh, unpinned seed when null)
+ * @param {React.ReactNode} props.children
+ */
+export function RandomProvider({ seed = null, children }) {
+  const service = useMemo(
+    () => (seed === null
+      ? createRandomService(createSeed())
+      : createRandomService(seed, { pinned: true })),
+    [seed]
+  );
+
+  return createElement(RandomContext.Provider, { value: service }, children);
+}
+
+/**
+ * Get the random service itself (session seed, run seeds)
+ *
+ * @returns {object} Service from createRandomService()
+ */
+export function useRandomService() {
+  return useContext(RandomContext);
+}
+
+/**
+ * Custom hook to draw random numbers from a named stream of the random service
+ * @param {string} name - Stream name, one per kind of use (e.g. 'end-card')
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+function useRandom(name) {
+  return useRandomService().stream(name);
+}
+
+export default useRandom;
@@ -0,0 +1,75 @@
+import { createElement } from 'react';
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useRandom, { RandomProvider, useRandomService } from './useRandom';
+import useGameEngine from './useGameEngine';
+import { createRandomService } from '../engine/random';
+import { drawRiddles } from '../engine/riddleBank';
+import { getDifficulty } from '../engine/difficulty';
+import { findCreature } from '../engine/gameEngine';
+import { recordRun } from '../utils/runHistory';
+import { fallbackCreatureData } from '../fallbackData';
+import creaturesGameData from '../../public/creatures_game_data.json';
+
+/**
+ * Tests for the random service hooks
+ */
+
+const withSeed = (seed) => ({ children }) => createElement(RandomProvider, { seed }, children);
+
+describe('useRandom', () => {
+  it('draws from the pinned session seed', () => {
+    const { result } = renderHook(() => useRandom('end-card'), { wrapper: withSeed(31) });
+    const expected = createRandomService(31).stream('end-card');
+
+    expect([result.current(), result.current()]).toEqual([expected(), expected()]);
+  });
+
+  it('keeps the same generator across renders', () => {
+    const { result, rerender } = renderHook(() => useRandom('ambient-static'), { wrapper: withSeed(31) });
+    const first = result.current;
+
+    rerender();
+    expect(result.current).toBe(first);
+  });
+
+  it('uses an unpinned session without a seed', () => {
+    const { result } = renderHook(() => useRandomService(), { wrapper: withSeed(null) });
+
+    expect(result.current.pinned).toBe(false);
+  });
+
+  it('plays every run with a pinned seed', () => {
+    const { result } = renderHook(() => useGameEngine(fallbackCreatureData), { wrapper: withSeed(4242) });
+    const creatureId = fallbackCreatureData.creatures[0].id;
+
+    act(() => result.current.selectCreature(creatureId));
+    expect(result.current.seed).toBe(4242);
+
+    act(() => result.current.restartGame());
+    expect(result.current.seed).toBe(4242);
+
+    act(() => result.current.selectCreature(creatureId, undefined, 7));
+    expect(result.current.seed).toBe(7);
+  });
+
+  it('reproduces a run played around recent riddles from its seed', () => {
+    const babaYaga = findCreature(creaturesGameData, 'baba-yaga');
+    const recent = Object.values(drawRiddles(babaYaga, { seed: 1, difficulty: getDifficulty() }));
+    recordRun({ creatureId: babaYaga.id, outcome: 'defeat', choices: [], mechanic: { riddlesDrawn: recent } });
+
+    const played = renderHook(() => useGameEngine(creaturesGameData), { wrapper: withSeed(null) });
+    act(() => played.result.current.selectCreature(babaYaga.id));
+    const { seed, mechanicState: { riddleDraw } } = played.result.current;
+    Object.values(riddleDraw).forEach(id => expect(recent).not.toContain(id));
+
+    // Pinned from the debug panel, and passed straight to selectCreature
+    const pinned = renderHook(() => useGameEngine(creaturesGameData), { wrapper: withSeed(seed) });
+    act(() => pinned.result.current.selectCreature(babaYaga.id));
+    expect(pinned.result.current.mechanicState.riddleDraw).toEqual(riddleDraw);
+
+    const given = renderHook(() => useGameEngine(creaturesGameData), { wrapper: withSeed(null) });
+    act(() => given.result.current.selectCreature(babaYaga.id, undefined, seed));
+    expect(given.result.current.mechanicState.riddleDraw).toEqual(riddleDraw);
+  });
+});
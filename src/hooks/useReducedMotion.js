@@ -1,8 +1,11 @@
 import { useState, useEffect } from 'react';
+import useSettings from './useSettings';
 
 /**
  * Custom hook to detect and manage reduced motion preferences
- * Detects system preference and allows manual override
+ * Detects system preference and allows manual override. The override is kept
+ * in the player's settings (see utils/settings.js), so it survives a reload;
+ * toggling back to the system preference clears it.
  * @returns {Object} { reducedMotion: boolean, toggleReducedMotion: function }
  */
 function useReducedMotion() {
@@ -13,7 +16,9 @@ function useReducedMotion() {
     return mediaQuery.matches;
   };
 
-  const [reducedMotion, setReducedMotion] = useState(getSystemPreference);
+  const [systemPreference, setSystemPreference] = useState(getSystemPreference);
+  const { settings, updateSettings } = useSettings();
+  const reducedMotion = settings.reducedMotion ?? systemPreference;
 
   // Listen for changes to system preference
   useEffect(() => {
@@ -22,7 +27,7 @@ function useReducedMotion() {
     const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
     
     const handleChange = (event) => {
-      setReducedMotion(event.matches);
+      setSystemPreference(event.matches);
     };
 
     // Modern browsers
@@ -39,7 +44,8 @@ function useReducedMotion() {
 
   // Manual toggle function
   const toggleReducedMotion = () => {
-    setReducedMotion(prev => !prev);
+    const next = !reducedMotion;
+    updateSettings({ reducedMotion: next === systemPreference ? null : next });
   };
 
   return { reducedMotion, toggleReducedMotion };
@@ -50,6 +50,51 @@ describe('useReducedMotion', () => {
     expect(result.current.reducedMotion).toBe(false);
   });
 
+  it('should remember the manual override across mounts', () => {
+    const first = renderHook(() => useReducedMotion());
+
+    act(() => {
+      first.result.current.toggleReducedMotion();
+    });
+    first.unmount();
+
+    const { result } = renderHook(() => useReducedMotion());
+    expect(result.current.reducedMotion).toBe(true);
+  });
+
+  it('should keep the override when the system preference changes', () => {
+    const { result } = renderHook(() => useReducedMotion());
+
+    act(() => {
+      result.current.toggleReducedMotion();
+    });
+
+    const changeHandler = matchMediaMock.addEventListener.mock.calls[0][1];
+    act(() => {
+      changeHandler({ matches: false });
+    });
+
+    expect(result.current.reducedMotion).toBe(true);
+  });
+
+  it('should follow the system again after toggling back to it', () => {
+    const { result } = renderHook(() => useReducedMotion());
+
+    act(() => {
+      result.current.toggleReducedMotion();
+    });
+    act(() => {
+      result.current.toggleReducedMotion();
+    });
+
+    const changeHandler = matchMediaMock.addEventListener.mock.calls[0][1];
+    act(() => {
+      changeHandler({ matches: true });
+    });
+
+    expect(result.current.reducedMotion).toBe(true);
+  });
+
   it('should listen for changes to system preference', () => {
     const { result } = renderHook(() => useReducedMotion());
     
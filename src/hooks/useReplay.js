@@ -0,0 +1,37 @@
+import { createContext, createElement, useContext, useMemo } from 'react';
+import { createReplayRecorder, REPLAY_SPEED } from '../engine/replay';
+
+/**
+ * Replay tools the game engine uses (see engine/replay.js): the recorder that
+ * logs every action, and a replay file to play instead of taking input.
+ * Without a ReplayProvider, actions are recorded and nothing is replayed.
+ */
+export const ReplayContext = createContext({
+  recorder: createReplayRecorder(),
+  replay: null,
+  speed: REPLAY_SPEED
+});
+
+/**
+ * Provide the replay tools to the game
+ *
+ * @param {object} props
+ * @param {object} props.recorder - Recorder from createReplayRecorder()
+ * @param {object|null} [props.replay] - Parsed replay file to play
+ * @param {number} [props.speed] - How many times faster than recorded to play
+ * @param {React.ReactNode} props.children
+ */
+export function ReplayProvider({ recorder, replay = null, speed = REPLAY_SPEED, children }) {
+  const value = useMemo(() => ({ recorder, replay, speed }), [recorder, replay, speed]);
+  return createElement(ReplayContext.Provider, { value }, children);
+}
+
+/**
+ * Custom hook to get the replay tools
+ * @returns {{recorder: object, replay: object|null, speed: number}}
+ */
+function useReplay() {
+  return useContext(ReplayContext);
+}
+
+export default useReplay;
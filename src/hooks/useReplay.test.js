@@ -0,0 +1,123 @@
+import { createElement } from 'react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useGameEngine from './useGameEngine';
+import { ReplayProvider } from './useReplay';
+import { ActionTypes } from '../engine/gameEngine';
+import { createReplayRecorder, REPLAY_VERSION } from '../engine/replay';
+import { loadRunHistory } from '../utils/runHistory';
+import { fallbackCreatureData } from '../fallbackData';
+
+/**
+ * Tests for recording the engine's actions and playing replays back
+ */
+
+const creature = fallbackCreatureData.creatures[0];
+
+const withReplay = (props) => ({ children }) => createElement(ReplayProvider, props, children);
+
+// Reach the first level, then lose every level (the fallback data has no route branching)
+const losingRun = () => {
+  const entries = [
+    { type: ActionTypes.START_GAME },
+    { type: ActionTypes.SELECT_CREATURE, creatureId: creature.id, seed: 11, at: 0 },
+    { type: ActionTypes.COMPLETE_ENTRANCE_ANIMATION },
+    { type: ActionTypes.COMPLETE_CLOSE_UP_ANIMATION },
+    ...creature.storyLines.map(() => ({ type: ActionTypes.ADVANCE_STORY_BUBBLE })),
+    ...creature.levels.flatMap((level, index) => {
+      const wrong = { type: ActionTypes.MAKE_CHOICE, choiceIndex: level.choices.findIndex(c => !c.isCorrect) };
+      return index < creature.levels.length - 1
+        ? [wrong, { type: ActionTypes.BEGIN_LEVEL_TRANSITION }, { type: ActionTypes.COMPLETE_LEVEL_TRANSITION }]
+        : [wrong];
+    })
+  ];
+  return { version: REPLAY_VERSION, recordedAt: 0, entries: entries.map((action, i) => ({ at: 10000 + i * 1000, action })) };
+};
+
+describe('useReplay', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('records every action the engine takes', () => {
+    const recorder = createReplayRecorder();
+    const { result } = renderHook(() => useGameEngine(fallbackCreatureData), { wrapper: withReplay({ recorder }) });
+
+    act(() => result.current.startGame());
+    act(() => result.current.selectCreature(creature.id, undefined, 5));
+
+    const actions = recorder.toReplay().entries.map(entry => entry.action);
+    expect(actions).toEqual([
+      { type: ActionTypes.START_GAME },
+      expect.objectContaining({ type: ActionTypes.SELECT_CREATURE, creatureId: creature.id, seed: 5 })
+    ]);
+  });
+
+  it('plays a replay back on an accelerated clock, ignoring live input', () => {
+    vi.useFakeTimers();
+    const replay = losingRun();
+    const recorder = createReplayRecorder();
+    const { result } = renderHook(
+      () => useGameEngine(fallbackCreatureData),
+      { wrapper: withReplay({ recorder, replay, speed: 10 }) }
+    );
+
+    expect(result.current.replaying).toBe(true);
+
+    // The first action plays right away, the rest 100ms apart (1000ms recorded / 10)
+    act(() => { vi.advanceTimersByTime(0); });
+    expect(result.current.gameState).toBe('select');
+
+    act(() => result.current.selectCreature(fallbackCreatureData.creatures[1].id));
+    act(() => { vi.advanceTimersByTime(100); });
+    expect(result.current.selectedCreature.id).toBe(creature.id);
+
+    act(() => { vi.advanceTimersByTime((replay.entries.length - 2) * 100); });
+    expect(result.current.gameState).toBe('end');
+    expect(result.current.outcome).toBe('defeat');
+    expect(result.current.seed).toBe(11);
+    expect(result.current.replaying).toBe(false);
+
+    // Replays are neither recorded nor added to the run history
+    expect(recorder.getEntries()).toEqual([]);
+    expect(loadRunHistory()).toEqual([]);
+  });
+
+  it('keeps playing on schedule when the creature data changes mid-replay', () => {
+    vi.useFakeTimers();
+    const replay = losingRun();
+    const translated = {
+      ...fallbackCreatureData,
+      creatures: fallbackCreatureData.creatures.map(c => ({ ...c, name: `${c.name} (translated)` }))
+    };
+    const { result, rerender } = renderHook(
+      ({ data }) => useGameEngine(data),
+      { wrapper: withReplay({ replay, speed: 10 }), initialProps: { data: fallbackCreatureData } }
+    );
+
+    act(() => { vi.advanceTimersByTime(300); });
+    expect(result.current.gameState).toBe('story');
+
+    // A language change mid-replay shows the new text without starting over
+    rerender({ data: translated });
+    expect(result.current.selectedCreature.name).toBe(`${creature.name} (translated)`);
+    act(() => { vi.advanceTimersByTime((replay.entries.length - 4) * 100); });
+    expect(result.current.gameState).toBe('end');
+    expect(result.current.outcome).toBe('defeat');
+    expect(result.current.replaying).toBe(false);
+  });
+
+  it('plays normally when the replay names unknown creatures', () => {
+    const replay = { version: REPLAY_VERSION, entries: [{ at: 0, action: { type: ActionTypes.SELECT_CREATURE, creatureId: 'kappa' } }] };
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { result } = renderHook(
+      () => useGameEngine(fallbackCreatureData),
+      { wrapper: withReplay({ recorder: createReplayRecorder(), replay }) }
+    );
+
+    expect(result.current.replaying).toBe(false);
+    act(() => result.current.startGame());
+    expect(result.current.gameState).toBe('select');
+    errorSpy.mockRestore();
+  });
+});
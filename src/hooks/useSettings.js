@@ -0,0 +1,32 @@
+import { createContext, createElement, useContext, useSyncExternalStore } from 'react';
+import { createSettingsStore } from '../utils/settings';
+
+/**
+ * The player's settings store (see utils/settings.js). Without a
+ * SettingsProvider, a store kept in localStorage is used.
+ */
+export const SettingsContext = createContext(createSettingsStore());
+
+/**
+ * Provide a settings store to the game
+ *
+ * @param {object} props
+ * @param {object} props.store - Store from createSettingsStore()
+ * @param {React.ReactNode} props.children
+ */
+export function SettingsProvider({ store, children }) {
+  return createElement(SettingsContext.Provider, { value: store }, children);
+}
+
+/**
+ * Custom hook to read and change the player's settings
+ * @returns {{settings: object, updateSettings: function, resetSettings: function}}
+ */
+function useSettings() {
+  const store = useContext(SettingsContext);
+  const settings = useSyncExternalStore(store.subscribe, store.getSettings);
+
+  return { settings, updateSettings: store.update, resetSettings: store.reset };
+}
+
+export default useSettings;
@@ -0,0 +1,70 @@
+import { createElement } from 'react';
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useSettings, { SettingsProvider } from './useSettings';
+import { AudioProvider } from './useAudio';
+import { createSettingsStore, DEFAULT_SETTINGS } from '../utils/settings';
+import { Channel, createAudioManager } from '../utils/audioManager';
+import { createFakeAudioBackend } from '../test/fakeAudioBackend';
+
+/**
+ * Tests for reaching the player's settings through context
+ */
+
+describe('useSettings', () => {
+  it('gives the default settings without a provider', () => {
+    const { result } = renderHook(() => useSettings());
+
+    expect(result.current.settings).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('re-renders with changed settings', () => {
+    const store = createSettingsStore(null);
+    const wrapper = ({ children }) => createElement(SettingsProvider, { store }, children);
+    const { result } = renderHook(() => useSettings(), { wrapper });
+
+    act(() => {
+      result.current.updateSettings({ textSize: 'large' });
+    });
+    expect(result.current.settings.textSize).toBe('large');
+
+    act(() => {
+      result.current.resetSettings();
+    });
+    expect(result.current.settings.textSize).toBe('medium');
+  });
+
+  it('saves to localStorage by default', () => {
+    const { result } = renderHook(() => useSettings());
+
+    act(() => {
+      result.current.updateSettings({ captions: false });
+    });
+
+    expect(JSON.parse(localStorage.getItem('folklorerun:settings:v1')).captions).toBe(false);
+  });
+
+  it('keeps the provided audio manager at the volume settings', () => {
+    const store = createSettingsStore(null);
+    const manager = createAudioManager({ backend: createFakeAudioBackend(), gestureTarget: null });
+    const wrapper = ({ children }) => createElement(
+      SettingsProvider,
+      { store },
+      createElement(AudioProvider, { manager }, children)
+    );
+    const { result } = renderHook(() => useSettings(), { wrapper });
+
+    act(() => {
+      result.current.updateSettings({ musicVolume: 0.25, muted: true });
+    });
+
+    expect(manager.getChannelVolume(Channel.MUSIC)).toBe(0.25);
+    expect(manager.getMasterVolume()).toBe(0);
+
+    act(() => {
+      result.current.updateSettings({ muted: false });
+    });
+
+    expect(manager.getMasterVolume()).toBe(1);
+  });
+});
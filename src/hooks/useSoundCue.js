@@ -1,21 +1,83 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import useAudio from './useAudio';
+import useI18n from './useI18n';
+import { Channel } from '../utils/audioManager';
+import { getSoundUrl } from '../utils/soundSynth';
+
+// How long a cue shows when its config has no duration (ms)
+const DEFAULT_CUE_DURATION = 500;
+
+// Cues showing at once; the lowest-priority, oldest ones drop out first
+const MAX_ACTIVE_CUES = 4;
+
+/**
+ * Number of past cues kept in the caption history
+ */
+export const CAPTION_HISTORY_LIMIT = 20;
+
+// Visual effects to CSS classes
+const EFFECT_CLASSES = {
+  'ripple': 'sound-effect-ripple',
+  'pulse': 'sound-effect-pulse',
+  'shake': 'sound-effect-shake',
+  'fade': 'sound-effect-fade',
+  'burst': 'sound-effect-burst'
+};
+
+/**
+ * Look up a cue, with the creature's own version of it taking precedence
+ *
+ * @param {object} uiConfig - UI configuration object
+ * @param {string} cueName - Name of the sound cue
+ * @param {string} [creatureId] - Creature whose cue set applies
+ * @returns {object|null} Cue config, or null when neither defines the cue
+ */
+const findCue = (uiConfig, cueName, creatureId) => {
+  const shared = uiConfig.soundCues[cueName];
+  const own = creatureId ? uiConfig.creatures?.[creatureId]?.soundCues?.[cueName] : undefined;
+  return shared || own ? { ...shared, ...own } : null;
+};
+
+// Highest priority first; the most recent cue wins a tie
+const byPriority = (a, b) => b.priority - a.priority || b.id - a.id;
 
 /**
  * useSoundCue Hook
  * 
- * Handles audio cue visualization for accessibility.
- * Maps sound cues to visual effects and textual descriptors.
+ * Plays sound cues and shows them for accessibility: each cue's synthesized
+ * `sound` (see utils/soundSynth.js) plays on the audio manager's sfx channel,
+ * while a visual effect and a textual descriptor caption it.
+ * Creatures can override cues with their own `soundCues` in the UI config.
+ * 
+ * Cues can overlap. Each one gets an id and stays active for its own
+ * duration; the active cue with the highest `priority` (from its config,
+ * 0 by default) is the one shown, and when it ends the next one shows again.
+ * Every cue is also added to a caption history so players can review recent
+ * sounds. Descriptors are captioned in the player's language when the message
+ * catalog has a `cue.<descriptor>` entry for them (see utils/i18n.js).
  * 
  * Requirements: 8.1, 8.2, 8.3, 8.4, 8.5
  * 
  * @param {object} uiConfig - UI configuration object containing soundCues
+ * @param {string} [creatureId] - Selected creature, whose cue set applies
  * @returns {object} Sound cue controller with playSoundCue function and current cue state
  */
-const useSoundCue = (uiConfig) => {
-  const [currentCue, setCurrentCue] = useState(null);
-  const [visualEffect, setVisualEffect] = useState(null);
-  const [descriptor, setDescriptor] = useState('');
-  const [triggerLocation, setTriggerLocation] = useState({ x: 0, y: 0 });
+const useSoundCue = (uiConfig, creatureId) => {
+  const audio = useAudio();
+  const { t } = useI18n();
+  const [activeCues, setActiveCues] = useState([]);
+  const [captionHistory, setCaptionHistory] = useState([]);
+  const nextIdRef = useRef(1);
+  const timersRef = useRef(new Map());
+
+  // Cue timers must not fire after unmount
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => {
+      timers.forEach(clearTimeout);
+      timers.clear();
+    };
+  }, []);
 
   /**
    * Play a sound cue by triggering visual feedback
@@ -25,6 +87,7 @@ const useSoundCue = (uiConfig) => {
    * @param {object} options - Optional parameters
    * @param {number} options.x - X coordinate for visual effect trigger location
    * @param {number} options.y - Y coordinate for visual effect trigger location
+   * @returns {number|null} The cue's id, or null when the cue wasn't found
    */
   const playSoundCue = useCallback((cueName, options = {}) => {
     // Requirement 8.5: Log the cue name
@@ -32,59 +95,75 @@ const useSoundCue = (uiConfig) => {
 
     if (!uiConfig || !uiConfig.soundCues) {
       console.warn('UI config or sound cues not available');
-      return;
+      return null;
     }
 
-    const cueConfig = uiConfig.soundCues[cueName];
+    const cueConfig = findCue(uiConfig, cueName, creatureId);
 
     if (!cueConfig) {
       console.warn(`Sound cue "${cueName}" not found in config`);
-      return;
+      return null;
     }
 
-    // Requirement 8.1: Display textual descriptor
-    const cueDescriptor = cueConfig.descriptor || cueName;
-    setDescriptor(cueDescriptor);
-
-    // Requirement 8.2, 8.3: Map to visual effect
-    const effect = cueConfig.visualEffect || 'ripple';
-    setVisualEffect(effect);
-
-    // Set trigger location for visual effect
-    // Requirement 8.3: Render visual ripple effects at trigger locations
-    const location = {
-      x: options.x !== undefined ? options.x : window.innerWidth / 2,
-      y: options.y !== undefined ? options.y : window.innerHeight / 2
-    };
-    setTriggerLocation(location);
+    // Play the cue's sound, if it has one
+    if (cueConfig.sound) {
+      audio.play(Channel.SFX, getSoundUrl(cueConfig.sound));
+    }
 
-    // Set current cue
-    setCurrentCue({
+    const id = nextIdRef.current++;
+    const descriptor = cueConfig.descriptor || cueName;
+    const cue = {
+      id,
       name: cueName,
-      descriptor: cueDescriptor,
-      visualEffect: effect,
-      duration: cueConfig.duration || 500,
+      // Requirement 8.1: Display textual descriptor
+      descriptor: t(`cue.${descriptor}`, { defaultValue: descriptor }),
+      // Requirement 8.2, 8.3: Map to visual effect
+      visualEffect: cueConfig.visualEffect || 'ripple',
+      duration: cueConfig.duration || DEFAULT_CUE_DURATION,
+      priority: typeof cueConfig.priority === 'number' ? cueConfig.priority : 0,
+      // Requirement 8.3: Render visual ripple effects at trigger locations
+      location: {
+        x: options.x !== undefined ? options.x : window.innerWidth / 2,
+        y: options.y !== undefined ? options.y : window.innerHeight / 2
+      },
       timestamp: Date.now()
-    });
+    };
 
-    // Clear the cue after its duration
-    const duration = cueConfig.duration || 500;
-    setTimeout(() => {
-      setCurrentCue(null);
-      setVisualEffect(null);
-      setDescriptor('');
-    }, duration);
-  }, [uiConfig]);
+    setActiveCues(cues => [...cues, cue].sort(byPriority).slice(0, MAX_ACTIVE_CUES));
+    setCaptionHistory(history => [
+      ...history,
+      { id, name: cue.name, descriptor: cue.descriptor, timestamp: cue.timestamp }
+    ].slice(-CAPTION_HISTORY_LIMIT));
+
+    // Clear this cue - and only this one - after its duration
+    const timer = setTimeout(() => {
+      timersRef.current.delete(id);
+      setActiveCues(cues => cues.filter(active => active.id !== id));
+    }, cue.duration);
+    timersRef.current.set(id, timer);
+
+    return id;
+  }, [uiConfig, creatureId, audio, t]);
 
   /**
-   * Clear current sound cue manually
+   * Clear all active sound cues manually
    */
   const clearSoundCue = useCallback(() => {
-    setCurrentCue(null);
-    setVisualEffect(null);
-    setDescriptor('');
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current.clear();
+    setActiveCues([]);
+  }, []);
+
+  /**
+   * Empty the caption history
+   */
+  const clearCaptionHistory = useCallback(() => {
+    setCaptionHistory([]);
   }, []);
 
+  const currentCue = activeCues[0] || null;
+  const visualEffect = currentCue ? currentCue.visualEffect : null;
+
   /**
    * Get CSS class for current visual effect
    * Requirements: 8.2, 8.3
@@ -94,28 +173,22 @@ const useSoundCue = (uiConfig) => {
       return '';
     }
 
-    // Map visual effects to CSS classes
-    const effectMap = {
-      'ripple': 'sound-effect-ripple',
-      'pulse': 'sound-effect-pulse',
-      'shake': 'sound-effect-shake',
-      'fade': 'sound-effect-fade',
-      'burst': 'sound-effect-burst'
-    };
-
-    return effectMap[visualEffect] || 'sound-effect-ripple';
+    return EFFECT_CLASSES[visualEffect] || 'sound-effect-ripple';
   }, [visualEffect]);
 
   return {
     // State
     currentCue,
+    activeCues,
     visualEffect,
-    descriptor,
-    triggerLocation,
-    
+    descriptor: currentCue ? currentCue.descriptor : '',
+    triggerLocation: currentCue ? currentCue.location : { x: 0, y: 0 },
+    captionHistory,
+
     // Actions
     playSoundCue,
     clearSoundCue,
+    clearCaptionHistory,
     getVisualEffectClass
   };
 };
@@ -1,6 +1,11 @@
+import React from 'react';
 import { renderHook, act } from '@testing-library/react';
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import useSoundCue from './useSoundCue';
+import useSoundCue, { CAPTION_HISTORY_LIMIT } from './useSoundCue';
+import { AudioProvider } from './useAudio';
+import { Channel, createAudioManager } from '../utils/audioManager';
+import { getSoundUrl } from '../utils/soundSynth';
+import { createFakeAudioBackend } from '../test/fakeAudioBackend';
 
 describe('useSoundCue Hook', () => {
   let consoleLogSpy;
@@ -224,4 +229,250 @@ describe('useSoundCue Hook', () => {
 
     expect(result.current.currentCue).toBeNull();
   });
+
+  describe('overlapping cues', () => {
+    const priorityConfig = {
+      soundCues: {
+        ...mockUiConfig.soundCues,
+        'victory': {
+          descriptor: 'triumphant-chime',
+          visualEffect: 'burst',
+          duration: 1000,
+          priority: 2
+        }
+      }
+    };
+
+    it('gives every cue its own id', () => {
+      const { result } = renderHook(() => useSoundCue(mockUiConfig));
+      let ids;
+
+      act(() => {
+        ids = [
+          result.current.playSoundCue('choice-select'),
+          result.current.playSoundCue('choice-select')
+        ];
+      });
+
+      expect(ids[0]).not.toBe(ids[1]);
+      expect(result.current.activeCues.map(cue => cue.id).sort()).toEqual([...ids].sort());
+    });
+
+    it("doesn't let an earlier cue's timer clear a later cue", () => {
+      const { result } = renderHook(() => useSoundCue(mockUiConfig));
+
+      act(() => {
+        result.current.playSoundCue('choice-select'); // 300ms
+      });
+      act(() => {
+        vi.advanceTimersByTime(200);
+        result.current.playSoundCue('incorrect-choice'); // 400ms
+      });
+      act(() => {
+        vi.advanceTimersByTime(100);
+      });
+
+      // The first cue has ended; the second keeps its caption
+      expect(result.current.currentCue.name).toBe('incorrect-choice');
+      expect(result.current.descriptor).toBe('hollow-echo');
+
+      act(() => {
+        vi.advanceTimersByTime(300);
+      });
+
+      expect(result.current.currentCue).toBeNull();
+    });
+
+    it('shows the highest-priority cue over more recent ones', () => {
+      const { result } = renderHook(() => useSoundCue(priorityConfig));
+
+      act(() => {
+        result.current.playSoundCue('victory'); // 1000ms, priority 2
+        result.current.playSoundCue('correct-choice'); // 500ms
+      });
+
+      expect(result.current.descriptor).toBe('triumphant-chime');
+      expect(result.current.activeCues.map(cue => cue.name)).toEqual(['victory', 'correct-choice']);
+
+      act(() => {
+        vi.advanceTimersByTime(500);
+      });
+
+      expect(result.current.activeCues.map(cue => cue.name)).toEqual(['victory']);
+    });
+
+    it('shows the most recent cue among equal priorities', () => {
+      const { result } = renderHook(() => useSoundCue(mockUiConfig));
+
+      act(() => {
+        result.current.playSoundCue('incorrect-choice'); // 400ms
+        result.current.playSoundCue('choice-select', { x: 10, y: 20 }); // 300ms
+      });
+
+      expect(result.current.descriptor).toBe('soft-neon-chime');
+      expect(result.current.triggerLocation).toEqual({ x: 10, y: 20 });
+
+      act(() => {
+        vi.advanceTimersByTime(300);
+      });
+
+      // The earlier cue is still within its duration and shows again
+      expect(result.current.descriptor).toBe('hollow-echo');
+    });
+
+    it('clears every active cue at once', () => {
+      const { result } = renderHook(() => useSoundCue(mockUiConfig));
+
+      act(() => {
+        result.current.playSoundCue('choice-select');
+        result.current.playSoundCue('correct-choice');
+        result.current.clearSoundCue();
+      });
+
+      expect(result.current.activeCues).toEqual([]);
+      expect(vi.getTimerCount()).toBe(0);
+    });
+  });
+
+  describe('caption history', () => {
+    it('keeps every cue, oldest first', () => {
+      const { result } = renderHook(() => useSoundCue(mockUiConfig));
+
+      act(() => {
+        result.current.playSoundCue('choice-select');
+        result.current.playSoundCue('correct-choice');
+      });
+      act(() => {
+        vi.advanceTimersByTime(1000);
+      });
+
+      // Captions stay in the history after their cues end
+      expect(result.current.captionHistory.map(entry => entry.descriptor))
+        .toEqual(['soft-neon-chime', 'warm-glow-hum']);
+    });
+
+    it('names the cue behind each caption', () => {
+      const { result } = renderHook(() => useSoundCue(mockUiConfig));
+
+      act(() => {
+        result.current.playSoundCue('choice-select');
+        result.current.playSoundCue('incorrect-choice');
+      });
+
+      expect(result.current.captionHistory.map(entry => entry.name))
+        .toEqual(['choice-select', 'incorrect-choice']);
+    });
+
+    it('keeps only the most recent captions', () => {
+      const { result } = renderHook(() => useSoundCue(mockUiConfig));
+
+      act(() => {
+        for (let i = 0; i < CAPTION_HISTORY_LIMIT + 5; i++) {
+          result.current.playSoundCue(i % 2 === 0 ? 'choice-select' : 'incorrect-choice');
+        }
+      });
+
+      expect(result.current.captionHistory).toHaveLength(CAPTION_HISTORY_LIMIT);
+      expect(result.current.captionHistory[CAPTION_HISTORY_LIMIT - 1].descriptor).toBe('soft-neon-chime');
+    });
+
+    it('can be cleared', () => {
+      const { result } = renderHook(() => useSoundCue(mockUiConfig));
+
+      act(() => {
+        result.current.playSoundCue('choice-select');
+      });
+      act(() => {
+        result.current.clearCaptionHistory();
+      });
+
+      expect(result.current.captionHistory).toEqual([]);
+    });
+  });
+
+  describe('sounds', () => {
+    const chime = [{ wave: 'sine', frequency: 880, duration: 0.1 }];
+    const rustle = [{ wave: 'noise', duration: 0.1 }];
+    const configWithSounds = {
+      soundCues: {
+        'choice-select': { descriptor: 'soft-neon-chime', visualEffect: 'ripple', sound: chime },
+        'correct-choice': { descriptor: 'warm-glow-hum', visualEffect: 'pulse' }
+      },
+      creatures: {
+        aswang: {
+          soundCues: {
+            'choice-select': { descriptor: 'paper-rustle', sound: rustle },
+            'creature-only': { descriptor: 'ember-clink', visualEffect: 'burst' }
+          }
+        }
+      }
+    };
+    let backend;
+    let manager;
+
+    const renderWithAudio = (creatureId) => renderHook(
+      () => useSoundCue(configWithSounds, creatureId),
+      { wrapper: ({ children }) => React.createElement(AudioProvider, { manager }, children) }
+    );
+
+    beforeEach(() => {
+      backend = createFakeAudioBackend();
+      manager = createAudioManager({ backend, gestureTarget: null });
+    });
+
+    it('plays the cue sound on the sfx channel', () => {
+      const { result } = renderWithAudio();
+
+      act(() => {
+        result.current.playSoundCue('choice-select');
+      });
+
+      expect(manager.getPlaying(Channel.SFX)).toEqual([getSoundUrl(chime)]);
+    });
+
+    it('plays nothing for cues without a sound', () => {
+      const { result } = renderWithAudio();
+
+      act(() => {
+        result.current.playSoundCue('correct-choice');
+      });
+
+      expect(backend.elements).toHaveLength(0);
+      expect(result.current.descriptor).toBe('warm-glow-hum');
+    });
+
+    it("uses the creature's own version of a cue", () => {
+      const { result } = renderWithAudio('aswang');
+
+      act(() => {
+        result.current.playSoundCue('choice-select');
+      });
+
+      expect(result.current.descriptor).toBe('paper-rustle');
+      // Fields the creature leaves out come from the shared cue
+      expect(result.current.visualEffect).toBe('ripple');
+      expect(manager.getPlaying(Channel.SFX)).toEqual([getSoundUrl(rustle)]);
+    });
+
+    it('finds cues only a creature defines', () => {
+      const { result } = renderWithAudio('aswang');
+
+      act(() => {
+        result.current.playSoundCue('creature-only');
+      });
+
+      expect(result.current.descriptor).toBe('ember-clink');
+      expect(consoleWarnSpy).not.toHaveBeenCalled();
+    });
+
+    it("ignores other creatures' cues", () => {
+      const { result } = renderWithAudio('baba-yaga');
+
+      act(() => {
+        result.current.playSoundCue('creature-only');
+      });
+
+      expect(consoleWarnSpy).toHaveBeenCalledWith('Sound cue "creature-only" not found in config');
+    });
+  });
 });
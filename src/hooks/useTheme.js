@@ -0,0 +1,59 @@
+import { createContext, createElement, useContext, useEffect, useMemo, useState } from 'react';
+import { createThemeRegistry, getTheme, registerThemeFonts } from '../utils/themes';
+import { getSharedAssets } from '../utils/assetManifest';
+import { fallbackUIConfig } from '../fallbackData';
+
+/**
+ * Creature themes (see utils/themes.js), and the URLs of the files no creature
+ * owns (see utils/assetManifest.js). Without a ThemeProvider, the embedded
+ * fallback UI config is used.
+ */
+export const ThemeContext = createContext({
+  themes: createThemeRegistry(fallbackUIConfig),
+  assets: getSharedAssets(fallbackUIConfig),
+  loadThemes: () => {}
+});
+
+/**
+ * Provide creature themes to the game, registering their font files
+ *
+ * @param {object} props
+ * @param {object} [props.uiConfig] - UI config to start with; replaced by loadThemes()
+ * @param {React.ReactNode} props.children
+ */
+export function ThemeProvider({ uiConfig = fallbackUIConfig, children }) {
+  const [config, setConfig] = useState(uiConfig);
+  const value = useMemo(
+    () => ({
+      themes: createThemeRegistry(config),
+      assets: getSharedAssets(config),
+      loadThemes: setConfig
+    }),
+    [config]
+  );
+
+  useEffect(() => registerThemeFonts(value.themes), [value.themes]);
+
+  return createElement(ThemeContext.Provider, { value }, children);
+}
+
+/**
+ * Get all themes and shared asset URLs, and loadThemes(uiConfig) to replace
+ * them once the UI config is loaded
+ *
+ * @returns {{themes: object, assets: object, loadThemes: function}}
+ */
+export function useThemes() {
+  return useContext(ThemeContext);
+}
+
+/**
+ * Custom hook to get a creature's theme
+ * @param {string} [creatureId] - Creature id
+ * @returns {object} Theme (colors, font, images), or the default theme
+ */
+function useTheme(creatureId) {
+  return getTheme(useThemes().themes, creatureId);
+}
+
+export default useTheme;
@@ -0,0 +1,39 @@
+import { createElement } from 'react';
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useTheme, { ThemeProvider, useThemes } from './useTheme';
+import { fallbackUIConfig } from '../fallbackData';
+
+/**
+ * Tests for reading creature themes through the theme context
+ */
+
+const withThemes = (props) => ({ children }) => createElement(ThemeProvider, props, children);
+
+describe('useTheme', () => {
+  it('uses the fallback UI config without a provider', () => {
+    const { result } = renderHook(() => useTheme('baba-yaga'));
+
+    expect(result.current.primaryColor).toBe(fallbackUIConfig.creatures['baba-yaga'].primaryColor);
+  });
+
+  it('uses the UI config the provider starts with', () => {
+    const uiConfig = { creatures: { banshee: { primaryColor: '#123456' } } };
+    const { result } = renderHook(() => useTheme('banshee'), { wrapper: withThemes({ uiConfig }) });
+
+    expect(result.current.primaryColor).toBe('#123456');
+  });
+
+  it('switches to a UI config loaded later', () => {
+    const { result } = renderHook(
+      () => ({ theme: useTheme('aswang'), ...useThemes() }),
+      { wrapper: withThemes({}) }
+    );
+
+    act(() => {
+      result.current.loadThemes({ creatures: { aswang: { primaryColor: '#654321' } } });
+    });
+
+    expect(result.current.theme.primaryColor).toBe('#654321');
+  });
+});
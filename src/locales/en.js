@@ -0,0 +1,187 @@
+/**
+ * English UI strings (the reference catalog; see utils/i18n.js)
+ */
+export default {
+  // Shared
+  'common.level': 'Level {number}',
+  'common.returnToSelection': 'Return to creature selection',
+
+  // Loading
+  'loading.title': 'Loading...',
+  'loading.progressLabel': 'Checking game files',
+  'loading.count': '{loaded} / {total} files',
+
+  // Start screen
+  'start.button': 'Start Game',
+  'start.buttonLabel': 'Start the game',
+  'start.continue': 'Continue your run',
+  'start.continueLabel': 'Continue your run: {progress}',
+  'start.progressStory': 'Story',
+  'start.missingAssets': 'Some game files could not be loaded, so parts of the game may look or sound wrong:',
+
+  // Intro
+  'intro.label': 'FOLKLORERUN intro',
+  'intro.videoLabel': 'FOLKLORERUN intro video - click to enable audio',
+  'intro.skip': 'Skip',
+  'intro.skipLabel': 'Skip intro',
+
+  // Creature selection
+  'selection.loading': 'Loading creatures...',
+  'selection.title': 'Pick your fire — step into a story',
+  'selection.difficulty': 'Difficulty',
+  'selection.tagline.riddle': 'Answer her riddles with wit and wisdom',
+  'selection.tagline.calmness': 'Soothe her sorrow with gentle words',
+  'selection.tagline.deduction': 'Unmask the creature before it strikes',
+  'selection.tagline.default': 'Face the unknown',
+  'selection.selectLabel': 'Select {name} - {description}',
+  'selection.stats': 'Stats',
+  'selection.statsLabel': 'View run statistics',
+  'selection.exit': 'Exit',
+  'selection.exitLabel': 'Exit game',
+
+  // Difficulty modes
+  'difficulty.easy.label': 'Easy',
+  'difficulty.easy.description': 'Extra riddle attempts, gentler calmness, fewer decoys',
+  'difficulty.normal.label': 'Normal',
+  'difficulty.normal.description': 'The tale as it is told',
+  'difficulty.nightmare.label': 'Nightmare',
+  'difficulty.nightmare.description': 'One riddle attempt, no hints, extra decoys, every answer counts',
+
+  // Character reveal and story
+  'reveal.label': '{name} character reveal',
+  'story.label': 'Story narration',
+  'story.bubbleLabel': 'Story bubble {number} of {total}',
+  'story.next': 'Next bubble',
+
+  // Gameplay
+  'timer.label': {
+    one: '{count} second left to decide',
+    other: '{count} seconds left to decide'
+  },
+  'timer.paused': 'Paused',
+  'timer.seconds': '{count}s',
+  'timer.timeout': 'You hesitated too long.',
+  'transition.label': 'Transitioning from level {from} to level {to}',
+  'transition.hero': 'Main character',
+  'inventory.open': 'Inventory',
+  'inventory.close': 'Hide inventory',
+
+  // Riddle mechanic (Baba Yaga)
+  'riddle.title': "Baba Yaga's Riddle",
+  'riddle.correct': 'Correct! The witch is pleased. You may proceed.',
+  'riddle.close': 'Close… The witch tilts her head. Mind your words and answer again.',
+  'riddle.incorrect': 'Incorrect. The witch frowns.',
+  'riddle.incorrectPass': 'Incorrect. The witch sighs and lets you pass anyway.',
+  'riddle.incorrectAgainPass': 'Incorrect again. The witch sighs and lets you pass anyway.',
+  'riddle.inventoryCorrect': 'Correct! The witch is pleased.',
+  'riddle.inventoryClose': 'Close… The witch tilts her head.',
+  'riddle.placeholder': 'Speak your answer...',
+  'riddle.inputLabel': 'Riddle answer input',
+  'riddle.answer': 'Answer',
+  'riddle.submitLabel': 'Submit riddle answer',
+  'riddle.hint': 'Hint:',
+  'riddle.hintsRevealed': 'Hints revealed: {count}',
+
+  // Calmness mechanic (Banshee)
+  'calmness.title': "Banshee's Sorrow",
+  'calmness.mood.anguished': 'Anguished',
+  'calmness.mood.sorrowful': 'Sorrowful',
+  'calmness.mood.peaceful': 'Peaceful',
+  'calmness.meterLabel': 'Calmness level',
+  'calmness.description': 'Speak gently to ease her sorrow. Harsh words will deepen her anguish.',
+
+  // Deduction mechanic (Aswang)
+  'deduction.title': 'Choose Your Tool',
+  'deduction.hint': 'What will you use against the Aswang?',
+  'deduction.steps': '{label}: {matched} / {total} steps',
+  'deduction.inventoryTitle': 'Aswang Deduction',
+  'deduction.clues': '{count} / {total} clues',
+  'deduction.description': 'Each tool you use adds a clue. Find matching signs to reveal its true nature.',
+  'deduction.trailLabel': 'Collected clues in order',
+  'deduction.valid': '✓ Valid combination! The Aswang is revealed.',
+  'deduction.searching': 'Keep searching for matching clues...',
+  'deduction.progress': '{label}: {matched} / {total}',
+
+  // End card
+  'end.victoryTitle': 'Defeated!',
+  'end.defeatTitle': 'You Died',
+  'end.endings': 'Endings discovered: {found} of {total}',
+  'end.seed': 'Run seed:',
+  'end.playAgain': 'Play Again',
+  'end.playAgainLabel': 'Play again',
+  'end.tryAgain': 'Try Again',
+  'end.tryAgainLabel': 'Try again',
+  'end.home': 'Home',
+
+  // Stats screen
+  'stats.title': 'Your Tales',
+  'stats.empty': 'No runs yet. Pick a fire and step into a story.',
+  'stats.overall': '{count} runs · {winRate} won · best streak {bestStreak}',
+  'stats.creatureLabel': '{name} statistics',
+  'stats.winRate': 'Win rate',
+  'stats.bestStreak': 'Best streak',
+  'stats.mostFailed': 'Most failed',
+  'stats.mostFailedValue': 'Level {number} ({count}×)',
+  'stats.averageTime': 'Average time',
+  'stats.recent': 'Recent runs',
+  'stats.choicesLabel': '{correct} of {total} correct',
+  'stats.victory': 'Victory',
+  'stats.defeat': 'Defeat',
+  'stats.riddleAttempts': '{count} riddle attempts',
+  'stats.calmness': 'calmness {percent}%',
+  'stats.tokens': '{count} tokens',
+  'stats.back': 'Back',
+  'stats.backLabel': 'Back to creature selection',
+  'stats.clear': 'Clear history',
+
+  // Goodbye screen
+  'goodbye.title': 'Happy Halloween!',
+  'goodbye.subtitle': 'Thanks for playing... if you dare return 👻',
+  'goodbye.message': 'See you next Halloween...',
+  'goodbye.closeTab': 'You can now close this tab. Happy Halloween! 🎃',
+
+  // Controls shown in every phase
+  'back.title': 'Back to Home',
+  'motion.reduce': 'Reduce motion',
+  'motion.enable': 'Enable animations',
+  'motion.on': 'Animations On',
+  'motion.off': 'Animations Off',
+  'captions.sounds': 'Sounds ({count})',
+  'captions.show': 'Show recent sounds',
+  'captions.hide': 'Hide recent sounds',
+  'captions.log': 'Recent sounds',
+  'captions.empty': 'No sounds yet',
+  'captions.clear': 'Clear',
+
+  // Settings
+  'settings.button': 'Settings',
+  'settings.title': 'Settings',
+  'settings.close': 'Close settings',
+  'settings.audio': 'Audio',
+  'settings.masterVolume': 'Master volume',
+  'settings.musicVolume': 'Music volume',
+  'settings.sfxVolume': 'Effects volume',
+  'settings.mute': 'Mute all sound',
+  'settings.display': 'Display',
+  'settings.reduceMotion': 'Reduce motion',
+  'settings.captions': 'Show sound captions',
+  'settings.textSize': 'Text size',
+  'settings.textSize.small': 'Small',
+  'settings.textSize.medium': 'Medium',
+  'settings.textSize.large': 'Large',
+  'settings.language': 'Language',
+  'settings.languageAuto': 'Match device',
+  'settings.story': 'Story',
+  'settings.autoAdvance': 'Auto-advance story',
+  'settings.reset': 'Reset to defaults',
+
+  // Errors
+  'app.errorTitle': 'Something went wrong',
+  'app.errorText': 'The game encountered an unexpected error. Please refresh the page to try again.',
+  'app.refresh': 'Refresh Page',
+  'app.noCreature': 'Error: No creature selected',
+  'app.returnToSelection': 'Return to Selection',
+  'app.levelError': 'Error loading level data',
+  'app.restart': 'Restart',
+  'app.loadingState': 'Loading game state...'
+};
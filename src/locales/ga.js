@@ -0,0 +1,195 @@
+/**
+ * Irish UI strings (see utils/i18n.js)
+ */
+export default {
+  // Shared
+  'common.level': 'Leibhéal {number}',
+  'common.returnToSelection': 'Fill ar rogha na gcréatúr',
+
+  // Loading
+  'loading.title': 'Ag lódáil...',
+  'loading.progressLabel': 'Comhaid an chluiche á seiceáil',
+  'loading.count': 'Comhaid: {loaded} / {total}',
+
+  // Start screen
+  'start.button': 'Tosaigh an Cluiche',
+  'start.buttonLabel': 'Tosaigh an cluiche',
+  'start.continue': 'Lean ar aghaidh le do chluiche',
+  'start.continueLabel': 'Lean ar aghaidh le do chluiche: {progress}',
+  'start.progressStory': 'Scéal',
+  'start.missingAssets': 'Níorbh fhéidir roinnt de chomhaid an chluiche a lódáil, mar sin d’fhéadfadh cuid den chluiche breathnú nó fuaimniú go mícheart:',
+
+  // Intro
+  'intro.label': 'Réamhrá FOLKLORERUN',
+  'intro.videoLabel': 'Físeán réamhrá FOLKLORERUN - cliceáil chun an fhuaim a chur ar siúl',
+  'intro.skip': 'Scipeáil',
+  'intro.skipLabel': 'Scipeáil an réamhrá',
+
+  // Creature selection
+  'selection.loading': 'Créatúir á lódáil...',
+  'selection.title': 'Roghnaigh do thine — siúil isteach i scéal',
+  'selection.difficulty': 'Deacracht',
+  'selection.tagline.riddle': 'Freagair a tomhaiseanna le gliceas agus le gaois',
+  'selection.tagline.calmness': 'Maolaigh a brón le briathra séimhe',
+  'selection.tagline.deduction': 'Nocht an créatúr sula mbuaileann sé',
+  'selection.tagline.default': 'Tabhair aghaidh ar an anaithnid',
+  'selection.selectLabel': 'Roghnaigh {name} - {description}',
+  'selection.stats': 'Staitisticí',
+  'selection.statsLabel': 'Féach ar staitisticí na gcluichí',
+  'selection.exit': 'Scoir',
+  'selection.exitLabel': 'Scoir den chluiche',
+
+  // Difficulty modes
+  'difficulty.easy.label': 'Éasca',
+  'difficulty.easy.description': 'Tuilleadh iarrachtaí ar thomhaiseanna, suaimhneas níos séimhe, níos lú bréagán',
+  'difficulty.normal.label': 'Gnáth',
+  'difficulty.normal.description': 'An scéal mar a insítear é',
+  'difficulty.nightmare.label': 'Tromluí',
+  'difficulty.nightmare.description': 'Iarracht amháin ar gach tomhas, gan leideanna, tuilleadh meallairí, cuntar ar gach freagra',
+
+  // Character reveal and story
+  'reveal.label': 'Nochtadh an charachtair: {name}',
+  'story.label': 'Insint an scéil',
+  'story.bubbleLabel': 'Cuid {number} de {total} den scéal',
+  'story.next': 'An chéad chuid eile',
+
+  // Gameplay
+  'timer.label': 'Soicindí fágtha le cinneadh a dhéanamh: {count}',
+  'timer.paused': 'Ar sos',
+  'timer.seconds': '{count}s',
+  'timer.timeout': "D'fhan tú rófhada gan cinneadh a dhéanamh.",
+  'transition.label': 'Ag bogadh ó leibhéal {from} go leibhéal {to}',
+  'transition.hero': 'An príomhcharachtar',
+  'inventory.open': 'Fardal',
+  'inventory.close': 'Folaigh an fardal',
+
+  // Riddle mechanic (Baba Yaga)
+  'riddle.title': 'Tomhas Baba Yaga',
+  'riddle.correct': 'Ceart! Tá an chailleach sásta. Féadfaidh tú dul ar aghaidh.',
+  'riddle.close': 'Beagnach… Claonann an chailleach a ceann. Aire do do bhriathra agus freagair arís.',
+  'riddle.incorrect': 'Mícheart. Tá gruig ar an gcailleach.',
+  'riddle.incorrectPass': 'Mícheart. Ligeann an chailleach osna agus ligeann sí thart thú mar sin féin.',
+  'riddle.incorrectAgainPass': 'Mícheart arís. Ligeann an chailleach osna agus ligeann sí thart thú mar sin féin.',
+  'riddle.inventoryCorrect': 'Ceart! Tá an chailleach sásta.',
+  'riddle.inventoryClose': 'Beagnach… Claonann an chailleach a ceann.',
+  'riddle.placeholder': 'Abair do fhreagra...',
+  'riddle.inputLabel': 'Freagra an tomhais',
+  'riddle.answer': 'Freagair',
+  'riddle.submitLabel': 'Seol freagra an tomhais',
+  'riddle.hint': 'Leid:',
+  'riddle.hintsRevealed': 'Leideanna nochta: {count}',
+
+  // Calmness mechanic (Banshee)
+  'calmness.title': 'Brón na Mná Sí',
+  'calmness.mood.anguished': 'Cráite',
+  'calmness.mood.sorrowful': 'Brónach',
+  'calmness.mood.peaceful': 'Suaimhneach',
+  'calmness.meterLabel': 'Leibhéal suaimhnis',
+  'calmness.description': 'Labhair go séimh chun a brón a mhaolú. Doimhneoidh focail gharbha a crá.',
+
+  // Deduction mechanic (Aswang)
+  'deduction.title': 'Roghnaigh d’Uirlis',
+  'deduction.hint': 'Cad a úsáidfidh tú in aghaidh an Aswang?',
+  'deduction.steps': '{label}: céimeanna {matched} / {total}',
+  'deduction.inventoryTitle': 'Bleachtaireacht an Aswang',
+  'deduction.clues': 'Leideanna: {count} / {total}',
+  'deduction.description': 'Cuireann gach uirlis a úsáideann tú leid leis. Aimsigh comharthaí a oireann dá chéile chun a fhíornádúr a nochtadh.',
+  'deduction.trailLabel': 'Leideanna bailithe in ord',
+  'deduction.valid': '✓ Teaglaim bhailí! Tá an Aswang nochta.',
+  'deduction.searching': 'Lean ort ag cuardach leideanna a oireann dá chéile...',
+  'deduction.progress': '{label}: {matched} / {total}',
+
+  // End card
+  'end.victoryTitle': 'Cloíte!',
+  'end.defeatTitle': 'Fuair Tú Bás',
+  'end.endings': 'Críocha aimsithe: {found} as {total}',
+  'end.seed': 'Síol an chluiche:',
+  'end.playAgain': 'Imir Arís',
+  'end.playAgainLabel': 'Imir arís',
+  'end.tryAgain': 'Triail Arís',
+  'end.tryAgainLabel': 'Triail arís',
+  'end.home': 'Baile',
+
+  // Stats screen
+  'stats.title': 'Do Scéalta',
+  'stats.empty': 'Níor imir tú fós. Roghnaigh tine agus siúil isteach i scéal.',
+  'stats.overall': 'Cluichí: {count} · {winRate} buaite · an sraith is fearr: {bestStreak}',
+  'stats.creatureLabel': 'Staitisticí: {name}',
+  'stats.winRate': 'Ráta buachana',
+  'stats.bestStreak': 'An sraith is fearr',
+  'stats.mostFailed': 'Is minice a theip',
+  'stats.mostFailedValue': 'Leibhéal {number} ({count}×)',
+  'stats.averageTime': 'Meán-am',
+  'stats.recent': 'Cluichí le déanaí',
+  'stats.choicesLabel': '{correct} as {total} ceart',
+  'stats.victory': 'Bua',
+  'stats.defeat': 'Briseadh',
+  'stats.riddleAttempts': 'iarrachtaí ar thomhaiseanna: {count}',
+  'stats.calmness': 'suaimhneas {percent}%',
+  'stats.tokens': 'leideanna: {count}',
+  'stats.back': 'Siar',
+  'stats.backLabel': 'Siar go rogha na gcréatúr',
+  'stats.clear': 'Glan an stair',
+
+  // Goodbye screen
+  'goodbye.title': 'Oíche Shamhna Shona!',
+  'goodbye.subtitle': 'Go raibh maith agat as imirt... má tá sé de mhisneach agat filleadh 👻',
+  'goodbye.message': 'Feicfimid thú Oíche Shamhna seo chugainn...',
+  'goodbye.closeTab': 'Is féidir leat an cluaisín seo a dhúnadh anois. Oíche Shamhna Shona! 🎃',
+
+  // Controls shown in every phase
+  'back.title': 'Ar ais abhaile',
+  'motion.reduce': 'Laghdaigh an ghluaiseacht',
+  'motion.enable': 'Cuir beochan ar siúl',
+  'motion.on': 'Beochan Ar Siúl',
+  'motion.off': 'Beochan As',
+  'captions.sounds': 'Fuaimeanna ({count})',
+  'captions.show': 'Taispeáin fuaimeanna le déanaí',
+  'captions.hide': 'Folaigh fuaimeanna le déanaí',
+  'captions.log': 'Fuaimeanna le déanaí',
+  'captions.empty': 'Gan fuaimeanna fós',
+  'captions.clear': 'Glan',
+
+  // Settings
+  'settings.button': 'Socruithe',
+  'settings.title': 'Socruithe',
+  'settings.close': 'Dún na socruithe',
+  'settings.audio': 'Fuaim',
+  'settings.masterVolume': 'Príomhairde',
+  'settings.musicVolume': 'Airde an cheoil',
+  'settings.sfxVolume': 'Airde na n-éifeachtaí',
+  'settings.mute': 'Balbhaigh gach fuaim',
+  'settings.display': 'Taispeáint',
+  'settings.reduceMotion': 'Laghdaigh an ghluaiseacht',
+  'settings.captions': 'Taispeáin fotheidil fuaime',
+  'settings.textSize': 'Méid an téacs',
+  'settings.textSize.small': 'Beag',
+  'settings.textSize.medium': 'Meánach',
+  'settings.textSize.large': 'Mór',
+  'settings.language': 'Teanga',
+  'settings.languageAuto': 'De réir an ghléis',
+  'settings.story': 'Scéal',
+  'settings.autoAdvance': 'Bog an scéal ar aghaidh leis féin',
+  'settings.reset': 'Athshocraigh',
+
+  // Errors
+  'app.errorTitle': 'Chuaigh rud éigin amú',
+  'app.errorText': 'Tharla earráid gan choinne sa chluiche. Athnuaigh an leathanach chun triail eile a bhaint as.',
+  'app.refresh': 'Athnuaigh an Leathanach',
+  'app.noCreature': 'Earráid: Níl aon chréatúr roghnaithe',
+  'app.returnToSelection': 'Ar ais go dtí an Rogha',
+  'app.levelError': 'Earráid agus sonraí an leibhéil á lódáil',
+  'app.restart': 'Atosaigh',
+  'app.loadingState': 'Staid an chluiche á lódáil...',
+
+  // Sound cue captions
+  'cue.paper-rustle': 'siosarnach páipéir',
+  'cue.ribbon-snap': 'ribín ag preabadh',
+  'cue.ember-clink': 'gliogar aibhleoige',
+  'cue.soft-neon-chime': 'cling bhog',
+  'cue.warm-glow-hum': 'dordán te',
+  'cue.hollow-echo': 'macalla folamh',
+  'cue.ascending-shimmer': 'drithliú ag ardú',
+  'cue.descending-drone': 'dordán ag ísliú',
+  'cue.triumphant-chime': 'cling chaithréimeach'
+};
@@ -0,0 +1,215 @@
+/**
+ * Russian UI strings (see utils/i18n.js)
+ */
+export default {
+  // Shared
+  'common.level': 'Уровень {number}',
+  'common.returnToSelection': 'Вернуться к выбору существа',
+
+  // Loading
+  'loading.title': 'Загрузка...',
+  'loading.progressLabel': 'Проверка файлов игры',
+  'loading.count': 'Файлы: {loaded} / {total}',
+
+  // Start screen
+  'start.button': 'Начать игру',
+  'start.buttonLabel': 'Начать игру',
+  'start.continue': 'Продолжить игру',
+  'start.continueLabel': 'Продолжить игру: {progress}',
+  'start.progressStory': 'История',
+  'start.missingAssets': 'Некоторые файлы игры не удалось загрузить, поэтому часть игры может выглядеть или звучать неправильно:',
+
+  // Intro
+  'intro.label': 'Вступление FOLKLORERUN',
+  'intro.videoLabel': 'Вступительное видео FOLKLORERUN — нажмите, чтобы включить звук',
+  'intro.skip': 'Пропустить',
+  'intro.skipLabel': 'Пропустить вступление',
+
+  // Creature selection
+  'selection.loading': 'Загрузка существ...',
+  'selection.title': 'Выбери свой огонь — шагни в сказку',
+  'selection.difficulty': 'Сложность',
+  'selection.tagline.riddle': 'Отвечай на её загадки с умом и мудростью',
+  'selection.tagline.calmness': 'Утешь её скорбь ласковыми словами',
+  'selection.tagline.deduction': 'Разоблачи существо, пока оно не напало',
+  'selection.tagline.default': 'Встреться с неведомым',
+  'selection.selectLabel': 'Выбрать: {name} — {description}',
+  'selection.stats': 'Статистика',
+  'selection.statsLabel': 'Посмотреть статистику игр',
+  'selection.exit': 'Выход',
+  'selection.exitLabel': 'Выйти из игры',
+
+  // Difficulty modes
+  'difficulty.easy.label': 'Легко',
+  'difficulty.easy.description': 'Больше попыток на загадки, мягче спокойствие, меньше приманок',
+  'difficulty.normal.label': 'Обычно',
+  'difficulty.normal.description': 'Сказка, как её рассказывают',
+  'difficulty.nightmare.label': 'Кошмар',
+  'difficulty.nightmare.description': 'Одна попытка на загадку, без подсказок, больше ложных предметов, каждый ответ на счету',
+
+  // Character reveal and story
+  'reveal.label': 'Появление: {name}',
+  'story.label': 'Повествование',
+  'story.bubbleLabel': 'Часть {number} из {total}',
+  'story.next': 'Дальше',
+
+  // Gameplay
+  'timer.label': {
+    one: 'На решение осталась {count} секунда',
+    few: 'На решение осталось {count} секунды',
+    many: 'На решение осталось {count} секунд',
+    other: 'На решение осталось {count} секунды'
+  },
+  'timer.paused': 'Пауза',
+  'timer.seconds': '{count} с',
+  'timer.timeout': 'Слишком долгое промедление.',
+  'transition.label': 'Переход с уровня {from} на уровень {to}',
+  'transition.hero': 'Главный герой',
+  'inventory.open': 'Инвентарь',
+  'inventory.close': 'Скрыть инвентарь',
+
+  // Riddle mechanic (Baba Yaga)
+  'riddle.title': 'Загадка Бабы-яги',
+  'riddle.correct': 'Верно! Ведьма довольна. Можешь идти дальше.',
+  'riddle.close': 'Почти… Ведьма склоняет голову набок. Следи за словами и ответь ещё раз.',
+  'riddle.incorrect': 'Неверно. Ведьма хмурится.',
+  'riddle.incorrectPass': 'Неверно. Ведьма вздыхает и всё же пропускает тебя.',
+  'riddle.incorrectAgainPass': 'Снова неверно. Ведьма вздыхает и всё же пропускает тебя.',
+  'riddle.inventoryCorrect': 'Верно! Ведьма довольна.',
+  'riddle.inventoryClose': 'Почти… Ведьма склоняет голову набок.',
+  'riddle.placeholder': 'Произнеси свой ответ...',
+  'riddle.inputLabel': 'Ответ на загадку',
+  'riddle.answer': 'Ответить',
+  'riddle.submitLabel': 'Отправить ответ на загадку',
+  'riddle.hint': 'Подсказка:',
+  'riddle.hintsRevealed': 'Открыто подсказок: {count}',
+
+  // Calmness mechanic (Banshee)
+  'calmness.title': 'Скорбь Банши',
+  'calmness.mood.anguished': 'Терзается',
+  'calmness.mood.sorrowful': 'Скорбит',
+  'calmness.mood.peaceful': 'Умиротворена',
+  'calmness.meterLabel': 'Уровень спокойствия',
+  'calmness.description': 'Говори мягко, чтобы унять её скорбь. Грубые слова лишь углубят её муку.',
+
+  // Deduction mechanic (Aswang)
+  'deduction.title': 'Выбери орудие',
+  'deduction.hint': 'Что ты применишь против асванга?',
+  'deduction.steps': '{label}: шаги {matched} / {total}',
+  'deduction.inventoryTitle': 'Разоблачение асванга',
+  'deduction.clues': 'Улики: {count} / {total}',
+  'deduction.description': 'Каждый использованный предмет добавляет улику. Найди совпадающие признаки, чтобы раскрыть его истинную природу.',
+  'deduction.trailLabel': 'Собранные улики по порядку',
+  'deduction.valid': '✓ Верное сочетание! Асванг разоблачён.',
+  'deduction.searching': 'Продолжай искать совпадающие улики...',
+  'deduction.progress': '{label}: {matched} / {total}',
+
+  // End card
+  'end.victoryTitle': 'Победа!',
+  'end.defeatTitle': 'Смерть настигла тебя',
+  'end.endings': 'Найдено концовок: {found} из {total}',
+  'end.seed': 'Зерно игры:',
+  'end.playAgain': 'Играть снова',
+  'end.playAgainLabel': 'Играть снова',
+  'end.tryAgain': 'Попробовать снова',
+  'end.tryAgainLabel': 'Попробовать снова',
+  'end.home': 'Домой',
+
+  // Stats screen
+  'stats.title': 'Твои сказания',
+  'stats.empty': 'Пока нет ни одной игры. Выбери огонь и шагни в сказку.',
+  'stats.overall': {
+    one: '{count} игра · побед {winRate} · лучшая серия {bestStreak}',
+    few: '{count} игры · побед {winRate} · лучшая серия {bestStreak}',
+    many: '{count} игр · побед {winRate} · лучшая серия {bestStreak}',
+    other: '{count} игры · побед {winRate} · лучшая серия {bestStreak}'
+  },
+  'stats.creatureLabel': 'Статистика: {name}',
+  'stats.winRate': 'Доля побед',
+  'stats.bestStreak': 'Лучшая серия',
+  'stats.mostFailed': 'Чаще всего провал',
+  'stats.mostFailedValue': 'Уровень {number} ({count}×)',
+  'stats.averageTime': 'Среднее время',
+  'stats.recent': 'Последние игры',
+  'stats.choicesLabel': 'Верно {correct} из {total}',
+  'stats.victory': 'Победа',
+  'stats.defeat': 'Поражение',
+  'stats.riddleAttempts': {
+    one: '{count} попытка ответа',
+    few: '{count} попытки ответа',
+    many: '{count} попыток ответа',
+    other: '{count} попытки ответа'
+  },
+  'stats.calmness': 'спокойствие {percent}%',
+  'stats.tokens': {
+    one: '{count} улика',
+    few: '{count} улики',
+    many: '{count} улик',
+    other: '{count} улики'
+  },
+  'stats.back': 'Назад',
+  'stats.backLabel': 'Назад к выбору существа',
+  'stats.clear': 'Очистить историю',
+
+  // Goodbye screen
+  'goodbye.title': 'Счастливого Хеллоуина!',
+  'goodbye.subtitle': 'Спасибо за игру... возвращайся, если осмелишься 👻',
+  'goodbye.message': 'До следующего Хеллоуина...',
+  'goodbye.closeTab': 'Теперь эту вкладку можно закрыть. Счастливого Хеллоуина! 🎃',
+
+  // Controls shown in every phase
+  'back.title': 'На главную',
+  'motion.reduce': 'Уменьшить движение',
+  'motion.enable': 'Включить анимацию',
+  'motion.on': 'Анимация вкл.',
+  'motion.off': 'Анимация выкл.',
+  'captions.sounds': 'Звуки ({count})',
+  'captions.show': 'Показать недавние звуки',
+  'captions.hide': 'Скрыть недавние звуки',
+  'captions.log': 'Недавние звуки',
+  'captions.empty': 'Звуков пока нет',
+  'captions.clear': 'Очистить',
+
+  // Settings
+  'settings.button': 'Настройки',
+  'settings.title': 'Настройки',
+  'settings.close': 'Закрыть настройки',
+  'settings.audio': 'Звук',
+  'settings.masterVolume': 'Общая громкость',
+  'settings.musicVolume': 'Громкость музыки',
+  'settings.sfxVolume': 'Громкость эффектов',
+  'settings.mute': 'Выключить весь звук',
+  'settings.display': 'Экран',
+  'settings.reduceMotion': 'Уменьшить движение',
+  'settings.captions': 'Показывать субтитры звуков',
+  'settings.textSize': 'Размер текста',
+  'settings.textSize.small': 'Мелкий',
+  'settings.textSize.medium': 'Средний',
+  'settings.textSize.large': 'Крупный',
+  'settings.language': 'Язык',
+  'settings.languageAuto': 'Как на устройстве',
+  'settings.story': 'История',
+  'settings.autoAdvance': 'Листать историю автоматически',
+  'settings.reset': 'Сбросить настройки',
+
+  // Errors
+  'app.errorTitle': 'Что-то пошло не так',
+  'app.errorText': 'В игре произошла непредвиденная ошибка. Обновите страницу, чтобы попробовать снова.',
+  'app.refresh': 'Обновить страницу',
+  'app.noCreature': 'Ошибка: существо не выбрано',
+  'app.returnToSelection': 'Вернуться к выбору',
+  'app.levelError': 'Ошибка загрузки данных уровня',
+  'app.restart': 'Начать заново',
+  'app.loadingState': 'Загрузка состояния игры...',
+
+  // Sound cue captions
+  'cue.paper-rustle': 'шелест бумаги',
+  'cue.ribbon-snap': 'щелчок ленты',
+  'cue.ember-clink': 'звон углей',
+  'cue.soft-neon-chime': 'мягкий перезвон',
+  'cue.warm-glow-hum': 'тёплое гудение',
+  'cue.hollow-echo': 'гулкое эхо',
+  'cue.ascending-shimmer': 'нарастающее мерцание',
+  'cue.descending-drone': 'затихающий гул',
+  'cue.triumphant-chime': 'торжественный перезвон'
+};
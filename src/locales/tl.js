@@ -0,0 +1,195 @@
+/**
+ * Tagalog UI strings (see utils/i18n.js)
+ */
+export default {
+  // Shared
+  'common.level': 'Antas {number}',
+  'common.returnToSelection': 'Bumalik sa pagpili ng nilalang',
+
+  // Loading
+  'loading.title': 'Naglo-load...',
+  'loading.progressLabel': 'Sinusuri ang mga file ng laro',
+  'loading.count': '{loaded} / {total} file',
+
+  // Start screen
+  'start.button': 'Simulan ang Laro',
+  'start.buttonLabel': 'Simulan ang laro',
+  'start.continue': 'Ituloy ang iyong laro',
+  'start.continueLabel': 'Ituloy ang iyong laro: {progress}',
+  'start.progressStory': 'Kuwento',
+  'start.missingAssets': 'Hindi ma-load ang ilang file ng laro, kaya maaaring mali ang itsura o tunog ng ilang bahagi:',
+
+  // Intro
+  'intro.label': 'Panimula ng FOLKLORERUN',
+  'intro.videoLabel': 'Video ng panimula ng FOLKLORERUN - i-click para marinig ang tunog',
+  'intro.skip': 'Laktawan',
+  'intro.skipLabel': 'Laktawan ang panimula',
+
+  // Creature selection
+  'selection.loading': 'Nilo-load ang mga nilalang...',
+  'selection.title': 'Piliin ang iyong apoy — pumasok sa isang kuwento',
+  'selection.difficulty': 'Hirap',
+  'selection.tagline.riddle': 'Sagutin ang kanyang mga bugtong nang may talino at karunungan',
+  'selection.tagline.calmness': 'Pahupain ang kanyang lumbay sa malumanay na salita',
+  'selection.tagline.deduction': 'Ilantad ang nilalang bago ito umatake',
+  'selection.tagline.default': 'Harapin ang hindi kilala',
+  'selection.selectLabel': 'Piliin: {name} - {description}',
+  'selection.stats': 'Estadistika',
+  'selection.statsLabel': 'Tingnan ang estadistika ng mga laro',
+  'selection.exit': 'Lumabas',
+  'selection.exitLabel': 'Lumabas sa laro',
+
+  // Difficulty modes
+  'difficulty.easy.label': 'Madali',
+  'difficulty.easy.description': 'Dagdag na subok sa bugtong, mas banayad na kalmado, mas kaunting panlinlang',
+  'difficulty.normal.label': 'Karaniwan',
+  'difficulty.normal.description': 'Ang kuwento gaya ng pagkakasalaysay nito',
+  'difficulty.nightmare.label': 'Bangungot',
+  'difficulty.nightmare.description': 'Isang subok sa bugtong, walang pahiwatig, mas maraming panlinlang, mahalaga ang bawat sagot',
+
+  // Character reveal and story
+  'reveal.label': 'Pagpapakilala: {name}',
+  'story.label': 'Pagsasalaysay ng kuwento',
+  'story.bubbleLabel': 'Bahagi {number} ng {total} ng kuwento',
+  'story.next': 'Susunod na bahagi',
+
+  // Gameplay
+  'timer.label': '{count} segundo na lang para magpasya',
+  'timer.paused': 'Nakahinto',
+  'timer.seconds': '{count}s',
+  'timer.timeout': 'Masyado kang nag-atubili.',
+  'transition.label': 'Lumilipat mula antas {from} patungong antas {to}',
+  'transition.hero': 'Pangunahing tauhan',
+  'inventory.open': 'Imbentaryo',
+  'inventory.close': 'Itago ang imbentaryo',
+
+  // Riddle mechanic (Baba Yaga)
+  'riddle.title': 'Bugtong ni Baba Yaga',
+  'riddle.correct': 'Tama! Nasiyahan ang bruha. Maaari ka nang magpatuloy.',
+  'riddle.close': 'Malapit na… Ikiniling ng bruha ang kanyang ulo. Ingatan ang iyong mga salita at sumagot muli.',
+  'riddle.incorrect': 'Mali. Sumimangot ang bruha.',
+  'riddle.incorrectPass': 'Mali. Bumuntong-hininga ang bruha at pinaraan ka pa rin.',
+  'riddle.incorrectAgainPass': 'Mali na naman. Bumuntong-hininga ang bruha at pinaraan ka pa rin.',
+  'riddle.inventoryCorrect': 'Tama! Nasiyahan ang bruha.',
+  'riddle.inventoryClose': 'Malapit na… Ikiniling ng bruha ang kanyang ulo.',
+  'riddle.placeholder': 'Sabihin ang iyong sagot...',
+  'riddle.inputLabel': 'Sagot sa bugtong',
+  'riddle.answer': 'Sumagot',
+  'riddle.submitLabel': 'Ipasa ang sagot sa bugtong',
+  'riddle.hint': 'Pahiwatig:',
+  'riddle.hintsRevealed': 'Mga pahiwatig na nabunyag: {count}',
+
+  // Calmness mechanic (Banshee)
+  'calmness.title': 'Lumbay ng Banshee',
+  'calmness.mood.anguished': 'Nagdurusa',
+  'calmness.mood.sorrowful': 'Malungkot',
+  'calmness.mood.peaceful': 'Payapa',
+  'calmness.meterLabel': 'Antas ng kalmado',
+  'calmness.description': 'Magsalita nang malumanay upang maibsan ang kanyang lumbay. Palalalimin ng masasakit na salita ang kanyang pagdurusa.',
+
+  // Deduction mechanic (Aswang)
+  'deduction.title': 'Piliin ang Iyong Kasangkapan',
+  'deduction.hint': 'Ano ang gagamitin mo laban sa Aswang?',
+  'deduction.steps': '{label}: {matched} / {total} hakbang',
+  'deduction.inventoryTitle': 'Pagsisiyasat sa Aswang',
+  'deduction.clues': '{count} / {total} palatandaan',
+  'deduction.description': 'Bawat kasangkapang gagamitin mo ay nagdaragdag ng palatandaan. Hanapin ang magkakatugmang tanda upang mabunyag ang tunay nitong anyo.',
+  'deduction.trailLabel': 'Mga nakalap na palatandaan ayon sa pagkakasunod',
+  'deduction.valid': '✓ Tamang kombinasyon! Nabunyag ang Aswang.',
+  'deduction.searching': 'Patuloy na maghanap ng magkakatugmang palatandaan...',
+  'deduction.progress': '{label}: {matched} / {total}',
+
+  // End card
+  'end.victoryTitle': 'Natalo Mo!',
+  'end.defeatTitle': 'Namatay Ka',
+  'end.endings': 'Mga wakas na natuklasan: {found} sa {total}',
+  'end.seed': 'Binhi ng laro:',
+  'end.playAgain': 'Maglaro Muli',
+  'end.playAgainLabel': 'Maglaro muli',
+  'end.tryAgain': 'Subukan Muli',
+  'end.tryAgainLabel': 'Subukan muli',
+  'end.home': 'Simula',
+
+  // Stats screen
+  'stats.title': 'Ang Iyong mga Kuwento',
+  'stats.empty': 'Wala pang laro. Pumili ng apoy at pumasok sa isang kuwento.',
+  'stats.overall': '{count} laro · {winRate} panalo · pinakamahabang sunod {bestStreak}',
+  'stats.creatureLabel': 'Estadistika: {name}',
+  'stats.winRate': 'Porsiyento ng panalo',
+  'stats.bestStreak': 'Pinakamahabang sunod',
+  'stats.mostFailed': 'Pinakamadalas na bigo',
+  'stats.mostFailedValue': 'Antas {number} ({count}×)',
+  'stats.averageTime': 'Karaniwang tagal',
+  'stats.recent': 'Mga huling laro',
+  'stats.choicesLabel': '{correct} sa {total} ang tama',
+  'stats.victory': 'Tagumpay',
+  'stats.defeat': 'Pagkatalo',
+  'stats.riddleAttempts': '{count} subok sa bugtong',
+  'stats.calmness': 'kalmado {percent}%',
+  'stats.tokens': '{count} palatandaan',
+  'stats.back': 'Bumalik',
+  'stats.backLabel': 'Bumalik sa pagpili ng nilalang',
+  'stats.clear': 'Burahin ang kasaysayan',
+
+  // Goodbye screen
+  'goodbye.title': 'Maligayang Halloween!',
+  'goodbye.subtitle': 'Salamat sa paglalaro... kung maglakas-loob kang bumalik 👻',
+  'goodbye.message': 'Hanggang sa susunod na Halloween...',
+  'goodbye.closeTab': 'Maaari mo nang isara ang tab na ito. Maligayang Halloween! 🎃',
+
+  // Controls shown in every phase
+  'back.title': 'Bumalik sa Simula',
+  'motion.reduce': 'Bawasan ang galaw',
+  'motion.enable': 'Paganahin ang mga animasyon',
+  'motion.on': 'Animasyon: Bukas',
+  'motion.off': 'Animasyon: Sarado',
+  'captions.sounds': 'Mga Tunog ({count})',
+  'captions.show': 'Ipakita ang mga huling tunog',
+  'captions.hide': 'Itago ang mga huling tunog',
+  'captions.log': 'Mga huling tunog',
+  'captions.empty': 'Wala pang tunog',
+  'captions.clear': 'Burahin',
+
+  // Settings
+  'settings.button': 'Mga Setting',
+  'settings.title': 'Mga Setting',
+  'settings.close': 'Isara ang mga setting',
+  'settings.audio': 'Tunog',
+  'settings.masterVolume': 'Pangunahing lakas',
+  'settings.musicVolume': 'Lakas ng musika',
+  'settings.sfxVolume': 'Lakas ng mga epekto',
+  'settings.mute': 'I-mute ang lahat ng tunog',
+  'settings.display': 'Pagpapakita',
+  'settings.reduceMotion': 'Bawasan ang galaw',
+  'settings.captions': 'Ipakita ang caption ng mga tunog',
+  'settings.textSize': 'Laki ng teksto',
+  'settings.textSize.small': 'Maliit',
+  'settings.textSize.medium': 'Katamtaman',
+  'settings.textSize.large': 'Malaki',
+  'settings.language': 'Wika',
+  'settings.languageAuto': 'Ayon sa device',
+  'settings.story': 'Kuwento',
+  'settings.autoAdvance': 'Kusang ituloy ang kuwento',
+  'settings.reset': 'Ibalik sa default',
+
+  // Errors
+  'app.errorTitle': 'May nangyaring mali',
+  'app.errorText': 'Nagkaroon ng hindi inaasahang error ang laro. Paki-refresh ang pahina upang subukang muli.',
+  'app.refresh': 'I-refresh ang Pahina',
+  'app.noCreature': 'Error: Walang napiling nilalang',
+  'app.returnToSelection': 'Bumalik sa Pagpili',
+  'app.levelError': 'Error sa pag-load ng datos ng antas',
+  'app.restart': 'Umulit',
+  'app.loadingState': 'Nilo-load ang estado ng laro...',
+
+  // Sound cue captions
+  'cue.paper-rustle': 'kaluskos ng papel',
+  'cue.ribbon-snap': 'lagitik ng laso',
+  'cue.ember-clink': 'kalansing ng baga',
+  'cue.soft-neon-chime': 'mahinang kalansing',
+  'cue.warm-glow-hum': 'mainit na ugong',
+  'cue.hollow-echo': 'hungkag na alingawngaw',
+  'cue.ascending-shimmer': 'pumapailanlang na kislap',
+  'cue.descending-drone': 'bumababang ugong',
+  'cue.triumphant-chime': 'matagumpay na tugtog'
+};
@@ -1,10 +1,62 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import DebugPanel from './components/DebugPanel';
+import { RandomProvider } from './hooks/useRandom';
+import { ReplayProvider } from './hooks/useReplay';
+import { ThemeProvider } from './hooks/useTheme';
+import { AudioProvider } from './hooks/useAudio';
+import { SettingsProvider } from './hooks/useSettings';
+import { parseSeed } from './engine/random';
+import { createReplayRecorder } from './engine/replay';
+import { downloadReplay, stashReplay, takeStashedReplay } from './utils/replayFile';
+import { createAudioManager } from './utils/audioManager';
+import { createSettingsStore } from './utils/settings';
 import './styles/styles.css';
 
+// ?seed=<number> pins the session seed so runs can be reproduced; ?debug opens the debug panel
+const params = new URLSearchParams(window.location.search);
+
+// A replay loaded from the debug panel plays once, on the page load after it was picked
+const replay = takeStashedReplay();
+const recorder = createReplayRecorder();
+const audio = createAudioManager();
+const settings = createSettingsStore();
+
+// Reload with the new seed so the whole session starts over from it
+const applySeed = (seed) => {
+  const url = new URL(window.location.href);
+  if (seed === null) {
+    url.searchParams.delete('seed');
+  } else {
+    url.searchParams.set('seed', String(seed));
+  }
+  window.location.assign(url);
+};
+
+const loadReplay = (loaded) => {
+  if (stashReplay(loaded)) window.location.reload();
+};
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <RandomProvider seed={parseSeed(params.get('seed'))}>
+      <ReplayProvider recorder={recorder} replay={replay}>
+        <ThemeProvider>
+          <SettingsProvider store={settings}>
+            <AudioProvider manager={audio}>
+              <App />
+              {params.has('debug') && (
+                <DebugPanel
+                  onApplySeed={applySeed}
+                  onDownloadReplay={downloadReplay}
+                  onLoadReplay={loadReplay}
+                />
+              )}
+            </AudioProvider>
+          </SettingsProvider>
+        </ThemeProvider>
+      </ReplayProvider>
+    </RandomProvider>
   </React.StrictMode>
 );
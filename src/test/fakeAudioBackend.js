@@ -0,0 +1,38 @@
+import { vi } from 'vitest';
+
+/**
+ * Audio backend for tests: records the elements the audio manager creates
+ * instead of playing anything (see utils/audioManager.js)
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.blocked] - Reject play() like a browser blocking autoplay
+ * @returns {{create: function, elements: Array, playing: function}}
+ */
+export function createFakeAudioBackend({ blocked = false } = {}) {
+  const elements = [];
+
+  return {
+    elements,
+    create: (url) => {
+      const element = {
+        src: url,
+        volume: 1,
+        loop: false,
+        currentTime: 0,
+        paused: true,
+        play: vi.fn(() => {
+          if (blocked) return Promise.reject(new Error('NotAllowedError'));
+          element.paused = false;
+          return Promise.resolve();
+        }),
+        pause: vi.fn(() => {
+          element.paused = true;
+        })
+      };
+      elements.push(element);
+      return element;
+    },
+    // Sources of the elements currently playing
+    playing: () => elements.filter(element => !element.paused).map(element => element.src)
+  };
+}
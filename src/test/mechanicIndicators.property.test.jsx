@@ -165,15 +165,15 @@ describe('Mechanic Indicator Updates - Property-Based Tests', () => {
             ];
 
             allTokens.forEach(tokenId => {
-              const tokenButton = screen.getByLabelText(new RegExp(tokenId.split('-').map(
+              const tokenCard = screen.getByLabelText(new RegExp(tokenId.split('-').map(
                 word => word.charAt(0).toUpperCase() + word.slice(1)
               ).join(' '), 'i'));
               
               const isCollected = tokensCollected.includes(tokenId);
-              expect(tokenButton).toHaveAttribute('aria-pressed', isCollected.toString());
-              
               if (isCollected) {
-                expect(tokenButton).toHaveClass('collected');
+                expect(tokenCard).toHaveClass('collected');
+              } else {
+                expect(tokenCard).not.toHaveClass('collected');
               }
             });
 
@@ -203,12 +203,12 @@ describe('Mechanic Indicator Updates - Property-Based Tests', () => {
   });
 
   /**
-   * Property 16: Aswang token click triggers immediate callback
+   * Property 16: Aswang tokens only come from level choices
    * 
-   * For any token click, the onMechanicUpdate callback should be called
-   * immediately with the updated token collection.
+   * For any token click, the collection stays as it is: tokens are collected
+   * by the tools used on the levels, never from the inventory panel.
    */
-  it('property: Aswang token click triggers immediate update callback', () => {
+  it('property: Aswang token click never changes the collection', () => {
     fc.assert(
       fc.property(
         // Generate random initial token state and a token to click
@@ -255,23 +255,17 @@ describe('Mechanic Indicator Updates - Property-Based Tests', () => {
             const tokenName = tokenToClick.split('-').map(
               word => word.charAt(0).toUpperCase() + word.slice(1)
             ).join(' ');
-            const tokenButton = screen.getByLabelText(new RegExp(tokenName, 'i'));
+            const tokenCard = screen.getByLabelText(new RegExp(tokenName, 'i'));
             
-            fireEvent.click(tokenButton);
-
-            // Property: Callback should be called immediately
-            // Requirement 6.5: Update visual indicators immediately
-            expect(onMechanicUpdate).toHaveBeenCalledTimes(1);
-
-            // Property: Callback should receive correct updated token list
-            const wasCollected = initialTokens.includes(tokenToClick);
-            const expectedTokens = wasCollected
-              ? initialTokens.filter(id => id !== tokenToClick)
-              : [...initialTokens, tokenToClick];
-
-            expect(onMechanicUpdate).toHaveBeenCalledWith({
-              tokensCollected: expectedTokens
-            });
+            fireEvent.click(tokenCard);
+
+            // Property: The click changes nothing, and the card keeps its state
+            expect(onMechanicUpdate).not.toHaveBeenCalled();
+            if (initialTokens.includes(tokenToClick)) {
+              expect(tokenCard).toHaveClass('collected');
+            } else {
+              expect(tokenCard).not.toHaveClass('collected');
+            }
 
             return true;
           } finally {
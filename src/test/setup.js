@@ -1,5 +1,11 @@
+import { afterEach } from 'vitest';
 import '@testing-library/jest-dom';
 
+// Saved runs must not leak between tests
+afterEach(() => {
+  localStorage.clear();
+});
+
 // Mock window.matchMedia for tests
 Object.defineProperty(window, 'matchMedia', {
   writable: true,
@@ -0,0 +1,191 @@
+/**
+ * Asset Manifest for FOLKLORERUN
+ *
+ * Every file the game loads from public/assets is declared in the UI config,
+ * never built from a creature's name. Creatures list their own files:
+ *
+ *   "creatures": { "aswang": { ..., "assets": {
+ *     "background": "Aswang BG.jpg", "portrait": "Aswang.jpg",
+ *     "defeated": "Aswang_defeated.jpg", "music": "Aswang audio.mp3",
+ *     "font": "SomeFont.ttf" } } }
+ *
+ * Files outside any creature live in the top-level `assets` section
+ * (SHARED_ASSETS). Every file in the manifest built from both is checked in the
+ * background once the game data is loaded, so missing files are reported on the
+ * start screen instead of failing mid-game. The check only asks whether a file
+ * is there; images, music and video are downloaded when they are first shown.
+ */
+
+import { createIssue, createReport, Resolution, Severity } from './diagnostics';
+
+export const AssetType = {
+  IMAGE: 'image',
+  AUDIO: 'audio',
+  VIDEO: 'video',
+  FONT: 'font'
+};
+
+/**
+ * Files a creature can declare under `assets`, by kind
+ */
+export const CREATURE_ASSETS = {
+  background: AssetType.IMAGE,
+  portrait: AssetType.IMAGE,
+  defeated: AssetType.IMAGE,
+  music: AssetType.AUDIO,
+  font: AssetType.FONT
+};
+
+/**
+ * Files in the top-level `assets` section, by kind
+ */
+export const SHARED_ASSETS = {
+  menuMusic: AssetType.AUDIO,
+  introVideo: AssetType.VIDEO,
+  introMusic: AssetType.AUDIO,
+  hero: AssetType.IMAGE
+};
+
+/**
+ * Diagnostics source name for files that failed the check
+ */
+export const ASSETS_SOURCE = 'assets';
+
+/**
+ * How long one file may take to answer before it counts as missing
+ */
+export const ASSET_CHECK_TIMEOUT_MS = 10000;
+
+/**
+ * URL of a file in public/assets
+ *
+ * @param {string} [filename] - File name, e.g. 'Banshee BG.jpg'
+ * @returns {string} The URL, or '' without a file name
+ */
+export function getAssetUrl(filename) {
+  return filename ? `${import.meta.env.BASE_URL}assets/${encodeURIComponent(filename)}` : '';
+}
+
+/**
+ * URLs of the shared files (see SHARED_ASSETS)
+ *
+ * @param {object} uiConfig - UI config (see loadUIConfig)
+ * @returns {object} URL by key; '' for files the config doesn't declare
+ */
+export function getSharedAssets(uiConfig) {
+  const files = (uiConfig && uiConfig.assets) || {};
+  return Object.fromEntries(
+    Object.keys(SHARED_ASSETS).map(key => [key, getAssetUrl(files[key])])
+  );
+}
+
+/**
+ * List every file the UI config declares
+ *
+ * Entries have a `path` into the UI config (for reports), the asset kind, the
+ * file name and its URL. A file used in several places is listed once.
+ *
+ * @param {object} uiConfig - UI config (see loadUIConfig)
+ * @returns {Array<{path: string, type: string, file: string, url: string}>}
+ */
+export function createAssetManifest(uiConfig) {
+  const declared = [];
+  const collect = (prefix, files, kinds) => {
+    Object.entries(kinds).forEach(([key, type]) => {
+      if (files && files[key]) declared.push({ path: `${prefix}.${key}`, type, file: files[key] });
+    });
+  };
+
+  collect('assets', uiConfig && uiConfig.assets, SHARED_ASSETS);
+  Object.entries((uiConfig && uiConfig.creatures) || {}).forEach(([id, creature]) => {
+    collect(`creatures.${id}.assets`, creature && creature.assets, CREATURE_ASSETS);
+  });
+
+  const seen = new Set();
+  return declared
+    .map(entry => ({ ...entry, url: getAssetUrl(entry.file) }))
+    .filter(entry => {
+      if (seen.has(entry.url)) return false;
+      seen.add(entry.url);
+      return true;
+    });
+}
+
+/**
+ * Check that one file is there, without downloading it
+ *
+ * Sends a HEAD request. A server that answers unknown paths with the app's
+ * HTML page (like the dev server) counts as missing, and so does one that
+ * doesn't answer within `timeout`.
+ *
+ * @param {object} entry - Manifest entry
+ * @param {number} [timeout] - Milliseconds to wait (ASSET_CHECK_TIMEOUT_MS by default)
+ * @returns {Promise<boolean>} Whether the file is there
+ */
+export async function checkAsset(entry, timeout = ASSET_CHECK_TIMEOUT_MS) {
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve(null);
+    }, timeout);
+  });
+
+  try {
+    const response = await Promise.race([
+      fetch(entry.url, { method: 'HEAD', signal: controller.signal }),
+      timedOut
+    ]);
+    if (!response) return false;
+    const contentType = response.headers?.get?.('content-type') || '';
+    return response.ok && !contentType.includes('text/html');
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Check every file in a manifest
+ *
+ * @param {Array} manifest - Entries from createAssetManifest()
+ * @param {object} [options]
+ * @param {function(number, number): void} [options.onProgress] - Called with
+ *   (files done, total) as each file settles
+ * @param {function(object): Promise<boolean>} [options.check] - Checks one entry (checkAsset by default)
+ * @returns {Promise<{loaded: Array, missing: Array}>} The entries, split by outcome
+ */
+export async function checkAssets(manifest, { onProgress = () => {}, check = checkAsset } = {}) {
+  let done = 0;
+  const results = await Promise.all(manifest.map(async (entry) => {
+    const found = await check(entry);
+    done += 1;
+    onProgress(done, manifest.length);
+    return found;
+  }));
+
+  return {
+    loaded: manifest.filter((entry, index) => results[index]),
+    missing: manifest.filter((entry, index) => !results[index])
+  };
+}
+
+/**
+ * Diagnostics report for files that failed the check
+ *
+ * @param {Array} missing - Missing entries from checkAssets()
+ * @returns {object} Report in the shape of utils/diagnostics.js
+ */
+export function createAssetReport(missing) {
+  const report = createReport(ASSETS_SOURCE);
+  report.issues = missing.map(entry => createIssue({
+    path: entry.path,
+    expected: `${entry.type} file in public/assets`,
+    severity: Severity.WARNING,
+    resolution: Resolution.KEPT,
+    message: `"${entry.file}" could not be loaded`
+  }));
+  return report;
+}
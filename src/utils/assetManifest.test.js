@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  ASSET_CHECK_TIMEOUT_MS,
+  AssetType,
+  checkAsset,
+  checkAssets,
+  createAssetManifest,
+  createAssetReport,
+  getAssetUrl,
+  getSharedAssets
+} from './assetManifest';
+import { fallbackUIConfig } from '../fallbackData';
+
+describe('assetManifest', () => {
+  const uiConfig = {
+    assets: {
+      menuMusic: 'Background audio.mp3',
+      hero: 'Main Character.png'
+    },
+    creatures: {
+      'baba-yaga': {
+        primaryColor: '#BA55D3',
+        assets: {
+          background: 'Baba Yaga BG.jpg',
+          portrait: 'Baba Yaga.jpg',
+          music: 'Baba Yaga audio.mp3',
+          font: 'Asimovian-Regular.ttf'
+        }
+      },
+      'banshee': {
+        primaryColor: '#B8D4E8',
+        // Shares the menu music
+        assets: { music: 'Background audio.mp3' }
+      },
+      'aswang': {
+        primaryColor: '#D32F2F'
+      }
+    }
+  };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getAssetUrl', () => {
+    it('encodes file names under the assets folder', () => {
+      expect(getAssetUrl('Banshee BG.jpg')).toBe(`${import.meta.env.BASE_URL}assets/Banshee%20BG.jpg`);
+    });
+
+    it('returns an empty URL without a file name', () => {
+      expect(getAssetUrl(undefined)).toBe('');
+    });
+  });
+
+  describe('getSharedAssets', () => {
+    it('gives a URL for every shared file, empty when undeclared', () => {
+      expect(getSharedAssets(uiConfig)).toEqual({
+        menuMusic: getAssetUrl('Background audio.mp3'),
+        introVideo: '',
+        introMusic: '',
+        hero: getAssetUrl('Main Character.png')
+      });
+    });
+  });
+
+  describe('createAssetManifest', () => {
+    it('lists shared and creature files with their kind and config path', () => {
+      const manifest = createAssetManifest(uiConfig);
+
+      expect(manifest.map(entry => entry.path)).toEqual([
+        'assets.menuMusic',
+        'assets.hero',
+        'creatures.baba-yaga.assets.background',
+        'creatures.baba-yaga.assets.portrait',
+        'creatures.baba-yaga.assets.music',
+        'creatures.baba-yaga.assets.font'
+      ]);
+      expect(manifest[5]).toEqual({
+        path: 'creatures.baba-yaga.assets.font',
+        type: AssetType.FONT,
+        file: 'Asimovian-Regular.ttf',
+        url: getAssetUrl('Asimovian-Regular.ttf')
+      });
+    });
+
+    it('lists a file used in several places once', () => {
+      const urls = createAssetManifest(uiConfig).map(entry => entry.url);
+      expect(new Set(urls).size).toBe(urls.length);
+    });
+
+    it('covers every creature in the fallback config', () => {
+      const paths = createAssetManifest(fallbackUIConfig).map(entry => entry.path);
+
+      Object.keys(fallbackUIConfig.creatures).forEach(id => {
+        expect(paths).toContain(`creatures.${id}.assets.portrait`);
+        expect(paths).toContain(`creatures.${id}.assets.music`);
+      });
+    });
+
+    it('is empty without a config', () => {
+      expect(createAssetManifest(null)).toEqual([]);
+    });
+  });
+
+  describe('checkAsset', () => {
+    const entry = { url: getAssetUrl('Baba Yaga.jpg') };
+    const respond = (ok, contentType) => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue({
+        ok,
+        headers: new Headers({ 'content-type': contentType })
+      });
+    };
+
+    it('finds files the server returns', async () => {
+      respond(true, 'image/jpeg');
+      await expect(checkAsset(entry)).resolves.toBe(true);
+      expect(fetch).toHaveBeenCalledWith(entry.url, expect.objectContaining({ method: 'HEAD' }));
+    });
+
+    it('treats HTTP errors as missing', async () => {
+      respond(false, 'text/plain');
+      await expect(checkAsset(entry)).resolves.toBe(false);
+    });
+
+    it('treats the app page served for unknown paths as missing', async () => {
+      respond(true, 'text/html');
+      await expect(checkAsset(entry)).resolves.toBe(false);
+    });
+
+    it('treats network errors as missing', async () => {
+      vi.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('offline'));
+      await expect(checkAsset(entry)).resolves.toBe(false);
+    });
+
+    it('treats files that take too long to answer as missing', async () => {
+      vi.useFakeTimers();
+      try {
+        vi.spyOn(globalThis, 'fetch').mockReturnValue(new Promise(() => {}));
+        const found = checkAsset(entry);
+
+        await vi.advanceTimersByTimeAsync(ASSET_CHECK_TIMEOUT_MS);
+        await expect(found).resolves.toBe(false);
+        expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('checkAssets', () => {
+    it('reports progress and splits the manifest by outcome', async () => {
+      const manifest = createAssetManifest(uiConfig);
+      const onProgress = vi.fn();
+      const check = vi.fn(async (entry) => entry.type !== AssetType.FONT);
+
+      const { loaded, missing } = await checkAssets(manifest, { onProgress, check });
+
+      expect(check).toHaveBeenCalledTimes(manifest.length);
+      expect(onProgress).toHaveBeenCalledTimes(manifest.length);
+      expect(onProgress).toHaveBeenLastCalledWith(manifest.length, manifest.length);
+      expect(missing.map(entry => entry.file)).toEqual(['Asimovian-Regular.ttf']);
+      expect(loaded).toHaveLength(manifest.length - 1);
+    });
+  });
+
+  describe('createAssetReport', () => {
+    it('describes each missing file as a diagnostics issue', () => {
+      const missing = createAssetManifest(uiConfig).filter(entry => entry.type === AssetType.FONT);
+      const report = createAssetReport(missing);
+
+      expect(report.source).toBe('assets');
+      expect(report.issues).toEqual([
+        expect.objectContaining({
+          path: 'creatures.baba-yaga.assets.font',
+          severity: 'warning',
+          message: '"Asimovian-Regular.ttf" could not be loaded'
+        })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Audio Manager for FOLKLORERUN
+ *
+ * Every sound the game plays goes through one manager, on one of four named
+ * channels:
+ *
+ * - music:    background and creature tracks; one at a time, crossfaded
+ * - ambience: beds under a scene (e.g. the intro soundtrack); one at a time
+ * - sfx:      short effects; any number at once
+ * - voice:    narration; one at a time
+ *
+ * A track's loudness is master × channel × its own volume × its fade. Each
+ * URL has at most one instance: playing a track that is already playing keeps
+ * it (effects restart from the beginning) instead of starting a second copy.
+ *
+ * Playback goes through a backend ({ create(url) } returning an element with
+ * play/pause/volume/loop/currentTime), HTML audio by default, so tests can
+ * use a fake one. Playback the browser blocks until the user interacts is
+ * retried on the next click, tap or key press.
+ */
+
+/**
+ * Channel names
+ */
+export const Channel = {
+  MUSIC: 'music',
+  AMBIENCE: 'ambience',
+  SFX: 'sfx',
+  VOICE: 'voice'
+};
+
+/**
+ * Channel volumes before the player changes them
+ */
+export const DEFAULT_CHANNEL_VOLUMES = {
+  [Channel.MUSIC]: 0.7,
+  [Channel.AMBIENCE]: 0.4,
+  [Channel.SFX]: 0.8,
+  [Channel.VOICE]: 1
+};
+
+// Channels that play one track at a time
+const EXCLUSIVE_CHANNELS = [Channel.MUSIC, Channel.AMBIENCE, Channel.VOICE];
+
+/**
+ * Default crossfade length (ms) on exclusive channels; effects start and stop at once
+ */
+export const CROSSFADE_MS = 1500;
+
+/**
+ * How often fades are advanced (ms)
+ */
+export const FADE_STEP_MS = 50;
+
+/**
+ * Backend playing through HTML audio elements
+ */
+export const htmlAudioBackend = {
+  create: (url) => new Audio(url)
+};
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Create an audio manager
+ *
+ * @param {object} [options]
+ * @param {object} [options.backend] - Creates playable elements (htmlAudioBackend by default)
+ * @param {object} [options.volumes] - Channel volumes (DEFAULT_CHANNEL_VOLUMES by default)
+ * @param {number} [options.masterVolume] - Volume applied to every channel
+ * @param {EventTarget|null} [options.gestureTarget] - Where user interaction
+ *   retries blocked playback (document by default)
+ * @returns {object} Audio manager
+ */
+export function createAudioManager({
+  backend = htmlAudioBackend,
+  volumes = DEFAULT_CHANNEL_VOLUMES,
+  masterVolume = 1,
+  gestureTarget = typeof document !== 'undefined' ? document : null
+} = {}) {
+  const channelVolumes = { ...DEFAULT_CHANNEL_VOLUMES, ...volumes };
+  let master = clamp(masterVolume);
+  // Tracks by URL: { url, channel, element, volume, fade, fadeTarget, fadeStep, stopping }
+  const tracks = new Map();
+  let fadeTimer = null;
+  let blocked = new Set();
+
+  const applyVolume = (track) => {
+    track.element.volume = clamp(master * channelVolumes[track.channel] * track.volume * track.fade);
+  };
+
+  const remove = (track) => {
+    track.element.pause();
+    track.element.currentTime = 0;
+    tracks.delete(track.url);
+    blocked.delete(track);
+  };
+
+  const retryBlocked = () => {
+    const waiting = [...blocked];
+    blocked = new Set();
+    waiting.forEach(start);
+  };
+
+  const waitForGesture = (track) => {
+    if (!gestureTarget || blocked.has(track)) return;
+    if (blocked.size === 0) {
+      ['click', 'touchstart', 'keydown'].forEach(type => {
+        gestureTarget.addEventListener(type, retryBlocked, { once: true });
+      });
+    }
+    blocked.add(track);
+  };
+
+  function start(track) {
+    if (tracks.get(track.url) !== track) return;
+    try {
+      Promise.resolve(track.element.play()).catch(() => waitForGesture(track));
+    } catch {
+      waitForGesture(track);
+    }
+  }
+
+  const tick = () => {
+    tracks.forEach(track => {
+      const distance = track.fadeTarget - track.fade;
+      if (distance === 0) return;
+      // Snap to the target on the last step so rounding can't leave a track at a sliver of volume
+      track.fade = Math.abs(distance) <= track.fadeStep * 1.001
+        ? track.fadeTarget
+        : track.fade + Math.sign(distance) * track.fadeStep;
+      applyVolume(track);
+      if (track.stopping && track.fade === 0) remove(track);
+    });
+
+    const fading = [...tracks.values()].some(track => track.fade !== track.fadeTarget);
+    if (!fading) {
+      clearInterval(fadeTimer);
+      fadeTimer = null;
+    }
+  };
+
+  // Move a track's fade towards a target over fadeMs
+  const fadeTo = (track, target, fadeMs) => {
+    track.fadeTarget = target;
+    if (fadeMs <= 0) {
+      track.fade = target;
+      applyVolume(track);
+      if (track.stopping && target === 0) remove(track);
+      return;
+    }
+    track.fadeStep = FADE_STEP_MS / fadeMs;
+    if (!fadeTimer) fadeTimer = setInterval(tick, FADE_STEP_MS);
+  };
+
+  const defaultFade = (channel) => (EXCLUSIVE_CHANNELS.includes(channel) ? CROSSFADE_MS : 0);
+
+  const stopTrack = (track, fadeMs) => {
+    track.stopping = true;
+    fadeTo(track, 0, fadeMs);
+  };
+
+  const channelTracks = (channel) => [...tracks.values()].filter(track => track.channel === channel);
+
+  return {
+    /**
+     * Play a track on a channel
+     *
+     * On exclusive channels, whatever else is playing fades out while the
+     * track fades in.
+     *
+     * @param {string} channel - Channel name
+     * @param {string} url - Track URL
+     * @param {object} [options]
+     * @param {number} [options.volume] - Track volume within its channel (0-1)
+     * @param {boolean} [options.loop] - Whether the track repeats
+     * @param {number} [options.fadeMs] - Fade length (CROSSFADE_MS on exclusive channels, else 0)
+     */
+    play(channel, url, { volume = 1, loop = false, fadeMs = defaultFade(channel) } = {}) {
+      if (!url || !(channel in channelVolumes)) return;
+
+      if (EXCLUSIVE_CHANNELS.includes(channel)) {
+        channelTracks(channel)
+          .filter(track => track.url !== url && !track.stopping)
+          .forEach(track => stopTrack(track, fadeMs));
+      }
+
+      const current = tracks.get(url);
+      if (current && current.channel === channel) {
+        // Already playing: keep it, bringing it back if it was fading out
+        current.volume = volume;
+        current.element.loop = loop;
+        current.stopping = false;
+        if (!EXCLUSIVE_CHANNELS.includes(channel)) {
+          current.element.currentTime = 0;
+          start(current);
+        }
+        fadeTo(current, 1, fadeMs);
+        return;
+      }
+      if (current) remove(current);
+
+      const track = {
+        url,
+        channel,
+        element: backend.create(url),
+        volume,
+        fade: fadeMs > 0 ? 0 : 1,
+        fadeTarget: 1,
+        fadeStep: 0,
+        stopping: false
+      };
+      track.element.loop = loop;
+      tracks.set(url, track);
+      applyVolume(track);
+      start(track);
+      fadeTo(track, 1, fadeMs);
+    },
+
+    /**
+     * Fade out and stop everything on a channel
+     *
+     * @param {string} channel - Channel name
+     * @param {object} [options]
+     * @param {number} [options.fadeMs] - Fade length
+     */
+    stop(channel, { fadeMs = defaultFade(channel) } = {}) {
+      channelTracks(channel).forEach(track => stopTrack(track, fadeMs));
+    },
+
+    /**
+     * Stop every channel at once
+     */
+    stopAll() {
+      tracks.forEach(track => stopTrack(track, 0));
+    },
+
+    /**
+     * Set a channel's volume (0-1)
+     */
+    setChannelVolume(channel, volume) {
+      if (!(channel in channelVolumes)) return;
+      channelVolumes[channel] = clamp(volume);
+      channelTracks(channel).forEach(applyVolume);
+    },
+
+    getChannelVolume: (channel) => channelVolumes[channel],
+
+    /**
+     * Set the volume applied to every channel (0-1)
+     */
+    setMasterVolume(volume) {
+      master = clamp(volume);
+      tracks.forEach(applyVolume);
+    },
+
+    getMasterVolume: () => master,
+
+    /**
+     * Whether a track is playing (and not fading out)
+     *
+     * @param {string} url - Track URL
+     * @returns {boolean}
+     */
+    isPlaying(url) {
+      const track = tracks.get(url);
+      return Boolean(track && !track.stopping);
+    },
+
+    /**
+     * URLs of the tracks playing on a channel (not fading out)
+     *
+     * @param {string} channel - Channel name
+     * @returns {string[]}
+     */
+    getPlaying(channel) {
+      return channelTracks(channel).filter(track => !track.stopping).map(track => track.url);
+    }
+  };
+}
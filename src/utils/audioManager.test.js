@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  Channel,
+  createAudioManager,
+  CROSSFADE_MS,
+  DEFAULT_CHANNEL_VOLUMES
+} from './audioManager';
+import { createFakeAudioBackend } from '../test/fakeAudioBackend';
+
+describe('audioManager', () => {
+  let backend;
+  let manager;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    backend = createFakeAudioBackend();
+    manager = createAudioManager({ backend, gestureTarget: null });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('plays a track on its channel at the channel volume', () => {
+    manager.play(Channel.SFX, '/assets/chime.mp3');
+
+    expect(backend.playing()).toEqual(['/assets/chime.mp3']);
+    expect(backend.elements[0].volume).toBeCloseTo(DEFAULT_CHANNEL_VOLUMES.sfx);
+    expect(manager.getPlaying(Channel.SFX)).toEqual(['/assets/chime.mp3']);
+  });
+
+  it('keeps one instance per track', () => {
+    manager.play(Channel.MUSIC, '/assets/menu.mp3', { loop: true });
+    manager.play(Channel.MUSIC, '/assets/menu.mp3', { loop: true });
+
+    expect(backend.elements).toHaveLength(1);
+    expect(backend.elements[0].loop).toBe(true);
+  });
+
+  it('restarts an effect that is played again instead of overlapping it', () => {
+    manager.play(Channel.SFX, '/assets/chime.mp3');
+    backend.elements[0].currentTime = 0.4;
+    manager.play(Channel.SFX, '/assets/chime.mp3');
+
+    expect(backend.elements).toHaveLength(1);
+    expect(backend.elements[0].currentTime).toBe(0);
+    expect(backend.elements[0].play).toHaveBeenCalledTimes(2);
+  });
+
+  it('lets different effects overlap', () => {
+    manager.play(Channel.SFX, '/assets/chime.mp3');
+    manager.play(Channel.SFX, '/assets/thud.mp3');
+
+    expect(manager.getPlaying(Channel.SFX)).toEqual(['/assets/chime.mp3', '/assets/thud.mp3']);
+  });
+
+  it('crossfades between tracks on the music channel', () => {
+    manager.play(Channel.MUSIC, '/assets/menu.mp3', { fadeMs: 0 });
+    manager.play(Channel.MUSIC, '/assets/creature.mp3');
+    const [menu, creature] = backend.elements;
+
+    expect(manager.getPlaying(Channel.MUSIC)).toEqual(['/assets/creature.mp3']);
+    expect(creature.volume).toBe(0);
+
+    vi.advanceTimersByTime(CROSSFADE_MS / 2);
+    expect(menu.volume).toBeCloseTo(DEFAULT_CHANNEL_VOLUMES.music / 2);
+    expect(creature.volume).toBeCloseTo(DEFAULT_CHANNEL_VOLUMES.music / 2);
+    expect(menu.pause).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(CROSSFADE_MS / 2);
+    expect(creature.volume).toBeCloseTo(DEFAULT_CHANNEL_VOLUMES.music);
+    expect(menu.pause).toHaveBeenCalled();
+    expect(backend.playing()).toEqual(['/assets/creature.mp3']);
+  });
+
+  it('brings back a track that was fading out', () => {
+    manager.play(Channel.MUSIC, '/assets/menu.mp3', { fadeMs: 0 });
+    manager.play(Channel.MUSIC, '/assets/creature.mp3');
+    vi.advanceTimersByTime(CROSSFADE_MS / 2);
+    manager.play(Channel.MUSIC, '/assets/menu.mp3');
+    vi.advanceTimersByTime(CROSSFADE_MS);
+
+    expect(backend.elements).toHaveLength(2);
+    expect(backend.playing()).toEqual(['/assets/menu.mp3']);
+    expect(backend.elements[0].volume).toBeCloseTo(DEFAULT_CHANNEL_VOLUMES.music);
+  });
+
+  it('stops a channel with a fade and leaves the others playing', () => {
+    manager.play(Channel.AMBIENCE, '/assets/wind.mp3', { fadeMs: 0 });
+    manager.play(Channel.MUSIC, '/assets/menu.mp3', { fadeMs: 0 });
+    manager.stop(Channel.AMBIENCE, { fadeMs: 300 });
+
+    expect(manager.isPlaying('/assets/wind.mp3')).toBe(false);
+    vi.advanceTimersByTime(300);
+    expect(backend.playing()).toEqual(['/assets/menu.mp3']);
+  });
+
+  it('stops everything at once', () => {
+    manager.play(Channel.MUSIC, '/assets/menu.mp3');
+    manager.play(Channel.SFX, '/assets/chime.mp3');
+    manager.stopAll();
+
+    expect(backend.playing()).toEqual([]);
+    expect(backend.elements.every(element => element.currentTime === 0)).toBe(true);
+  });
+
+  it('mixes master, channel and track volumes', () => {
+    manager.play(Channel.MUSIC, '/assets/menu.mp3', { volume: 0.5, fadeMs: 0 });
+    manager.setChannelVolume(Channel.MUSIC, 0.8);
+    manager.setMasterVolume(0.5);
+
+    expect(backend.elements[0].volume).toBeCloseTo(0.5 * 0.8 * 0.5);
+    expect(manager.getChannelVolume(Channel.MUSIC)).toBe(0.8);
+    expect(manager.getMasterVolume()).toBe(0.5);
+  });
+
+  it('ignores unknown channels and missing URLs', () => {
+    manager.play('radio', '/assets/menu.mp3');
+    manager.play(Channel.MUSIC, '');
+
+    expect(backend.elements).toHaveLength(0);
+  });
+
+  it('retries blocked playback on the next user interaction', async () => {
+    const blockedBackend = createFakeAudioBackend({ blocked: true });
+    const target = new EventTarget();
+    vi.spyOn(target, 'addEventListener');
+    const blockedManager = createAudioManager({ backend: blockedBackend, gestureTarget: target });
+
+    blockedManager.play(Channel.MUSIC, '/assets/menu.mp3');
+    await vi.waitFor(() => {
+      expect(target.addEventListener).toHaveBeenCalledWith('click', expect.any(Function), { once: true });
+    });
+    const [element] = blockedBackend.elements;
+    expect(element.play).toHaveBeenCalledTimes(1);
+
+    target.dispatchEvent(new Event('click'));
+    expect(element.play).toHaveBeenCalledTimes(2);
+    expect(blockedBackend.elements).toHaveLength(1);
+  });
+});
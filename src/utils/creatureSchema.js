@@ -0,0 +1,571 @@
+/**
+ * Creature Data Schema for FOLKLORERUN
+ *
+ * Versioned description of creatures_game_data.json with typed defaults.
+ * normalizeCreatureData() walks loaded data against this schema:
+ * - Known fields are kept, type-checked, and defaulted when missing (Requirement 9.5)
+ * - Unknown fields are passed through untouched and reported
+ * - Legacy single-text fields (enrichedIntro, victoryText, defeatText) are reconciled
+ *   with their list counterparts (enrichedIntros, victoryTexts, defeatTexts)
+ * - Deduction item pools and combinations are checked against the level's
+ *   choices and the creature's tokens
+ * - Story graph links (a choice's `next` level id or `ending`) are checked
+ *   against the creature's levels
+ * - Endings are checked for a known outcome and well-formed conditions
+ * - Win rule conditions (`rules.defeatIf`) are checked the same way
+ * - Level decision timers are checked for a positive length and a known effect
+ * - Riddle pools are checked against the creature's riddle bank, and riddles
+ *   for a known difficulty tag
+ *
+ * Each schema entry is { type, default?, optional?, items?, schema? }:
+ * - type: 'string' | 'number' | 'boolean' | 'array' | 'object'
+ * - default: value or function (rawParent, index) => value used when the field is missing
+ * - optional: omit the field entirely when missing instead of defaulting it
+ * - items: element type name or nested schema for arrays
+ * - schema: nested schema for objects
+ *
+ * Problems are returned as diagnostic issues (see diagnostics.js).
+ *
+ * Requirements: 9.3, 9.5
+ */
+
+import { createIssue, describeType, Resolution, Severity } from './diagnostics';
+import { CONDITION_OPERATORS } from '../engine/endings';
+import { TIMEOUT_EFFECTS } from '../engine/timer';
+import { RIDDLE_DIFFICULTIES } from '../engine/riddleBank';
+
+/**
+ * Schema version this build understands
+ */
+export const CREATURE_SCHEMA_VERSION = 1;
+
+/**
+ * Outcomes a choice can end the run with
+ */
+export const ENDING_OUTCOMES = ['victory', 'defeat'];
+
+// `next` names the level the choice leads to; `ending` ends the run there
+const choiceSchema = {
+  text: { type: 'string', default: 'Continue' },
+  isCorrect: { type: 'boolean', default: false },
+  consequence: { type: 'string', default: '' },
+  next: { type: 'string', optional: true },
+  ending: { type: 'string', optional: true }
+};
+
+// Tool the player can pick on a deduction level; `satisfies` lists the indices
+// of the choices that count as correct when this item is picked
+const itemSchema = {
+  id: { type: 'string', default: (item, index) => `item-${index}` },
+  label: { type: 'string', default: (item) => (typeof item.id === 'string' ? item.id : 'Item') },
+  icon: { type: 'string', default: '' },
+  description: { type: 'string', default: '' },
+  satisfies: { type: 'array', items: 'number', default: [] }
+};
+
+// `answers` lists accepted answers and synonyms besides `answerKey`
+const riddleSchema = {
+  id: { type: 'string', optional: true },
+  difficulty: { type: 'string', default: 'normal' },
+  riddle: { type: 'string', default: '' },
+  hint: { type: 'string', default: '' },
+  answerKey: { type: 'string', default: '' },
+  answers: { type: 'array', items: 'string', default: [] }
+};
+
+// Riddle a level with a matching `riddlePool` can draw (see engine/riddleBank.js)
+const bankRiddleSchema = {
+  ...riddleSchema,
+  id: { type: 'string', default: (riddle, index) => `riddle-${index}` },
+  pool: { type: 'string', default: '' }
+};
+
+// Clue the deduction mechanic can collect
+const tokenSchema = {
+  id: { type: 'string', default: (token, index) => `token-${index}` },
+  label: { type: 'string', default: (token) => (typeof token.id === 'string' ? token.id : 'Clue') },
+  description: { type: 'string', default: '' }
+};
+
+// Deduction rule: the tokens to collect, in order when `ordered` is set
+const combinationSchema = {
+  id: { type: 'string', default: (combination, index) => `combination-${index}` },
+  label: { type: 'string', default: '' },
+  sequence: { type: 'array', items: 'string', default: [] },
+  ordered: { type: 'boolean', default: false }
+};
+
+// Ending text chosen by how the run was played (see engine/endings.js)
+const endingSchema = {
+  id: { type: 'string', default: (ending, index) => `ending-${index}` },
+  outcome: { type: 'string', default: 'victory' },
+  title: { type: 'string', default: '' },
+  text: { type: 'string', default: '' },
+  conditions: { type: 'object', default: () => ({}) }
+};
+
+// How the run is won or lost (see engine/winRules.js)
+const rulesSchema = {
+  winThreshold: { type: 'number', optional: true },
+  defeatIf: { type: 'object', default: () => ({}) }
+};
+
+// Countdown for the level's decision (see engine/timer.js)
+const timerSchema = {
+  seconds: { type: 'number', default: 0 },
+  onTimeout: { type: 'string', default: 'incorrect' },
+  consequence: { type: 'string', optional: true }
+};
+
+const levelSchema = {
+  id: { type: 'string', optional: true },
+  levelIndex: { type: 'number', default: (level, index) => index },
+  sceneText: { type: 'string', default: '' },
+  enrichedScene: { type: 'string', default: (level) => (typeof level.sceneText === 'string' ? level.sceneText : '') },
+  choices: { type: 'array', items: choiceSchema, default: [] },
+  items: { type: 'array', items: itemSchema, optional: true },
+  suddenDeath: { type: 'boolean', optional: true },
+  timer: { type: 'object', schema: timerSchema, optional: true },
+  riddleData: { type: 'object', schema: riddleSchema, optional: true },
+  riddlePool: { type: 'string', optional: true }
+};
+
+const creatureSchema = {
+  id: { type: 'string', default: 'unknown' },
+  name: { type: 'string', default: 'Unknown Creature' },
+  enrichedIntro: { type: 'string', optional: true },
+  enrichedIntros: { type: 'array', items: 'string', optional: true },
+  storyLines: { type: 'array', items: 'string', default: [] },
+  coreMechanic: { type: 'string', default: 'none' },
+  levels: { type: 'array', items: levelSchema, default: [] },
+  tokens: { type: 'array', items: tokenSchema, optional: true },
+  combinations: { type: 'array', items: combinationSchema, optional: true },
+  riddleBank: { type: 'array', items: bankRiddleSchema, optional: true },
+  endings: { type: 'array', items: endingSchema, optional: true },
+  rules: { type: 'object', schema: rulesSchema, optional: true },
+  victoryText: { type: 'string', optional: true },
+  victoryTexts: { type: 'array', items: 'string', optional: true },
+  defeatText: { type: 'string', optional: true },
+  defeatTexts: { type: 'array', items: 'string', optional: true }
+};
+
+export const creatureDataSchema = {
+  schemaVersion: { type: 'number', default: CREATURE_SCHEMA_VERSION },
+  creatures: { type: 'array', items: creatureSchema, default: [] }
+};
+
+/**
+ * Legacy single-text fields paired with their list form, and the text used
+ * when neither is present
+ */
+const TEXT_VARIANTS = [
+  { single: 'enrichedIntro', list: 'enrichedIntros', fallback: '' },
+  { single: 'victoryText', list: 'victoryTexts', fallback: 'You have succeeded.' },
+  { single: 'defeatText', list: 'defeatTexts', fallback: 'You have failed.' }
+];
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+function normalizeValue(value, spec, path, issues) {
+  if (spec.type === 'array') {
+    return value.map((item, index) => {
+      const itemPath = `${path}[${index}]`;
+      if (typeof spec.items === 'object') {
+        if (describeType(item) !== 'object') {
+          issues.push(createIssue({
+            path: itemPath,
+            expected: 'object',
+            received: describeType(item),
+            resolution: Resolution.DROPPED,
+            message: `Expected object, got ${describeType(item)}; item dropped`
+          }));
+          return undefined;
+        }
+        return normalizeObject(item, spec.items, itemPath, issues, index);
+      }
+      if (spec.items && describeType(item) !== spec.items) {
+        issues.push(createIssue({
+          path: itemPath,
+          expected: spec.items,
+          received: describeType(item),
+          resolution: Resolution.DROPPED,
+          message: `Expected ${spec.items}, got ${describeType(item)}; item dropped`
+        }));
+        return undefined;
+      }
+      return item;
+    }).filter(item => item !== undefined);
+  }
+
+  if (spec.type === 'object' && spec.schema) {
+    return normalizeObject(value, spec.schema, path, issues);
+  }
+
+  return value;
+}
+
+function normalizeObject(raw, schema, path, issues, index = 0) {
+  const result = {};
+
+  Object.entries(schema).forEach(([key, spec]) => {
+    const fieldPath = childPath(path, key);
+    const value = raw[key];
+
+    if (value === undefined || value === null) {
+      if (spec.optional) return;
+      result[key] = typeof spec.default === 'function' ? spec.default(raw, index) : spec.default;
+      return;
+    }
+
+    if (describeType(value) !== spec.type) {
+      issues.push(createIssue({
+        path: fieldPath,
+        expected: spec.type,
+        received: describeType(value),
+        resolution: spec.optional ? Resolution.DROPPED : Resolution.DEFAULT,
+        message: `Expected ${spec.type}, got ${describeType(value)}; ${spec.optional ? 'field dropped' : 'default applied'}`
+      }));
+      if (spec.optional) return;
+      result[key] = typeof spec.default === 'function' ? spec.default(raw, index) : spec.default;
+      return;
+    }
+
+    result[key] = normalizeValue(value, spec, fieldPath, issues);
+  });
+
+  // Unknown fields are kept so newer content is never silently lost
+  Object.keys(raw).forEach(key => {
+    if (!(key in schema)) {
+      issues.push(createIssue({
+        path: childPath(path, key),
+        expected: 'known field',
+        received: describeType(raw[key]),
+        severity: Severity.INFO,
+        resolution: Resolution.KEPT,
+        message: 'Unknown field (kept as-is)'
+      }));
+      result[key] = raw[key];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Reconcile single-text and list-of-texts variants on a creature
+ *
+ * Components read the list form (enrichedIntros, victoryTexts, defeatTexts)
+ * and fall back to the single form, so both are filled in from whichever exists.
+ */
+function reconcileTextVariants(creature, path, issues) {
+  TEXT_VARIANTS.forEach(({ single, list, fallback }) => {
+    const hasSingle = typeof creature[single] === 'string';
+    const hasList = Array.isArray(creature[list]) && creature[list].length > 0;
+
+    if (hasSingle && !hasList) {
+      issues.push(createIssue({
+        path: childPath(path, single),
+        expected: `${list} (array of strings)`,
+        received: 'string',
+        resolution: Resolution.CONVERTED,
+        message: `Found "${single}" but not "${list}"; using it as a one-item "${list}"`
+      }));
+      creature[list] = [creature[single]];
+    } else if (hasSingle && hasList && !creature[list].includes(creature[single])) {
+      issues.push(createIssue({
+        path: childPath(path, single),
+        expected: `one of the "${list}" entries`,
+        received: 'string',
+        resolution: Resolution.KEPT,
+        message: `Both "${single}" and "${list}" are set and disagree; "${list}" is used for display`
+      }));
+    }
+
+    if (!hasSingle) {
+      creature[single] = hasList ? creature[list][0] : fallback;
+    }
+    if (!Array.isArray(creature[list])) {
+      creature[list] = fallback ? [fallback] : [];
+    }
+  });
+}
+
+/**
+ * Drop item `satisfies` entries that point at choices the level doesn't have
+ */
+function checkItemPools(creature, path, issues) {
+  creature.levels.forEach((level, levelIndex) => {
+    if (!level.items) return;
+
+    level.items.forEach((item, itemIndex) => {
+      const itemPath = `${path}.levels[${levelIndex}].items[${itemIndex}].satisfies`;
+      const valid = item.satisfies.filter(choiceIndex => (
+        Number.isInteger(choiceIndex) && choiceIndex >= 0 && choiceIndex < level.choices.length
+      ));
+
+      if (valid.length !== item.satisfies.length) {
+        issues.push(createIssue({
+          path: itemPath,
+          expected: `choice indices 0-${level.choices.length - 1}`,
+          received: JSON.stringify(item.satisfies),
+          resolution: Resolution.DROPPED,
+          message: `Item "${item.id}" refers to choices that don't exist; those entries were dropped`
+        }));
+        item.satisfies = valid;
+      }
+    });
+  });
+}
+
+/**
+ * Flag combination steps that name tokens the creature doesn't declare
+ */
+function checkCombinations(creature, path, issues) {
+  if (!creature.combinations) return;
+
+  const tokenIds = (creature.tokens || []).map(token => token.id);
+  creature.combinations.forEach((combination, index) => {
+    const unknown = combination.sequence.filter(tokenId => !tokenIds.includes(tokenId));
+    if (unknown.length > 0) {
+      issues.push(createIssue({
+        path: `${path}.combinations[${index}].sequence`,
+        expected: tokenIds.length > 0 ? `token ids: ${tokenIds.join(', ')}` : 'a "tokens" list on the creature',
+        received: JSON.stringify(unknown),
+        resolution: Resolution.KEPT,
+        message: `Combination "${combination.id}" uses undeclared tokens and can never be completed`
+      }));
+    }
+  });
+}
+
+/**
+ * Drop story graph links that lead nowhere, so those choices fall back to the
+ * next level in order
+ */
+function checkStoryGraph(creature, path, issues) {
+  const levelIds = creature.levels.map(level => level.id).filter(id => id !== undefined);
+
+  creature.levels.forEach((level, levelIndex) => {
+    if (level.id !== undefined && levelIds.indexOf(level.id) !== levelIndex) {
+      issues.push(createIssue({
+        path: `${path}.levels[${levelIndex}].id`,
+        expected: 'an id unique to this creature',
+        received: JSON.stringify(level.id),
+        resolution: Resolution.KEPT,
+        message: `Level id "${level.id}" is used more than once; links go to the first level with it`
+      }));
+    }
+
+    level.choices.forEach((choice, choiceIndex) => {
+      const choicePath = `${path}.levels[${levelIndex}].choices[${choiceIndex}]`;
+
+      if (choice.next !== undefined && !levelIds.includes(choice.next)) {
+        issues.push(createIssue({
+          path: `${choicePath}.next`,
+          expected: levelIds.length > 0 ? `level ids: ${levelIds.join(', ')}` : 'an "id" on the target level',
+          received: JSON.stringify(choice.next),
+          resolution: Resolution.DROPPED,
+          message: `Choice leads to unknown level "${choice.next}"; it will lead to the next level in order`
+        }));
+        delete choice.next;
+      }
+
+      if (choice.ending !== undefined && !ENDING_OUTCOMES.includes(choice.ending)) {
+        issues.push(createIssue({
+          path: `${choicePath}.ending`,
+          expected: ENDING_OUTCOMES.join(' | '),
+          received: JSON.stringify(choice.ending),
+          resolution: Resolution.DROPPED,
+          message: `Unknown ending "${choice.ending}"; ending dropped`
+        }));
+        delete choice.ending;
+      }
+    });
+  });
+}
+
+/**
+ * Find a fact whose condition isn't an object of known operators
+ *
+ * @returns {string|undefined} The fact name, or undefined if all are valid
+ */
+function findInvalidCondition(conditions) {
+  return Object.keys(conditions).find(fact => {
+    const condition = conditions[fact];
+    return describeType(condition) !== 'object' ||
+      Object.keys(condition).some(operator => !CONDITION_OPERATORS.includes(operator));
+  });
+}
+
+/**
+ * Drop endings with an unknown outcome or conditions the engine can't check
+ */
+function checkEndings(creature, path, issues) {
+  if (!creature.endings) return;
+
+  creature.endings = creature.endings.filter((ending, index) => {
+    const endingPath = `${path}.endings[${index}]`;
+
+    if (!ENDING_OUTCOMES.includes(ending.outcome)) {
+      issues.push(createIssue({
+        path: `${endingPath}.outcome`,
+        expected: ENDING_OUTCOMES.join(' | '),
+        received: JSON.stringify(ending.outcome),
+        resolution: Resolution.DROPPED,
+        message: `Ending "${ending.id}" has an unknown outcome; ending dropped`
+      }));
+      return false;
+    }
+
+    const badFact = findInvalidCondition(ending.conditions);
+    if (badFact !== undefined) {
+      issues.push(createIssue({
+        path: `${endingPath}.conditions.${badFact}`,
+        expected: `object with ${CONDITION_OPERATORS.join(', ')}`,
+        received: JSON.stringify(ending.conditions[badFact]),
+        resolution: Resolution.DROPPED,
+        message: `Ending "${ending.id}" has a condition the game can't check; ending dropped`
+      }));
+      return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Drop a defeat rule with conditions the engine can't check (dropping only the
+ * bad condition would make the rule trigger more often than intended)
+ */
+function checkWinRules(creature, path, issues) {
+  if (!creature.rules) return;
+
+  const { defeatIf } = creature.rules;
+  const badFact = findInvalidCondition(defeatIf);
+  if (badFact !== undefined) {
+    issues.push(createIssue({
+      path: `${path}.rules.defeatIf.${badFact}`,
+      expected: `object with ${CONDITION_OPERATORS.join(', ')}`,
+      received: JSON.stringify(defeatIf[badFact]),
+      resolution: Resolution.DROPPED,
+      message: `Defeat condition on "${badFact}" can't be checked; defeat rule dropped`
+    }));
+    creature.rules.defeatIf = {};
+  }
+}
+
+/**
+ * Drop timers without a usable length, and fall back to an incorrect answer for
+ * timeout effects the game doesn't know
+ */
+function checkTimers(creature, path, issues) {
+  creature.levels.forEach((level, levelIndex) => {
+    if (!level.timer) return;
+    const timerPath = `${path}.levels[${levelIndex}].timer`;
+
+    if (!(level.timer.seconds > 0)) {
+      issues.push(createIssue({
+        path: `${timerPath}.seconds`,
+        expected: 'a number of seconds above 0',
+        received: JSON.stringify(level.timer.seconds),
+        resolution: Resolution.DROPPED,
+        message: 'Timer has no time to count down; timer dropped'
+      }));
+      delete level.timer;
+      return;
+    }
+
+    if (!TIMEOUT_EFFECTS.includes(level.timer.onTimeout)) {
+      issues.push(createIssue({
+        path: `${timerPath}.onTimeout`,
+        expected: TIMEOUT_EFFECTS.join(' | '),
+        received: JSON.stringify(level.timer.onTimeout),
+        resolution: Resolution.DEFAULT,
+        message: `Unknown timeout effect "${level.timer.onTimeout}"; running out of time counts as a wrong answer`
+      }));
+      level.timer.onTimeout = 'incorrect';
+    }
+  });
+}
+
+/**
+ * Default riddles with an unknown difficulty tag to normal, and flag riddle
+ * pools the riddle bank has nothing for
+ */
+function checkRiddleBank(creature, path, issues) {
+  const checkDifficulty = (riddle, riddlePath) => {
+    if (RIDDLE_DIFFICULTIES.includes(riddle.difficulty)) return;
+    issues.push(createIssue({
+      path: `${riddlePath}.difficulty`,
+      expected: RIDDLE_DIFFICULTIES.join(' | '),
+      received: JSON.stringify(riddle.difficulty),
+      resolution: Resolution.DEFAULT,
+      message: `Unknown riddle difficulty "${riddle.difficulty}"; treated as normal`
+    }));
+    riddle.difficulty = 'normal';
+  };
+
+  const bank = creature.riddleBank || [];
+  bank.forEach((riddle, index) => checkDifficulty(riddle, `${path}.riddleBank[${index}]`));
+
+  creature.levels.forEach((level, levelIndex) => {
+    const levelPath = `${path}.levels[${levelIndex}]`;
+    if (level.riddleData) checkDifficulty(level.riddleData, `${levelPath}.riddleData`);
+
+    if (level.riddlePool !== undefined && !bank.some(riddle => riddle.pool === level.riddlePool)) {
+      issues.push(createIssue({
+        path: `${levelPath}.riddlePool`,
+        expected: 'a pool with riddles in the creature\'s "riddleBank"',
+        received: JSON.stringify(level.riddlePool),
+        resolution: Resolution.KEPT,
+        message: level.riddleData
+          ? `Riddle pool "${level.riddlePool}" is empty; the level always asks its own riddle`
+          : `Riddle pool "${level.riddlePool}" is empty; the level has no riddle`
+      }));
+    }
+  });
+}
+
+/**
+ * Normalize creature data against the schema
+ *
+ * @param {object} data - Parsed creatures_game_data.json
+ * @returns {{data: object, issues: Array<object>}} Normalized data and the
+ *   diagnostic issues found along the way
+ */
+export function normalizeCreatureData(data) {
+  const issues = [];
+
+  const version = data.schemaVersion;
+  if (version === undefined) {
+    issues.push(createIssue({
+      path: 'schemaVersion',
+      expected: 'number',
+      received: 'undefined',
+      message: `Missing; assuming version ${CREATURE_SCHEMA_VERSION}`
+    }));
+  } else if (typeof version === 'number' && version > CREATURE_SCHEMA_VERSION) {
+    issues.push(createIssue({
+      path: 'schemaVersion',
+      expected: `<= ${CREATURE_SCHEMA_VERSION}`,
+      received: String(version),
+      resolution: Resolution.KEPT,
+      message: `Version ${version} is newer than supported version ${CREATURE_SCHEMA_VERSION}; unknown fields are kept as-is`
+    }));
+  }
+
+  const normalized = normalizeObject(data, creatureDataSchema, '', issues);
+
+  normalized.creatures.forEach((creature, index) => {
+    reconcileTextVariants(creature, `creatures[${index}]`, issues);
+    checkItemPools(creature, `creatures[${index}]`, issues);
+    checkCombinations(creature, `creatures[${index}]`, issues);
+    checkStoryGraph(creature, `creatures[${index}]`, issues);
+    checkEndings(creature, `creatures[${index}]`, issues);
+    checkWinRules(creature, `creatures[${index}]`, issues);
+    checkTimers(creature, `creatures[${index}]`, issues);
+    checkRiddleBank(creature, `creatures[${index}]`, issues);
+  });
+
+  return { data: normalized, issues };
+}
@@ -3,15 +3,51 @@
  * Tests the complete data loading flow with real fallback data
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { loadAllGameData } from './dataLoader';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  applyCreatureTranslation,
+  loadAllGameData,
+  loadCreatureData,
+  loadCreatureTranslation,
+  loadUIConfig
+} from './dataLoader';
+import { CREATURE_SCHEMA_VERSION, normalizeCreatureData } from './creatureSchema';
 import { fallbackCreatureData, fallbackUIConfig } from '../fallbackData';
+import creaturesGameData from '../../public/creatures_game_data.json';
+import tagalogCreatures from '../../public/locales/tl/creatures_game_data.json';
+import irishCreatures from '../../public/locales/ga/creatures_game_data.json';
+import russianCreatures from '../../public/locales/ru/creatures_game_data.json';
+
+const mockCreatureFetch = (data) => {
+  global.fetch = vi.fn().mockResolvedValue({
+    ok: true,
+    json: async () => data
+  });
+};
+
+const minimalCreature = (overrides = {}) => ({
+  id: 'test',
+  name: 'Test',
+  coreMechanic: 'riddle',
+  levels: [
+    {
+      levelIndex: 0,
+      sceneText: 'A scene.',
+      choices: [{ text: 'Go', isCorrect: true, consequence: 'Gone.' }]
+    }
+  ],
+  ...overrides
+});
 
 describe('dataLoader integration', () => {
   beforeEach(() => {
     vi.spyOn(console, 'warn').mockImplementation(() => {});
   });
 
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
   it('should successfully load all game data and provide usable structure', async () => {
     // This test simulates a real scenario where JSON files fail to load
     // and the system falls back to embedded content
@@ -31,6 +67,8 @@ describe('dataLoader integration', () => {
       // Check for either enrichedIntros (new format) or enrichedIntro (old format)
       expect(creature.enrichedIntros || creature.enrichedIntro).toBeDefined();
       expect(creature.coreMechanic).toBeDefined();
+      expect(creature.storyLines).toBeInstanceOf(Array);
+      expect(creature.storyLines.length).toBeGreaterThan(0);
       expect(creature.levels).toBeInstanceOf(Array);
       expect(creature.levels.length).toBeGreaterThan(0);
       // Check for either victoryTexts (new format) or victoryText (old format)
@@ -127,4 +165,451 @@ describe('dataLoader integration', () => {
     // UI config should fall back
     expect(uiConfig).toEqual(fallbackUIConfig);
   });
+
+  describe('schema normalization', () => {
+    it('keeps every known field from the shipped creature data', async () => {
+      mockCreatureFetch(creaturesGameData);
+
+      const { creatureData } = await loadCreatureData();
+      const aswang = creatureData.creatures.find(c => c.id === 'aswang');
+      const babaYaga = creatureData.creatures.find(c => c.id === 'baba-yaga');
+
+      expect(creatureData.schemaVersion).toBe(CREATURE_SCHEMA_VERSION);
+      expect(aswang.levels[0].items).toEqual(creaturesGameData.creatures[2].levels[0].items);
+      expect(aswang.levels[0].items[0]).toEqual(expect.objectContaining({ id: 'salt', satisfies: [0] }));
+      expect(aswang.enrichedIntros).toEqual(creaturesGameData.creatures[2].enrichedIntros);
+      expect(aswang.victoryTexts).toHaveLength(3);
+      expect(aswang.defeatTexts).toHaveLength(3);
+      expect(babaYaga.levels[0].riddleData.answerKey).toBe('letter E');
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('reports unknown fields and keeps them', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature({ lairArt: 'hut.png' })]
+      });
+
+      const { creatureData } = await loadCreatureData();
+
+      expect(creatureData.creatures[0].lairArt).toBe('hut.png');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('creatures[0].lairArt'));
+    });
+
+    it('drops item references to choices the level does not have', async () => {
+      const creature = minimalCreature({ coreMechanic: 'deduction' });
+      creature.levels[0].items = [
+        { id: 'salt', label: 'Salt', satisfies: [0, 3] },
+        { label: 'Candle' }
+      ];
+      mockCreatureFetch({ schemaVersion: 1, creatures: [creature] });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+      const [salt, candle] = creatureData.creatures[0].levels[0].items;
+
+      expect(salt.satisfies).toEqual([0]);
+      expect(candle).toEqual({ id: 'item-1', label: 'Candle', icon: '', description: '', satisfies: [] });
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({
+          path: 'creatures[0].levels[0].items[0].satisfies',
+          resolution: 'dropped'
+        })
+      ]);
+    });
+
+    it('flags combinations that use undeclared tokens', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature({
+          coreMechanic: 'deduction',
+          tokens: [{ id: 'salt', label: 'Salt' }],
+          combinations: [{ id: 'rite', label: 'Rite', sequence: ['salt', 'ember'], ordered: true }]
+        })]
+      });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+
+      expect(creatureData.creatures[0].combinations[0].sequence).toEqual(['salt', 'ember']);
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({
+          path: 'creatures[0].combinations[0].sequence',
+          received: '["ember"]',
+          resolution: 'kept'
+        })
+      ]);
+    });
+
+    it('drops story links to unknown levels and unknown endings', async () => {
+      const creature = minimalCreature();
+      creature.levels[0].id = 'gate';
+      creature.levels[0].choices = [
+        { text: 'Loop', isCorrect: true, consequence: '', next: 'gate' },
+        { text: 'Wander', isCorrect: false, consequence: '', next: 'cellar' },
+        { text: 'Flee', isCorrect: false, consequence: '', ending: 'escape' }
+      ];
+      mockCreatureFetch({ schemaVersion: 1, creatures: [creature] });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+      const [loop, wander, flee] = creatureData.creatures[0].levels[0].choices;
+
+      expect(loop.next).toBe('gate');
+      expect(wander).not.toHaveProperty('next');
+      expect(flee).not.toHaveProperty('ending');
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({ path: 'creatures[0].levels[0].choices[1].next', resolution: 'dropped' }),
+        expect.objectContaining({ path: 'creatures[0].levels[0].choices[2].ending', resolution: 'dropped' })
+      ]);
+    });
+
+    it('drops endings with unknown outcomes or conditions', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature({
+          endings: [
+            { id: 'flawless', outcome: 'victory', text: 'Perfect.', conditions: { correctAnswers: { min: 3 } } },
+            { id: 'draw', outcome: 'stalemate', text: 'Neither.' },
+            { id: 'odd', outcome: 'defeat', text: 'Odd.', conditions: { correctAnswers: 0 } },
+            { outcome: 'defeat', text: 'Lost.' }
+          ]
+        })]
+      });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+
+      expect(creatureData.creatures[0].endings).toEqual([
+        { id: 'flawless', outcome: 'victory', title: '', text: 'Perfect.', conditions: { correctAnswers: { min: 3 } } },
+        { id: 'ending-3', outcome: 'defeat', title: '', text: 'Lost.', conditions: {} }
+      ]);
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({ path: 'creatures[0].endings[1].outcome', resolution: 'dropped' }),
+        expect.objectContaining({ path: 'creatures[0].endings[2].conditions.correctAnswers', resolution: 'dropped' })
+      ]);
+    });
+
+    it('drops defeat rules with conditions the game cannot check', async () => {
+      const creature = minimalCreature({
+        coreMechanic: 'calmness',
+        rules: { winThreshold: 1, defeatIf: { finalCalmness: { max: 0 }, answered: 2 } }
+      });
+      creature.levels[0].suddenDeath = true;
+      mockCreatureFetch({ schemaVersion: 1, creatures: [creature] });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+
+      expect(creatureData.creatures[0].rules).toEqual({ winThreshold: 1, defeatIf: {} });
+      expect(creatureData.creatures[0].levels[0].suddenDeath).toBe(true);
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({ path: 'creatures[0].rules.defeatIf.answered', resolution: 'dropped' })
+      ]);
+    });
+
+    it('drops timers without time and defaults unknown timeout effects', async () => {
+      const creature = minimalCreature({
+        levels: [
+          { sceneText: 'First.', choices: [], timer: { seconds: 0 } },
+          { sceneText: 'Second.', choices: [], timer: { seconds: 15, onTimeout: 'explode' } }
+        ]
+      });
+      mockCreatureFetch({ schemaVersion: 1, creatures: [creature] });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+      const [first, second] = creatureData.creatures[0].levels;
+
+      expect(first.timer).toBeUndefined();
+      expect(second.timer).toEqual({ seconds: 15, onTimeout: 'incorrect' });
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({ path: 'creatures[0].levels[0].timer.seconds', resolution: 'dropped' }),
+        expect.objectContaining({ path: 'creatures[0].levels[1].timer.onTimeout', resolution: 'default' })
+      ]);
+    });
+
+    it('checks riddle difficulty tags and riddle pools against the bank', async () => {
+      const creature = minimalCreature({
+        riddleBank: [{ pool: 'gate', difficulty: 'brutal', riddle: 'Why?', answerKey: 'because' }]
+      });
+      creature.levels[0].riddlePool = 'gate';
+      creature.levels.push({ sceneText: 'Second.', choices: [], riddlePool: 'cellar' });
+      mockCreatureFetch({ schemaVersion: 1, creatures: [creature] });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+      const [bankRiddle] = creatureData.creatures[0].riddleBank;
+
+      expect(bankRiddle).toEqual(expect.objectContaining({ id: 'riddle-0', pool: 'gate', difficulty: 'normal' }));
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({ path: 'creatures[0].riddleBank[0].difficulty', resolution: 'default' }),
+        expect.objectContaining({ path: 'creatures[0].levels[1].riddlePool', resolution: 'kept' })
+      ]);
+    });
+
+    it('converts a legacy enrichedIntro into enrichedIntros', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature({ enrichedIntro: 'Old single intro.' })]
+      });
+
+      const { creatureData } = await loadCreatureData();
+      const creature = creatureData.creatures[0];
+
+      expect(creature.enrichedIntros).toEqual(['Old single intro.']);
+      expect(creature.enrichedIntro).toBe('Old single intro.');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('creatures[0].enrichedIntro'));
+    });
+
+    it('flags disagreeing enrichedIntro and enrichedIntros', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature({ enrichedIntro: 'One.', enrichedIntros: ['Two.', 'Three.'] })]
+      });
+
+      const { creatureData } = await loadCreatureData();
+
+      expect(creatureData.creatures[0].enrichedIntros).toEqual(['Two.', 'Three.']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/enrichedIntro.*disagree/));
+    });
+
+    it('applies typed defaults for missing and mistyped fields', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature({
+          levels: [
+            { sceneText: 'First.', choices: [{ text: 'Go', isCorrect: 'yes' }] },
+            { sceneText: 'Second.', choices: [] }
+          ]
+        })]
+      });
+
+      const { creatureData } = await loadCreatureData();
+      const [first, second] = creatureData.creatures[0].levels;
+
+      expect(first.levelIndex).toBe(0);
+      expect(second.levelIndex).toBe(1);
+      expect(first.enrichedScene).toBe('First.');
+      expect(first.choices[0].isCorrect).toBe(false);
+      expect(first.choices[0].consequence).toBe('');
+      expect(first.riddleData).toBeUndefined();
+      expect(creatureData.creatures[0].victoryTexts).toEqual(['You have succeeded.']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('creatures[0].levels[0].choices[0].isCorrect'));
+    });
+
+    it('warns about data from a newer schema version', async () => {
+      mockCreatureFetch({
+        schemaVersion: CREATURE_SCHEMA_VERSION + 1,
+        creatures: [minimalCreature()]
+      });
+
+      const { creatureData } = await loadCreatureData();
+
+      expect(creatureData.creatures[0].id).toBe('test');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('schemaVersion'));
+    });
+  });
+
+  describe('diagnostics report', () => {
+    it('reports which creature broke and that the loader fell back', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature(), minimalCreature({ id: 'broken', levels: [] })]
+      });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+
+      expect(creatureData).toEqual(fallbackCreatureData);
+      expect(diagnostics.source).toBe('creatures_game_data.json');
+      expect(diagnostics.usedFallback).toBe(true);
+      expect(diagnostics.issues).toContainEqual(expect.objectContaining({
+        path: 'creatures[1].levels',
+        expected: 'non-empty array',
+        received: 'array',
+        severity: 'error',
+        resolution: 'fallback'
+      }));
+      expect(diagnostics.issues[0].message).toContain('broken');
+    });
+
+    it('reports repaired values as warnings with the default applied', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature({ coreMechanic: 7 })]
+      });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+
+      expect(creatureData.creatures[0].coreMechanic).toBe('none');
+      expect(diagnostics.usedFallback).toBe(false);
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({
+          path: 'creatures[0].coreMechanic',
+          expected: 'string',
+          received: 'number',
+          severity: 'warning',
+          resolution: 'default'
+        })
+      ]);
+    });
+
+    it('warns about creatures whose mechanic is not registered', async () => {
+      mockCreatureFetch({
+        schemaVersion: 1,
+        creatures: [minimalCreature({ coreMechanic: 'mirror-maze' })]
+      });
+
+      const { creatureData, diagnostics } = await loadCreatureData();
+
+      expect(creatureData.creatures[0].coreMechanic).toBe('mirror-maze');
+      expect(diagnostics.usedFallback).toBe(false);
+      expect(diagnostics.issues).toEqual([
+        expect.objectContaining({
+          path: 'creatures[0].coreMechanic',
+          received: 'mirror-maze',
+          severity: 'warning',
+          resolution: 'kept'
+        })
+      ]);
+      expect(diagnostics.issues[0].expected).toContain('riddle');
+    });
+
+    it('reports fetch failures as fallback errors', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+
+      const { uiConfig, diagnostics } = await loadUIConfig();
+
+      expect(uiConfig).toEqual(fallbackUIConfig);
+      expect(diagnostics.usedFallback).toBe(true);
+      expect(diagnostics.issues[0]).toEqual(expect.objectContaining({
+        severity: 'error',
+        resolution: 'fallback'
+      }));
+      expect(diagnostics.issues[0].message).toContain('404');
+    });
+
+    it('reports missing UI config sections without falling back', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          creatures: fallbackUIConfig.creatures,
+          gameStates: { calm: fallbackUIConfig.gameStates.calm }
+        })
+      });
+
+      const { diagnostics } = await loadUIConfig();
+      const paths = diagnostics.issues.map(issue => issue.path);
+
+      expect(diagnostics.usedFallback).toBe(false);
+      expect(paths).toEqual(expect.arrayContaining(['gameStates.tense', 'gameStates.critical', 'soundCues']));
+    });
+
+    it('returns one report per file from loadAllGameData', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new Error('Network error'));
+
+      const { diagnostics } = await loadAllGameData();
+
+      expect(diagnostics.map(report => report.source)).toEqual([
+        'creatures_game_data.json',
+        'ui_dynamic_config.json'
+      ]);
+      expect(diagnostics.every(report => report.usedFallback)).toBe(true);
+    });
+  });
+
+  describe('creature translations', () => {
+    const englishData = normalizeCreatureData(creaturesGameData).data;
+
+    it.each([
+      ['tl', tagalogCreatures],
+      ['ga', irishCreatures],
+      ['ru', russianCreatures]
+    ])('applies the shipped %s translation without issues', (locale, translation) => {
+      const { data, issues } = applyCreatureTranslation(englishData, translation);
+
+      expect(issues).toEqual([]);
+      data.creatures.forEach((creature, index) => {
+        const english = englishData.creatures[index];
+
+        expect(creature.id).toBe(english.id);
+        expect(creature.coreMechanic).toBe(english.coreMechanic);
+        expect(creature.storyLines).not.toEqual(english.storyLines);
+        expect(creature.victoryText).toBe(creature.victoryTexts[0]);
+        creature.levels.forEach((level, levelIndex) => {
+          expect(level.sceneText).not.toBe(english.levels[levelIndex].sceneText);
+          expect(level.choices.map(choice => choice.isCorrect))
+            .toEqual(english.levels[levelIndex].choices.map(choice => choice.isCorrect));
+        });
+      });
+    });
+
+    it('translates text only and matches listed items by id', () => {
+      const data = { creatures: [minimalCreature({
+        tokens: [
+          { id: 'salt', label: 'Salt Line', description: 'Warded' },
+          { id: 'ember', label: 'Ember Light', description: 'Revealed' }
+        ]
+      })] };
+
+      const { data: translated, issues } = applyCreatureTranslation(data, {
+        creatures: [{
+          id: 'test',
+          name: 'Pagsubok',
+          coreMechanic: 'calmness',
+          levels: [{ sceneText: 'Isang tagpo.', choices: [{ text: 'Tayo', isCorrect: false }] }],
+          tokens: [{ id: 'ember', label: 'Liwanag ng Baga' }, { id: 'cross', label: 'Krus' }]
+        }]
+      });
+      const creature = translated.creatures[0];
+
+      expect(creature).toMatchObject({ name: 'Pagsubok', coreMechanic: 'riddle' });
+      expect(creature.levels[0].sceneText).toBe('Isang tagpo.');
+      expect(creature.levels[0].choices[0]).toEqual({ text: 'Tayo', isCorrect: true, consequence: 'Gone.' });
+      expect(creature.tokens.map(token => token.label)).toEqual(['Salt Line', 'Liwanag ng Baga']);
+      expect(issues.map(issue => issue.path)).toEqual([
+        'creatures[0].coreMechanic',
+        'creatures[0].levels[0].choices[0].isCorrect',
+        'creatures[0].tokens[1]'
+      ]);
+      expect(issues.every(issue => issue.resolution === 'dropped')).toBe(true);
+    });
+
+    it('keeps the English text when a translation is empty or not text', () => {
+      const data = { creatures: [minimalCreature({ storyLines: ['Once.'] })] };
+
+      const { data: translated, issues } = applyCreatureTranslation(data, {
+        creatures: [{ id: 'test', name: '  ', storyLines: [] }]
+      });
+
+      expect(translated.creatures[0]).toMatchObject({ name: 'Test', storyLines: ['Once.'] });
+      expect(issues).toHaveLength(2);
+    });
+
+    it('leaves English data alone without fetching', async () => {
+      global.fetch = vi.fn();
+
+      const result = await loadCreatureTranslation(englishData, 'en');
+
+      expect(result).toEqual({ creatureData: englishData, diagnostics: null });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('fetches the locale file and reports it as its own source', async () => {
+      mockCreatureFetch(russianCreatures);
+
+      const { creatureData, diagnostics } = await loadCreatureTranslation(englishData, 'ru');
+
+      expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('locales/ru/creatures_game_data.json'));
+      expect(creatureData.creatures[0].name).toBe('Баба-яга');
+      expect(diagnostics.source).toBe('locales/ru/creatures_game_data.json');
+      expect(diagnostics.issues).toEqual([]);
+    });
+
+    it('falls back to the English text when the locale file fails to load', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+
+      const { creatureData, diagnostics } = await loadCreatureTranslation(englishData, 'ga');
+
+      expect(creatureData).toBe(englishData);
+      expect(diagnostics.issues[0]).toEqual(expect.objectContaining({
+        severity: 'warning',
+        resolution: 'default'
+      }));
+      expect(diagnostics.issues[0].message).toContain('404');
+    });
+  });
 });
@@ -9,6 +9,11 @@
  * 2. Validate data structure to ensure required fields exist (Requirement 9.3)
  * 3. Apply safe defaults for any missing optional fields (Requirement 9.5)
  * 4. Fall back to embedded content if loading fails (Requirement 9.4)
+ * 5. Record every problem in a diagnostics report (see diagnostics.js) so content
+ *    writers can see which creature, level or setting broke and how it was handled
+ * 6. For locales other than English, lay the locale's creature text over the
+ *    loaded data (public/locales/<code>/creatures_game_data.json); anything it
+ *    doesn't translate stays English
  * 
  * This approach ensures the game remains playable even if:
  * - JSON files are missing or corrupted
@@ -20,6 +25,53 @@
  */
 
 import { fallbackCreatureData, fallbackUIConfig } from '../fallbackData';
+import { normalizeCreatureData } from './creatureSchema';
+import { getRegisteredMechanicIds, hasMechanic } from '../engine/mechanics';
+import {
+  createIssue,
+  createReport,
+  describeType,
+  formatIssue,
+  hasErrors,
+  Resolution,
+  Severity
+} from './diagnostics';
+import { DEFAULT_LOCALE } from './i18n';
+
+const CREATURE_DATA_FILE = 'creatures_game_data.json';
+const UI_CONFIG_FILE = 'ui_dynamic_config.json';
+
+// Creature fields holding player-facing text; everything else (ids, icons,
+// sequences, numbers) keeps its English-file value in every locale
+const TRANSLATABLE_FIELDS = new Set([
+  'name',
+  'enrichedIntros',
+  'storyLines',
+  'sceneText',
+  'enrichedScene',
+  'text',
+  'consequence',
+  'riddle',
+  'hint',
+  'answerKey',
+  'answers',
+  'victoryTexts',
+  'defeatTexts',
+  'enrichedIntro',
+  'victoryText',
+  'defeatText',
+  'title',
+  'label',
+  'description'
+]);
+
+// Single-text fields that normalization fills from the first entry of a list
+// (see utils/creatureSchema.js); a translated list refills them the same way
+const LEGACY_TEXT_FIELDS = {
+  enrichedIntros: 'enrichedIntro',
+  victoryTexts: 'victoryText',
+  defeatTexts: 'defeatText'
+};
 
 /**
  * Validates creature data structure
@@ -29,88 +81,156 @@ import { fallbackCreatureData, fallbackUIConfig } from '../fallbackData';
  * - Top-level 'creatures' array
  * - Each creature has id, name, and at least one level
  * - Levels array is properly formatted
+ * - coreMechanic names a registered mechanic (warning only; that creature can't be played)
  * 
  * This validation prevents runtime errors from malformed data.
  * 
  * @param {object} data - The data to validate
- * @returns {boolean} - True if valid, false otherwise
+ * @returns {Array<object>} - Error issues with JSON paths; empty if valid
  */
 function validateCreatureData(data) {
-  if (!data || typeof data !== 'object') return false;
-  if (!Array.isArray(data.creatures)) return false;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [createIssue({
+      path: '',
+      expected: 'object',
+      received: describeType(data),
+      severity: Severity.ERROR,
+      resolution: Resolution.FALLBACK,
+      message: 'Creature data must be a JSON object'
+    })];
+  }
+  if (!Array.isArray(data.creatures)) {
+    return [createIssue({
+      path: 'creatures',
+      expected: 'array',
+      received: describeType(data.creatures),
+      severity: Severity.ERROR,
+      resolution: Resolution.FALLBACK,
+      message: 'Missing "creatures" array'
+    })];
+  }
   
   // Check that each creature has required fields
-  return data.creatures.every(creature => 
-    creature.id &&
-    creature.name &&
-    Array.isArray(creature.levels) &&
-    creature.levels.length > 0
-  );
+  const issues = [];
+  data.creatures.forEach((creature, index) => {
+    const path = `creatures[${index}]`;
+    const label = creature?.id ? `Creature "${creature.id}"` : `Creature #${index + 1}`;
+    const fail = (field, expected, value, message) => {
+      issues.push(createIssue({
+        path: field ? `${path}.${field}` : path,
+        expected,
+        received: describeType(value),
+        severity: Severity.ERROR,
+        resolution: Resolution.FALLBACK,
+        message: `${label}: ${message}`
+      }));
+    };
+
+    if (!creature || typeof creature !== 'object') {
+      fail('', 'object', creature, 'must be an object');
+      return;
+    }
+    if (!creature.id || typeof creature.id !== 'string') {
+      fail('id', 'non-empty string', creature.id, 'missing id');
+    }
+    if (!creature.name || typeof creature.name !== 'string') {
+      fail('name', 'non-empty string', creature.name, 'missing name');
+    }
+    if (!Array.isArray(creature.levels) || creature.levels.length === 0) {
+      fail('levels', 'non-empty array', creature.levels, 'needs at least one level');
+    }
+    if (typeof creature.coreMechanic === 'string' && !hasMechanic(creature.coreMechanic)) {
+      issues.push(createIssue({
+        path: `${path}.coreMechanic`,
+        expected: `one of: ${getRegisteredMechanicIds().join(', ')}`,
+        received: creature.coreMechanic,
+        severity: Severity.WARNING,
+        resolution: Resolution.KEPT,
+        message: `${label}: unknown mechanic "${creature.coreMechanic}"; this creature cannot be played until it is registered`
+      }));
+    }
+  });
+  
+  return issues;
 }
 
 /**
  * Validates UI config structure
  * @param {object} config - The config to validate
- * @returns {boolean} - True if valid, false otherwise
+ * @returns {Array<object>} - Issues with JSON paths; errors make the config unusable
  */
 function validateUIConfig(config) {
-  if (!config || typeof config !== 'object') return false;
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [createIssue({
+      path: '',
+      expected: 'object',
+      received: describeType(config),
+      severity: Severity.ERROR,
+      resolution: Resolution.FALLBACK,
+      message: 'UI config must be a JSON object'
+    })];
+  }
   
   // Check for required top-level keys
-  return (
-    config.creatures &&
-    config.gameStates &&
-    typeof config.creatures === 'object' &&
-    typeof config.gameStates === 'object'
-  );
+  const issues = [];
+  ['creatures', 'gameStates'].forEach(key => {
+    if (!config[key] || typeof config[key] !== 'object' || Array.isArray(config[key])) {
+      issues.push(createIssue({
+        path: key,
+        expected: 'object',
+        received: describeType(config[key]),
+        severity: Severity.ERROR,
+        resolution: Resolution.FALLBACK,
+        message: `Missing "${key}" section`
+      }));
+    }
+  });
+  if (issues.length > 0) return issues;
+
+  // Intensity states the animation controller switches between
+  ['calm', 'tense', 'critical'].forEach(state => {
+    if (!config.gameStates[state]) {
+      issues.push(createIssue({
+        path: `gameStates.${state}`,
+        expected: 'object',
+        received: describeType(config.gameStates[state]),
+        resolution: Resolution.DEFAULT,
+        message: `Missing "${state}" game state; calm settings are used instead`
+      }));
+    }
+  });
+
+  // Optional sections replaced by embedded defaults
+  ['soundCues', 'transitions', 'accessibility', 'performance'].forEach(key => {
+    if (config[key] === undefined) {
+      issues.push(createIssue({
+        path: key,
+        expected: 'object',
+        received: 'undefined',
+        severity: Severity.INFO,
+        resolution: Resolution.DEFAULT,
+        message: `Missing "${key}" section; embedded defaults applied`
+      }));
+    }
+  });
+
+  return issues;
 }
 
 /**
  * Applies safe defaults to creature data for missing fields
  * 
- * This function ensures that even if the JSON is incomplete, the game can still run
- * by providing sensible defaults for all optional fields. This implements Requirement 9.5.
- * 
- * Default Strategy:
- * - Empty strings for missing text fields
- * - 'unknown' for missing IDs
- * - Empty arrays for missing collections
- * - false for missing boolean flags
- * - Generic fallback text for victory/defeat
- * 
- * This prevents null/undefined errors throughout the application.
+ * Normalizes the data against the versioned creature schema (see creatureSchema.js),
+ * which keeps every known field, fills typed defaults for missing ones (Requirement 9.5),
+ * and reports unknown fields and legacy field-name mismatches.
  * 
  * @param {object} data - The creature data
- * @returns {object} - Data with safe defaults applied
+ * @returns {{data: object, issues: Array<object>}} - Data with safe defaults applied and the issues found
  */
 function applySafeDefaultsToCreatureData(data) {
-  if (!data || !data.creatures) return fallbackCreatureData;
-  
-  const creatures = data.creatures.map(creature => ({
-    id: creature.id || 'unknown',
-    name: creature.name || 'Unknown Creature',
-    enrichedIntro: creature.enrichedIntro || '',
-    coreMechanic: creature.coreMechanic || 'none',
-    levels: (creature.levels || []).map(level => ({
-      levelIndex: level.levelIndex ?? 0,
-      sceneText: level.sceneText || '',
-      enrichedScene: level.enrichedScene || level.sceneText || '',
-      choices: (level.choices || []).map(choice => ({
-        text: choice.text || 'Continue',
-        isCorrect: choice.isCorrect ?? false,
-        consequence: choice.consequence || ''
-      })),
-      riddleData: level.riddleData ? {
-        riddle: level.riddleData.riddle || '',
-        hint: level.riddleData.hint || '',
-        answerKey: level.riddleData.answerKey || ''
-      } : undefined
-    })),
-    victoryText: creature.victoryText || 'You have succeeded.',
-    defeatText: creature.defeatText || 'You have failed.'
-  }));
+  if (!data || !data.creatures) return { data: fallbackCreatureData, issues: [] };
   
-  return { creatures };
+  return normalizeCreatureData(data);
 }
 
 /**
@@ -122,6 +242,7 @@ function applySafeDefaultsToUIConfig(config) {
   if (!config) return fallbackUIConfig;
   
   return {
+    assets: config.assets || fallbackUIConfig.assets,
     creatures: config.creatures || fallbackUIConfig.creatures,
     gameStates: config.gameStates || fallbackUIConfig.gameStates,
     soundCues: config.soundCues || fallbackUIConfig.soundCues || {},
@@ -131,6 +252,29 @@ function applySafeDefaultsToUIConfig(config) {
   };
 }
 
+/**
+ * Records a load failure that forces the embedded fallback
+ */
+function reportFallback(report, message) {
+  report.usedFallback = true;
+  report.issues.push(createIssue({
+    path: '',
+    expected: `valid ${report.source}`,
+    severity: Severity.ERROR,
+    resolution: Resolution.FALLBACK,
+    message
+  }));
+}
+
+/**
+ * Logs a report's issues to the console for debugging
+ */
+function logReport(report) {
+  report.issues.forEach(issue => {
+    console.warn(formatIssue(report.source, issue));
+  });
+}
+
 /**
  * Loads creature data from JSON file with fallback
  * 
@@ -148,85 +292,276 @@ function applySafeDefaultsToUIConfig(config) {
  * - JSON parse errors (malformed JSON)
  * - Validation errors (missing required fields)
  * 
- * All errors are logged to console for debugging but don't crash the app.
+ * All errors are recorded in the diagnostics report and logged to console,
+ * but don't crash the app.
  * 
- * @returns {Promise<object>} - Creature data object with all three creatures
+ * @returns {Promise<{creatureData: object, diagnostics: object}>} - Creature data and its diagnostics report
  */
 export async function loadCreatureData() {
+  const report = createReport(CREATURE_DATA_FILE);
+  let creatureData = fallbackCreatureData;
+
   try {
     // Attempt to fetch from public directory (Requirement 9.1)
-    const response = await fetch(`${import.meta.env.BASE_URL}creatures_game_data.json`);
+    const response = await fetch(`${import.meta.env.BASE_URL}${CREATURE_DATA_FILE}`);
     
     if (!response.ok) {
-      console.warn('Failed to fetch creatures_game_data.json, using fallback content');
-      return fallbackCreatureData;
+      reportFallback(report, `Failed to fetch (HTTP ${response.status}); using fallback content`);
+    } else {
+      // Parse JSON (Requirement 9.3)
+      const data = await response.json();
+      
+      // Validate structure
+      const validationIssues = validateCreatureData(data);
+      report.issues.push(...validationIssues);
+      
+      if (hasErrors(validationIssues)) {
+        report.usedFallback = true;
+      } else {
+        // Apply safe defaults for any missing fields (Requirement 9.5)
+        const normalized = applySafeDefaultsToCreatureData(data);
+        report.issues.push(...normalized.issues);
+        creatureData = normalized.data;
+      }
     }
-    
-    // Parse JSON (Requirement 9.3)
-    const data = await response.json();
-    
-    // Validate structure
-    if (!validateCreatureData(data)) {
-      console.warn('Invalid creature data structure, using fallback content');
-      return fallbackCreatureData;
-    }
-    
-    // Apply safe defaults for any missing fields (Requirement 9.5)
-    return applySafeDefaultsToCreatureData(data);
-    
   } catch (error) {
     // Graceful fallback for any error (Requirement 9.4)
-    console.warn('Error loading creature data:', error.message);
-    console.warn('Using embedded fallback content');
-    return fallbackCreatureData;
+    reportFallback(report, `Error loading creature data: ${error.message}; using embedded fallback content`);
   }
+
+  logReport(report);
+  return { creatureData, diagnostics: report };
 }
 
 /**
  * Loads UI config from JSON file with fallback
- * @returns {Promise<object>} - UI config object
+ * @returns {Promise<{uiConfig: object, diagnostics: object}>} - UI config and its diagnostics report
  */
 export async function loadUIConfig() {
+  const report = createReport(UI_CONFIG_FILE);
+  let uiConfig = fallbackUIConfig;
+
   try {
     // Attempt to fetch from public directory
-    const response = await fetch(`${import.meta.env.BASE_URL}ui_dynamic_config.json`);
+    const response = await fetch(`${import.meta.env.BASE_URL}${UI_CONFIG_FILE}`);
     
     if (!response.ok) {
-      console.warn('Failed to fetch ui_dynamic_config.json, using fallback content');
-      return fallbackUIConfig;
+      reportFallback(report, `Failed to fetch (HTTP ${response.status}); using fallback content`);
+    } else {
+      // Parse JSON
+      const config = await response.json();
+      
+      // Validate structure
+      const validationIssues = validateUIConfig(config);
+      report.issues.push(...validationIssues);
+      
+      if (hasErrors(validationIssues)) {
+        report.usedFallback = true;
+      } else {
+        // Apply safe defaults for any missing fields
+        uiConfig = applySafeDefaultsToUIConfig(config);
+      }
     }
-    
-    // Parse JSON
-    const config = await response.json();
-    
-    // Validate structure
-    if (!validateUIConfig(config)) {
-      console.warn('Invalid UI config structure, using fallback content');
-      return fallbackUIConfig;
-    }
-    
-    // Apply safe defaults for any missing fields
-    return applySafeDefaultsToUIConfig(config);
-    
   } catch (error) {
-    console.warn('Error loading UI config:', error.message);
-    console.warn('Using embedded fallback content');
-    return fallbackUIConfig;
+    reportFallback(report, `Error loading UI config: ${error.message}; using embedded fallback content`);
   }
+
+  logReport(report);
+  return { uiConfig, diagnostics: report };
 }
 
 /**
  * Loads all game data (creature data and UI config)
- * @returns {Promise<{creatureData: object, uiConfig: object}>}
+ * @returns {Promise<{creatureData: object, uiConfig: object, diagnostics: Array<object>}>}
  */
 export async function loadAllGameData() {
-  const [creatureData, uiConfig] = await Promise.all([
+  const [creatureResult, uiResult] = await Promise.all([
     loadCreatureData(),
     loadUIConfig()
   ]);
   
   return {
-    creatureData,
-    uiConfig
+    creatureData: creatureResult.creatureData,
+    uiConfig: uiResult.uiConfig,
+    diagnostics: [creatureResult.diagnostics, uiResult.diagnostics]
   };
 }
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Records a translated value that was ignored
+ */
+function dropTranslation(issues, path, expected, value, message) {
+  issues.push(createIssue({
+    path,
+    expected,
+    received: describeType(value),
+    resolution: Resolution.DROPPED,
+    message: `${message}; the English text is kept`
+  }));
+}
+
+/**
+ * Lays translated fields over an object from the creature data
+ *
+ * @param {object} original - Object from the English data
+ * @param {object} translation - The same object's translated fields
+ * @param {string} path - JSON path of the object, for diagnostics
+ * @param {Array<object>} issues - Receives the problems found
+ * @returns {object} Copy of the original with the translated text
+ */
+function mergeTranslation(original, translation, path, issues) {
+  const merged = { ...original };
+
+  Object.entries(translation).forEach(([key, value]) => {
+    const fieldPath = `${path}.${key}`;
+    const current = original[key];
+
+    if (key === 'id') return;
+    if (TRANSLATABLE_FIELDS.has(key) && typeof current === 'string') {
+      if (typeof value === 'string' && value.trim()) {
+        merged[key] = value;
+      } else {
+        dropTranslation(issues, fieldPath, 'non-empty string', value, `Translation of "${key}" is not text`);
+      }
+    } else if (TRANSLATABLE_FIELDS.has(key) && isStringList(current)) {
+      // Lists of lines or accepted answers are replaced whole
+      if (isStringList(value) && (value.length > 0 || current.length === 0)) {
+        merged[key] = value;
+      } else {
+        dropTranslation(issues, fieldPath, 'array of strings', value, `Translation of "${key}" is not a list of text`);
+      }
+    } else if (Array.isArray(current) && Array.isArray(value)) {
+      merged[key] = mergeTranslatedList(current, value, fieldPath, issues);
+    } else if (isPlainObject(current) && isPlainObject(value)) {
+      merged[key] = mergeTranslation(current, value, fieldPath, issues);
+    } else {
+      dropTranslation(issues, fieldPath, 'translatable text', value, `"${key}" cannot be translated here`);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Lays translated items over a list of objects (levels, choices, items...)
+ *
+ * Items are matched by id when the English items have ids, otherwise by
+ * position.
+ */
+function mergeTranslatedList(original, translations, path, issues) {
+  const byId = original.some(item => isPlainObject(item) && typeof item.id === 'string');
+  const merged = [...original];
+
+  translations.forEach((translation, index) => {
+    if (!isPlainObject(translation)) {
+      dropTranslation(issues, `${path}[${index}]`, 'object', translation, 'Translated item is not an object');
+      return;
+    }
+
+    const target = byId ? original.findIndex(item => item?.id === translation.id) : index;
+    if (target < 0 || target >= original.length || !isPlainObject(original[target])) {
+      dropTranslation(
+        issues,
+        `${path}[${index}]`,
+        byId ? 'id of an item in the English data' : `index below ${original.length}`,
+        byId ? translation.id : index,
+        byId ? `No item with id "${translation.id}" to translate` : `No item at position ${index} to translate`
+      );
+      return;
+    }
+
+    merged[target] = mergeTranslation(merged[target], translation, `${path}[${target}]`, issues);
+  });
+
+  return merged;
+}
+
+/**
+ * Applies a locale's creature text to the creature data
+ *
+ * The translation file has the creature data's shape but only needs the text:
+ * creatures are matched by id, lists of objects by id or position, and only
+ * the TRANSLATABLE_FIELDS are taken from it.
+ *
+ * @param {object} data - Loaded (English) creature data
+ * @param {object} translation - Parsed translation file
+ * @returns {{data: object, issues: Array<object>}} - Translated data and the problems found
+ */
+export function applyCreatureTranslation(data, translation) {
+  if (!isPlainObject(translation) || !Array.isArray(translation.creatures)) {
+    return {
+      data,
+      issues: [createIssue({
+        path: 'creatures',
+        expected: 'array',
+        received: describeType(translation?.creatures),
+        severity: Severity.ERROR,
+        resolution: Resolution.DEFAULT,
+        message: 'Missing "creatures" array; the English text is used'
+      })]
+    };
+  }
+
+  const issues = [];
+  const creatures = mergeTranslatedList(data.creatures, translation.creatures, 'creatures', issues)
+    .map((creature, index) => {
+      if (creature === data.creatures[index]) return creature;
+
+      const filled = { ...creature };
+      Object.entries(LEGACY_TEXT_FIELDS).forEach(([list, single]) => {
+        const original = data.creatures[index];
+        if (filled[single] === original[single] && filled[list] !== original[list] && filled[list].length > 0) {
+          filled[single] = filled[list][0];
+        }
+      });
+      return filled;
+    });
+  return { data: { ...data, creatures }, issues };
+}
+
+/**
+ * Loads a locale's creature text and applies it to the creature data
+ *
+ * English needs no file. A translation that can't be loaded leaves the data
+ * English, with a warning in the diagnostics report.
+ *
+ * @param {object} creatureData - Loaded (English) creature data
+ * @param {string} locale - Locale code (see utils/i18n.js)
+ * @returns {Promise<{creatureData: object, diagnostics: object|null}>} - Translated data and its diagnostics report (null for English)
+ */
+export async function loadCreatureTranslation(creatureData, locale) {
+  if (!locale || locale === DEFAULT_LOCALE) {
+    return { creatureData, diagnostics: null };
+  }
+
+  const report = createReport(`locales/${locale}/${CREATURE_DATA_FILE}`);
+  let translatedData = creatureData;
+  const untranslated = (message) => {
+    report.issues.push(createIssue({
+      path: '',
+      expected: `valid ${report.source}`,
+      resolution: Resolution.DEFAULT,
+      message
+    }));
+  };
+
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}${report.source}`);
+
+    if (!response.ok) {
+      untranslated(`Failed to fetch (HTTP ${response.status}); the English text is used`);
+    } else {
+      const result = applyCreatureTranslation(creatureData, await response.json());
+      report.issues.push(...result.issues);
+      translatedData = result.data;
+    }
+  } catch (error) {
+    untranslated(`Error loading creature translation: ${error.message}; the English text is used`);
+  }
+
+  logReport(report);
+  return { creatureData: translatedData, diagnostics: report };
+}
@@ -0,0 +1,93 @@
+/**
+ * Data Diagnostics for FOLKLORERUN
+ *
+ * Structured problem reports produced while loading and validating the game's
+ * JSON files, so content writers can see exactly which creature, level or
+ * setting broke and what the loader did about it.
+ *
+ * Each issue has:
+ * - path: JSON path of the offending value (e.g. "creatures[2].levels[0].choices")
+ * - expected: what the loader expected there (type or description)
+ * - received: what it found (type name), if applicable
+ * - severity: 'error' (file unusable) | 'warning' (value repaired) | 'info'
+ * - resolution: 'fallback' (embedded content used) | 'default' (safe default applied)
+ *               | 'kept' (value kept as-is) | 'dropped' (value removed) | 'converted'
+ * - message: human-readable explanation
+ *
+ * Requirements: 9.3, 9.4, 9.5
+ */
+
+export const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+export const Resolution = {
+  FALLBACK: 'fallback',
+  DEFAULT: 'default',
+  KEPT: 'kept',
+  DROPPED: 'dropped',
+  CONVERTED: 'converted'
+};
+
+/**
+ * Describe a value's JSON type for diagnostics
+ *
+ * @param {*} value - Any value
+ * @returns {string} 'array', 'null', or the typeof name
+ */
+export function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Create a single diagnostic issue
+ *
+ * @param {object} fields - Issue fields (path and message are required)
+ * @returns {object} Issue with defaults for severity and resolution
+ */
+export function createIssue({
+  path,
+  message,
+  expected,
+  received,
+  severity = Severity.WARNING,
+  resolution = Resolution.DEFAULT
+}) {
+  return { path, expected, received, severity, resolution, message };
+}
+
+/**
+ * Create an empty diagnostics report for one data source
+ *
+ * @param {string} source - File the report describes
+ * @returns {{source: string, usedFallback: boolean, issues: Array}}
+ */
+export function createReport(source) {
+  return { source, usedFallback: false, issues: [] };
+}
+
+/**
+ * Whether a list of issues contains any errors
+ *
+ * @param {Array} issues - Diagnostic issues
+ * @returns {boolean}
+ */
+export function hasErrors(issues) {
+  return issues.some(issue => issue.severity === Severity.ERROR);
+}
+
+/**
+ * Format an issue as a single log line
+ *
+ * @param {string} source - File the issue belongs to
+ * @param {object} issue - Diagnostic issue
+ * @returns {string}
+ */
+export function formatIssue(source, issue) {
+  const location = issue.path ? `${source} → ${issue.path}` : source;
+  return `[${issue.severity}] ${location}: ${issue.message} (${issue.resolution})`;
+}
@@ -0,0 +1,106 @@
+/**
+ * Internationalization for FOLKLORERUN
+ *
+ * UI strings live in per-locale message catalogs (src/locales/<code>.js), flat
+ * maps from a dotted key to its text. Messages can contain `{name}`
+ * placeholders filled from the params, and a message can be a set of plural
+ * forms ({ one, few, many, other }) chosen by Intl.PluralRules for the `count`
+ * param. A key missing from a catalog falls back to English, then to the
+ * `defaultValue` param, then to the key itself.
+ *
+ * Creature text is translated separately, from per-locale creature data files
+ * (see loadCreatureTranslation in dataLoader.js).
+ *
+ * The first locales match each creature's origin: Tagalog (Aswang), Irish
+ * (Banshee) and Russian (Baba Yaga).
+ */
+
+import en from '../locales/en';
+import tl from '../locales/tl';
+import ga from '../locales/ga';
+import ru from '../locales/ru';
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Supported locales, each named in its own language for the language picker
+ */
+export const LOCALES = [
+  { code: 'en', name: 'English' },
+  { code: 'tl', name: 'Tagalog' },
+  { code: 'ga', name: 'Gaeilge' },
+  { code: 'ru', name: 'Русский' }
+];
+
+const CATALOGS = { en, tl, ga, ru };
+
+// Browser language tags that map onto a supported locale under another code
+const LOCALE_ALIASES = {
+  fil: 'tl'
+};
+
+const pluralRules = new Map();
+
+const selectPlural = (locale, count) => {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  return pluralRules.get(locale).select(count);
+};
+
+/**
+ * Whether a locale code is supported
+ *
+ * @param {string} code - Locale code (e.g. 'ga')
+ * @returns {boolean}
+ */
+export function isSupportedLocale(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(CATALOGS, code);
+}
+
+/**
+ * Pick the supported locale closest to the browser's language preferences
+ *
+ * @param {string[]} [languages] - BCP 47 tags in order of preference (defaults to navigator.languages)
+ * @returns {string} A supported locale code, English when none match
+ */
+export function detectLocale(languages = typeof navigator !== 'undefined' ? navigator.languages : []) {
+  const tags = Array.isArray(languages) ? languages : [];
+  for (const tag of tags) {
+    const primary = String(tag).toLowerCase().split('-')[0];
+    const code = LOCALE_ALIASES[primary] || primary;
+    if (isSupportedLocale(code)) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const interpolate = (message, params) => message.replace(
+  /\{(\w+)\}/g,
+  (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder)
+);
+
+const lookup = (locale, key, params) => {
+  const message = CATALOGS[locale]?.[key];
+  if (typeof message === 'string') return message;
+  if (message && typeof message === 'object') {
+    return typeof params.count === 'number'
+      ? message[selectPlural(locale, params.count)] ?? message.other
+      : message.other;
+  }
+  return undefined;
+};
+
+/**
+ * Translate a UI string
+ *
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key (e.g. 'start.button')
+ * @param {object} [params] - Placeholder values; `count` picks the plural form,
+ *   `defaultValue` is used when no catalog has the key
+ * @returns {string} The message in the locale, or its fallback
+ */
+export function translate(locale, key, params = {}) {
+  const message = lookup(locale, key, params) ?? lookup(DEFAULT_LOCALE, key, params);
+  if (message === undefined) return params.defaultValue ?? key;
+  return interpolate(message, params);
+}
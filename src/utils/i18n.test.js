@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { detectLocale, isSupportedLocale, LOCALES, translate } from './i18n';
+import en from '../locales/en';
+import tl from '../locales/tl';
+import ga from '../locales/ga';
+import ru from '../locales/ru';
+
+/**
+ * Tests for UI string translation
+ */
+
+describe('i18n', () => {
+  describe('translate', () => {
+    it('looks up a message in the locale and fills in placeholders', () => {
+      expect(translate('en', 'start.button')).toBe('Start Game');
+      expect(translate('ru', 'start.button')).toBe('Начать игру');
+      expect(translate('ga', 'end.endings', { found: 2, total: 5 })).toBe('Críocha aimsithe: 2 as 5');
+      expect(translate('en', 'common.level', {})).toBe('Level {number}');
+    });
+
+    it('falls back to English, then the default value, then the key', () => {
+      expect(translate('tl', 'app.unknown', { defaultValue: 'Unknown' })).toBe('Unknown');
+      expect(translate('tl', 'app.unknown')).toBe('app.unknown');
+      expect(translate('xx', 'start.button')).toBe('Start Game');
+      expect(translate('ga', 'start.button', { defaultValue: 'Go' })).toBe('Tosaigh an Cluiche');
+    });
+
+    it('picks plural forms by the locale rules', () => {
+      expect(translate('en', 'timer.label', { count: 1 })).toBe('1 second left to decide');
+      expect(translate('en', 'timer.label', { count: 5 })).toBe('5 seconds left to decide');
+      expect(translate('ru', 'timer.label', { count: 1 })).toBe('На решение осталась 1 секунда');
+      expect(translate('ru', 'timer.label', { count: 3 })).toBe('На решение осталось 3 секунды');
+      expect(translate('ru', 'timer.label', { count: 11 })).toBe('На решение осталось 11 секунд');
+      expect(translate('ru', 'stats.tokens', { count: 21 })).toBe('21 улика');
+      expect(translate('en', 'timer.label')).toBe('{count} seconds left to decide');
+    });
+  });
+
+  describe('detectLocale', () => {
+    it('picks the first supported language', () => {
+      expect(detectLocale(['de-DE', 'ga-IE', 'ru'])).toBe('ga');
+      expect(detectLocale(['RU-ru'])).toBe('ru');
+      expect(detectLocale(['fil-PH'])).toBe('tl');
+    });
+
+    it('uses English when nothing matches', () => {
+      expect(detectLocale(['de', 'fr-CA'])).toBe('en');
+      expect(detectLocale([])).toBe('en');
+      expect(detectLocale(undefined)).toBe('en');
+    });
+  });
+
+  it('only supports locales with a catalog', () => {
+    expect(LOCALES.map(locale => locale.code)).toEqual(['en', 'tl', 'ga', 'ru']);
+    expect(isSupportedLocale('ga')).toBe(true);
+    expect(isSupportedLocale('fr')).toBe(false);
+    expect(isSupportedLocale(null)).toBe(false);
+  });
+
+  it.each([['tl', tl], ['ga', ga], ['ru', ru]])('the %s catalog has every English message', (code, catalog) => {
+    expect(Object.keys(en).filter(key => !(key in catalog))).toEqual([]);
+  });
+});
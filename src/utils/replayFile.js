@@ -0,0 +1,97 @@
+/**
+ * Replay Files for FOLKLORERUN
+ *
+ * Saves a recorded session as a JSON file (see engine/replay.js) and reads one
+ * back. A loaded replay is handed to the next page load through sessionStorage
+ * and taken from there once, so it plays from a fresh start.
+ */
+
+import { getSessionStorage } from './storage';
+import { REPLAY_VERSION } from '../engine/replay';
+
+/**
+ * Name given to downloaded replay files
+ */
+export const REPLAY_FILE_NAME = 'folklorerun-replay.json';
+
+const REPLAY_STASH_KEY = 'folklorerun:replay';
+
+const isReplayFile = (data) => (
+  data &&
+  typeof data === 'object' &&
+  data.version === REPLAY_VERSION &&
+  Array.isArray(data.entries)
+);
+
+/**
+ * Download a replay as a JSON file
+ *
+ * @param {object} replay - Replay from createReplay()
+ */
+export function downloadReplay(replay) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = REPLAY_FILE_NAME;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// FileReader rather than Blob.text(), which older browsers lack
+const readText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+/**
+ * Read a replay file picked by the player
+ *
+ * @param {Blob} file - Picked file
+ * @returns {Promise<object|null>} Parsed replay, or null if the file isn't one
+ */
+export async function readReplayFile(file) {
+  try {
+    const data = JSON.parse(await readText(file));
+    return isReplayFile(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep a replay for the next page load
+ *
+ * @param {object} replay - Parsed replay
+ * @param {Storage} [storage] - Storage to use (defaults to sessionStorage)
+ * @returns {boolean} Whether the replay was kept
+ */
+export function stashReplay(replay, storage = getSessionStorage()) {
+  if (!storage) return false;
+  try {
+    storage.setItem(REPLAY_STASH_KEY, JSON.stringify(replay));
+    return true;
+  } catch (error) {
+    console.warn('Could not keep the replay:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Take the replay kept for this page load, if any
+ *
+ * @param {Storage} [storage] - Storage to use (defaults to sessionStorage)
+ * @returns {object|null} The replay (removed from storage), or null
+ */
+export function takeStashedReplay(storage = getSessionStorage()) {
+  if (!storage) return null;
+  try {
+    const raw = storage.getItem(REPLAY_STASH_KEY);
+    storage.removeItem(REPLAY_STASH_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return isReplayFile(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,32 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { stashReplay, takeStashedReplay } from './replayFile';
+import { REPLAY_VERSION } from '../engine/replay';
+
+/**
+ * Tests for handing a loaded replay to the next page load
+ */
+
+describe('replayFile', () => {
+  beforeEach(() => {
+    sessionStorage.clear();
+  });
+
+  it('hands a stashed replay over once', () => {
+    const replay = { version: REPLAY_VERSION, recordedAt: 1, entries: [] };
+
+    expect(stashReplay(replay)).toBe(true);
+    expect(takeStashedReplay()).toEqual(replay);
+    expect(takeStashedReplay()).toBeNull();
+  });
+
+  it('ignores stashes that are not replays', () => {
+    sessionStorage.setItem('folklorerun:replay', '{broken');
+    expect(takeStashedReplay()).toBeNull();
+
+    stashReplay({ version: REPLAY_VERSION + 1, entries: [] });
+    expect(takeStashedReplay()).toBeNull();
+
+    expect(stashReplay({}, null)).toBe(false);
+    expect(takeStashedReplay(null)).toBeNull();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Run History for FOLKLORERUN
+ *
+ * Keeps a log of finished runs in localStorage and derives the statistics
+ * shown on the Stats screen. Records come from the engine's createRunRecord():
+ *   { creatureId, creatureName, outcome, endingId, difficulty, correctAnswers,
+ *     choices: [{ level, choiceIndex, isCorrect, timedOut? }],
+ *     mechanic: { ...mechanic-specific facts, e.g. riddleAttempts, finalCalmness },
+ *     seed, startedAt, endedAt, durationMs }
+ *
+ * Records are stored oldest first; only the most recent MAX_RUN_HISTORY are kept.
+ */
+
+import { getLocalStorage } from './storage';
+import { RECENT_RIDDLE_RUNS } from '../engine/riddleBank';
+
+const HISTORY_KEY = 'folklorerun:history:v1';
+
+/**
+ * Number of runs kept in the log
+ */
+export const MAX_RUN_HISTORY = 200;
+
+const isRunRecord = (record) => (
+  record &&
+  typeof record === 'object' &&
+  typeof record.creatureId === 'string' &&
+  (record.outcome === 'victory' || record.outcome === 'defeat') &&
+  Array.isArray(record.choices)
+);
+
+/**
+ * Read the run log
+ *
+ * @param {Storage} [storage] - Storage to use (defaults to localStorage)
+ * @returns {array} Run records, oldest first (unreadable entries are skipped)
+ */
+export function loadRunHistory(storage = getLocalStorage()) {
+  if (!storage) return [];
+
+  try {
+    const parsed = JSON.parse(storage.getItem(HISTORY_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(isRunRecord) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Add a finished run to the log
+ *
+ * @param {object} record - Run record from createRunRecord()
+ * @param {Storage} [storage] - Storage to use (defaults to localStorage)
+ * @returns {array} The updated log
+ */
+export function recordRun(record, storage = getLocalStorage()) {
+  if (!isRunRecord(record)) return loadRunHistory(storage);
+
+  const history = [...loadRunHistory(storage), record].slice(-MAX_RUN_HISTORY);
+  if (storage) {
+    try {
+      storage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+      console.warn('Could not save the run history:', error.message);
+    }
+  }
+  return history;
+}
+
+/**
+ * Delete the run log
+ *
+ * @param {Storage} [storage] - Storage to use (defaults to localStorage)
+ */
+export function clearRunHistory(storage = getLocalStorage()) {
+  if (!storage) return;
+  try {
+    storage.removeItem(HISTORY_KEY);
+  } catch {
+    // Nothing else to do if storage refuses
+  }
+}
+
+/**
+ * Longest run of consecutive victories
+ *
+ * @param {array} runs - Run records in the order they were played
+ * @returns {number}
+ */
+export function getBestStreak(runs) {
+  let best = 0;
+  let current = 0;
+  runs.forEach(run => {
+    current = run.outcome === 'victory' ? current + 1 : 0;
+    best = Math.max(best, current);
+  });
+  return best;
+}
+
+/**
+ * Endings of a creature the player has reached so far
+ *
+ * @param {array} history - Run records
+ * @param {object} creature - Creature data object with `endings`
+ * @returns {string[]} Ids of the creature's endings found in the log
+ */
+export function getDiscoveredEndings(history, creature) {
+  const endingIds = Array.isArray(creature?.endings) ? creature.endings.map(ending => ending.id) : [];
+  const reached = new Set(history
+    .filter(run => run.creatureId === creature?.id)
+    .map(run => run.endingId));
+  return endingIds.filter(id => reached.has(id));
+}
+
+/**
+ * Riddles a creature asked in the most recent runs, so new runs can avoid them
+ *
+ * @param {array} history - Run records, oldest first
+ * @param {string} creatureId - Creature id
+ * @param {number} [runs] - Number of recent runs to look at
+ * @returns {string[]} Riddle ids (see riddlesDrawn in the riddle mechanic)
+ */
+export function getRecentRiddles(history, creatureId, runs = RECENT_RIDDLE_RUNS) {
+  return history
+    .filter(run => run.creatureId === creatureId)
+    .slice(-runs)
+    .flatMap(run => (Array.isArray(run.mechanic?.riddlesDrawn) ? run.mechanic.riddlesDrawn : []));
+}
+
+const summarizeRuns = (runs) => {
+  const wins = runs.filter(run => run.outcome === 'victory').length;
+  return {
+    runs: runs.length,
+    wins,
+    winRate: runs.length > 0 ? wins / runs.length : 0,
+    bestStreak: getBestStreak(runs)
+  };
+};
+
+/**
+ * Compute statistics from the run log
+ *
+ * @param {array} history - Run records, oldest first
+ * @param {array} [creatures] - Creatures to report on (defaults to those in the log)
+ * @returns {{overall: object, creatures: array}} Overall totals, and per creature:
+ *   runs, wins, winRate (0-1), bestStreak, levelFailures (wrong answers per
+ *   level), mostFailedLevel (level index or null) and averageDurationMs
+ */
+export function computeRunStats(history, creatures) {
+  const creatureList = creatures && creatures.length > 0
+    ? creatures.map(({ id, name }) => ({ id, name }))
+    : [...new Map(history.map(run => [run.creatureId, { id: run.creatureId, name: run.creatureName }])).values()];
+
+  return {
+    overall: summarizeRuns(history),
+    creatures: creatureList.map(({ id, name }) => {
+      const runs = history.filter(run => run.creatureId === id);
+
+      const levelFailures = [];
+      runs.forEach(run => run.choices.forEach(({ level, isCorrect }) => {
+        if (!Number.isInteger(level) || level < 0) return;
+        while (levelFailures.length <= level) levelFailures.push(0);
+        if (!isCorrect) levelFailures[level] += 1;
+      }));
+      const maxFailures = Math.max(0, ...levelFailures);
+
+      const durations = runs.map(run => run.durationMs).filter(ms => typeof ms === 'number');
+
+      return {
+        id,
+        name,
+        ...summarizeRuns(runs),
+        levelFailures,
+        mostFailedLevel: maxFailures > 0 ? levelFailures.indexOf(maxFailures) : null,
+        averageDurationMs: durations.length > 0
+          ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length)
+          : null
+      };
+    })
+  };
+}
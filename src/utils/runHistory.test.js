@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  clearRunHistory,
+  computeRunStats,
+  getBestStreak,
+  getDiscoveredEndings,
+  getRecentRiddles,
+  loadRunHistory,
+  MAX_RUN_HISTORY,
+  recordRun
+} from './runHistory';
+
+/**
+ * Tests for the run log and the statistics derived from it
+ */
+
+const run = (overrides = {}) => ({
+  creatureId: 'banshee',
+  creatureName: 'Banshee',
+  outcome: 'victory',
+  correctAnswers: 2,
+  choices: [
+    { level: 0, choiceIndex: 0, isCorrect: true },
+    { level: 1, choiceIndex: 1, isCorrect: false },
+    { level: 2, choiceIndex: 0, isCorrect: true }
+  ],
+  mechanic: { finalCalmness: 70 },
+  startedAt: 0,
+  endedAt: 60000,
+  durationMs: 60000,
+  ...overrides
+});
+
+const defeat = (overrides = {}) => run({
+  outcome: 'defeat',
+  correctAnswers: 0,
+  choices: [
+    { level: 0, choiceIndex: 1, isCorrect: false },
+    { level: 1, choiceIndex: 1, isCorrect: false },
+    { level: 2, choiceIndex: 1, isCorrect: false }
+  ],
+  ...overrides
+});
+
+describe('runHistory', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('appends runs and reads them back oldest first', () => {
+    recordRun(run({ endedAt: 1 }));
+    recordRun(defeat({ endedAt: 2 }));
+
+    expect(loadRunHistory().map(r => r.endedAt)).toEqual([1, 2]);
+
+    clearRunHistory();
+    expect(loadRunHistory()).toEqual([]);
+  });
+
+  it('ignores invalid records and unreadable storage', () => {
+    recordRun(null);
+    recordRun({ creatureId: 'banshee', outcome: 'draw', choices: [] });
+    expect(loadRunHistory()).toEqual([]);
+
+    localStorage.setItem('folklorerun:history:v1', '{not json');
+    expect(loadRunHistory()).toEqual([]);
+  });
+
+  it('keeps only the most recent runs', () => {
+    const storage = {
+      data: JSON.stringify(Array.from({ length: MAX_RUN_HISTORY }, (_, i) => run({ endedAt: i }))),
+      getItem: vi.fn(function () { return this.data; }),
+      setItem: vi.fn(function (key, value) { this.data = value; })
+    };
+
+    const history = recordRun(run({ endedAt: MAX_RUN_HISTORY }), storage);
+
+    expect(history).toHaveLength(MAX_RUN_HISTORY);
+    expect(history[0].endedAt).toBe(1);
+    expect(history[history.length - 1].endedAt).toBe(MAX_RUN_HISTORY);
+  });
+
+  it('finds the longest winning streak', () => {
+    expect(getBestStreak([])).toBe(0);
+    expect(getBestStreak([run(), run(), defeat(), run(), run(), run(), defeat()])).toBe(3);
+  });
+
+  it('computes win rates, streaks and most-failed levels per creature', () => {
+    const history = [
+      run({ durationMs: 30000 }),
+      defeat({ durationMs: 90000 }),
+      run({ durationMs: 60000 }),
+      defeat({ creatureId: 'aswang', creatureName: 'Aswang', durationMs: null })
+    ];
+    const creatures = [
+      { id: 'banshee', name: 'Banshee' },
+      { id: 'aswang', name: 'Aswang' },
+      { id: 'baba-yaga', name: 'Baba Yaga' }
+    ];
+
+    const stats = computeRunStats(history, creatures);
+
+    expect(stats.overall).toEqual({ runs: 4, wins: 2, winRate: 0.5, bestStreak: 1 });
+    expect(stats.creatures.map(c => c.id)).toEqual(['banshee', 'aswang', 'baba-yaga']);
+
+    const [banshee, aswang, babaYaga] = stats.creatures;
+    expect(banshee).toEqual(expect.objectContaining({
+      runs: 3,
+      wins: 2,
+      bestStreak: 1,
+      levelFailures: [1, 3, 1],
+      mostFailedLevel: 1,
+      averageDurationMs: 60000
+    }));
+    expect(aswang.averageDurationMs).toBeNull();
+    expect(aswang.mostFailedLevel).toBe(0);
+    expect(babaYaga).toEqual(expect.objectContaining({ runs: 0, winRate: 0, mostFailedLevel: null }));
+  });
+
+  it('lists the endings of a creature reached so far', () => {
+    const creature = { id: 'banshee', endings: [{ id: 'lullaby' }, { id: 'eased' }, { id: 'chorus' }] };
+    const history = [
+      run({ endingId: 'eased' }),
+      run({ endingId: 'eased' }),
+      defeat({ endingId: 'chorus' }),
+      run({ creatureId: 'aswang', endingId: 'lullaby' }),
+      run({ endingId: 'retired-ending' })
+    ];
+
+    expect(getDiscoveredEndings(history, creature)).toEqual(['eased', 'chorus']);
+    expect(getDiscoveredEndings(history, { id: 'banshee' })).toEqual([]);
+  });
+
+  it('collects the riddles asked in the most recent runs of a creature', () => {
+    const riddler = (riddlesDrawn) => run({ creatureId: 'baba-yaga', mechanic: { riddlesDrawn } });
+    const history = [
+      riddler(['letter-e', 'book']),
+      riddler(['piano', 'clock']),
+      run(),
+      riddler(['river', 'map'])
+    ];
+
+    expect(getRecentRiddles(history, 'baba-yaga')).toEqual(['piano', 'clock', 'river', 'map']);
+    expect(getRecentRiddles(history, 'baba-yaga', 1)).toEqual(['river', 'map']);
+    expect(getRecentRiddles(history, 'banshee')).toEqual([]);
+  });
+
+  it('lists the creatures found in the log when none are given', () => {
+    const stats = computeRunStats([run(), defeat({ creatureId: 'aswang', creatureName: 'Aswang' })]);
+
+    expect(stats.creatures.map(c => c.name)).toEqual(['Banshee', 'Aswang']);
+  });
+});
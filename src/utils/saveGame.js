@@ -0,0 +1,178 @@
+/**
+ * Save Game Persistence for FOLKLORERUN
+ *
+ * Stores a snapshot of the current run in localStorage so a closed tab can be
+ * resumed from the start screen. Snapshots come from the engine's
+ * createSnapshot() and only reference the creature by id; the creature itself
+ * is looked up in the loaded creature data when the run is restored.
+ *
+ * Versioning:
+ * - Saves are written under a versioned key (`folklorerun:save:v<N>`)
+ * - When the current key is empty, older keys are read and upgraded through
+ *   SAVE_MIGRATIONS, then rewritten under the current key
+ * - Anything unreadable or inconsistent with the loaded creature data is
+ *   discarded so the player simply starts fresh; saves from newer builds use
+ *   keys this build doesn't read
+ *
+ * Requirements: 15.1, 15.2
+ */
+
+import { getLocalStorage } from './storage';
+
+/**
+ * Current save format version
+ */
+export const SAVE_VERSION = 1;
+
+const SAVE_KEY_PREFIX = 'folklorerun:save:v';
+
+/**
+ * Upgrades from one save version to the next, keyed by the version they read.
+ * To change the format, bump SAVE_VERSION and add an entry here that converts
+ * a save of the previous version, e.g. `1: (save) => ({ ...save, newField: x })`.
+ */
+export const SAVE_MIGRATIONS = {};
+
+const RESUMABLE_PHASES = ['story', 'level'];
+
+/**
+ * Storage key for a save version
+ *
+ * @param {number} version - Save format version
+ * @returns {string}
+ */
+export function getSaveKey(version = SAVE_VERSION) {
+  return `${SAVE_KEY_PREFIX}${version}`;
+}
+
+/**
+ * Upgrade a save to the current version
+ *
+ * @param {object} save - Parsed save
+ * @param {number} version - Version the save was written with
+ * @param {object} migrations - Upgrade functions keyed by source version
+ * @returns {object|null} Save in the current format, or null if it can't be upgraded
+ */
+export function migrateSave(save, version, migrations = SAVE_MIGRATIONS) {
+  let current = save;
+  for (let v = version; v < SAVE_VERSION; v++) {
+    if (typeof migrations[v] !== 'function') return null;
+    current = migrations[v](current);
+  }
+  return { ...current, version: SAVE_VERSION };
+}
+
+/**
+ * Check a save against the loaded creature data
+ *
+ * @param {object} save - Save in the current format
+ * @param {object} creatureData - Loaded creature data
+ * @returns {{snapshot: object, creature: object}|null} Restorable run, or null
+ */
+export function validateSave(save, creatureData) {
+  if (!save || typeof save !== 'object') return null;
+
+  const creature = creatureData?.creatures?.find(c => c.id === save.creatureId);
+  if (!creature || !Array.isArray(creature.levels)) return null;
+
+  const validNumber = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+  if (!RESUMABLE_PHASES.includes(save.gameState)) return null;
+  if (!validNumber(save.currentLevel, creature.levels.length - 1)) return null;
+  if (save.choiceHistory !== undefined && !Array.isArray(save.choiceHistory)) return null;
+  // In a branching story the level index says nothing about how many levels were answered
+  const levelsAnswered = Array.isArray(save.choiceHistory) ? save.choiceHistory.length : save.currentLevel;
+  if (!validNumber(save.correctAnswers, levelsAnswered)) return null;
+  if (!validNumber(save.storyBubbleIndex, Math.max(0, (creature.storyLines || []).length - 1))) return null;
+  if (!save.mechanicState || typeof save.mechanicState !== 'object') return null;
+
+  const { version, savedAt, creatureId, ...snapshot } = save;
+  return { snapshot, creature };
+}
+
+/**
+ * Write a run snapshot
+ *
+ * @param {object} snapshot - Snapshot from the engine's createSnapshot()
+ * @param {Storage} [storage] - Storage to use (defaults to localStorage)
+ * @returns {boolean} Whether the save was written
+ */
+export function writeSave(snapshot, storage = getLocalStorage()) {
+  if (!storage || !snapshot) return false;
+
+  try {
+    storage.setItem(getSaveKey(), JSON.stringify({
+      ...snapshot,
+      version: SAVE_VERSION,
+      savedAt: Date.now()
+    }));
+    return true;
+  } catch (error) {
+    console.warn('Could not save the run:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Remove saved runs of every version
+ *
+ * @param {Storage} [storage] - Storage to use (defaults to localStorage)
+ */
+export function clearSave(storage = getLocalStorage()) {
+  if (!storage) return;
+
+  for (let version = 1; version <= SAVE_VERSION; version++) {
+    try {
+      storage.removeItem(getSaveKey(version));
+    } catch {
+      // Nothing else to do if storage refuses
+    }
+  }
+}
+
+/**
+ * Read the saved run, upgrading older saves and discarding unusable ones
+ *
+ * @param {object} creatureData - Loaded creature data
+ * @param {Storage} [storage] - Storage to use (defaults to localStorage)
+ * @param {object} [migrations] - Upgrade functions (defaults to SAVE_MIGRATIONS)
+ * @returns {{snapshot: object, creature: object, savedAt: number}|null} Restorable run
+ */
+export function readSave(creatureData, storage = getLocalStorage(), migrations = SAVE_MIGRATIONS) {
+  if (!storage) return null;
+
+  for (let version = SAVE_VERSION; version >= 1; version--) {
+    let raw;
+    try {
+      raw = storage.getItem(getSaveKey(version));
+    } catch {
+      return null;
+    }
+    if (raw === null || raw === undefined) continue;
+
+    let save = null;
+    try {
+      save = migrateSave(JSON.parse(raw), version, migrations);
+    } catch {
+      save = null;
+    }
+
+    const restorable = validateSave(save, creatureData);
+    if (!restorable) {
+      console.warn(`Discarding unusable saved run (${getSaveKey(version)})`);
+      clearSave(storage);
+      return null;
+    }
+
+    if (version !== SAVE_VERSION) {
+      clearSave(storage);
+      try {
+        storage.setItem(getSaveKey(), JSON.stringify(save));
+      } catch {
+        // The upgraded run is still returned; it is saved again on the next change
+      }
+    }
+    return { ...restorable, savedAt: save.savedAt };
+  }
+
+  return null;
+}
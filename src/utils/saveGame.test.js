@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  clearSave,
+  getSaveKey,
+  migrateSave,
+  readSave,
+  SAVE_VERSION,
+  writeSave
+} from './saveGame';
+import { fallbackCreatureData } from '../fallbackData';
+
+/**
+ * Tests for run persistence in localStorage
+ */
+
+const snapshot = (overrides = {}) => ({
+  creatureId: 'banshee',
+  gameState: 'level',
+  currentLevel: 1,
+  correctAnswers: 1,
+  storyBubbleIndex: 3,
+  mechanicState: { calmnessLevel: 75 },
+  ...overrides
+});
+
+describe('saveGame', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('writes under a versioned key and reads the run back', () => {
+    expect(writeSave(snapshot())).toBe(true);
+    expect(localStorage.getItem(getSaveKey(SAVE_VERSION))).not.toBeNull();
+
+    const saved = readSave(fallbackCreatureData);
+
+    expect(saved.creature.id).toBe('banshee');
+    expect(saved.snapshot).toEqual(snapshot({ creatureId: undefined }));
+    expect(typeof saved.savedAt).toBe('number');
+  });
+
+  it('returns null when nothing is saved', () => {
+    expect(readSave(fallbackCreatureData)).toBeNull();
+  });
+
+  it('discards corrupt saves', () => {
+    localStorage.setItem(getSaveKey(), '{not json');
+
+    expect(readSave(fallbackCreatureData)).toBeNull();
+    expect(localStorage.getItem(getSaveKey())).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('discards saves that no longer match the creature data', () => {
+    const cases = [
+      snapshot({ creatureId: 'kappa' }),
+      snapshot({ currentLevel: 7 }),
+      snapshot({ correctAnswers: 3 }),
+      snapshot({ correctAnswers: 2, choiceHistory: [{ level: 0, choiceIndex: 0, isCorrect: true }] }),
+      snapshot({ gameState: 'end' }),
+      snapshot({ mechanicState: null })
+    ];
+
+    cases.forEach(save => {
+      writeSave(save);
+      expect(readSave(fallbackCreatureData)).toBeNull();
+      expect(localStorage.getItem(getSaveKey())).toBeNull();
+    });
+  });
+
+  it('bounds correct answers by the levels answered, not the level index', () => {
+    const answered = [
+      { level: 0, choiceIndex: 0, isCorrect: true },
+      { level: 2, choiceIndex: 0, isCorrect: true }
+    ];
+    writeSave(snapshot({ currentLevel: 0, correctAnswers: 2, choiceHistory: answered }));
+
+    expect(readSave(fallbackCreatureData).snapshot.correctAnswers).toBe(2);
+  });
+
+  it('upgrades older saves through the migrations', () => {
+    const upgrade = { 0: (save) => ({ ...save, mechanicState: { calmnessLevel: save.calm } }) };
+
+    expect(migrateSave({ calm: 40 }, 0, upgrade)).toEqual({
+      calm: 40,
+      mechanicState: { calmnessLevel: 40 },
+      version: SAVE_VERSION
+    });
+    expect(migrateSave({ calm: 40 }, 0, {})).toBeNull();
+  });
+
+  it('clears saves of every version', () => {
+    writeSave(snapshot());
+    clearSave();
+
+    expect(readSave(fallbackCreatureData)).toBeNull();
+  });
+
+  it('ignores unavailable storage', () => {
+    expect(writeSave(snapshot(), null)).toBe(false);
+    expect(readSave(fallbackCreatureData, null)).toBeNull();
+  });
+});
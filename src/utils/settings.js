@@ -0,0 +1,196 @@
+/**
+ * Player Settings for FOLKLORERUN
+ *
+ * Preferences set in the Settings panel, kept in localStorage so they survive
+ * a reload:
+ *
+ * - masterVolume / musicVolume / sfxVolume: 0-1, applied to the audio
+ *   manager's master, music and sfx volumes (see utils/audioManager.js)
+ * - muted: silences everything without losing the volumes
+ * - reducedMotion: true or false to override the system preference, or null
+ *   to follow it
+ * - captions: whether sound cues show their text descriptor
+ * - textSize: one of TEXT_SIZES
+ * - autoAdvanceStory: whether story bubbles advance by themselves
+ * - locale: one of the supported locales (see utils/i18n.js), or null to
+ *   follow the browser's language
+ *
+ * A settings store holds the current settings and tells subscribers when they
+ * change; hooks reach it through the settings context (see hooks/useSettings.js).
+ */
+
+import { getLocalStorage } from './storage';
+import { Channel, DEFAULT_CHANNEL_VOLUMES } from './audioManager';
+import { isSupportedLocale } from './i18n';
+
+const SETTINGS_KEY = 'folklorerun:settings:v1';
+
+/**
+ * Text size choices, as a scale of the base font size
+ */
+export const TEXT_SIZES = {
+  small: 0.875,
+  medium: 1,
+  large: 1.25
+};
+
+/**
+ * Settings before the player changes them
+ */
+export const DEFAULT_SETTINGS = {
+  masterVolume: 1,
+  musicVolume: DEFAULT_CHANNEL_VOLUMES[Channel.MUSIC],
+  sfxVolume: DEFAULT_CHANNEL_VOLUMES[Channel.SFX],
+  muted: false,
+  reducedMotion: null,
+  captions: true,
+  textSize: 'medium',
+  autoAdvanceStory: false,
+  locale: null
+};
+
+const isVolume = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const isBoolean = (value) => typeof value === 'boolean';
+
+// Checks per setting; anything that fails gets the default
+const VALIDATORS = {
+  masterVolume: isVolume,
+  musicVolume: isVolume,
+  sfxVolume: isVolume,
+  muted: isBoolean,
+  reducedMotion: (value) => value === null || isBoolean(value),
+  captions: isBoolean,
+  textSize: (value) => Object.prototype.hasOwnProperty.call(TEXT_SIZES, value),
+  autoAdvanceStory: isBoolean,
+  locale: (value) => value === null || isSupportedLocale(value)
+};
+
+/**
+ * Complete a settings object, replacing missing or invalid values with defaults
+ *
+ * @param {object} [settings] - Settings, possibly partial or from old storage
+ * @returns {object} Settings with every key of DEFAULT_SETTINGS
+ */
+export function normalizeSettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS).map(([key, fallback]) => [
+      key,
+      VALIDATORS[key](source[key]) ? source[key] : fallback
+    ])
+  );
+}
+
+const parseSettings = (raw) => {
+  try {
+    return normalizeSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return normalizeSettings(null);
+  }
+};
+
+/**
+ * Create a settings store
+ *
+ * Settings are read back from storage whenever they are asked for, so
+ * anything else writing the same key (another tab, tests clearing storage) is
+ * picked up. Without usable storage they are kept in memory only.
+ *
+ * @param {Storage|null} [storage] - Storage to use (defaults to localStorage)
+ * @returns {{getSettings: function, update: function, reset: function, subscribe: function}}
+ */
+export function createSettingsStore(storage = getLocalStorage()) {
+  let store = storage;
+  let memory = null;
+  let cachedRaw;
+  let cached;
+  const listeners = new Set();
+
+  const readRaw = () => {
+    if (!store) return memory;
+    try {
+      return store.getItem(SETTINGS_KEY);
+    } catch {
+      return memory;
+    }
+  };
+
+  const write = (raw) => {
+    memory = raw;
+    if (!store) return;
+    try {
+      if (raw === null) {
+        store.removeItem(SETTINGS_KEY);
+      } else {
+        store.setItem(SETTINGS_KEY, raw);
+      }
+    } catch (error) {
+      console.warn('Could not save the settings:', error.message);
+      // Keep going from memory rather than reading back stale storage
+      store = null;
+    }
+  };
+
+  const getSettings = () => {
+    const raw = readRaw();
+    if (raw !== cachedRaw || cached === undefined) {
+      cachedRaw = raw;
+      cached = parseSettings(raw);
+    }
+    return cached;
+  };
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  return {
+    /**
+     * Current settings (the same object until they change)
+     *
+     * @returns {object}
+     */
+    getSettings,
+
+    /**
+     * Change some settings and save them
+     *
+     * @param {object} changes - Settings to change; invalid values are ignored
+     */
+    update(changes) {
+      const valid = Object.entries(changes || {})
+        .filter(([key, value]) => key in VALIDATORS && VALIDATORS[key](value));
+      write(JSON.stringify({ ...getSettings(), ...Object.fromEntries(valid) }));
+      notify();
+    },
+
+    /**
+     * Go back to the default settings
+     */
+    reset() {
+      write(null);
+      notify();
+    },
+
+    /**
+     * Be told when settings change
+     *
+     * @param {function(): void} listener
+     * @returns {function(): void} Unsubscribes
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+/**
+ * Apply the volume settings to an audio manager
+ *
+ * @param {object} manager - Manager from createAudioManager()
+ * @param {object} settings - Player settings
+ */
+export function applyAudioSettings(manager, settings) {
+  manager.setMasterVolume(settings.muted ? 0 : settings.masterVolume);
+  manager.setChannelVolume(Channel.MUSIC, settings.musicVolume);
+  manager.setChannelVolume(Channel.SFX, settings.sfxVolume);
+}
@@ -0,0 +1,153 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  applyAudioSettings,
+  createSettingsStore,
+  DEFAULT_SETTINGS,
+  normalizeSettings
+} from './settings';
+import { Channel, createAudioManager } from './audioManager';
+import { createFakeAudioBackend } from '../test/fakeAudioBackend';
+
+/**
+ * Tests for the player settings store
+ */
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+describe('settings', () => {
+  describe('normalizeSettings', () => {
+    it('fills in defaults and drops invalid values', () => {
+      expect(normalizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+      expect(normalizeSettings({
+        masterVolume: 0.5,
+        musicVolume: 3,
+        muted: 'yes',
+        textSize: 'huge',
+        reducedMotion: true,
+        unknown: 1
+      })).toEqual({ ...DEFAULT_SETTINGS, masterVolume: 0.5, reducedMotion: true });
+    });
+
+    it('keeps only supported locales', () => {
+      expect(normalizeSettings({ locale: 'ga' }).locale).toBe('ga');
+      expect(normalizeSettings({ locale: 'fr' }).locale).toBeNull();
+      expect(normalizeSettings({ locale: null }).locale).toBeNull();
+    });
+  });
+
+  describe('createSettingsStore', () => {
+    it('starts from the defaults', () => {
+      expect(createSettingsStore(memoryStorage()).getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('saves changes so a new store reads them back', () => {
+      const storage = memoryStorage();
+      createSettingsStore(storage).update({ sfxVolume: 0.25, textSize: 'large' });
+
+      expect(createSettingsStore(storage).getSettings()).toMatchObject({ sfxVolume: 0.25, textSize: 'large' });
+    });
+
+    it('ignores invalid changes', () => {
+      const store = createSettingsStore(memoryStorage());
+      store.update({ musicVolume: 0.3 });
+      store.update({ musicVolume: -1, captions: 'no' });
+
+      expect(store.getSettings()).toMatchObject({ musicVolume: 0.3, captions: true });
+    });
+
+    it('keeps the same settings object until something changes', () => {
+      const store = createSettingsStore(memoryStorage());
+      const before = store.getSettings();
+
+      expect(store.getSettings()).toBe(before);
+      store.update({ muted: true });
+      expect(store.getSettings()).not.toBe(before);
+    });
+
+    it('tells subscribers about changes until they unsubscribe', () => {
+      const store = createSettingsStore(memoryStorage());
+      const listener = vi.fn();
+      const unsubscribe = store.subscribe(listener);
+
+      store.update({ captions: false });
+      store.reset();
+      unsubscribe();
+      store.update({ captions: false });
+
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it('resets to the defaults', () => {
+      const storage = memoryStorage();
+      const store = createSettingsStore(storage);
+      store.update({ autoAdvanceStory: true });
+      store.reset();
+
+      expect(store.getSettings()).toEqual(DEFAULT_SETTINGS);
+      expect(createSettingsStore(storage).getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('reads settings written elsewhere', () => {
+      const storage = memoryStorage();
+      const store = createSettingsStore(storage);
+      createSettingsStore(storage).update({ muted: true });
+
+      expect(store.getSettings().muted).toBe(true);
+    });
+
+    it('recovers from unreadable storage', () => {
+      const storage = memoryStorage();
+      storage.setItem('folklorerun:settings:v1', '{not json');
+
+      expect(createSettingsStore(storage).getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('keeps settings in memory without storage', () => {
+      const store = createSettingsStore(null);
+      store.update({ textSize: 'small' });
+
+      expect(store.getSettings().textSize).toBe('small');
+    });
+
+    it('keeps settings in memory when storage refuses to save them', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const storage = {
+        ...memoryStorage(),
+        setItem: () => { throw new Error('QuotaExceededError'); }
+      };
+      const store = createSettingsStore(storage);
+      store.update({ captions: false });
+
+      expect(store.getSettings().captions).toBe(false);
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('applyAudioSettings', () => {
+    const manager = () => createAudioManager({ backend: createFakeAudioBackend(), gestureTarget: null });
+
+    it('sets the master, music and sfx volumes', () => {
+      const audio = manager();
+      applyAudioSettings(audio, { ...DEFAULT_SETTINGS, masterVolume: 0.5, musicVolume: 0.2, sfxVolume: 0.4 });
+
+      expect(audio.getMasterVolume()).toBe(0.5);
+      expect(audio.getChannelVolume(Channel.MUSIC)).toBe(0.2);
+      expect(audio.getChannelVolume(Channel.SFX)).toBe(0.4);
+    });
+
+    it('silences everything when muted', () => {
+      const audio = manager();
+      applyAudioSettings(audio, { ...DEFAULT_SETTINGS, muted: true });
+
+      expect(audio.getMasterVolume()).toBe(0);
+    });
+  });
+});
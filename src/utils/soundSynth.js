@@ -0,0 +1,146 @@
+/**
+ * Sound Synthesis for FOLKLORERUN
+ *
+ * Sound cues are synthesized rather than loaded from files. A cue's `sound`
+ * in ui_dynamic_config.json is one tone or a list of tones mixed together:
+ *
+ *   { "wave": "sine", "frequency": 880, "endFrequency": 1320,
+ *     "duration": 0.3, "delay": 0, "attack": 0.01, "volume": 0.5 }
+ *
+ * - wave: sine | triangle | square | sawtooth | noise
+ * - frequency / endFrequency: pitch in Hz, gliding from one to the other
+ * - duration / delay / attack: seconds
+ * - volume: 0-1; tones fade out over their duration after the attack
+ *
+ * Sounds are rendered into WAV data URLs once and then played like any other
+ * track on the audio manager's sfx channel (see utils/audioManager.js).
+ * Rendering is deterministic: noise comes from a fixed-seed generator.
+ */
+
+import { createRandom } from '../engine/random';
+
+/**
+ * Sample rate sounds are rendered at
+ */
+export const SAMPLE_RATE = 22050;
+
+const TONE_DEFAULTS = {
+  wave: 'sine',
+  frequency: 440,
+  duration: 0.3,
+  delay: 0,
+  attack: 0.01,
+  volume: 0.5
+};
+
+// Seed of the noise generator
+const NOISE_SEED = 1;
+
+// Waveforms over one cycle; phase runs from 0 to 1
+const WAVES = {
+  sine: (phase) => Math.sin(2 * Math.PI * phase),
+  triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+  square: (phase) => (phase < 0.5 ? 1 : -1),
+  sawtooth: (phase) => 2 * phase - 1,
+  noise: (phase, random) => random() * 2 - 1
+};
+
+const toTones = (sound) => (Array.isArray(sound) ? sound : [sound])
+  .filter(tone => tone && typeof tone === 'object')
+  .map(tone => ({ ...TONE_DEFAULTS, ...tone }));
+
+/**
+ * Render a sound into samples
+ *
+ * @param {object|Array} sound - Tone or tones (see above)
+ * @param {number} [sampleRate] - Samples per second
+ * @returns {Float32Array} Samples between -1 and 1
+ */
+export function renderSound(sound, sampleRate = SAMPLE_RATE) {
+  const tones = toTones(sound);
+  const length = Math.ceil(sampleRate * Math.max(0, ...tones.map(tone => tone.delay + tone.duration)));
+  const samples = new Float32Array(length);
+  const random = createRandom(NOISE_SEED);
+
+  tones.forEach(tone => {
+    const wave = WAVES[tone.wave] || WAVES.sine;
+    const start = Math.floor(tone.delay * sampleRate);
+    const count = Math.floor(tone.duration * sampleRate);
+    const attack = Math.max(1, Math.floor(tone.attack * sampleRate));
+    const endFrequency = tone.endFrequency ?? tone.frequency;
+    let phase = 0;
+
+    for (let i = 0; i < count && start + i < length; i++) {
+      const progress = i / count;
+      const envelope = i < attack ? i / attack : 1 - (i - attack) / Math.max(1, count - attack);
+      samples[start + i] += wave(phase, random) * envelope * tone.volume;
+      phase = (phase + (tone.frequency + (endFrequency - tone.frequency) * progress) / sampleRate) % 1;
+    }
+  });
+
+  // Layered tones can add up past full scale
+  for (let i = 0; i < length; i++) {
+    samples[i] = Math.max(-1, Math.min(1, samples[i]));
+  }
+  return samples;
+}
+
+/**
+ * Encode samples as a 16-bit mono WAV file
+ *
+ * @param {Float32Array} samples - Samples between -1 and 1
+ * @param {number} [sampleRate] - Samples per second
+ * @returns {Uint8Array} WAV file bytes
+ */
+export function encodeWav(samples, sampleRate = SAMPLE_RATE) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeText = (offset, text) => {
+    [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // bytes per second
+  view.setUint16(32, 2, true); // bytes per frame
+  view.setUint16(34, 16, true); // bits per sample
+  writeText(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((sample, i) => {
+    view.setInt16(44 + i * 2, Math.round(sample * 0x7fff), true);
+  });
+
+  return new Uint8Array(buffer);
+}
+
+const soundUrls = new Map();
+
+/**
+ * Get a playable URL for a sound, rendering it on first use
+ *
+ * The same sound always gives the same URL, so the audio manager keeps one
+ * instance of it.
+ *
+ * @param {object|Array} sound - Tone or tones (see above)
+ * @returns {string} WAV data URL, or '' when the sound has no tones
+ */
+export function getSoundUrl(sound) {
+  if (toTones(sound).length === 0) return '';
+
+  const key = JSON.stringify(sound);
+  if (!soundUrls.has(key)) {
+    const bytes = encodeWav(renderSound(sound));
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    soundUrls.set(key, `data:audio/wav;base64,${btoa(binary)}`);
+  }
+  return soundUrls.get(key);
+}
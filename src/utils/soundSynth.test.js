@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { encodeWav, getSoundUrl, renderSound, SAMPLE_RATE } from './soundSynth';
+
+describe('soundSynth', () => {
+  describe('renderSound', () => {
+    it('renders a tone for its duration', () => {
+      const samples = renderSound({ wave: 'sine', frequency: 440, duration: 0.5 });
+
+      expect(samples).toHaveLength(Math.ceil(SAMPLE_RATE * 0.5));
+      expect(Math.max(...samples)).toBeGreaterThan(0.4);
+    });
+
+    it('fades tones in and out', () => {
+      const samples = renderSound({ wave: 'square', duration: 0.2, attack: 0.05, volume: 1 });
+
+      expect(Math.abs(samples[0])).toBe(0);
+      expect(Math.abs(samples[samples.length - 1])).toBeLessThan(0.01);
+    });
+
+    it('delays layered tones and lasts until the last one ends', () => {
+      const samples = renderSound([
+        { duration: 0.1 },
+        { duration: 0.1, delay: 0.2 }
+      ]);
+
+      expect(samples).toHaveLength(Math.ceil(SAMPLE_RATE * (0.2 + 0.1)));
+      // Silence between the two tones
+      expect(samples[Math.floor(SAMPLE_RATE * 0.15)]).toBe(0);
+    });
+
+    it('keeps loud layers within full scale', () => {
+      const loud = { wave: 'square', duration: 0.1, volume: 1 };
+      const samples = renderSound([loud, loud, loud]);
+
+      expect(Math.max(...samples)).toBeLessThanOrEqual(1);
+      expect(Math.min(...samples)).toBeGreaterThanOrEqual(-1);
+    });
+
+    it('renders noise the same way every time', () => {
+      const noise = { wave: 'noise', duration: 0.05 };
+
+      expect(renderSound(noise)).toEqual(renderSound(noise));
+    });
+  });
+
+  describe('encodeWav', () => {
+    it('writes a 16-bit mono PCM header', () => {
+      const bytes = encodeWav(new Float32Array([0, 1, -1]), 8000);
+      const view = new DataView(bytes.buffer);
+      const text = (offset, length) => String.fromCharCode(...bytes.slice(offset, offset + length));
+
+      expect(text(0, 4)).toBe('RIFF');
+      expect(text(8, 4)).toBe('WAVE');
+      expect(view.getUint16(22, true)).toBe(1);
+      expect(view.getUint32(24, true)).toBe(8000);
+      expect(view.getUint16(34, true)).toBe(16);
+      expect(view.getUint32(40, true)).toBe(6);
+      expect(view.getInt16(46, true)).toBe(0x7fff);
+      expect(view.getInt16(48, true)).toBe(-0x7fff);
+    });
+  });
+
+  describe('getSoundUrl', () => {
+    it('gives a WAV data URL, the same one for the same sound', () => {
+      const url = getSoundUrl([{ frequency: 880, duration: 0.05 }]);
+
+      expect(url).toMatch(/^data:audio\/wav;base64,/);
+      expect(getSoundUrl([{ frequency: 880, duration: 0.05 }])).toBe(url);
+      expect(getSoundUrl([{ frequency: 660, duration: 0.05 }])).not.toBe(url);
+    });
+
+    it('gives no URL for a sound without tones', () => {
+      expect(getSoundUrl([])).toBe('');
+      expect(getSoundUrl(null)).toBe('');
+    });
+  });
+});
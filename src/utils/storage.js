@@ -0,0 +1,33 @@
+/**
+ * Browser Storage Access for FOLKLORERUN
+ *
+ * localStorage can be missing (non-browser hosts) or throw on access (some
+ * private browsing modes), so persistence helpers go through this accessor
+ * and treat a null result as "don't persist".
+ */
+
+/**
+ * Get localStorage if the browser allows it
+ *
+ * @returns {Storage|null}
+ */
+export function getLocalStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get sessionStorage if the browser allows it
+ *
+ * @returns {Storage|null}
+ */
+export function getSessionStorage() {
+  try {
+    return typeof window !== 'undefined' && window.sessionStorage ? window.sessionStorage : null;
+  } catch {
+    return null;
+  }
+}
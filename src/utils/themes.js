@@ -0,0 +1,119 @@
+/**
+ * Creature Themes for FOLKLORERUN
+ *
+ * One place for each creature's look: colors, font, images and music all come
+ * from the `creatures` section of ui_dynamic_config.json:
+ *
+ *   "baba-yaga": { primaryColor, secondaryColor, fogColor, particleType,
+ *                  particleColor, animationSpeed, glowIntensity, font,
+ *                  assets: { background, portrait, defeated?, music, font? } }
+ *
+ * `assets` names files in public/assets (see utils/assetManifest.js); themes
+ * carry the image URLs under `images`, the music URL as `music` and the font
+ * file URL as `fontFile`. A font file is registered (registerThemeFonts) under
+ * the first family named in `font`, so the theme's font stack uses it. Missing
+ * fields, and creatures without an entry, get the neutral DEFAULT_THEME
+ * values. Components read themes through hooks/useTheme.js.
+ */
+
+import { getAssetUrl } from './assetManifest';
+
+/**
+ * Look used for anything the UI config doesn't describe
+ */
+export const DEFAULT_THEME = {
+  id: null,
+  primaryColor: '#ffffff',
+  secondaryColor: '#cccccc',
+  fogColor: 'rgba(255, 255, 255, 0.3)',
+  particleType: 'default',
+  particleColor: '#ffffff',
+  animationSpeed: 1,
+  glowIntensity: 0.8,
+  font: "'Georgia', serif",
+  images: {
+    background: '',
+    portrait: '',
+    defeated: ''
+  },
+  music: '',
+  fontFile: ''
+};
+
+const createTheme = (id, config = {}) => {
+  const { assets = {}, ...look } = config;
+  const portrait = getAssetUrl(assets.portrait);
+
+  return {
+    ...DEFAULT_THEME,
+    ...look,
+    id,
+    images: {
+      background: getAssetUrl(assets.background),
+      portrait,
+      // The portrait doubles as the defeated image unless the creature has its own
+      defeated: getAssetUrl(assets.defeated) || portrait
+    },
+    music: getAssetUrl(assets.music),
+    fontFile: getAssetUrl(assets.font)
+  };
+};
+
+/**
+ * First family named in a CSS font stack, without quotes
+ *
+ * @param {string} font - Font stack, e.g. "'Asimovian', serif"
+ * @returns {string} The family, e.g. 'Asimovian'
+ */
+export function getFontFamily(font) {
+  return (font || '').split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+}
+
+/**
+ * Build the themes of all creatures in a UI config
+ *
+ * @param {object} uiConfig - UI config (see loadUIConfig)
+ * @returns {object} Themes by creature id
+ */
+export function createThemeRegistry(uiConfig) {
+  const creatures = uiConfig && uiConfig.creatures ? uiConfig.creatures : {};
+  return Object.fromEntries(
+    Object.entries(creatures).map(([id, config]) => [id, createTheme(id, config)])
+  );
+}
+
+/**
+ * Register the font files of all themes with the document
+ *
+ * Each file is added under its theme's font family. A file that fails to load
+ * is left to the asset check (see utils/assetManifest.js) to report.
+ *
+ * @param {object} registry - Themes from createThemeRegistry()
+ * @param {FontFaceSet} [fonts] - Font set to add to (defaults to document.fonts)
+ * @returns {function(): void} Removes the registered fonts again
+ */
+export function registerThemeFonts(registry, fonts = globalThis.document?.fonts) {
+  if (!fonts || typeof FontFace === 'undefined') return () => {};
+
+  const faces = Object.values(registry)
+    .filter(theme => theme.fontFile && getFontFamily(theme.font))
+    .map(theme => new FontFace(getFontFamily(theme.font), `url("${theme.fontFile}")`, { display: 'swap' }));
+
+  faces.forEach(face => {
+    fonts.add(face);
+    face.load().catch(() => {});
+  });
+
+  return () => faces.forEach(face => fonts.delete(face));
+}
+
+/**
+ * Get a creature's theme
+ *
+ * @param {object} registry - Themes from createThemeRegistry()
+ * @param {string} [creatureId] - Creature id
+ * @returns {object} The creature's theme, or DEFAULT_THEME
+ */
+export function getTheme(registry, creatureId) {
+  return (creatureId && registry[creatureId]) || DEFAULT_THEME;
+}
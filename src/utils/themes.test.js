@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createThemeRegistry, DEFAULT_THEME, getFontFamily, getTheme, registerThemeFonts } from './themes';
+import { getAssetUrl } from './assetManifest';
+
+describe('themes', () => {
+  const uiConfig = {
+    creatures: {
+      'baba-yaga': {
+        primaryColor: '#BA55D3',
+        secondaryColor: '#FF1493',
+        font: "'Asimovian', serif",
+        assets: {
+          background: 'Baba Yaga BG.jpg',
+          portrait: 'Baba Yaga.jpg',
+          music: 'Baba Yaga audio.mp3',
+          font: 'Asimovian-Regular.ttf'
+        }
+      },
+      'aswang': {
+        primaryColor: '#D32F2F',
+        assets: {
+          portrait: 'Aswang.jpg',
+          defeated: 'Aswang_defeated.jpg'
+        }
+      }
+    }
+  };
+
+  it('builds a theme for every creature in the UI config', () => {
+    const themes = createThemeRegistry(uiConfig);
+
+    expect(Object.keys(themes)).toEqual(['baba-yaga', 'aswang']);
+    expect(themes['baba-yaga']).toMatchObject({
+      id: 'baba-yaga',
+      primaryColor: '#BA55D3',
+      secondaryColor: '#FF1493',
+      font: "'Asimovian', serif"
+    });
+  });
+
+  it('turns asset file names into URLs', () => {
+    const { images, music } = createThemeRegistry(uiConfig)['baba-yaga'];
+
+    expect(images.background).toBe(getAssetUrl('Baba Yaga BG.jpg'));
+    expect(images.background).toContain('assets/Baba%20Yaga%20BG.jpg');
+    expect(images.portrait).toBe(getAssetUrl('Baba Yaga.jpg'));
+    expect(music).toBe(getAssetUrl('Baba Yaga audio.mp3'));
+  });
+
+  it('gives the font file a URL', () => {
+    const themes = createThemeRegistry(uiConfig);
+
+    expect(themes['baba-yaga'].fontFile).toBe(getAssetUrl('Asimovian-Regular.ttf'));
+    expect(themes.aswang.fontFile).toBe('');
+  });
+
+  it('uses the portrait as defeated image unless the creature has its own', () => {
+    const themes = createThemeRegistry(uiConfig);
+
+    expect(themes['baba-yaga'].images.defeated).toBe(getAssetUrl('Baba Yaga.jpg'));
+    expect(themes.aswang.images.defeated).toBe(getAssetUrl('Aswang_defeated.jpg'));
+  });
+
+  it('fills fields the UI config leaves out with the defaults', () => {
+    const { aswang } = createThemeRegistry(uiConfig);
+
+    expect(aswang.secondaryColor).toBe(DEFAULT_THEME.secondaryColor);
+    expect(aswang.font).toBe(DEFAULT_THEME.font);
+    expect(aswang.images.background).toBe('');
+    expect(aswang.music).toBe('');
+  });
+
+  it('returns the default theme for unknown creatures', () => {
+    const themes = createThemeRegistry(uiConfig);
+
+    expect(getTheme(themes, 'banshee')).toBe(DEFAULT_THEME);
+    expect(getTheme(themes, undefined)).toBe(DEFAULT_THEME);
+    expect(getTheme(createThemeRegistry(null), 'baba-yaga')).toBe(DEFAULT_THEME);
+  });
+
+  describe('registerThemeFonts', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('names the first family of a font stack', () => {
+      expect(getFontFamily("'Asimovian', serif")).toBe('Asimovian');
+      expect(getFontFamily('"Jersey 10", monospace')).toBe('Jersey 10');
+      expect(getFontFamily(undefined)).toBe('');
+    });
+
+    it("adds each theme's font file under its font family, and removes it again", () => {
+      const FontFace = vi.fn(function (family, source) {
+        this.family = family;
+        this.source = source;
+        this.load = vi.fn(() => Promise.resolve(this));
+      });
+      vi.stubGlobal('FontFace', FontFace);
+      const fonts = { add: vi.fn(), delete: vi.fn() };
+
+      const unregister = registerThemeFonts(createThemeRegistry(uiConfig), fonts);
+
+      expect(fonts.add).toHaveBeenCalledTimes(1);
+      const [face] = fonts.add.mock.calls[0];
+      expect(face.family).toBe('Asimovian');
+      expect(face.source).toBe(`url("${getAssetUrl('Asimovian-Regular.ttf')}")`);
+      expect(face.load).toHaveBeenCalled();
+
+      unregister();
+      expect(fonts.delete).toHaveBeenCalledWith(face);
+    });
+
+    it('does nothing where fonts cannot be registered', () => {
+      expect(() => registerThemeFonts(createThemeRegistry(uiConfig), null)()).not.toThrow();
+    });
+  });
+});